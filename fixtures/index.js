@@ -0,0 +1,316 @@
+const base = require('@playwright/test');
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { LoginPage } = require('../pages/LoginPage');
+const { AutomationPage } = require('../pages/AutomationPage');
+const { TaskBotPage } = require('../pages/TaskBotPage');
+const { FormPage } = require('../pages/FormPage');
+const { LearningInstancePage } = require('../pages/LearningInstancePage');
+const { APIHelper } = require('../utils/apiHelper');
+const { ControlRoomClient, ControlRoomApiError } = require('../utils/controlRoomClient');
+const { toMatchSchema } = require('../utils/schemaValidator');
+const { toRespondWithin } = require('../utils/responseTiming');
+const { toMatchFlow } = require('../utils/botFlow');
+const { ArtifactRegistry } = require('../utils/testArtifacts');
+const { NetworkRecorder } = require('../utils/networkRecorder');
+const { ApiContract } = require('../utils/apiContract');
+const { HarReplay } = require('../utils/harReplay');
+const { TestLogContext } = require('../utils/testLogContext');
+const { Redaction } = require('../utils/redaction');
+const { CredentialVault } = require('../utils/credentialVault');
+const testDataManager = require('../utils/testData');
+const Helpers = require('../utils/helpers');
+const { Environment } = require('../utils/environment');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+// One DNS lookup per host and worker, shared by every test
+const hostLookups = new Map();
+
+/**
+ * Resolve the host of a URL, remembering the result for the rest of the worker
+ * @param {string} url - URL whose host must resolve
+ * @returns {Promise<Error|null>} - Lookup error or null when the host resolves
+ */
+function lookupHost(url) {
+  const { hostname } = new URL(url);
+  if (!hostLookups.has(hostname)) {
+    hostLookups.set(hostname, dns.promises.lookup(hostname).then(() => null, error => error));
+  }
+  return hostLookups.get(hostname);
+}
+
+/**
+ * Skip the current test when an error means the environment is unreachable; rethrow anything else
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {Error} error - Error raised while contacting the environment
+ * @param {string} url - URL that was being contacted
+ */
+function skipIfOffline(testInfo, error, url) {
+  if (Helpers.isDNSError(error)) {
+    testInfo.skip(true, Helpers.getDNSErrorMessage(error, url));
+  }
+  throw error;
+}
+
+/**
+ * Test data bound to one JSON file under test-data/
+ * Loading is lazy so specs that never read data do not fail on a broken file
+ */
+function bindTestData(fileName, specFile) {
+  const requireFile = () => {
+    if (!fileName) {
+      throw new Error(`No test data bound to ${specFile}. Add test.use({ testDataFile: '<name>' }) to the spec.`);
+    }
+    return fileName;
+  };
+  return {
+    get fileName() {
+      return fileName;
+    },
+    all: () => testDataManager.loadTestData(requireFile()),
+    get: key => testDataManager.getTestData(requireFile(), key),
+    generate: prefix => testDataManager.generateDynamicData(prefix)
+  };
+}
+
+/**
+ * Custom test with ready-made page objects, an authenticated API client and bound test data
+ *
+ * @example
+ * const { test, expect } = require('../fixtures');
+ *
+ * test.use({ testDataFile: 'messageBox' });
+ *
+ * test('@ui example', async ({ loginPage, automationPage, testData }) => { ... });
+ */
+const test = base.test.extend({
+  /**
+   * Tags every log line of the test with its ID, title, project, retry and step,
+   * and attaches the test's own log to the report when it fails
+   */
+  testLog: [async ({}, use, testInfo) => {
+    TestLogContext.start(testInfo);
+    try {
+      await use();
+    } finally {
+      const lines = TestLogContext.end();
+      if (testInfo.status !== testInfo.expectedStatus && lines.length > 0) {
+        await testInfo.attach('test.log', { body: Redaction.redactText(`${lines.join('\n')}\n`), contentType: 'text/plain' });
+      }
+    }
+  }, { auto: true }],
+
+  /* Name of the test-data/*.json file the testData fixture reads; defaults to the spec name */
+  testDataFile: [undefined, { option: true }],
+
+  /* Set to false for specs that never leave the machine (e.g. pure unit checks) */
+  requiresNetwork: [true, { option: true }],
+
+  /* 'live', 'record' (save the page's API traffic per test) or 'replay' (answer it from the recording); NETWORK_MODE */
+  networkMode: [process.env.NETWORK_MODE || 'live', { option: true }],
+
+  /* HarReplay matching options for replay mode, e.g. { ignoreBodyFields: ['createdAt', 'locale'] } */
+  replayOptions: [{}, { option: true }],
+
+  /**
+   * Page with record/replay of its traffic (see utils/harReplay.js)
+   * record saves network-recordings/<spec>/<test>.har (API calls, documents and assets) when the test passes;
+   * replay skips tests without a recording
+   */
+  page: async ({ page, networkMode, replayOptions }, use, testInfo) => {
+    if (!['live', 'record', 'replay'].includes(networkMode)) {
+      throw new Error(`Unknown NETWORK_MODE "${networkMode}" (live, record or replay)`);
+    }
+    const file = HarReplay.recordingPath(testInfo);
+    if (networkMode === 'replay') {
+      if (!fs.existsSync(file)) {
+        testInfo.skip(true, `No network recording ${path.relative(process.cwd(), file)}; create it with NETWORK_MODE=record`);
+      }
+      const replay = await HarReplay.load(file, replayOptions).attach(page);
+      await use(page);
+      if (replay.unmatched.length > 0) {
+        await testInfo.attach('replay-unmatched.txt', { body: Redaction.redactText(replay.unmatched.join('\n')), contentType: 'text/plain' });
+      }
+    } else if (networkMode === 'record') {
+      const recorder = new NetworkRecorder(page).start();
+      const assetRecorder = HarReplay.recordAssets(page);
+      await use(page);
+      await recorder.stop();
+      const assets = await assetRecorder.stop();
+      if (testInfo.status === testInfo.expectedStatus && recorder.entries.length > 0) {
+        const har = recorder.toHar();
+        har.log.entries.push(...assets);
+        HarReplay.save(file, har);
+        logger.info(`Recorded ${recorder.entries.length} API call(s) and ${assets.length} document(s)/asset(s) to ${path.relative(process.cwd(), file)}`);
+      }
+    } else {
+      await use(page);
+    }
+  },
+
+  /**
+   * Skips the test up front when the target host does not resolve, instead of failing inside a step
+   * Replay mode answers the page from its recording, so it runs without the host.
+   */
+  offlineGuard: [async ({ baseURL, requiresNetwork, networkMode }, use, testInfo) => {
+    if (requiresNetwork && networkMode !== 'replay') {
+      const url = baseURL || Environment.get().baseURL;
+      const error = await lookupHost(url);
+      if (error) {
+        logger.warn(`Skipping "${testInfo.title}": ${url} is unreachable`);
+        testInfo.skip(true, Helpers.getDNSErrorMessage(error, url));
+      }
+    }
+    await use();
+  }, { auto: true }],
+
+  /* Account the credentials, apiHelper and controlRoom fixtures use: admin, botCreator, readOnly (see utils/credentialVault.js) */
+  role: ['admin', { option: true }],
+
+  /**
+   * Credentials of the role's account in the selected environment profile
+   * Tests of another role than admin are skipped when the environment has no account for it
+   */
+  credentials: async ({ role }, use, testInfo) => {
+    const account = CredentialVault.find(role);
+    if (!account && role !== 'admin') {
+      testInfo.skip(true, `No "${role}" account configured for environment "${Environment.name}"`);
+    }
+    await use(account || CredentialVault.get(role));
+  },
+
+  loginPage: async ({ page }, use) => {
+    await use(new LoginPage(page));
+  },
+
+  automationPage: async ({ page }, use) => {
+    await use(new AutomationPage(page));
+  },
+
+  taskBotPage: async ({ page }, use) => {
+    await use(new TaskBotPage(page));
+  },
+
+  formPage: async ({ page }, use) => {
+    await use(new FormPage(page));
+  },
+
+  learningInstancePage: async ({ page }, use) => {
+    await use(new LearningInstancePage(page));
+  },
+
+  /**
+   * APIHelper already logged in with the role's credentials
+   * Skips when the API host is unreachable or the login endpoint does not exist
+   */
+  apiHelper: async ({ request, credentials }, use, testInfo) => {
+    const apiHelper = new APIHelper(request);
+    let response;
+    try {
+      response = await apiHelper.login(credentials.username, credentials.password);
+    } catch (error) {
+      skipIfOffline(testInfo, error, apiHelper.baseURL);
+    }
+    if (response.status() === 404) {
+      testInfo.skip(true, 'API endpoint not available (404). Skipping API test.');
+    }
+    if (!response.ok() || !apiHelper.authToken) {
+      throw new Error(`API login failed for ${credentials.username}: HTTP ${response.status()}`);
+    }
+    await use(apiHelper);
+  },
+
+  /**
+   * Factories for Task Bots, Forms and Learning Instances with unique E2E_<run>_ names
+   * Everything created or registered through them is deleted when the test ends (API first, UI as fallback).
+   * The UI fallback opens its own browser page only when an API delete fails, so API-only tests never launch one.
+   *
+   * @example
+   * const botName = factories.taskBot.name('MessageBoxTask');  // created through the UI by the test
+   * const form = await factories.form.create({ description: 'via API' });
+   */
+  factories: async ({ request, credentials, networkMode, playwright, browserName, launchOptions, baseURL }, use) => {
+    let browser = null;
+    const openPages = async () => {
+      browser = await playwright[browserName].launch(launchOptions);
+      const page = await (await browser.newContext({ baseURL })).newPage();
+      return { loginPage: new LoginPage(page), automationPage: new AutomationPage(page), learningInstancePage: new LearningInstancePage(page) };
+    };
+    // In replay mode the UI only talked to the recording, so there is nothing to delete through it
+    const pages = networkMode === 'replay' ? undefined : openPages;
+    // Cleanup needs delete rights, whatever role the test runs as
+    const factories = new ArtifactRegistry({ request, credentials: CredentialVault.find('admin') || credentials, pages });
+    await use(factories);
+    const leftovers = await factories.cleanup();
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+    if (leftovers.length > 0) {
+      logger.warn(`${leftovers.length} test artifact(s) left behind; run "npm run sweep" to remove them`);
+    }
+  },
+
+  /**
+   * ControlRoomClient already logged in with the role's credentials
+   * Skips like apiHelper when the API host is unreachable or the login endpoint does not exist
+   */
+  controlRoom: async ({ request, credentials }, use, testInfo) => {
+    const client = new ControlRoomClient(request);
+    try {
+      await client.auth.login(credentials);
+    } catch (error) {
+      if (!(error instanceof ControlRoomApiError)) {
+        skipIfOffline(testInfo, error, client.baseURL);
+      }
+      if (error.status === 404) {
+        testInfo.skip(true, 'API endpoint not available (404). Skipping API test.');
+      }
+      throw error;
+    }
+    await use(client);
+  },
+
+  /**
+   * NetworkRecorder already listening to the page's /api/ and /v<n>/ calls (tokens and passwords redacted)
+   * The recording is attached to the report as network.har when the test ends, and its body shapes feed the
+   * API contract check (see utils/apiContract.js)
+   */
+  networkRecorder: async ({ page, networkMode }, use, testInfo) => {
+    const recorder = new NetworkRecorder(page).start();
+    await use(recorder);
+    await recorder.stop();
+    if (networkMode !== 'replay') {
+      // Replayed traffic is the recording, not the current API
+      ApiContract.captureEntries(recorder.entries);
+    }
+    if (recorder.entries.length > 0) {
+      await recorder.attach(testInfo, { name: 'network' });
+    }
+  },
+
+  testData: async ({ testDataFile }, use, testInfo) => {
+    const specName = path.basename(testInfo.file).replace(/\.spec\.js$/, '');
+    const specDataExists = fs.existsSync(path.join(testDataManager.testDataPath, `${specName}.json`));
+    await use(bindTestData(testDataFile || (specDataExists ? specName : undefined), path.basename(testInfo.file)));
+  }
+});
+
+// Steps show up in log lines; nested steps as "outer > inner"
+const playwrightStep = test.step;
+test.step = (title, body, options) => playwrightStep(title, (...args) => TestLogContext.runStep(title, () => body(...args)), options);
+test.step.skip = playwrightStep.skip;
+
+/**
+ * expect with the framework's custom matchers
+ * toMatchSchema(name) checks a response or parsed body against test-data/schemas/<name>.schema.json,
+ * toRespondWithin(ms) checks the recorded duration of an APIHelper call or a page response,
+ * toMatchFlow(expected) checks a Task Bot flow (TaskBotPage.readFlow() or a bot from the API) against an expected tree
+ */
+const expect = base.expect.extend({ toMatchSchema, toRespondWithin, toMatchFlow });
+
+module.exports = { test, expect, skipIfOffline };
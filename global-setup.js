@@ -0,0 +1,139 @@
+const { chromium } = require('@playwright/test');
+const { LoginPage } = require('./pages/LoginPage');
+const { AuthSession } = require('./utils/authSession');
+const { LocatorRegistry } = require('./utils/locatorRegistry');
+const { ResponseTiming } = require('./utils/responseTiming');
+const { ApiContract } = require('./utils/apiContract');
+const { TestLogContext } = require('./utils/testLogContext');
+const { Redaction } = require('./utils/redaction');
+const { SecretScanner } = require('./utils/secretScanner');
+const { Environment } = require('./utils/environment');
+const { ArtifactRegistry } = require('./utils/testArtifacts');
+const testDataManager = require('./utils/testData');
+const { SchemaValidator } = require('./utils/schemaValidator');
+const Helpers = require('./utils/helpers');
+const logger = require('./utils/logger');
+
+/**
+ * Check a stored session by opening the app with it and asking LoginPage.isLoggedIn()
+ */
+async function isStoredSessionValid(browser, baseURL, name) {
+  const context = await browser.newContext({ baseURL, storageState: AuthSession.statePath(name) });
+  try {
+    const loginPage = new LoginPage(await context.newPage());
+    await loginPage.navigateToLogin();
+    return await loginPage.isLoggedIn();
+  } finally {
+    await context.close();
+  }
+}
+
+async function createSession(browser, baseURL, account) {
+  const context = await browser.newContext({ baseURL });
+  try {
+    const loginPage = new LoginPage(await context.newPage());
+    await loginPage.navigateToLogin();
+    await loginPage.login(account.username, account.password);
+    if (!(await loginPage.isLoggedIn())) {
+      throw new Error(`Login failed for ${account.username}`);
+    }
+    await AuthSession.save(context, account.name, account.username);
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Delete test artifacts that crashed runs left behind (SWEEP_ON_START=true); never fails the run
+ */
+async function sweepLeftovers() {
+  try {
+    const olderThanMinutes = process.env.SWEEP_OLDER_THAN_MINUTES ? Number(process.env.SWEEP_OLDER_THAN_MINUTES) : undefined;
+    const swept = await ArtifactRegistry.sweepEnvironment({ olderThanMinutes });
+    logger.info(`Swept ${swept.filter(result => result.deleted).length} leftover test artifact(s) from earlier runs`);
+  } catch (error) {
+    logger.warn(`Sweeping leftover test artifacts failed: ${error.message}`);
+  }
+}
+
+/**
+ * Global setup
+ * Validates every test-data/*.json file and compiles the response schemas (a broken file stops the run before any test starts),
+ * starts fresh locator event, response timing, API traffic and run logs, logs the redaction canary as a self-test,
+ * optionally sweeps leftovers of earlier runs (SWEEP_ON_START=true),
+ * then logs in once per account and stores the storageState under playwright/.auth/,
+ * reusing a stored session while it is unexpired and still accepted by the app.
+ * Failures only disable session reuse; specs then fall back to logging in themselves.
+ * @param {import('@playwright/test').FullConfig} config - Resolved Playwright config
+ */
+async function globalSetup(config) {
+  const environment = Environment.get();
+  logger.info(`Environment profile "${environment.name}": ${environment.baseURL} (API ${environment.apiBaseURL})`);
+
+  const dataFiles = testDataManager.validateAll();
+  logger.info(`Validated ${dataFiles.length} test data file(s)`);
+  const schemas = SchemaValidator.validateAll();
+  logger.info(`Compiled ${schemas.length} response schema(s)`);
+
+  // The locator health and response time reports and the API contract check only cover the current run
+  LocatorRegistry.resetRunEvents();
+  ResponseTiming.resetRun();
+  ApiContract.resetRun();
+  TestLogContext.resetRun();
+  SecretScanner.startRun();
+
+  // Redaction self-test: the canary goes through the logger, and the teardown scan fails the run if it shows up
+  const canary = Redaction.canary();
+  if (Redaction.redactText(canary) === canary) {
+    throw new Error('Secret redaction is not working: the canary was not redacted');
+  }
+  logger.info(`Secret redaction self-test: ${canary}`);
+
+  if (process.env.SWEEP_ON_START === 'true') {
+    await sweepLeftovers();
+  }
+
+  if (process.env.SKIP_AUTH_SETUP === 'true') {
+    logger.info('SKIP_AUTH_SETUP=true, specs will log in themselves');
+    return;
+  }
+
+  const accounts = AuthSession.getAccounts();
+  if (accounts.length === 0) {
+    logger.warn('No credentials configured, skipping authenticated session setup');
+    return;
+  }
+
+  const { baseURL, launchOptions } = config.projects[0].use;
+  let browser;
+  try {
+    browser = await chromium.launch(launchOptions);
+  } catch (error) {
+    logger.warn(`Could not launch a browser for session setup: ${error.message}`);
+    return;
+  }
+
+  try {
+    for (const account of accounts) {
+      try {
+        if (!AuthSession.isExpired(account.name, account.username)) {
+          if (await isStoredSessionValid(browser, baseURL, account.name)) {
+            logger.info(`Reusing stored session "${account.name}"`);
+            continue;
+          }
+          logger.info(`Stored session "${account.name}" is no longer accepted, logging in again`);
+        }
+        AuthSession.invalidate(account.name);
+        await createSession(browser, baseURL, account);
+      } catch (error) {
+        AuthSession.invalidate(account.name);
+        const reason = Helpers.isDNSError(error) ? Helpers.getDNSErrorMessage(error, baseURL) : error.message;
+        logger.warn(`Session setup failed for "${account.name}": ${reason}`);
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = globalSetup;
@@ -0,0 +1,91 @@
+const path = require('path');
+const { LocatorRegistry } = require('./utils/locatorRegistry');
+const { LocatorHealthReport } = require('./utils/locatorHealthReport');
+const { ResponseTiming } = require('./utils/responseTiming');
+const { ApiContract } = require('./utils/apiContract');
+const { SecretScanner } = require('./utils/secretScanner');
+const logger = require('./utils/logger');
+
+/**
+ * Global teardown
+ * Writes the locator health and response time reports for this run, folds the run's locator events into the
+ * hit statistics and lists registry entries whose primary selector has stopped matching, so pages/locators.js
+ * can be updated before the fallbacks stop matching too.
+ * Finally compares the captured API traffic with the environment's stored contract and fails the run on
+ * breaking changes (API_CONTRACT_CHECK=false only reports them), and scans the run's artifacts for secrets
+ * that escaped redaction (SECRET_SCAN=false only reports them).
+ */
+async function globalTeardown() {
+  try {
+    LocatorHealthReport.generate();
+  } catch (error) {
+    logger.warn(`Could not write the locator health report: ${error.message}`);
+  }
+  try {
+    ResponseTiming.generate();
+  } catch (error) {
+    logger.warn(`Could not write the response time report: ${error.message}`);
+  }
+
+  try {
+    LocatorRegistry.foldRunEvents();
+  } catch (error) {
+    logger.warn(`Could not update the locator stats: ${error.message}`);
+  }
+  const broken = LocatorRegistry.getBrokenPrimaries();
+  if (broken.length > 0) {
+    logger.warn(`${broken.length} locator(s) no longer match their primary selector (stats: ${LocatorRegistry.statsPath})`);
+    for (const entry of broken) {
+      logger.warn(`  ${entry.name}: primary "${entry.primary}" missed, healed by "${entry.preferred || 'none'}"`);
+    }
+  }
+
+  checkApiContract();
+  scanForSecrets();
+}
+
+/**
+ * Report API contract drift; throws on breaking changes unless API_CONTRACT_CHECK=false
+ */
+function checkApiContract() {
+  let result;
+  try {
+    result = ApiContract.check();
+  } catch (error) {
+    logger.warn(`Could not check the API contract: ${error.message}`);
+    return;
+  }
+  if (!result || result.changes.length === 0) {
+    return;
+  }
+  const log = result.breaking.length > 0 ? logger.error.bind(logger) : logger.info.bind(logger);
+  log(result.text);
+  if (result.breaking.length > 0 && process.env.API_CONTRACT_CHECK !== 'false') {
+    const contractFile = path.relative(process.cwd(), ApiContract.contractPath(result.environment));
+    throw new Error(`${result.breaking.length} breaking API change(s) against ${contractFile}. Accept them with "npm run contracts -- update".`);
+  }
+}
+
+/**
+ * Report secrets in the files this run wrote; throws on findings outside traces unless SECRET_SCAN=false
+ * The HTML report is written after the teardown, so "npm run secrets:check" covers it after the run.
+ */
+function scanForSecrets() {
+  let findings;
+  try {
+    findings = SecretScanner.scan({ since: SecretScanner.runStartedAt });
+  } catch (error) {
+    logger.warn(`Could not scan the run artifacts for secrets: ${error.message}`);
+    return;
+  }
+  if (findings.length === 0) {
+    return;
+  }
+  const leaks = findings.filter(finding => !finding.trace);
+  (leaks.length > 0 ? logger.error : logger.warn).call(logger, SecretScanner.format(findings));
+  if (leaks.length > 0 && process.env.SECRET_SCAN !== 'false') {
+    throw new Error(`${leaks.length} secret(s) found in the run artifacts; see the list above`);
+  }
+}
+
+module.exports = globalTeardown;
@@ -0,0 +1,278 @@
+const path = require('path');
+
+const MAX_BODY_BYTES = 15 * 1024 * 1024;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const BLOCKED_UPLOAD_EXTENSIONS = ['.exe', '.bat', '.cmd', '.msi', '.sh'];
+const DOCUMENT_TYPES = ['Invoices', 'Purchase orders', 'Receipts', 'User-defined'];
+
+/**
+ * Error carrying the HTTP status and Control Room style error body
+ */
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  if (status === 204) {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Extract the auth token from either header Control Room accepts
+ */
+function getToken(req) {
+  const header = req.headers['x-authorization'] || req.headers.authorization || '';
+  return header.replace(/^Bearer\s+/i, '').trim() || null;
+}
+
+function requireFound(entity, label) {
+  if (!entity) {
+    throw new HttpError(404, `${label} not found`);
+  }
+  return entity;
+}
+
+function requireValidName(store, name) {
+  const error = store.validateName(name);
+  if (error) {
+    throw new HttpError(400, error, { field: 'name' });
+  }
+}
+
+function listResponse(items) {
+  return { list: items, page: { offset: 0, total: items.length, totalFilter: items.length } };
+}
+
+/**
+ * CRUD route set shared by bots, forms and learning instances
+ * Each route needs the matching <resource>:view, :create, :edit or :delete permission.
+ * @param {string} resource - URL segment (e.g. 'bots')
+ * @param {string} label - Human readable entity name for errors
+ * @param {Function} getCollection - Returns the store collection
+ * @param {Function} buildEntity - Maps a validated request body to entity fields
+ */
+function crudRoutes(resource, label, getCollection, buildEntity) {
+  const collectionPattern = new RegExp(`^/api/${resource}$`);
+  const itemPattern = new RegExp(`^/api/${resource}/([^/]+)$`);
+
+  return [
+    {
+      method: 'GET',
+      pattern: collectionPattern,
+      permission: `${resource}:view`,
+      handler: ({ store }) => [200, listResponse([...getCollection(store).values()])]
+    },
+    {
+      method: 'POST',
+      pattern: collectionPattern,
+      permission: `${resource}:create`,
+      handler: ({ store, body, session }) => {
+        requireValidName(store, body.name);
+        return [201, store.create(getCollection(store), buildEntity(body, store), session.user)];
+      }
+    },
+    {
+      method: 'GET',
+      pattern: itemPattern,
+      permission: `${resource}:view`,
+      handler: ({ store, params }) => [200, requireFound(getCollection(store).get(params[0]), label)]
+    },
+    {
+      method: 'PUT',
+      pattern: itemPattern,
+      permission: `${resource}:edit`,
+      handler: ({ store, params, body }) => {
+        const existing = requireFound(getCollection(store).get(params[0]), label);
+        if (body.name !== undefined) {
+          requireValidName(store, body.name);
+        }
+        return [200, store.update(getCollection(store), existing.id, buildEntity({ ...existing, ...body }, store))];
+      }
+    },
+    {
+      method: 'DELETE',
+      pattern: itemPattern,
+      permission: `${resource}:delete`,
+      handler: ({ store, params }) => {
+        requireFound(getCollection(store).get(params[0]), label);
+        getCollection(store).delete(params[0]);
+        return [204];
+      }
+    }
+  ];
+}
+
+const routes = [
+  {
+    method: 'POST',
+    pattern: /^\/api\/auth\/login$/,
+    public: true,
+    handler: ({ store, body }) => {
+      if (!body.username || !body.password) {
+        throw new HttpError(400, 'Username and password are required');
+      }
+      const session = store.authenticate(body.username, body.password);
+      if (!session) {
+        throw new HttpError(401, 'Invalid username or password');
+      }
+      return [200, { token: session.token, user: session.user, expiresAt: new Date(session.expiresAt).toISOString() }];
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/auth\/session$/,
+    handler: ({ session }) => [200, { user: session.user, expiresAt: new Date(session.expiresAt).toISOString() }]
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/auth\/logout$/,
+    handler: ({ store, token }) => {
+      store.endSession(token);
+      return [204];
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/repository\/folders$/,
+    handler: ({ store }) => [200, listResponse(store.folders)]
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/repository\/files$/,
+    handler: ({ store, query }) => [200, listResponse(store.listFiles(query.get('folderId')))]
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/devices$/,
+    handler: ({ store }) => [200, listResponse(store.devices)]
+  },
+  ...crudRoutes('bots', 'Task Bot', store => store.bots, (body, store) => ({
+    name: body.name,
+    description: body.description || '',
+    folderId: body.folderId || store.folders[0].id,
+    actions: Array.isArray(body.actions) ? body.actions : []
+  })),
+  ...crudRoutes('forms', 'Form', store => store.forms, (body, store) => ({
+    name: body.name,
+    description: body.description || '',
+    folderId: body.folderId || store.folders[0].id,
+    elements: Array.isArray(body.elements) ? body.elements : [],
+    files: Array.isArray(body.files) ? body.files : []
+  })),
+  {
+    method: 'POST',
+    pattern: /^\/api\/forms\/([^/]+)\/files$/,
+    permission: 'forms:edit',
+    handler: ({ store, params, body }) => {
+      const form = requireFound(store.forms.get(params[0]), 'Form');
+      if (!body.fileName || typeof body.content !== 'string') {
+        throw new HttpError(400, 'fileName and content are required');
+      }
+      if (BLOCKED_UPLOAD_EXTENSIONS.includes(path.extname(body.fileName).toLowerCase())) {
+        throw new HttpError(415, `File type ${path.extname(body.fileName)} is not allowed`);
+      }
+      const size = Buffer.from(body.content, 'base64').length;
+      if (size > MAX_UPLOAD_BYTES) {
+        throw new HttpError(413, 'File exceeds the 10 MB upload limit');
+      }
+      const file = { id: store.nextId(), fileName: body.fileName, contentType: body.contentType || 'application/octet-stream', size, elementId: body.elementId || null };
+      form.files.push(file);
+      return [201, file];
+    }
+  },
+  ...crudRoutes('learning-instances', 'Learning Instance', store => store.learningInstances, body => {
+    if (body.documentType && !DOCUMENT_TYPES.includes(body.documentType)) {
+      throw new HttpError(400, `Unknown document type: ${body.documentType}`, { field: 'documentType' });
+    }
+    return {
+      name: body.name,
+      description: body.description || '',
+      documentType: body.documentType || DOCUMENT_TYPES[0],
+      locale: body.locale || 'en-US',
+      provider: body.provider || 'Automation Anywhere',
+      fields: Array.isArray(body.fields) ? body.fields : [],
+      status: body.status || 'CREATED'
+    };
+  })
+];
+
+/**
+ * Route an /api request to its handler and write the JSON response
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Server response
+ * @param {MockStore} store - Backing data store
+ */
+async function handleApiRequest(req, res, store) {
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    let params = null;
+    const route = routes.find(candidate => {
+      if (candidate.method !== req.method) return false;
+      const match = url.pathname.match(candidate.pattern);
+      params = match ? match.slice(1).map(decodeURIComponent) : null;
+      return Boolean(match);
+    });
+    if (!route) {
+      throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+    }
+
+    const token = getToken(req);
+    const session = store.getSession(token);
+    if (!route.public && !session) {
+      throw new HttpError(401, 'Authentication token is missing or expired');
+    }
+    if (route.permission && !session.user.permissions.includes(route.permission)) {
+      throw new HttpError(403, `Permission denied: ${route.permission} is not granted to ${session.user.username}`, { permission: route.permission });
+    }
+
+    const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readJsonBody(req) : {};
+    const [status, payload] = route.handler({ store, body, params, query: url.searchParams, session, token });
+    sendJson(res, status, payload);
+  } catch (error) {
+    const status = error.status || 500;
+    sendJson(res, status, { code: status, message: error.message, details: error.details });
+  }
+}
+
+module.exports = { handleApiRequest };
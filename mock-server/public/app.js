@@ -0,0 +1,1206 @@
+/**
+ * Mock Control Room single-page app
+ * Hash-routed stand-in for the Control Room screens the page objects drive:
+ * login, Automation repository, Create dropdown, Task Bot editor, Form designer
+ * and AI > Document Automation (Learning Instances)
+ */
+(function () {
+  'use strict';
+
+  const TOKEN_KEY = 'cr.authToken';
+  const USER_KEY = 'cr.user';
+
+  const app = document.getElementById('app');
+  const modalRoot = document.getElementById('modal-root');
+  const toastRoot = document.getElementById('toast-root');
+
+  const ACTION_PACKAGES = [
+    {
+      name: 'Message box',
+      actions: [
+        {
+          type: 'messageBox',
+          label: 'Message box',
+          description: 'Inserts a message box to show a message',
+          fields: [
+            { name: 'message', label: 'Enter the message to display', type: 'textarea' },
+            { name: 'title', label: 'Enter the message box window title', type: 'text' },
+            { name: 'closeAfter', label: 'Close message box after', type: 'checkbox' },
+            { name: 'seconds', label: 'Seconds', type: 'number', showWhen: 'closeAfter' }
+          ]
+        }
+      ]
+    },
+    {
+      name: 'String',
+      actions: [
+        {
+          type: 'stringAssign',
+          label: 'Assign',
+          description: 'Assigns a value to a string variable',
+          fields: [
+            { name: 'source', label: 'Select the source string variable(s)/ value', type: 'variable' },
+            { name: 'destination', label: 'Select the destination string variable', type: 'variable' }
+          ]
+        }
+      ]
+    },
+    {
+      name: 'Number',
+      actions: [
+        {
+          type: 'numberIncrement',
+          label: 'Increment',
+          description: 'Increments a number by a value',
+          fields: [
+            { name: 'source', label: 'Enter number', type: 'variable' },
+            { name: 'incrementBy', label: 'Enter increment value', type: 'text' },
+            { name: 'destination', label: 'Assign the output to variable', type: 'variable' }
+          ]
+        }
+      ]
+    },
+    {
+      name: 'Loop',
+      actions: [
+        {
+          type: 'loop',
+          label: 'Loop',
+          description: 'Repeats the actions inside it',
+          container: true,
+          fields: [
+            { name: 'iterator', label: 'Iterator', type: 'select', options: ['n times', 'For each row in an Excel dataset', 'While condition is true'] },
+            { name: 'times', label: 'Times', type: 'text' }
+          ]
+        }
+      ]
+    },
+    {
+      name: 'If',
+      actions: [
+        {
+          type: 'if',
+          label: 'If',
+          description: 'Runs the actions inside it when the condition is true',
+          container: true,
+          fields: [
+            { name: 'condition', label: 'Condition', type: 'select', options: ['Number condition', 'String condition', 'Boolean condition'] },
+            { name: 'source', label: 'Source value', type: 'variable' },
+            { name: 'operator', label: 'Operator', type: 'select', options: ['Equal to (=)', 'Not equal to (≠)', 'Greater than (>)', 'Less than (<)'] },
+            { name: 'target', label: 'Target value', type: 'text' }
+          ]
+        }
+      ]
+    },
+    {
+      name: 'Delay',
+      actions: [
+        {
+          type: 'delay',
+          label: 'Delay',
+          description: 'Pauses the bot',
+          fields: [
+            { name: 'unit', label: 'Delay type', type: 'select', options: ['Milliseconds', 'Seconds'] },
+            { name: 'duration', label: 'Delay', type: 'text' }
+          ]
+        }
+      ]
+    },
+    {
+      name: 'Log to file',
+      actions: [
+        {
+          type: 'logToFile',
+          label: 'Log to file',
+          description: 'Writes text to a log file',
+          fields: [
+            { name: 'filePath', label: 'Enter file path', type: 'text' },
+            { name: 'text', label: 'Enter text to log', type: 'textarea' },
+            { name: 'appendTimestamp', label: 'Append timestamp', type: 'checkbox' },
+            { name: 'whenLogging', label: 'When logging', type: 'select', options: ['Append to existing log file', 'Overwrite existing log file'] }
+          ]
+        }
+      ]
+    },
+    {
+      name: 'Excel advanced',
+      actions: [
+        {
+          type: 'excelOpen',
+          label: 'Open',
+          description: 'Opens an Excel workbook in a session',
+          fields: [
+            { name: 'sessionName', label: 'Session name', type: 'text' },
+            { name: 'filePath', label: 'File path', type: 'text' },
+            { name: 'openMode', label: 'Open in', type: 'select', options: ['Read-only mode', 'Read-write mode'] },
+            { name: 'sheetContainsHeader', label: 'Sheet contains a header', type: 'checkbox' }
+          ]
+        },
+        {
+          type: 'excelGetSingleCell',
+          label: 'Get single cell',
+          description: 'Reads the value of one cell',
+          fields: [
+            { name: 'sessionName', label: 'Session name', type: 'text' },
+            { name: 'cell', label: 'Cell address', type: 'text' },
+            { name: 'destination', label: 'Assign the value to a variable', type: 'variable' }
+          ]
+        },
+        {
+          type: 'excelClose',
+          label: 'Close',
+          description: 'Closes the workbook of a session',
+          fields: [
+            { name: 'sessionName', label: 'Session name', type: 'text' },
+            { name: 'saveChanges', label: 'Save changes when closing file', type: 'checkbox' }
+          ]
+        }
+      ]
+    }
+  ];
+
+  // Variables every bot has, offered by the variable picker of "variable" fields
+  const BOT_VARIABLES = ['prompt-assignment', 'sOutput', 'nCounter', 'rExcelRow'];
+
+  const FORM_ELEMENTS = {
+    textbox: {
+      label: 'Textbox',
+      fields: [
+        { name: 'label', label: 'Element label', type: 'text' },
+        { name: 'placeholder', label: 'Placeholder text', type: 'text' },
+        { name: 'required', label: 'Required', type: 'checkbox' }
+      ]
+    },
+    file: {
+      label: 'Select File',
+      fields: [
+        { name: 'label', label: 'Element label', type: 'text' },
+        { name: 'accept', label: 'Accepted file types', type: 'text' },
+        { name: 'maxSizeMb', label: 'Maximum file size (MB)', type: 'number' }
+      ]
+    }
+  };
+
+  const DOCUMENT_TYPES = {
+    Invoices: ['Invoice number', 'Invoice date', 'Vendor name', 'Total amount'],
+    'Purchase orders': ['PO number', 'Order date', 'Supplier name', 'Order total'],
+    Receipts: ['Merchant name', 'Transaction date', 'Total amount'],
+    'User-defined': ['Field 1', 'Field 2']
+  };
+
+  let aiMenuOpen = false;
+  let validatedToken = null;
+  let lastFocusedBeforeModal = null;
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function getToken() {
+    return localStorage.getItem(TOKEN_KEY);
+  }
+
+  function getUser() {
+    try {
+      return JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function setSession(token, user) {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+    validatedToken = token;
+  }
+
+  /**
+   * Whether the logged-in user's roles grant a permission (mock-server/fixtures/roles.json)
+   */
+  function can(permission) {
+    const user = getUser();
+    return Boolean(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+  }
+
+  function clearSession() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+    validatedToken = null;
+  }
+
+  function navigate(hash) {
+    if (location.hash === hash) {
+      router();
+    } else {
+      location.hash = hash;
+    }
+  }
+
+  /**
+   * Call the mock JSON API with the stored token
+   */
+  async function api(method, url, body, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = getToken();
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(`/api${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+    if (response.status === 401 && options.redirectOnUnauthorized !== false) {
+      clearSession();
+      navigate('#/login');
+    }
+    if (!response.ok) {
+      const error = new Error((data && data.message) || response.statusText);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Check the stored token against the server once per page load
+   */
+  async function hasValidSession() {
+    const token = getToken();
+    if (!token) {
+      return false;
+    }
+    if (validatedToken === token) {
+      return true;
+    }
+    try {
+      const session = await api('GET', '/auth/session', undefined, { redirectOnUnauthorized: false });
+      // Stored sessions may predate a role change, so the permissions are refreshed too
+      localStorage.setItem(USER_KEY, JSON.stringify(session.user));
+      validatedToken = token;
+      return true;
+    } catch (error) {
+      clearSession();
+      return false;
+    }
+  }
+
+  function showToast(message, kind = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${kind}`;
+    toast.setAttribute('role', 'status');
+    toast.textContent = message;
+    toastRoot.appendChild(toast);
+    setTimeout(() => toast.remove(), 8000);
+  }
+
+  function showFormError(form, message) {
+    let error = form.querySelector('.error');
+    if (!error) {
+      error = document.createElement('div');
+      error.className = 'error';
+      error.setAttribute('role', 'alert');
+      form.prepend(error);
+    }
+    error.textContent = message;
+  }
+
+  function focusableElements(container) {
+    return [...container.querySelectorAll('a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])')]
+      .filter(el => !el.disabled && !el.closest('[hidden]') && el.getClientRects().length > 0);
+  }
+
+  /**
+   * Open a modal dialog that traps focus until it is closed
+   */
+  function openModal(html) {
+    lastFocusedBeforeModal = document.activeElement;
+    modalRoot.innerHTML = `
+      <div class="modal-backdrop">
+        <div class="modal" role="dialog" aria-modal="true" aria-labelledby="modal-title">${html}</div>
+      </div>`;
+    const dialog = modalRoot.querySelector('[role="dialog"]');
+    dialog.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        closeModal();
+        return;
+      }
+      if (event.key !== 'Tab') {
+        return;
+      }
+      const focusable = focusableElements(dialog);
+      if (focusable.length === 0) {
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    });
+    const [firstField] = focusableElements(dialog);
+    if (firstField) {
+      firstField.focus();
+    }
+    return dialog;
+  }
+
+  function closeModal(restoreFocus = true) {
+    if (!modalRoot.innerHTML) {
+      return;
+    }
+    modalRoot.innerHTML = '';
+    if (restoreFocus && lastFocusedBeforeModal && document.contains(lastFocusedBeforeModal)) {
+      lastFocusedBeforeModal.focus();
+    }
+    lastFocusedBeforeModal = null;
+  }
+
+  function renderField(field, value, idPrefix, values) {
+    const id = `${idPrefix}-${field.name}`;
+    const hidden = field.showWhen && !values[field.showWhen] ? ' hidden' : '';
+    const placeholder = escapeHtml(field.placeholder || field.label);
+    let control;
+
+    switch (field.type) {
+      case 'checkbox':
+        return `<div class="field" data-field="${field.name}"${hidden}>
+          <label class="checkbox-field"><input type="checkbox" name="${field.name}"${value ? ' checked' : ''}> ${escapeHtml(field.label)}</label>
+        </div>`;
+      case 'textarea':
+        control = `<textarea id="${id}" name="${field.name}" placeholder="${placeholder}">${escapeHtml(value)}</textarea>`;
+        break;
+      case 'select':
+        control = `<select id="${id}" name="${field.name}">${field.options.map(option =>
+          `<option${option === value ? ' selected' : ''}>${escapeHtml(option)}</option>`).join('')}</select>`;
+        break;
+      case 'variable':
+        // Text input plus a picker that inserts $variable$
+        control = `<div class="variable-field">
+          <input type="text" id="${id}" name="${field.name}" placeholder="${placeholder}" value="${escapeHtml(value)}">
+          <button type="button" class="variable-picker-toggle" aria-label="Insert a variable" aria-haspopup="listbox" aria-expanded="false">(x)</button>
+          <ul class="variable-picker" role="listbox" aria-label="Variables" hidden>
+            ${BOT_VARIABLES.map(name => `<li role="option" tabindex="-1" data-variable="${name}">${name}</li>`).join('')}
+          </ul>
+        </div>`;
+        break;
+      default:
+        control = `<input type="${field.type === 'number' ? 'number' : 'text'}" id="${id}" name="${field.name}" placeholder="${placeholder}" value="${escapeHtml(value)}">`;
+    }
+    return `<div class="field" data-field="${field.name}"${hidden}><label for="${id}">${escapeHtml(field.label)}</label>${control}</div>`;
+  }
+
+  function readFieldValue(input) {
+    return input.type === 'checkbox' ? input.checked : input.value;
+  }
+
+  /**
+   * Open/close the variable pickers of a form; picking a variable inserts it like typing would
+   */
+  function bindVariablePickers(container) {
+    container.querySelectorAll('.variable-field').forEach(field => {
+      const input = field.querySelector('input');
+      const toggle = field.querySelector('.variable-picker-toggle');
+      const list = field.querySelector('.variable-picker');
+      const setOpen = open => {
+        list.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+      };
+      toggle.addEventListener('click', () => setOpen(list.hidden));
+      list.querySelectorAll('[role="option"]').forEach(option => option.addEventListener('click', () => {
+        input.value = `$${option.dataset.variable}$`;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        setOpen(false);
+        input.focus();
+      }));
+    });
+  }
+
+  /**
+   * Show or hide fields whose visibility depends on another field
+   */
+  function applyFieldVisibility(container, fields, values) {
+    fields.filter(field => field.showWhen).forEach(field => {
+      const row = container.querySelector(`[data-field="${field.name}"]`);
+      if (row) {
+        row.hidden = !values[field.showWhen];
+      }
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Shell
+  // ---------------------------------------------------------------------------
+
+  function navLink(hash, label) {
+    const active = location.hash.startsWith(hash) ? ' class="active" aria-current="page"' : '';
+    return `<a href="${hash}"${active}>${label}</a>`;
+  }
+
+  function renderShell({ title, headerActions = '', mainClass = '', body = '' }) {
+    const user = getUser();
+    document.title = `${title} - Control Room`;
+    app.innerHTML = `
+      <div class="layout">
+        <nav class="sidebar" aria-label="Main navigation">
+          <div class="brand">Control Room</div>
+          ${navLink('#/home', 'Home')}
+          ${navLink('#/bots/repository', 'Automation')}
+          ${can('learning-instances:view')
+            ? `<button type="button" class="nav-group" aria-expanded="${aiMenuOpen}" aria-controls="nav-ai">AI</button>
+          <div class="nav-children" id="nav-ai"${aiMenuOpen ? '' : ' hidden'}>
+            ${navLink('#/modules/cognitive/learning-instances', 'Document Automation')}
+          </div>`
+            : '<button type="button" class="nav-group" disabled title="Your role has no access to AI features">AI</button>'}
+        </nav>
+        <div class="content">
+          <header class="page-header">
+            <h1>${escapeHtml(title)}</h1>
+            ${headerActions}
+            <span class="user-name">${escapeHtml(user ? user.username : '')}</span>
+            <button type="button" data-command="logout">Log out</button>
+          </header>
+          <main class="${mainClass}">${body}</main>
+        </div>
+      </div>`;
+
+    app.querySelector('.nav-group').addEventListener('click', event => {
+      aiMenuOpen = !aiMenuOpen;
+      event.currentTarget.setAttribute('aria-expanded', String(aiMenuOpen));
+      app.querySelector('#nav-ai').hidden = !aiMenuOpen;
+    });
+    app.querySelector('[data-command="logout"]').addEventListener('click', async () => {
+      await api('POST', '/auth/logout', undefined, { redirectOnUnauthorized: false }).catch(() => {});
+      clearSession();
+      navigate('#/login');
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Views
+  // ---------------------------------------------------------------------------
+
+  function renderLogin() {
+    document.title = 'Log in - Control Room';
+    app.innerHTML = `
+      <div class="login-screen">
+        <div class="login-card">
+          <h1>Log in to Control Room</h1>
+          <form class="login-form" novalidate>
+            <div class="field">
+              <label for="username">Username</label>
+              <input id="username" name="username" type="text" autocomplete="username">
+            </div>
+            <div class="field">
+              <label for="password">Password</label>
+              <input id="password" name="password" type="password" autocomplete="current-password">
+            </div>
+            <button type="submit" class="primary">Log in</button>
+          </form>
+        </div>
+      </div>`;
+
+    const form = app.querySelector('form');
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      const username = form.username.value.trim();
+      const password = form.password.value;
+      if (!username || !password) {
+        showFormError(form, 'Username and password are required');
+        return;
+      }
+      try {
+        const session = await api('POST', '/auth/login', { username, password }, { redirectOnUnauthorized: false });
+        setSession(session.token, session.user);
+        navigate('#/home');
+      } catch (error) {
+        showFormError(form, error.message);
+      }
+    });
+  }
+
+  async function renderHome() {
+    const [files, devices] = await Promise.all([api('GET', '/repository/files'), api('GET', '/devices')]);
+    const user = getUser();
+    renderShell({
+      title: 'Home',
+      body: `
+        <section class="dashboard" aria-label="Dashboard">
+          <div class="dashboard-card"><h2>Welcome</h2><p>${escapeHtml(user ? user.username : '')}</p></div>
+          <div class="dashboard-card"><h2>Automations</h2><p>${files.list.length}</p></div>
+          <div class="dashboard-card"><h2>Devices</h2><p>${devices.list.length}</p></div>
+        </section>`
+    });
+  }
+
+  async function renderRepository() {
+    const files = await api('GET', '/repository/files');
+    const rows = files.list.map(file => {
+      const isForm = file.type.endsWith('form');
+      const href = isForm ? `#/forms/${file.id}/edit` : `#/bots/taskbots/${file.id}/edit`;
+      return `<tr data-file-id="${escapeHtml(file.id)}">
+        <td><a href="${href}">${escapeHtml(file.name)}</a></td>
+        <td>${isForm ? 'Form' : 'Task Bot'}</td>
+        <td>${escapeHtml(file.createdBy)}</td>
+        <td>${escapeHtml(file.updatedOn)}</td>
+        <td>${can(`${isForm ? 'forms' : 'bots'}:delete`) ? `<button type="button" data-command="delete" data-resource="${isForm ? 'forms' : 'bots'}" data-name="${escapeHtml(file.name)}" aria-label="Delete ${escapeHtml(file.name)}">Delete</button>` : ''}</td>
+      </tr>`;
+    }).join('');
+
+    // Control Room disables Create when the role may not create anything, and greys out the options it lacks
+    const canCreate = can('bots:create') || can('forms:create');
+    renderShell({
+      title: 'Automation',
+      headerActions: `
+        <div class="create-dropdown-wrapper">
+          <button type="button" class="primary" id="create-toggle" aria-haspopup="menu" aria-expanded="false" aria-controls="create-menu"${canCreate ? '' : ' disabled title="Your role cannot create automations"'}>+ Create</button>
+          <ul class="create-dropdown" id="create-menu" role="menu" aria-labelledby="create-toggle" hidden>
+            <li role="menuitem" tabindex="-1" data-create="taskbot"${can('bots:create') ? '' : ' aria-disabled="true"'}>Task Bot...</li>
+            <li role="menuitem" tabindex="-1" data-create="form"${can('forms:create') ? '' : ' aria-disabled="true"'}>Form...</li>
+          </ul>
+        </div>`,
+      body: files.list.length
+        ? `<table><thead><tr><th>Name</th><th>Type</th><th>Last modified by</th><th>Last modified</th><th>Actions</th></tr></thead><tbody>${rows}</tbody></table>`
+        : '<p class="empty-state">No automations yet. Use Create to add a Task Bot or Form.</p>'
+    });
+
+    app.querySelectorAll('[data-command="delete"]').forEach(button => button.addEventListener('click', () => {
+      const row = button.closest('tr');
+      openDeleteModal({
+        label: button.dataset.resource === 'forms' ? 'Form' : 'Task Bot',
+        name: button.dataset.name,
+        path: `/${button.dataset.resource}/${row.dataset.fileId}`,
+        onDeleted: () => row.remove()
+      });
+    }));
+
+    const toggle = app.querySelector('#create-toggle');
+    const menu = app.querySelector('#create-menu');
+    const items = [...menu.querySelectorAll('[role="menuitem"]')];
+    const setOpen = open => {
+      menu.hidden = !open;
+      toggle.setAttribute('aria-expanded', String(open));
+      if (open) {
+        items[0].focus();
+      }
+    };
+
+    toggle.addEventListener('click', event => {
+      event.stopPropagation();
+      setOpen(menu.hidden);
+    });
+    document.addEventListener('click', event => {
+      if (!menu.hidden && !menu.contains(event.target)) {
+        setOpen(false);
+      }
+    });
+    menu.addEventListener('keydown', event => {
+      const index = items.indexOf(document.activeElement);
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        items[(index + step + items.length) % items.length].focus();
+      } else if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        document.activeElement.click();
+      } else if (event.key === 'Escape') {
+        setOpen(false);
+        toggle.focus();
+      }
+    });
+    items.forEach(item => item.addEventListener('click', () => {
+      if (item.getAttribute('aria-disabled') === 'true') {
+        return;
+      }
+      setOpen(false);
+      // Menu button pattern: the toggle owns focus again, so the modal restores it on close
+      toggle.focus();
+      if (item.dataset.create === 'taskbot') {
+        openCreateFileModal({ title: 'Create Task Bot', submitLabel: 'Create &amp; edit', resource: 'bots', editPath: id => `#/bots/taskbots/${id}/edit` });
+      } else {
+        openCreateFileModal({ title: 'Create Form', submitLabel: 'Create', resource: 'forms', editPath: id => `#/forms/${id}/edit` });
+      }
+    }));
+  }
+
+  /**
+   * Confirmation modal for deleting a repository file or learning instance
+   */
+  function openDeleteModal({ label, name, path, onDeleted }) {
+    const dialog = openModal(`
+      <h2 id="modal-title">Delete ${label}</h2>
+      <p>Delete "${escapeHtml(name)}"? This cannot be undone.</p>
+      <div class="modal-actions">
+        <button type="button" data-command="cancel">Cancel</button>
+        <button type="button" class="primary" data-command="confirm-delete">Delete</button>
+      </div>`);
+
+    dialog.querySelector('[data-command="cancel"]').addEventListener('click', () => closeModal());
+    dialog.querySelector('[data-command="confirm-delete"]').addEventListener('click', async () => {
+      try {
+        await api('DELETE', path);
+        closeModal(false);
+        onDeleted();
+        showToast(`${label} deleted`);
+      } catch (error) {
+        closeModal();
+        showToast(`Delete failed: ${error.message}`, 'failure');
+      }
+    });
+  }
+
+  /**
+   * Create Task Bot / Create Form modal
+   */
+  function openCreateFileModal({ title, submitLabel, resource, editPath }) {
+    const dialog = openModal(`
+      <h2 id="modal-title">${title}</h2>
+      <form novalidate>
+        <div class="field">
+          <label for="file-name">Name</label>
+          <input id="file-name" name="name" type="text" placeholder="Untitled" autocomplete="off">
+        </div>
+        <div class="field">
+          <label for="file-description">Description</label>
+          <textarea id="file-description" name="description" placeholder="Optional description"></textarea>
+        </div>
+        <div class="field">
+          <span>Folder: \\Bots\\</span>
+        </div>
+        <div class="modal-actions">
+          <button type="button" data-command="cancel">Cancel</button>
+          <button type="submit" class="primary">${submitLabel}</button>
+        </div>
+      </form>`);
+
+    const form = dialog.querySelector('form');
+    dialog.querySelector('[data-command="cancel"]').addEventListener('click', () => closeModal());
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      const name = form.name.value;
+      if (!name.trim()) {
+        showFormError(form, 'Name is required');
+        return;
+      }
+      try {
+        const created = await api('POST', `/${resource}`, { name, description: form.description.value });
+        closeModal(false);
+        navigate(editPath(created.id));
+      } catch (error) {
+        showFormError(form, error.message);
+      }
+    });
+  }
+
+  async function renderTaskBotEditor(botId) {
+    const bot = await api('GET', `/bots/${botId}`);
+    const catalog = ACTION_PACKAGES.flatMap(pkg => pkg.actions);
+    // Loop and If hold their actions in children; insertInto is the container whose drop zone was picked
+    const state = { actions: bot.actions, selectedId: null, insertInto: null };
+    const flatten = actions => actions.flatMap(action => [action, ...flatten(action.children || [])]);
+    state.nextId = flatten(state.actions).reduce((max, action) => Math.max(max, Number(String(action.id).slice(1)) || 0), 0) + 1;
+    const findAction = id => flatten(state.actions).find(action => action.id === id);
+
+    const packagesHtml = ACTION_PACKAGES.map(pkg => `
+      <div class="action-package" data-package="${escapeHtml(pkg.name)}">
+        <button type="button" class="package-header" aria-expanded="true">${escapeHtml(pkg.name)}</button>
+        <ul class="package-actions" role="menu" aria-label="${escapeHtml(pkg.name)} actions">
+          ${pkg.actions.map(action => `<li role="menuitem" tabindex="0" class="action-item" draggable="true" data-action="${action.type}">${escapeHtml(action.label)}</li>`).join('')}
+        </ul>
+      </div>`).join('');
+
+    renderShell({
+      title: bot.name,
+      mainClass: 'editor',
+      headerActions: `
+        <button type="button" class="primary" data-command="save">Save</button>
+        <button type="button" data-command="close">Close</button>`,
+      body: `
+        <aside class="actions-panel" aria-label="Actions">
+          <input type="search" placeholder="Search actions" aria-label="Search actions">
+          <div class="action-packages">${packagesHtml}</div>
+        </aside>
+        <section class="flow-canvas" aria-label="Bot flow"></section>
+        <aside class="properties-panel" aria-label="Action details"></aside>`
+    });
+
+    const flowCanvas = app.querySelector('.flow-canvas');
+    const propertiesPanel = app.querySelector('.properties-panel');
+    const definitionOf = action => catalog.find(entry => entry.type === action.type);
+
+    const summaryOf = action => {
+      const firstValue = definitionOf(action).fields.map(field => action.fields[field.name]).find(value => typeof value === 'string' && value);
+      return firstValue ? `: ${firstValue}` : '';
+    };
+
+    const renderActions = actions => actions.map(action => {
+      const definition = definitionOf(action);
+      const disabled = action.enabled === false;
+      const children = definition.container
+        ? `<ol class="flow flow-children" aria-label="Inside ${escapeHtml(definition.label)}">
+            ${renderActions(action.children || [])}
+            <li class="flow-drop${state.insertInto === action.id ? ' active' : ''}" tabindex="0" data-parent-id="${action.id}">Drop or add actions inside ${escapeHtml(definition.label)}</li>
+          </ol>`
+        : '';
+      return `
+        <li class="flow-action${action.id === state.selectedId ? ' selected' : ''}${disabled ? ' disabled' : ''}" tabindex="0" data-action-id="${action.id}" data-action-type="${action.type}"${disabled ? ' aria-disabled="true"' : ''}>
+          <div class="flow-row">
+            <span class="action-name">${escapeHtml(definition.label)}</span><span class="action-summary">${escapeHtml(summaryOf(action))}</span>
+            <button type="button" class="action-toggle" aria-pressed="${disabled}" aria-label="${disabled ? 'Enable' : 'Disable'} ${escapeHtml(definition.label)}">${disabled ? 'Enable' : 'Disable'}</button>
+          </div>
+          ${children}
+        </li>`;
+    }).join('');
+
+    const renderFlow = () => {
+      flowCanvas.innerHTML = state.actions.length
+        ? `<ol class="flow">${renderActions(state.actions)}</ol>`
+        : '<p class="empty-state">Drag or double-click an action to add it to the flow</p>';
+    };
+
+    const renderProperties = () => {
+      const action = findAction(state.selectedId);
+      if (!action) {
+        propertiesPanel.innerHTML = '<p class="empty-state">Select an action to edit its properties</p>';
+        return;
+      }
+      const definition = definitionOf(action);
+      propertiesPanel.innerHTML = `
+        <h2>${escapeHtml(definition.label)}</h2>
+        <p class="action-description">${escapeHtml(definition.description)}</p>
+        <form class="action-form" novalidate>
+          ${definition.fields.map(field => renderField(field, action.fields[field.name], `action-${action.id}`, action.fields)).join('')}
+        </form>`;
+      const form = propertiesPanel.querySelector('form');
+      bindVariablePickers(form);
+      form.addEventListener('input', event => {
+        action.fields[event.target.name] = readFieldValue(event.target);
+        applyFieldVisibility(form, definition.fields, action.fields);
+        const summary = flowCanvas.querySelector(`[data-action-id="${action.id}"] .action-summary`);
+        if (summary) {
+          summary.textContent = summaryOf(action);
+        }
+      });
+    };
+
+    const addAction = (type, parentId = state.insertInto) => {
+      const action = { id: `a${state.nextId++}`, type, enabled: true, fields: {} };
+      if (definitionOf(action).container) {
+        action.children = [];
+      }
+      const parent = parentId && findAction(parentId);
+      (parent ? parent.children : state.actions).push(action);
+      state.selectedId = action.id;
+      state.insertInto = null;
+      renderFlow();
+      renderProperties();
+    };
+
+    app.querySelector('.actions-panel input[type="search"]').addEventListener('input', event => {
+      const term = event.target.value.trim().toLowerCase();
+      app.querySelectorAll('.action-package').forEach(pkg => {
+        let visibleCount = 0;
+        pkg.querySelectorAll('.action-item').forEach(item => {
+          const match = !term || item.textContent.toLowerCase().includes(term) || pkg.dataset.package.toLowerCase().includes(term);
+          item.hidden = !match;
+          visibleCount += match ? 1 : 0;
+        });
+        pkg.hidden = visibleCount === 0;
+      });
+    });
+    app.querySelectorAll('.package-header').forEach(header => header.addEventListener('click', () => {
+      const expanded = header.getAttribute('aria-expanded') === 'true';
+      header.setAttribute('aria-expanded', String(!expanded));
+      header.nextElementSibling.hidden = expanded;
+    }));
+    app.querySelectorAll('.action-item').forEach(item => {
+      item.addEventListener('dblclick', () => addAction(item.dataset.action));
+      item.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+          addAction(item.dataset.action);
+        }
+      });
+      item.addEventListener('dragstart', event => event.dataTransfer.setData('text/plain', item.dataset.action));
+    });
+    flowCanvas.addEventListener('dragover', event => event.preventDefault());
+    flowCanvas.addEventListener('drop', event => {
+      event.preventDefault();
+      const type = event.dataTransfer.getData('text/plain');
+      const dropZone = event.target.closest('.flow-drop');
+      if (catalog.some(entry => entry.type === type)) {
+        addAction(type, dropZone ? dropZone.dataset.parentId : null);
+      }
+    });
+    flowCanvas.addEventListener('click', event => {
+      const toggle = event.target.closest('.action-toggle');
+      const dropZone = event.target.closest('.flow-drop');
+      const row = event.target.closest('.flow-action');
+      if (toggle) {
+        const action = findAction(row.dataset.actionId);
+        action.enabled = action.enabled === false;
+        renderFlow();
+      } else if (dropZone) {
+        // The next double-clicked action goes inside this container
+        state.insertInto = state.insertInto === dropZone.dataset.parentId ? null : dropZone.dataset.parentId;
+        flowCanvas.querySelectorAll('.flow-drop').forEach(el => el.classList.toggle('active', el.dataset.parentId === state.insertInto));
+      } else if (row) {
+        state.selectedId = row.dataset.actionId;
+        state.insertInto = null;
+        flowCanvas.querySelectorAll('.flow-action').forEach(el => el.classList.toggle('selected', el === row));
+        flowCanvas.querySelectorAll('.flow-drop').forEach(el => el.classList.remove('active'));
+        renderProperties();
+      }
+    });
+    flowCanvas.addEventListener('keydown', event => {
+      if (event.key === 'Enter' && event.target.matches('.flow-action, .flow-drop')) {
+        event.target.click();
+      }
+    });
+
+    app.querySelector('[data-command="save"]').addEventListener('click', async () => {
+      try {
+        await api('PUT', `/bots/${botId}`, { actions: state.actions });
+        showToast('Saved successfully');
+      } catch (error) {
+        showToast(`Save failed: ${error.message}`, 'failure');
+      }
+    });
+    app.querySelector('[data-command="close"]').addEventListener('click', () => navigate('#/bots/repository'));
+
+    renderFlow();
+    renderProperties();
+  }
+
+  async function renderFormDesigner(formId) {
+    const form = await api('GET', `/forms/${formId}`);
+    const state = { elements: form.elements, selectedId: null, nextId: form.elements.length + 1 };
+
+    renderShell({
+      title: form.name,
+      mainClass: 'form-designer',
+      headerActions: '<button type="button" class="primary" data-command="save">Save</button>',
+      body: `
+        <aside class="elements-palette" aria-label="Elements">
+          <h2>Elements</h2>
+          <ul class="palette-items">
+            ${Object.entries(FORM_ELEMENTS).map(([type, element]) =>
+              `<li class="palette-item" role="button" tabindex="0" draggable="true" data-element="${type}">${element.label}</li>`).join('')}
+          </ul>
+        </aside>
+        <section class="form-canvas" aria-label="Form canvas"></section>
+        <aside class="properties-panel" aria-label="Element properties"></aside>`
+    });
+
+    const formCanvas = app.querySelector('.form-canvas');
+    const propertiesPanel = app.querySelector('.properties-panel');
+
+    const fieldHtml = element => {
+      const previewId = `preview-${element.id}`;
+      if (element.type === 'textbox') {
+        return `<div class="form-field form-field-textbox" data-type="textbox" data-element-id="${element.id}" tabindex="0">
+          <label for="${previewId}">${escapeHtml(element.label)}</label>
+          <input type="text" id="${previewId}" placeholder="${escapeHtml(element.placeholder)}" value="${escapeHtml(element.value)}">
+        </div>`;
+      }
+      const upload = element.uploadedFile
+        ? `<div class="upload-status" role="status">Upload complete</div>
+           <div class="file-name" data-filename="${escapeHtml(element.uploadedFile.fileName)}">${escapeHtml(element.uploadedFile.fileName)}</div>`
+        : '';
+      return `<div class="form-field form-field-upload" data-type="file" data-element-id="${element.id}" tabindex="0">
+        <label for="${previewId}">${escapeHtml(element.label)}</label>
+        <input type="file" id="${previewId}" accept="${escapeHtml(element.accept)}">
+        <div class="upload-result">${upload}</div>
+      </div>`;
+    };
+
+    const renderCanvas = () => {
+      formCanvas.innerHTML = state.elements.length
+        ? state.elements.map(fieldHtml).join('')
+        : '<p class="empty-state">Drag elements here to build the form</p>';
+      formCanvas.querySelectorAll('.form-field').forEach(el => el.classList.toggle('selected', el.dataset.elementId === state.selectedId));
+    };
+
+    const renderProperties = () => {
+      const element = state.elements.find(entry => entry.id === state.selectedId);
+      if (!element) {
+        propertiesPanel.innerHTML = '<p class="empty-state">Select an element to edit its properties</p>';
+        return;
+      }
+      const definition = FORM_ELEMENTS[element.type];
+      propertiesPanel.innerHTML = `
+        <h2>${definition.label}</h2>
+        <form class="element-form" novalidate>
+          ${definition.fields.map(field => renderField(field, element[field.name], `element-${element.id}`, element)).join('')}
+        </form>`;
+      propertiesPanel.querySelector('form').addEventListener('input', event => {
+        element[event.target.name] = readFieldValue(event.target);
+        const field = formCanvas.querySelector(`[data-element-id="${element.id}"]`);
+        field.querySelector('label').textContent = element.label;
+        const preview = field.querySelector('input');
+        if (element.type === 'textbox') {
+          preview.placeholder = element.placeholder || '';
+        } else {
+          preview.accept = element.accept || '';
+        }
+      });
+    };
+
+    const selectElement = id => {
+      state.selectedId = id;
+      formCanvas.querySelectorAll('.form-field').forEach(el => el.classList.toggle('selected', el.dataset.elementId === id));
+      renderProperties();
+    };
+
+    const addElement = type => {
+      const element = type === 'textbox'
+        ? { id: `e${state.nextId++}`, type, label: 'Textbox', placeholder: '', required: false, value: '' }
+        : { id: `e${state.nextId++}`, type, label: 'Select File', accept: '.txt,.pdf,.doc,.docx', maxSizeMb: '10', uploadedFile: null };
+      state.elements.push(element);
+      state.selectedId = element.id;
+      renderCanvas();
+      renderProperties();
+    };
+
+    const uploadFile = async (element, input) => {
+      const file = input.files[0];
+      if (!file) {
+        return;
+      }
+      const content = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+      const result = input.closest('.form-field').querySelector('.upload-result');
+      try {
+        const uploaded = await api('POST', `/forms/${formId}/files`, { fileName: file.name, contentType: file.type, content, elementId: element.id });
+        element.uploadedFile = { id: uploaded.id, fileName: uploaded.fileName, size: uploaded.size };
+        result.innerHTML = `<div class="upload-status" role="status">Upload complete</div>
+          <div class="file-name" data-filename="${escapeHtml(uploaded.fileName)}">${escapeHtml(uploaded.fileName)}</div>`;
+      } catch (error) {
+        result.innerHTML = `<div class="upload-failed" role="alert">${escapeHtml(error.message)}</div>`;
+      }
+    };
+
+    app.querySelectorAll('.palette-item').forEach(item => {
+      item.addEventListener('click', () => addElement(item.dataset.element));
+      item.addEventListener('keydown', event => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          addElement(item.dataset.element);
+        }
+      });
+      item.addEventListener('dragstart', event => event.dataTransfer.setData('text/plain', item.dataset.element));
+    });
+    formCanvas.addEventListener('dragover', event => event.preventDefault());
+    formCanvas.addEventListener('drop', event => {
+      event.preventDefault();
+      const type = event.dataTransfer.getData('text/plain');
+      if (FORM_ELEMENTS[type]) {
+        addElement(type);
+      }
+    });
+    formCanvas.addEventListener('click', event => {
+      const field = event.target.closest('.form-field');
+      if (field && field.dataset.elementId !== state.selectedId) {
+        selectElement(field.dataset.elementId);
+      }
+    });
+    formCanvas.addEventListener('input', event => {
+      const field = event.target.closest('.form-field');
+      const element = field && state.elements.find(entry => entry.id === field.dataset.elementId);
+      if (element && element.type === 'textbox') {
+        element.value = event.target.value;
+      }
+    });
+    formCanvas.addEventListener('change', event => {
+      const field = event.target.closest('.form-field');
+      const element = field && state.elements.find(entry => entry.id === field.dataset.elementId);
+      if (element && element.type === 'file' && event.target.type === 'file') {
+        uploadFile(element, event.target);
+      }
+    });
+
+    app.querySelector('[data-command="save"]').addEventListener('click', async () => {
+      try {
+        await api('PUT', `/forms/${formId}`, { elements: state.elements });
+        showToast('Form saved successfully');
+      } catch (error) {
+        showToast(`Save failed: ${error.message}`, 'failure');
+      }
+    });
+
+    renderCanvas();
+    renderProperties();
+  }
+
+  async function renderLearningInstances() {
+    aiMenuOpen = true;
+    const instances = await api('GET', '/learning-instances');
+
+    renderShell({
+      title: 'Learning Instances',
+      headerActions: '<button type="button" class="primary" data-command="create-instance">Create Learning Instance</button>',
+      body: `
+        <p class="warning">Community edition users are limited to 2 learning instances per Control Room.</p>
+        <p class="warning">Select Create Learning Instance to extract data from your documents.</p>
+        <table>
+          <thead><tr><th>Name</th><th>Document type</th><th>Status</th><th>Created by</th><th>Actions</th></tr></thead>
+          <tbody class="instance-rows"></tbody>
+        </table>`
+    });
+
+    const rows = app.querySelector('.instance-rows');
+    const addRow = instance => {
+      rows.insertAdjacentHTML('beforeend', `
+        <tr data-instance-id="${escapeHtml(instance.id)}" data-instance-name="${escapeHtml(instance.name)}">
+          <td>${escapeHtml(instance.name)}</td>
+          <td>${escapeHtml(instance.documentType)}</td>
+          <td>${escapeHtml(instance.status)}</td>
+          <td>${escapeHtml(instance.createdBy)}</td>
+          <td><button type="button" data-command="delete" aria-label="Delete ${escapeHtml(instance.name)}">Delete</button></td>
+        </tr>`);
+      const row = rows.lastElementChild;
+      row.querySelector('[data-command="delete"]').addEventListener('click', () => openDeleteModal({
+        label: 'Learning Instance',
+        name: instance.name,
+        path: `/learning-instances/${instance.id}`,
+        onDeleted: () => row.remove()
+      }));
+    };
+    instances.list.forEach(addRow);
+
+    app.querySelector('[data-command="create-instance"]').addEventListener('click', () => {
+      // Created rows are appended locally so the list is not re-fetched after create
+      openLearningInstanceWizard(addRow);
+    });
+  }
+
+  /**
+   * Two-step Create Learning Instance wizard
+   */
+  function openLearningInstanceWizard(onCreated) {
+    const values = { name: '', description: '', documentType: 'Invoices', locale: 'en-US', fields: [] };
+    let step = 1;
+    const dialog = openModal('<div class="wizard"></div>');
+    const container = dialog.querySelector('.wizard');
+
+    const renderStep = () => {
+      const steps = ['General', 'Fields'].map((label, index) =>
+        `<li${index + 1 === step ? ' class="current" aria-current="step"' : ''}>${label}</li>`).join('');
+      const body = step === 1
+        ? `${renderField({ name: 'name', label: 'Name', type: 'text', placeholder: 'Enter a name' }, values.name, 'instance', values)}
+           ${renderField({ name: 'description', label: 'Description', type: 'textarea', placeholder: 'Optional description' }, values.description, 'instance', values)}
+           ${renderField({ name: 'documentType', label: 'Document type', type: 'select', options: Object.keys(DOCUMENT_TYPES) }, values.documentType, 'instance', values)}
+           ${renderField({ name: 'locale', label: 'Language', type: 'select', options: ['en-US', 'de-DE', 'fr-FR', 'es-ES'] }, values.locale, 'instance', values)}`
+        : `<fieldset><legend>Fields to extract</legend>
+             ${DOCUMENT_TYPES[values.documentType].map(field => `<label class="checkbox-field"><input type="checkbox" name="field" value="${escapeHtml(field)}" checked> ${escapeHtml(field)}</label>`).join('')}
+           </fieldset>`;
+      const buttons = step === 1
+        ? '<button type="button" data-command="cancel">Cancel</button><button type="submit" class="primary">Next</button>'
+        : '<button type="button" data-command="back">Back</button><button type="button" data-command="cancel">Cancel</button><button type="submit" class="primary">Create</button>';
+
+      container.innerHTML = `
+        <h2 id="modal-title">Create Learning Instance</h2>
+        <ol class="wizard-steps">${steps}</ol>
+        <form novalidate>${body}<div class="modal-actions">${buttons}</div></form>`;
+
+      const form = container.querySelector('form');
+      container.querySelector('[data-command="cancel"]').addEventListener('click', () => closeModal());
+      const back = container.querySelector('[data-command="back"]');
+      if (back) {
+        back.addEventListener('click', () => {
+          step = 1;
+          renderStep();
+        });
+      }
+      form.addEventListener('submit', async event => {
+        event.preventDefault();
+        if (step === 1) {
+          ['name', 'description', 'documentType', 'locale'].forEach(name => { values[name] = form[name].value; });
+          if (!values.name.trim()) {
+            showFormError(form, 'Name is required');
+            return;
+          }
+          step = 2;
+          renderStep();
+          return;
+        }
+        values.fields = [...form.querySelectorAll('input[name="field"]:checked')].map(input => input.value);
+        try {
+          const created = await api('POST', '/learning-instances', values);
+          closeModal();
+          onCreated(created);
+          showToast(`Learning instance "${created.name}" created successfully`);
+        } catch (error) {
+          showFormError(form, error.message);
+        }
+      });
+      const [firstField] = focusableElements(form);
+      if (firstField) {
+        firstField.focus();
+      }
+    };
+
+    renderStep();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Router
+  // ---------------------------------------------------------------------------
+
+  const routes = [
+    { pattern: /^#\/login$/, view: renderLogin, public: true },
+    { pattern: /^#\/home$/, view: renderHome },
+    { pattern: /^#\/bots\/repository$/, view: renderRepository },
+    { pattern: /^#\/bots\/taskbots\/([^/]+)\/edit$/, view: renderTaskBotEditor },
+    { pattern: /^#\/forms\/([^/]+)\/edit$/, view: renderFormDesigner },
+    { pattern: /^#\/modules\/cognitive\/learning-instances$/, view: renderLearningInstances }
+  ];
+
+  async function router() {
+    closeModal(false);
+    const hash = location.hash || '#/home';
+    const route = routes.find(candidate => candidate.pattern.test(hash));
+    const loggedIn = await hasValidSession();
+
+    if (!route) {
+      navigate(loggedIn ? '#/home' : '#/login');
+      return;
+    }
+    if (!route.public && !loggedIn) {
+      navigate('#/login');
+      return;
+    }
+    if (route.public && loggedIn) {
+      navigate('#/home');
+      return;
+    }
+
+    try {
+      await route.view(...hash.match(route.pattern).slice(1));
+    } catch (error) {
+      if (error.status !== 401) {
+        renderShell({ title: 'Error', body: `<p class="error" role="alert">${escapeHtml(error.message)}</p>` });
+      }
+    }
+  }
+
+  window.addEventListener('hashchange', router);
+  router();
+})();
@@ -0,0 +1,109 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { MockStore } = require('./store');
+const { handleApiRequest } = require('./api');
+const logger = require('../utils/logger');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * Mock Control Room server
+ * Serves a single-page stand-in for the Control Room UI plus the JSON endpoints it calls,
+ * so specs can run without access to the community cloud
+ */
+class MockControlRoomServer {
+  constructor(options = {}) {
+    this.host = options.host || process.env.MOCK_SERVER_HOST || '127.0.0.1';
+    this.port = Number(options.port || process.env.MOCK_SERVER_PORT || 3000);
+    this.store = options.store || new MockStore(options);
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Base URL the server listens on
+   */
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, this.url);
+    logger.debug(`[mock] ${req.method} ${pathname}`);
+
+    if (pathname === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'UP' }));
+      return;
+    }
+
+    if (pathname.startsWith('/api/')) {
+      await handleApiRequest(req, res, this.store);
+      return;
+    }
+
+    this.serveStatic(pathname, res);
+  }
+
+  /**
+   * Serve files from public/, falling back to index.html for the hash-routed app
+   */
+  serveStatic(pathname, res) {
+    const requested = path.normalize(path.join(PUBLIC_DIR, pathname));
+    const insidePublic = requested.startsWith(PUBLIC_DIR + path.sep);
+    const filePath = insidePublic && fs.existsSync(requested) && fs.statSync(requested).isFile()
+      ? requested
+      : path.join(PUBLIC_DIR, 'index.html');
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': 'no-store'
+    });
+    fs.createReadStream(filePath).pipe(res);
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<MockControlRoomServer>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        // Port 0 asks the OS for a free port
+        this.port = this.server.address().port;
+        logger.info(`Mock Control Room listening on ${this.url}`);
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and drop open connections
+   */
+  stop() {
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      if (this.server.closeAllConnections) {
+        this.server.closeAllConnections();
+      }
+    });
+  }
+}
+
+if (require.main === module) {
+  const server = new MockControlRoomServer();
+  server.start().catch(error => {
+    logger.error(`Mock Control Room failed to start: ${error.message}`);
+    process.exit(1);
+  });
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => server.stop().then(() => process.exit(0))));
+}
+
+module.exports = { MockControlRoomServer };
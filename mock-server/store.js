@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const seedUsers = require('./fixtures/users.json');
+const rolePermissions = require('./fixtures/roles.json');
+
+// Characters Control Room rejects in repository file names
+const INVALID_NAME_CHARACTERS = /[\\/:*?"<>|]/;
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * In-memory data store for the mock Control Room
+ * Holds users, sessions and every repository entity created during a run
+ */
+class MockStore {
+  constructor(options = {}) {
+    this.tokenTtlMs = options.tokenTtlMs || Number(process.env.MOCK_TOKEN_TTL_MS) || 30 * 60 * 1000;
+    this.reset();
+  }
+
+  /**
+   * Restore the store to its seeded state
+   */
+  reset() {
+    this.sequence = 1000;
+    this.users = seedUsers.map(user => ({ ...user }));
+    this.sessions = new Map();
+    this.folders = [
+      { id: '10', name: 'Bots', path: 'Automation Anywhere\\Bots', parentId: null }
+    ];
+    this.bots = new Map();
+    this.forms = new Map();
+    this.learningInstances = new Map();
+    this.devices = [
+      { id: '501', hostName: 'mock-device-01', status: 'CONNECTED', type: 'SINGLE_USER', botAgentVersion: '22.60.10' }
+    ];
+
+    // Credentials from .env are accepted as an extra admin account
+    if (process.env.USERNAME && process.env.PASSWORD && !this.findUser(process.env.USERNAME)) {
+      this.users.push({
+        id: this.nextId(),
+        username: process.env.USERNAME,
+        password: process.env.PASSWORD,
+        email: '',
+        roles: ['AAE_Admin']
+      });
+    }
+  }
+
+  /**
+   * Generate the next numeric entity ID (Control Room IDs are numeric strings)
+   */
+  nextId() {
+    this.sequence += 1;
+    return String(this.sequence);
+  }
+
+  findUser(username) {
+    return this.users.find(user => user.username === username) || null;
+  }
+
+  /**
+   * Validate credentials and open a session
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Object|null} - Session or null when credentials are invalid
+   */
+  authenticate(username, password) {
+    const user = this.findUser(username);
+    if (!user || user.password !== password) {
+      return null;
+    }
+    const session = {
+      token: crypto.randomBytes(24).toString('hex'),
+      user: this.toPublicUser(user),
+      expiresAt: Date.now() + this.tokenTtlMs
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  /**
+   * Resolve a token to its session, dropping it once expired
+   */
+  getSession(token) {
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  endSession(token) {
+    this.sessions.delete(token);
+  }
+
+  toPublicUser(user) {
+    return { id: user.id, username: user.username, email: user.email, roles: [...user.roles], permissions: this.permissionsOf(user) };
+  }
+
+  /**
+   * Permissions granted by a user's roles (fixtures/roles.json), e.g. 'bots:create'
+   * @param {Object} user - Stored or public user
+   * @returns {Array<string>} - Permissions
+   */
+  permissionsOf(user) {
+    return [...new Set(user.roles.flatMap(role => rolePermissions[role] || []))];
+  }
+
+  /**
+   * Validate a repository entity name
+   * @param {string} name - Name to validate
+   * @returns {string|null} - Error message or null when valid
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return 'Name is required';
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return `Name must be ${MAX_NAME_LENGTH} characters or fewer`;
+    }
+    if (INVALID_NAME_CHARACTERS.test(name)) {
+      return 'Name cannot contain any of the following characters: \\ / : * ? " < > |';
+    }
+    return null;
+  }
+
+  /**
+   * Insert a new entity into one of the collections
+   * @param {Map} collection - Target collection
+   * @param {Object} data - Entity fields
+   * @param {Object} user - User creating the entity
+   * @returns {Object} - Created entity
+   */
+  create(collection, data, user) {
+    const now = new Date().toISOString();
+    const entity = {
+      ...data,
+      id: this.nextId(),
+      createdBy: user.username,
+      createdOn: now,
+      updatedOn: now
+    };
+    collection.set(entity.id, entity);
+    return entity;
+  }
+
+  update(collection, id, changes) {
+    const entity = collection.get(id);
+    if (!entity) {
+      return null;
+    }
+    Object.assign(entity, changes, { id, updatedOn: new Date().toISOString() });
+    return entity;
+  }
+
+  /**
+   * Repository view of bots and forms, as listed on the Automation page
+   */
+  listFiles(folderId) {
+    const files = [
+      ...[...this.bots.values()].map(bot => ({ ...bot, type: 'application/vnd.aa.taskbot' })),
+      ...[...this.forms.values()].map(form => ({ ...form, type: 'application/vnd.aa.form' }))
+    ];
+    return files
+      .filter(file => !folderId || file.folderId === folderId)
+      .map(({ id, name, type, folderId: parentId, createdBy, updatedOn }) => ({ id, name, type, folderId: parentId, createdBy, updatedOn }));
+  }
+}
+
+module.exports = { MockStore };
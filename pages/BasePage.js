@@ -1,6 +1,8 @@
 const { Page, Locator } = require('@playwright/test');
 const logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
+const { LocatorRegistry } = require('../utils/locatorRegistry');
+const { Redaction } = require('../utils/redaction');
 
 /**
  * Base Page Object Model class
@@ -10,6 +12,8 @@ const Helpers = require('../utils/helpers');
 class BasePage {
   constructor(page) {
     this.page = page;
+    // Named, self-healing locators defined in pages/locators.js
+    this.locators = new LocatorRegistry(page, { owner: this.constructor.name });
   }
 
   /**
@@ -150,10 +154,11 @@ class BasePage {
    * Includes error handling and input validation
    * @param {Locator} locator - Playwright locator
    * @param {string} text - Text to fill
-   * @param {Object} options - Options for filling (validate, timeout)
+   * @param {Object} options - Options for filling (validate, timeout, sensitive: keep the value out of logs and errors)
    * @throws {Error} If input cannot be filled
    */
   async fillInput(locator, text, options = {}) {
+    const shown = value => (options.sensitive ? Redaction.placeholder : value);
     try {
       await this.waitForElement(locator, options.timeout);
       await locator.clear();
@@ -163,11 +168,12 @@ class BasePage {
       if (options.validate !== false) {
         const enteredValue = await locator.inputValue();
         if (enteredValue !== text) {
-          throw new Error(`Input validation failed. Expected: "${text}", Got: "${enteredValue}"`);
+          throw new Error(`Input validation failed. Expected: "${shown(text)}", Got: "${shown(enteredValue)}"`);
         }
       }
       
-      logger.info(`Successfully filled input with: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
+      const value = shown(text);
+      logger.info(`Successfully filled input with: ${value.substring(0, 50)}${value.length > 50 ? '...' : ''}`);
     } catch (error) {
       logger.error(`Failed to fill input: ${error.message}`);
       throw error;
@@ -202,6 +208,28 @@ class BasePage {
     }
   }
 
+  /**
+   * Delete the list row whose name matches exactly, through its Delete action and the confirmation dialog
+   * Falls back to the row's actions menu when Delete is not shown inline
+   * @param {string} name - Exact name shown in the row
+   * @param {number} timeout - Timeout in milliseconds for the row to appear and disappear (default: 15000)
+   */
+  async deleteRowByName(name, timeout = 15000) {
+    const row = this.page.locator('tr, [role="row"]', { has: this.page.getByText(name, { exact: true }) }).first();
+    await this.waitForElement(row, timeout);
+
+    let deleteAction = row.locator('button:has-text("Delete"), [aria-label^="Delete" i]').first();
+    if (!(await this.isElementVisible(deleteAction, 2000))) {
+      await row.hover();
+      await this.clickElement(row.locator('button[aria-haspopup="menu"], button[aria-label*="action" i], [class*="actions" i] button').first());
+      deleteAction = this.page.getByRole('menuitem', { name: /delete/i }).first();
+    }
+    await this.clickElement(deleteAction);
+    await this.locators.click('common.confirmDelete');
+    await this.waitForElementHidden(row, timeout);
+    logger.info(`Deleted "${name}" through the UI`);
+  }
+
   /**
    * Double click on element
    */
@@ -218,11 +246,29 @@ class BasePage {
     return await locator.textContent() || '';
   }
 
+  /**
+   * Whether a registered element is usable, greyed out or not shown, e.g. to check what a role may do
+   * @param {string} name - Locator registry name
+   * @param {Object} options - Per-strategy timeout in ms (default 1000)
+   * @returns {Promise<string>} - 'enabled', 'disabled' (disabled or aria-disabled) or 'hidden'
+   */
+  async getElementState(name, options = {}) {
+    // A missing element is an expected outcome here, not a broken locator
+    const match = await this.locators.find(name, { timeout: options.timeout || 1000, track: false });
+    if (!match) {
+      return 'hidden';
+    }
+    const enabled = await match.locator.isEnabled().catch(() => false);
+    const ariaDisabled = await match.locator.getAttribute('aria-disabled').catch(() => null);
+    return enabled && ariaDisabled !== 'true' ? 'enabled' : 'disabled';
+  }
+
   /**
    * Take screenshot
+   * @param {string} name - File name (secrets and unsafe characters are replaced)
    */
   async takeScreenshot(name) {
-    await this.page.screenshot({ path: `test-results/screenshots/${name}.png`, fullPage: true });
+    await this.page.screenshot({ path: `test-results/screenshots/${Redaction.safeFileName(name)}.png`, fullPage: true });
   }
 }
 
@@ -267,6 +267,14 @@ class LearningInstancePage extends BasePage {
     return await this.isElementVisible(instanceInList);
   }
 
+  /**
+   * Delete a Learning Instance from the Learning Instances list (the page must already be open)
+   * @param {string} instanceName - Exact instance name
+   */
+  async deleteInstance(instanceName) {
+    await this.deleteRowByName(instanceName);
+  }
+
   /**
    * Get created instance details
    */
@@ -1,4 +1,6 @@
 const { BasePage } = require('./BasePage');
+const { LocatorRegistry } = require('../utils/locatorRegistry');
+const { CredentialVault } = require('../utils/credentialVault');
 const logger = require('../utils/logger');
 
 /**
@@ -50,122 +52,35 @@ class LoginPage extends BasePage {
 
   /**
    * Perform login with credentials
+   * @param {string|Object} usernameOrRole - Username, a role of the credential vault when no password is given
+   *   (e.g. 'readOnly'), or { username, password }
+   * @param {string} password - Password
    */
-  async login(username, password) {
+  async login(usernameOrRole, password) {
+    const { username, password: resolvedPassword } = CredentialVault.resolve(usernameOrRole, password);
     // Wait for page to be ready
     await this.page.waitForLoadState('domcontentloaded', { timeout: 30000 });
     
-    // Wait for username field with extended timeout and multiple strategies
-    let usernameField = null;
-    const usernameSelectors = [
-      this.usernameInput,
-      this.page.locator('input[type="email"]'),
-      this.page.locator('input[name*="user" i]'),
-      this.page.locator('input[name*="email" i]'),
-      this.page.locator('input[id*="user" i]'),
-      this.page.locator('input[id*="email" i]'),
-      this.page.locator('input[placeholder*="user" i]'),
-      this.page.locator('input[placeholder*="email" i]')
-    ];
-    
-    for (let i = 0; i < usernameSelectors.length; i++) {
-      const selector = usernameSelectors[i];
-      try {
-        await selector.waitFor({ state: 'visible', timeout: 10000 });
-        usernameField = selector;
-        logger.info(`Username field found using selector ${i + 1}`);
-        break;
-      } catch (error) {
-        logger.debug(`Username selector ${i + 1} not found, trying next...`);
-      }
-    }
-    
+    // Username field can take a while to render on a cold Control Room
+    const usernameField = await this.locators.find('login.usernameInput', { timeout: 10000 });
     if (!usernameField) {
-      // Last resort: find any email input
-      const emailInputs = await this.page.locator('input[type="email"]').count();
-      if (emailInputs > 0) {
-        usernameField = this.page.locator('input[type="email"]').first();
-      } else {
-        throw new Error('Username field not found on the page');
-      }
+      throw new Error('Username field not found on the page');
     }
-    
-    await this.fillInput(usernameField, username);
+    await this.fillInput(usernameField.locator, username);
     
     // Wait a bit for password field to appear (some forms show it after username is filled)
     await this.page.waitForTimeout(500);
     
-    // Wait for password field to appear - try multiple strategies
-    let passwordField = null;
-    const passwordSelectors = [
-      this.passwordInput,
-      this.page.locator('input[type="password"]'),
-      this.page.locator('input[type="password"]').first(),
-      this.page.locator('input[name*="pass" i]'),
-      this.page.locator('input[id*="pass" i]'),
-      this.page.locator('input[placeholder*="password" i]'),
-      this.page.locator('input[placeholder*="Password" i]'),
-      this.page.locator('input[aria-label*="password" i]'),
-      this.page.locator('input[aria-label*="Password" i]')
-    ];
-    
-    // Try each selector with increasing wait time
-    for (let i = 0; i < passwordSelectors.length; i++) {
-      const selector = passwordSelectors[i];
-      const waitTime = Math.min(5000 + (i * 1000), 20000); // 5s, 6s, 7s, etc. up to 20s
-      
-      try {
-        // Try both visible and attached states
-        try {
-          await selector.waitFor({ state: 'visible', timeout: waitTime });
-        } catch (e) {
-          await selector.waitFor({ state: 'attached', timeout: waitTime });
-        }
-        
-        // Verify it's actually a password field
-        const inputType = await selector.getAttribute('type').catch(() => '');
-        let isPassword = false;
-        try {
-          isPassword = await selector.evaluate(el => el.type === 'password');
-        } catch (e) {
-          isPassword = inputType === 'password';
-        }
-        
-        if (isPassword || inputType === 'password') {
-          passwordField = selector;
-          logger.info(`Password field found using selector ${i + 1}`);
-          break;
-        }
-      } catch (error) {
-        logger.debug(`Password selector ${i + 1} not found, trying next...`);
-      }
-    }
-    
+    let passwordField = (await this.locators.find('login.passwordInput', { timeout: 5000 }) || {}).locator;
     if (!passwordField) {
-      // Last resort: try to find any password input on the page (including in iframes)
-      try {
-        const allPasswordInputs = await this.page.locator('input[type="password"]').count();
-        if (allPasswordInputs > 0) {
-          passwordField = this.page.locator('input[type="password"]').first();
-          logger.info('Found password field using fallback method');
-        } else {
-          // Check if there are iframes
-          const iframes = await this.page.frames();
-          for (const frame of iframes) {
-            try {
-              const framePasswordInputs = await frame.locator('input[type="password"]').count();
-              if (framePasswordInputs > 0) {
-                passwordField = frame.locator('input[type="password"]').first();
-                logger.info('Found password field in iframe');
-                break;
-              }
-            } catch (e) {
-              // Continue checking other frames
-            }
-          }
+      // Last resort: some identity providers render the password input inside an iframe
+      for (const frame of this.page.frames()) {
+        const framePasswordInputs = await frame.locator('input[type="password"]').count().catch(() => 0);
+        if (framePasswordInputs > 0) {
+          passwordField = frame.locator('input[type="password"]').first();
+          logger.info('Found password field in iframe');
+          break;
         }
-      } catch (e) {
-        // Ignore errors in fallback
       }
       
       if (!passwordField) {
@@ -175,37 +90,18 @@ class LoginPage extends BasePage {
       }
     }
     
-    await this.fillInput(passwordField, password);
+    await this.fillInput(passwordField, resolvedPassword, { sensitive: true });
     
     // Wait a bit before clicking login button
     await this.page.waitForTimeout(500);
     
-    // Find and click login button with multiple strategies
-    let loginBtn = null;
-    const loginButtonSelectors = [
-      this.loginButton,
-      this.page.locator('button[type="submit"]'),
-      this.page.locator('input[type="submit"]'),
-      this.page.locator('button:has-text("Log")'),
-      this.page.locator('button:has-text("Sign")')
-    ];
-    
-    for (const selector of loginButtonSelectors) {
-      try {
-        if (await this.isElementVisible(selector, 3000)) {
-          loginBtn = selector;
-          break;
-        }
-      } catch (e) {
-        // Continue to next selector
-      }
-    }
-    
-    if (loginBtn) {
-      await this.clickElement(loginBtn);
-    } else {
+    try {
+      await this.locators.click('login.submitButton');
+    } catch (error) {
       // Last resort: try pressing Enter on password field
+      logger.warn(`Login button not clickable (${error.message}), submitting with Enter`);
       await passwordField.press('Enter');
+      LocatorRegistry.recordClick(this.constructor.name, 'login.submitButton', 'keyboard');
     }
     
     // Wait for navigation after login with more lenient strategy
@@ -330,6 +226,19 @@ class LoginPage extends BasePage {
     return true;
   }
 
+  /**
+   * Check whether the page is already authenticated, e.g. restored from a stored storageState
+   * Returns false straight away while the login form is showing
+   * @returns {Promise<boolean>} - True if a session is active
+   */
+  async hasActiveSession() {
+    const currentUrl = this.page.url();
+    if (currentUrl.includes('#/login') && await this.isElementVisible(this.usernameInput, 3000)) {
+      return false;
+    }
+    return await this.isLoggedIn();
+  }
+
   /**
    * Get error message if login fails
    */
@@ -1,9 +1,18 @@
 const { BasePage } = require('./BasePage');
+const ACTIONS = require('./actions');
 const logger = require('../utils/logger');
+const { BotFlow } = require('../utils/botFlow');
+
+/**
+ * Exact, whitespace-tolerant text match for filter({ hasText })
+ */
+function exactText(text) {
+  return new RegExp(`^\\s*${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`);
+}
 
 /**
  * Task Bot Page Object Model
- * Handles Task Bot creation and Message Box configuration
+ * Handles Task Bot creation, Message Box configuration and any action described in pages/actions.js
  */
 class TaskBotPage extends BasePage {
   constructor(page) {
@@ -118,73 +127,26 @@ class TaskBotPage extends BasePage {
     logger.info('Waiting for Task Bot creation form to appear...');
     await this.page.waitForTimeout(2000);
     
-    // Try to find the name input with multiple selectors
-    let nameInputFound = false;
-    const nameInputSelectors = [
-      this.taskNameInput,
-      this.page.locator('input[name*="name" i]').first(),
-      this.page.locator('input[placeholder*="name" i]').first(),
-      this.page.locator('input[placeholder*="Name" i]').first(),
-      this.page.locator('input[placeholder*="Untitled" i]').first(),
-      this.page.locator('input[id*="name" i]').first(),
-      this.page.locator('input[type="text"]').first(),
-      this.page.locator('input').first(),
-    ];
-    
-    let nameInput = null;
-    for (let i = 0; i < nameInputSelectors.length; i++) {
-      const selector = nameInputSelectors[i];
-      try {
-        const isVisible = await selector.isVisible({ timeout: 5000 }).catch(() => false);
-        if (isVisible) {
-          nameInput = selector;
-          nameInputFound = true;
-          logger.info(`Found Task Bot name input using selector ${i + 1}`);
-          break;
-        }
-      } catch (e) {
-        // Continue to next selector
-      }
-    }
-    
-    if (!nameInputFound || !nameInput) {
+    const nameMatch = await this.locators.find('taskBot.nameInput', { timeout: 5000 });
+    if (!nameMatch) {
       // Take screenshot for debugging
       await this.page.screenshot({ path: 'test-results/taskbot-form-not-found.png', fullPage: true }).catch(() => {});
       throw new Error('Task Bot name input field not found. Form may not have loaded.');
     }
+    logger.info(`Found Task Bot name input (${nameMatch.strategy})`);
     
     // Update the taskNameInput reference for future use
-    this.taskNameInput = nameInput;
+    this.taskNameInput = nameMatch.locator;
     
     // Clear and fill name field
-    await nameInput.clear();
-    await this.fillInput(nameInput, name);
+    await nameMatch.locator.clear();
+    await this.fillInput(nameMatch.locator, name);
     logger.info(`Filled Task Bot name: ${name}`);
     
     if (description) {
-      // Try to find description field
-      const descInputSelectors = [
-        this.taskDescriptionInput,
-        this.page.locator('textarea[name*="description" i]').first(),
-        this.page.locator('textarea[id*="description" i]').first(),
-        this.page.locator('textarea[placeholder*="description" i]').first(),
-        this.page.locator('textarea').first(),
-      ];
-      
-      let descInput = null;
-      for (const selector of descInputSelectors) {
-        try {
-          if (await this.isElementVisible(selector, 3000)) {
-            descInput = selector;
-            break;
-          }
-        } catch (e) {
-          // Continue
-        }
-      }
-      
-      if (descInput) {
-        await this.fillInput(descInput, description);
+      const descMatch = await this.locators.find('taskBot.descriptionInput');
+      if (descMatch) {
+        await this.fillInput(descMatch.locator, description);
         logger.info(`Filled Task Bot description: ${description}`);
       } else {
         logger.warn('Description field not found, skipping description');
@@ -238,29 +200,12 @@ class TaskBotPage extends BasePage {
     await this.waitForElement(this.actionsPanel, 10000);
     
     // Find and use the search input in Actions panel
-    const searchSelectors = [
-      this.searchActionsInput,
-      this.page.locator('[class*="actions" i] input[type="text"]').first(),
-      this.page.locator('[class*="Actions" i] input[type="text"]').first(),
-      this.page.locator('input[placeholder*="search" i]').first()
-    ];
-    
-    let searched = false;
-    for (const selector of searchSelectors) {
-      try {
-        if (await this.isElementVisible(selector, 3000)) {
-          await selector.clear();
-          await this.fillInput(selector, 'message box');
-          searched = true;
-          logger.info('Searched for "message box" in Actions panel');
-          break;
-        }
-      } catch (e) {
-        // Continue to next selector
-      }
-    }
-    
-    if (!searched) {
+    const search = await this.locators.find('taskBot.actionSearch');
+    if (search) {
+      await search.locator.clear();
+      await this.fillInput(search.locator, 'message box');
+      logger.info('Searched for "message box" in Actions panel');
+    } else {
       logger.warn('Could not find search input in Actions panel');
     }
     
@@ -285,54 +230,17 @@ class TaskBotPage extends BasePage {
     
     let doubleClicked = false;
     
-    // First, try to find the action item specifically (it's usually in a list or has specific structure)
-    const actionItemSelectors = [
-      // Look for items that are clickable/interactive (not headers)
-      '[role="menuitem"]:has-text("Message box")',
-      '[role="menuitem"]:has-text("Message Box")',
-      'li[role="menuitem"]:has-text("Message box")',
-      'li[role="menuitem"]:has-text("Message Box")',
-      // Look for items with icons (actions usually have icons)
-      '[class*="action" i]:has-text("Message box")',
-      '[class*="item" i]:has-text("Message box"):not([class*="header" i]):not([class*="title" i])',
-      // Look for items that are children of the expanded section (not the section itself)
-      '[class*="expanded" i] [class*="item" i]:has-text("Message box")',
-      '[aria-expanded="true"] ~ * [class*="item" i]:has-text("Message box")',
-      // Look for clickable elements with Message box text
-      'button:has-text("Message box")',
-      'a:has-text("Message box")',
-      'div[role="button"]:has-text("Message box")',
-    ];
-    
-    for (let i = 0; i < actionItemSelectors.length; i++) {
-      const selector = this.page.locator(actionItemSelectors[i]).first();
+    // First, try the registered action item strategies (list items, never the package header)
+    const actionItem = await this.locators.find('taskBot.messageBoxAction');
+    if (actionItem) {
+      await actionItem.locator.scrollIntoViewIfNeeded();
+      await this.page.waitForTimeout(300);
       try {
-        const count = await selector.count();
-        if (count > 0) {
-          const isVisible = await selector.isVisible({ timeout: 3000 }).catch(() => false);
-          if (isVisible) {
-            // Check if it's not a header/collapsible by checking if it has click handlers or is interactive
-            const tagName = await selector.evaluate(el => el.tagName).catch(() => '');
-            const role = await selector.getAttribute('role').catch(() => '');
-            const className = await selector.getAttribute('class').catch(() => '');
-            
-            // Skip if it looks like a header/collapsible section
-            if (className && (className.includes('header') || className.includes('title') || className.includes('section'))) {
-              logger.debug(`Skipping selector ${i + 1} - looks like a header`);
-              continue;
-            }
-            
-            logger.info(`Trying Message Box action selector ${i + 1} (tag: ${tagName}, role: ${role})`);
-            await selector.scrollIntoViewIfNeeded();
-            await this.page.waitForTimeout(300);
-            await this.doubleClickElement(selector);
-            doubleClicked = true;
-            logger.info('Double-clicked Message Box action item');
-            break;
-          }
-        }
+        await this.doubleClickElement(actionItem.locator);
+        doubleClicked = true;
+        logger.info(`Double-clicked Message Box action item (${actionItem.strategy})`);
       } catch (e) {
-        logger.debug(`Failed with selector ${i + 1}: ${e.message}`);
+        logger.debug(`Double-click on the registered action item failed: ${e.message}`);
       }
     }
     
@@ -428,17 +336,9 @@ class TaskBotPage extends BasePage {
     if (!doubleClicked) {
       logger.warn('Trying fallback: Using original selector');
       try {
-        // Try to find the action in a list structure (not the header)
-        const actionInList = this.page.locator('li:has-text("Message box"):not(:has([class*="header" i]))').first();
-        if (await this.isElementVisible(actionInList, 5000)) {
-          await this.doubleClickElement(actionInList);
-          doubleClicked = true;
-          logger.info('Double-clicked Message Box action using list item selector');
-        } else {
-          await this.waitForElement(this.messageBoxAction, 10000);
-          await this.doubleClickElement(this.messageBoxAction);
-          doubleClicked = true;
-        }
+        await this.waitForElement(this.messageBoxAction, 10000);
+        await this.doubleClickElement(this.messageBoxAction);
+        doubleClicked = true;
       } catch (e) {
         logger.error(`Failed to double-click Message Box action: ${e.message}`);
         throw new Error(`Could not add Message Box action: ${e.message}`);
@@ -449,44 +349,17 @@ class TaskBotPage extends BasePage {
     logger.info('Waiting for Message Box configuration panel to appear...');
     await this.page.waitForTimeout(2000);
     
-    // Try to wait for the message input field to appear (most reliable indicator)
-    let panelAppeared = false;
-    const panelIndicators = [
-      this.messageInput,
-      this.page.locator('input[placeholder*="Enter the message to display" i]').first(),
-      this.page.locator('textarea[placeholder*="Enter the message to display" i]').first(),
-      this.page.locator('text=Message box').first(),
-      this.closeAfterCheckbox,
-    ];
-    
-    for (let i = 0; i < panelIndicators.length; i++) {
-      try {
-        const isVisible = await this.isElementVisible(panelIndicators[i], 10000);
-        if (isVisible) {
-          panelAppeared = true;
-          logger.info(`✓ Message Box configuration panel appeared (indicator ${i + 1})`);
-          break;
-        }
-      } catch (e) {
-        logger.debug(`Panel indicator ${i + 1} not found: ${e.message}`);
-      }
-    }
-    
-    if (!panelAppeared) {
+    // The message input is the most reliable indicator, the panel heading the next best
+    let panelAppeared = Boolean(await this.locators.find('taskBot.messageInput', { timeout: 10000 }) ||
+      await this.locators.find('taskBot.messageBoxPanel', { timeout: 5000 }));
+    if (panelAppeared) {
+      logger.info('✓ Message Box configuration panel appeared');
+    } else {
       logger.warn('Message Box configuration panel did not appear immediately, waiting longer...');
       await this.page.waitForTimeout(3000);
-      
-      // Try one more time
-      for (const indicator of panelIndicators) {
-        try {
-          if (await this.isElementVisible(indicator, 5000)) {
-            panelAppeared = true;
-            logger.info('✓ Message Box configuration panel appeared after longer wait');
-            break;
-          }
-        } catch (e) {
-          // Continue
-        }
+      panelAppeared = Boolean(await this.locators.find('taskBot.messageInput', { timeout: 5000 }));
+      if (panelAppeared) {
+        logger.info('✓ Message Box configuration panel appeared after longer wait');
       }
     }
     
@@ -569,6 +442,8 @@ class TaskBotPage extends BasePage {
 
   /**
    * Fill Message Box configuration in the right panel
+   * Fields are resolved through the locator registry (pages/locators.js)
+   * An empty string clears the field; only undefined leaves it as it is.
    * @param {Object} config - Configuration object with message, title, closeAfter, seconds
    */
   async configureMessageBox(config) {
@@ -576,90 +451,33 @@ class TaskBotPage extends BasePage {
     
     // Wait for Message Box configuration panel to be visible
     await this.page.waitForTimeout(1000); // Give panel time to render
-    const panelVisible = await this.isElementVisible(this.messageBoxPanel, 10000);
-    if (!panelVisible) {
-      logger.warn('Message Box panel not visible, trying to find it with alternative selectors');
-      // Try alternative panel selectors
-      const altPanel = this.page.locator('text=Message box, [class*="panel" i], [class*="properties" i]').first();
-      await this.waitForElement(altPanel, 10000);
-    }
+    await this.locators.resolve('taskBot.messageBoxPanel', { timeout: 10000 });
     logger.info('Message Box configuration panel is visible');
     
     // Fill message field - "Enter the message to display"
-    if (config.message) {
+    if (config.message !== undefined) {
       logger.info(`Attempting to fill message: "${config.message}"`);
-      const messageSelectors = [
-        this.messageInput,
-        this.page.locator('input[placeholder*="Enter the message to display" i]').first(),
-        this.page.locator('textarea[placeholder*="Enter the message to display" i]').first(),
-        this.page.locator('input[placeholder*="message to display" i]').first(),
-        this.page.locator('textarea[placeholder*="message to display" i]').first(),
-        this.page.locator('label:has-text("Enter the message to display") + input').first(),
-        this.page.locator('label:has-text("Enter the message to display") + textarea').first(),
-        this.page.locator('label:has-text("message to display") + input').first(),
-        this.page.locator('label:has-text("message to display") + textarea').first(),
-        // Try finding by label text and then input
-        this.page.locator('input').filter({ hasText: /message/i }).first(),
-        this.page.locator('textarea').filter({ hasText: /message/i }).first(),
-      ];
+      const { locator } = await this.locators.fill('taskBot.messageInput', config.message);
+      logger.info(`✓ Filled message: "${config.message}"`);
       
-      let filled = false;
-      for (let i = 0; i < messageSelectors.length; i++) {
-        const selector = messageSelectors[i];
-        try {
-          const isVisible = await this.isElementVisible(selector, 3000);
-          if (isVisible) {
-            await selector.scrollIntoViewIfNeeded();
-            await this.page.waitForTimeout(200);
-            await selector.clear();
-            await this.fillInput(selector, config.message);
-            filled = true;
-            logger.info(`✓ Filled message: "${config.message}" using selector ${i + 1}`);
-            
-            // Verify the value was set
-            const value = await selector.inputValue().catch(() => '');
-            if (value.includes(config.message)) {
-              logger.info(`✓ Verified message was set correctly`);
-            }
-            break;
-          }
-        } catch (e) {
-          logger.debug(`Message selector ${i + 1} failed: ${e.message}`);
-        }
-      }
-      if (!filled) {
-        await this.page.screenshot({ path: 'test-results/message-input-not-found.png', fullPage: true }).catch(() => {});
-        logger.error('Could not find message input field after trying all selectors');
-        throw new Error('Message input field not found');
+      // Verify the value was set
+      const value = await locator.inputValue().catch(() => '');
+      if (value === config.message) {
+        logger.info('✓ Verified message was set correctly');
+      } else {
+        logger.warn(`Message field holds "${value}" instead of "${config.message}"`);
       }
     }
 
     // Fill title field (optional) - "Enter the message box window title"
-    if (config.title) {
+    if (config.title !== undefined) {
       logger.info(`Attempting to fill title: "${config.title}"`);
-      const titleSelectors = [
-        this.titleInput,
-        this.page.locator('input[placeholder*="Enter the message box window title" i]').first(),
-        this.page.locator('input[placeholder*="message box window title" i]').first(),
-        this.page.locator('label:has-text("Enter the message box window title") + input').first(),
-        this.page.locator('label:has-text("window title") + input').first(),
-      ];
-      
-      let titleFilled = false;
-      for (const selector of titleSelectors) {
-        try {
-          if (await this.isElementVisible(selector, 3000)) {
-            await selector.clear();
-            await this.fillInput(selector, config.title);
-            titleFilled = true;
-            logger.info(`✓ Filled title: "${config.title}"`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
-      }
-      if (!titleFilled) {
+      const titleInput = await this.locators.find('taskBot.titleInput');
+      if (titleInput) {
+        await titleInput.locator.clear();
+        await this.fillInput(titleInput.locator, config.title);
+        logger.info(`✓ Filled title: "${config.title}"`);
+      } else {
         logger.debug('Title input not found or not visible, skipping (optional field)');
       }
     }
@@ -667,115 +485,41 @@ class TaskBotPage extends BasePage {
     // Check "Close message box after" checkbox
     if (config.closeAfter !== undefined) {
       logger.info(`Attempting to ${config.closeAfter ? 'check' : 'uncheck'} "Close message box after" checkbox`);
-      const checkboxSelectors = [
-        this.closeAfterCheckbox,
-        this.page.locator('input[type="checkbox"]:near(label:has-text("Close message box after"))').first(),
-        this.page.locator('label:has-text("Close message box after") input[type="checkbox"]').first(),
-        this.page.locator('label:has-text("Close message box after")').locator('..').locator('input[type="checkbox"]').first(),
-        this.page.locator('input[type="checkbox"]').filter({ has: this.page.locator('text=Close message box after').locator('..') }).first(),
-        // Try finding checkbox near the text
-        this.page.locator('text=Close message box after').locator('..').locator('input[type="checkbox"]').first(),
-        this.page.locator('text=Close message box after').locator('xpath=following::input[@type="checkbox"]').first(),
-      ];
+      const { locator: checkbox } = await this.locators.resolve('taskBot.closeAfterCheckbox');
+      await checkbox.scrollIntoViewIfNeeded();
+      const isChecked = await checkbox.isChecked();
+      logger.info(`Checkbox current state: ${isChecked}, target state: ${config.closeAfter}`);
       
-      let checked = false;
-      for (let i = 0; i < checkboxSelectors.length; i++) {
-        const selector = checkboxSelectors[i];
-        try {
-          const isVisible = await this.isElementVisible(selector, 3000);
-          if (isVisible) {
-            await selector.scrollIntoViewIfNeeded();
-            await this.page.waitForTimeout(200);
-            const isChecked = await selector.isChecked();
-            logger.info(`Checkbox current state: ${isChecked}, target state: ${config.closeAfter}`);
-            
-            if (config.closeAfter && !isChecked) {
-              // Try clicking the label first (more reliable)
-              try {
-                const label = this.page.locator('label:has-text("Close message box after")').first();
-                if (await this.isElementVisible(label, 2000)) {
-                  await label.click();
-                  logger.info('✓ Clicked label to check checkbox');
-                } else {
-                  await this.clickElement(selector);
-                  logger.info('✓ Clicked checkbox directly');
-                }
-              } catch (labelError) {
-                await this.clickElement(selector);
-                logger.info('✓ Clicked checkbox directly (label click failed)');
-              }
-            } else if (!config.closeAfter && isChecked) {
-              await this.clickElement(selector);
-              logger.info('✓ Unchecked checkbox');
-            } else {
-              logger.info('Checkbox already in desired state');
-            }
-            
-            // Verify checkbox state
-            await this.page.waitForTimeout(300);
-            const newState = await selector.isChecked();
-            if (newState === config.closeAfter) {
-              logger.info(`✓ Checkbox state verified: ${newState}`);
-            }
-            
-            checked = true;
-            break;
-          }
-        } catch (e) {
-          logger.debug(`Checkbox selector ${i + 1} failed: ${e.message}`);
-        }
+      if (config.closeAfter && !isChecked) {
+        // Clicking the label is more reliable than the (often restyled) checkbox itself
+        const label = await this.locators.find('taskBot.closeAfterLabel', { timeout: 2000 });
+        await this.clickElement(label ? label.locator : checkbox);
+        logger.info(`✓ Clicked ${label ? 'label' : 'checkbox'} to check checkbox`);
+      } else if (!config.closeAfter && isChecked) {
+        await this.clickElement(checkbox);
+        logger.info('✓ Unchecked checkbox');
+      } else {
+        logger.info('Checkbox already in desired state');
       }
       
-      if (!checked) {
-        await this.page.screenshot({ path: 'test-results/checkbox-not-found.png', fullPage: true }).catch(() => {});
-        logger.error('Could not find "Close message box after" checkbox');
-        throw new Error('Close message box after checkbox not found');
+      // Verify checkbox state
+      await this.page.waitForTimeout(300);
+      const newState = await checkbox.isChecked();
+      if (newState === config.closeAfter) {
+        logger.info(`✓ Checkbox state verified: ${newState}`);
       }
       
-      // Fill seconds field if checkbox is checked
+      // Fill seconds field if checkbox is checked (it appears after checking)
       if (config.closeAfter && config.seconds) {
-        logger.info(`Checkbox is checked, waiting for seconds input to appear...`);
-        // Wait for the seconds input to become visible (it appears after checkbox is checked)
-        await this.page.waitForTimeout(1000);
-        
-        // Fill seconds field
-        const secondsSelectors = [
-          this.secondsInput,
-          this.page.locator('input[placeholder*="Seconds" i]').first(),
-          this.page.locator('label:has-text("Seconds") + input').first(),
-          this.page.locator('label:has-text("Seconds")').locator('..').locator('input').first(),
-          this.page.locator('input[type="number"]:near(label:has-text("Seconds"))').first(),
-          this.page.locator('input').filter({ has: this.page.locator('text=Seconds') }).first(),
-        ];
-        
-        let secondsFilled = false;
-        for (let i = 0; i < secondsSelectors.length; i++) {
-          const selector = secondsSelectors[i];
-          try {
-            // Wait a bit longer for the field to appear after checkbox is checked
-            const isVisible = await this.isElementVisible(selector, 5000);
-            if (isVisible) {
-              await selector.scrollIntoViewIfNeeded();
-              await this.page.waitForTimeout(200);
-              await selector.clear();
-              await this.fillInput(selector, config.seconds);
-              secondsFilled = true;
-              logger.info(`✓ Filled seconds: ${config.seconds} using selector ${i + 1}`);
-              
-              // Verify the value
-              const value = await selector.inputValue().catch(() => '');
-              if (value === config.seconds || value.includes(config.seconds)) {
-                logger.info(`✓ Verified seconds value was set correctly`);
-              }
-              break;
-            }
-          } catch (e) {
-            logger.debug(`Seconds selector ${i + 1} failed: ${e.message}`);
-          }
-        }
-        if (!secondsFilled) {
-          logger.warn('Could not find seconds input field - it may not be visible yet or selector needs adjustment');
+        logger.info('Checkbox is checked, waiting for seconds input to appear...');
+        const secondsInput = await this.locators.find('taskBot.secondsInput', { timeout: 5000 });
+        if (secondsInput) {
+          await secondsInput.locator.clear();
+          await this.fillInput(secondsInput.locator, config.seconds);
+          logger.info(`✓ Filled seconds: ${config.seconds}`);
+        } else {
           // Don't throw error, as this might be optional in some cases
+          logger.warn('Could not find seconds input field - it may not be visible yet or its locator needs a new strategy');
         }
       }
     }
@@ -783,6 +527,365 @@ class TaskBotPage extends BasePage {
     logger.info('=== Message Box configuration completed ===');
   }
 
+  /**
+   * Descriptor of a Task Bot action
+   * @param {string} name - Key in pages/actions.js, e.g. 'stringAssign'
+   * @returns {Object} - Descriptor ({ package, label, search, fields })
+   * @throws {Error} If there is no descriptor with this name
+   */
+  static actionDescriptor(name) {
+    const action = ACTIONS[name];
+    if (!action) {
+      throw new Error(`Unknown Task Bot action "${name}". Described actions (pages/actions.js): ${Object.keys(ACTIONS).join(', ')}`);
+    }
+    return action;
+  }
+
+  /**
+   * Descriptor of a Task Bot action, after checking that it has every field of the values
+   * @param {string} name - Key in pages/actions.js
+   * @param {Object} values - Field values keyed like the descriptor's fields
+   * @returns {Object} - Descriptor
+   * @throws {Error} If the action is unknown or a value names a field it does not have
+   */
+  static checkActionFields(name, values) {
+    const action = this.actionDescriptor(name);
+    const unknown = Object.keys(values).filter(key => !action.fields[key]);
+    if (unknown.length > 0) {
+      throw new Error(`${action.package} > ${action.label} has no field ${unknown.join(', ')}. Fields: ${Object.keys(action.fields).join(', ')}`);
+    }
+    return action;
+  }
+
+  /**
+   * Add an action to the end of the flow, or of a Loop / If: search the Actions panel and double-click it
+   * The new action is selected, so configureAction() fills its details next.
+   * @param {string} name - Key in pages/actions.js, e.g. 'loop' or 'excelOpen'
+   * @param {Object} options - { into: position of the Loop or If to add it inside, e.g. '4' or '4.2' }
+   */
+  async addAction(name, options = {}) {
+    const action = TaskBotPage.actionDescriptor(name);
+    const title = `${action.package} > ${action.label}`;
+    logger.info(`Adding action ${title}${options.into ? ` inside ${options.into}` : ''}`);
+
+    const { locator: search } = await this.locators.resolve('taskBot.actionSearch', { timeout: 10000 });
+    await this.fillInput(search, action.search || action.label);
+
+    // Scoped to the package first: labels like "Open" or "Close" exist in several packages
+    const candidates = [
+      this.page.locator(`[role="menu"][aria-label="${action.package} actions" i] [role="menuitem"]`).filter({ hasText: exactText(action.label) }),
+      this.page.locator(`[class*="package" i]:has-text("${action.package}") [role="menuitem"]`).filter({ hasText: exactText(action.label) }),
+      this.page.getByRole('menuitem', { name: action.label, exact: true }),
+      this.page.locator('[class*="action" i] li, li[class*="action" i]').filter({ hasText: exactText(action.label) })
+    ];
+    let item = null;
+    for (const candidate of candidates) {
+      if (await this.isElementVisible(candidate.first(), 3000)) {
+        item = candidate.first();
+        break;
+      }
+    }
+    if (!item) {
+      await this.page.screenshot({ path: `test-results/action-${name}-not-found.png`, fullPage: true }).catch(() => {});
+      throw new Error(`Action ${title} not found in the Actions panel after searching for "${action.search || action.label}"`);
+    }
+
+    if (options.into) {
+      await this.selectDropZone(options.into);
+    }
+    await item.scrollIntoViewIfNeeded();
+    await this.doubleClickElement(item);
+
+    const { locator: panel } = await this.locators.resolve('taskBot.actionDetailsPanel', { timeout: 10000 });
+    if (await this.isElementVisible(panel.getByRole('heading', { name: action.label, exact: true }), 5000)) {
+      logger.info(`✓ Added ${title}; its details panel is open`);
+    } else {
+      logger.warn(`Added ${title}, but its details panel heading did not show`);
+    }
+  }
+
+  /**
+   * Fill the details of the selected action, field by field in descriptor order
+   * @param {string} name - Key in pages/actions.js
+   * @param {Object} values - Field values keyed like the descriptor's fields, e.g. { iterator: 'n times', times: '3' };
+   *   booleans for checkboxes, option text for dropdowns, a variable name (or any text) for variable fields
+   * @throws {Error} If a value names a field the action does not have
+   */
+  async configureAction(name, values) {
+    const action = TaskBotPage.checkActionFields(name, values);
+    const { locator: panel } = await this.locators.resolve('taskBot.actionDetailsPanel', { timeout: 10000 });
+    for (const [key, field] of Object.entries(action.fields)) {
+      if (values[key] === undefined) {
+        continue;
+      }
+      const control = await this.findActionField(panel, field);
+      await this.setActionField(control, field, values[key]);
+      logger.info(`✓ ${action.label}: ${field.label} = ${JSON.stringify(values[key])}`);
+    }
+  }
+
+  /**
+   * Control of a details panel field, found by its label
+   * @param {Locator} panel - Action details panel
+   * @param {Object} field - Field descriptor ({ label, type })
+   * @param {Object} options - { timeout per candidate locator, default 2000 }
+   * @returns {Promise<Locator>} - Input, textarea, select or checkbox
+   * @throws {Error} If no control with this label is visible
+   */
+  async findActionField(panel, field, options = {}) {
+    const timeout = options.timeout || 2000;
+    const candidates = [
+      panel.getByLabel(field.label, { exact: true }),
+      panel.getByPlaceholder(field.label, { exact: true }),
+      panel.locator(`label:has-text("${field.label}") + input, label:has-text("${field.label}") + textarea, label:has-text("${field.label}") + select`),
+      panel.locator(`label:has-text("${field.label}") >> xpath=.. >> input, label:has-text("${field.label}") >> xpath=.. >> textarea, label:has-text("${field.label}") >> xpath=.. >> select`)
+    ];
+    for (const candidate of candidates) {
+      if (await this.isElementVisible(candidate.first(), timeout)) {
+        return candidate.first();
+      }
+    }
+    throw new Error(`Field "${field.label}" not found in the action details panel`);
+  }
+
+  /**
+   * Set one field according to its type
+   * @param {Locator} control - Field control
+   * @param {Object} field - Field descriptor ({ label, type })
+   * @param {any} value - Value to set
+   */
+  async setActionField(control, field, value) {
+    switch (field.type) {
+      case 'checkbox':
+        await control.setChecked(Boolean(value));
+        break;
+      case 'dropdown':
+        if (await control.evaluate(el => el.tagName === 'SELECT')) {
+          await control.selectOption({ label: String(value) });
+        } else {
+          await this.clickElement(control);
+          await this.clickElement(this.page.getByRole('option', { name: String(value), exact: true }));
+        }
+        break;
+      case 'variable':
+        if (!await this.pickVariable(control, String(value).replace(/^\$(.*)\$$/, '$1'))) {
+          await this.fillInput(control, String(value));
+        }
+        break;
+      case 'text':
+        await this.fillInput(control, String(value));
+        break;
+      default:
+        throw new Error(`Field "${field.label}" has unknown type "${field.type}" (text, checkbox, dropdown, variable)`);
+    }
+  }
+
+  /**
+   * Insert a variable with the (x) picker next to a field
+   * @param {Locator} control - Field input
+   * @param {string} variable - Variable name without $ signs
+   * @returns {Promise<boolean>} - false when the field has no picker or the picker does not list the variable
+   */
+  async pickVariable(control, variable) {
+    // The field's own row, so a neighbouring field's picker is never used
+    const toggle = control.locator('xpath=../..').getByRole('button', { name: /variable/i }).first();
+    if (!await this.isElementVisible(toggle, 1000)) {
+      return false;
+    }
+    await this.clickElement(toggle);
+    const option = this.page.getByRole('option', { name: variable, exact: true }).first();
+    if (!await this.isElementVisible(option, 2000)) {
+      // Close the picker again before the value is typed instead
+      await this.clickElement(toggle);
+      return false;
+    }
+    await this.clickElement(option);
+    return true;
+  }
+
+  /**
+   * Actions of one level of the flow, in order
+   * @param {Locator} list - The flow's list, or a Loop / If's list of children
+   * @returns {Locator} - Action rows directly in this list
+   */
+  flowItems(list) {
+    return list.locator(':scope > [data-action-id], :scope > [class*="flow-action" i]');
+  }
+
+  /**
+   * Action at a position of the flow
+   * @param {string} position - 1-based, dotted by nesting level: '2.1' is the first action inside the second one
+   * @returns {Promise<Locator>} - Action row, including its children
+   * @throws {Error} If the flow has no action at this position
+   */
+  async flowAction(position) {
+    const root = await this.locators.find('taskBot.flow', { timeout: 5000 });
+    let list = root ? root.locator : null;
+    let item = null;
+    for (const index of String(position).split('.').map(Number)) {
+      const items = list ? this.flowItems(list) : null;
+      if (!items || !Number.isInteger(index) || index < 1 || index > await items.count()) {
+        throw new Error(`The bot flow has no action at position ${position}`);
+      }
+      item = items.nth(index - 1);
+      list = item.locator(':scope > ol');
+    }
+    return item;
+  }
+
+  /**
+   * Make a Loop or If the target of the next added action by clicking its drop zone
+   * @param {string} position - Position of the Loop or If
+   * @throws {Error} If the action at this position takes no actions inside it
+   */
+  async selectDropZone(position) {
+    const container = await this.flowAction(position);
+    const dropZone = container.locator(':scope > ol > [data-parent-id], :scope > ol > [class*="drop" i]').first();
+    if (!await this.isElementVisible(dropZone, 3000)) {
+      throw new Error(`The action at ${position} has no drop zone; only Loop and If take actions inside them`);
+    }
+    await this.clickElement(dropZone);
+  }
+
+  /**
+   * Enable or disable the action at a position with its toggle; disabled actions stay in the flow but are skipped
+   * @param {string} position - Position of the action, e.g. '4.2.2'
+   * @param {boolean} enabled - Target state
+   * @throws {Error} If the state did not change
+   */
+  async setActionEnabled(position, enabled) {
+    const item = await this.flowAction(position);
+    if (await this.isFlowActionEnabled(item) === enabled) {
+      logger.info(`Action ${position} is already ${enabled ? 'enabled' : 'disabled'}`);
+      return;
+    }
+    const command = enabled ? 'Enable' : 'Disable';
+    // The row's own toggle, not one of a nested action
+    const toggle = item.locator(':scope > [class*="row" i]').getByRole('button', { name: new RegExp(`^${command}`) }).first();
+    if (await this.isElementVisible(toggle, 2000)) {
+      await this.clickElement(toggle);
+    } else {
+      await item.click({ button: 'right', position: { x: 10, y: 10 } });
+      await this.clickElement(this.page.getByRole('menuitem', { name: command, exact: true }));
+    }
+    const changed = await this.flowAction(position);
+    if (await this.isFlowActionEnabled(changed) !== enabled) {
+      throw new Error(`Action ${position} is still ${enabled ? 'disabled' : 'enabled'} after clicking ${command}`);
+    }
+    logger.info(`✓ ${command}d action ${position}`);
+  }
+
+  /**
+   * Whether a flow action is enabled (not greyed out)
+   * @param {Locator} item - Action row
+   * @returns {Promise<boolean>} - true when enabled
+   */
+  async isFlowActionEnabled(item) {
+    return await item.evaluate(el => el.getAttribute('aria-disabled') !== 'true' && !/(^|\s)disabled(\s|$)/i.test(el.className));
+  }
+
+  /**
+   * Read the editor's flow into a plain tree, to compare with expect(flow).toMatchFlow() (utils/botFlow.js)
+   * Every action is selected in turn to read its details panel, so the last action is selected afterwards.
+   * Fields that are not shown (e.g. Seconds while Close message box after is unchecked) are left out.
+   * @returns {Promise<Array<Object>>} - Actions ({ action, enabled, fields, children }); empty when there are none
+   * @throws {Error} If the flow holds an action pages/actions.js does not describe
+   */
+  async readFlow() {
+    const root = await this.locators.find('taskBot.flow', { timeout: 5000 });
+    const flow = root ? await this.readFlowLevel(root.locator, '') : [];
+    logger.info(`Bot flow in the editor:\n${BotFlow.format(flow, '  ')}`);
+    return flow;
+  }
+
+  /**
+   * Read one level of the flow, recursing into Loop and If
+   * @param {Locator} list - List of the level
+   * @param {string} prefix - Position prefix of the level, e.g. '4.'
+   * @returns {Promise<Array<Object>>} - Actions of the level
+   */
+  async readFlowLevel(list, prefix) {
+    const items = this.flowItems(list);
+    const flow = [];
+    for (let index = 0; index < await items.count(); index++) {
+      const item = items.nth(index);
+      const position = `${prefix}${index + 1}`;
+      const name = await this.flowActionName(item, position);
+      const action = TaskBotPage.actionDescriptor(name);
+      const node = {
+        action: name,
+        enabled: await this.isFlowActionEnabled(item),
+        fields: await this.readActionFields(item, action)
+      };
+      if (action.container) {
+        node.children = await this.readFlowLevel(item.locator(':scope > ol'), `${position}.`);
+      }
+      flow.push(node);
+    }
+    return flow;
+  }
+
+  /**
+   * Descriptor name of a flow action, from its type or else its label
+   * @param {Locator} item - Action row
+   * @param {string} position - Position, for the error message
+   * @returns {Promise<string>} - Key in pages/actions.js
+   * @throws {Error} If no descriptor matches the action
+   */
+  async flowActionName(item, position) {
+    const type = await item.getAttribute('data-action-type');
+    if (type && ACTIONS[type]) {
+      return type;
+    }
+    const label = (await item.locator('[class*="action-name" i]').first().textContent().catch(() => '')).trim();
+    const matches = Object.keys(ACTIONS).filter(key => ACTIONS[key].label === label);
+    if (matches.length !== 1) {
+      throw new Error(`Action "${type || label}" at position ${position} is not described in pages/actions.js`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Select a flow action and read the fields shown in its details panel
+   * @param {Locator} item - Action row
+   * @param {Object} action - Descriptor of the action
+   * @returns {Promise<Object>} - Values by field name: booleans for checkboxes, option text for dropdowns, text otherwise
+   */
+  async readActionFields(item, action) {
+    const row = item.locator(':scope > [class*="row" i]').first();
+    if (await this.isElementVisible(row, 1000)) {
+      await row.click({ position: { x: 10, y: 10 } });
+    } else {
+      await item.click({ position: { x: 10, y: 10 } });
+    }
+    const { locator: panel } = await this.locators.resolve('taskBot.actionDetailsPanel', { timeout: 10000 });
+    if (!await this.isElementVisible(panel.getByRole('heading', { name: action.label, exact: true }), 5000)) {
+      logger.warn(`Details panel of ${action.package} > ${action.label} did not show its heading`);
+    }
+
+    const values = {};
+    for (const [key, field] of Object.entries(action.fields)) {
+      const control = await this.findActionField(panel, field, { timeout: 500 }).catch(() => null);
+      if (!control) {
+        continue;
+      }
+      if (field.type === 'checkbox') {
+        values[key] = await control.isChecked();
+      } else if (field.type === 'dropdown') {
+        // A custom dropdown (button or combobox) shows the selected option as its text; a button's value is ''
+        values[key] = await control.evaluate(el => {
+          if (el.tagName === 'SELECT') {
+            return el.selectedOptions[0] ? el.selectedOptions[0].textContent.trim() : '';
+          }
+          return (el.tagName === 'INPUT' ? el.value : el.textContent).trim();
+        });
+      } else {
+        values[key] = await control.inputValue();
+      }
+    }
+    return values;
+  }
+
   /**
    * Verify all UI elements in Message Box panel
    */
@@ -803,122 +906,16 @@ class TaskBotPage extends BasePage {
     logger.info('=== Attempting to save configuration ===');
     
     // Save button is in the top right header, not in the panel
-    const saveSelectors = [
-      this.page.locator('header button:has-text("Save")').first(),
-      this.page.locator('[class*="header" i] button:has-text("Save")').first(),
-      this.page.locator('button:has-text("Save"):visible').first(),
-      this.saveButton,
-      this.page.locator('button:has-text("Save")').first(),
-      // Try more specific selectors for top right
-      this.page.locator('[class*="toolbar" i] button:has-text("Save")').first(),
-      this.page.locator('[class*="header" i] [class*="button" i]:has-text("Save")').first(),
-      // Try by button type
-      this.page.locator('button[type="button"]:has-text("Save")').first(),
-      this.page.locator('button[type="submit"]:has-text("Save")').first(),
-    ];
+    await this.page.waitForTimeout(300);
+    const { strategy } = await this.locators.click('taskBot.saveButton', { timeout: 5000 });
+    logger.info(`✓ Clicked Save button (${strategy})`);
     
-    let saved = false;
-    for (let i = 0; i < saveSelectors.length; i++) {
-      const selector = saveSelectors[i];
-      try {
-        const isVisible = await this.isElementVisible(selector, 5000);
-        if (isVisible) {
-          // Get button info for logging
-          const buttonText = await selector.textContent().catch(() => '');
-          const buttonId = await selector.getAttribute('id').catch(() => '');
-          const buttonClass = await selector.getAttribute('class').catch(() => '');
-          logger.info(`Found Save button: text="${buttonText}", id="${buttonId}", class="${buttonClass}"`);
-          
-          await selector.scrollIntoViewIfNeeded();
-          await this.page.waitForTimeout(300);
-          
-          // Try multiple click strategies
-          try {
-            await selector.click({ timeout: 10000 });
-            saved = true;
-            logger.info(`✓ Clicked Save button using selector ${i + 1} (regular click)`);
-            break;
-          } catch (clickError) {
-            logger.debug(`Regular click failed, trying force click: ${clickError.message}`);
-            try {
-              await selector.click({ timeout: 10000, force: true });
-              saved = true;
-              logger.info(`✓ Clicked Save button using selector ${i + 1} (force click)`);
-              break;
-            } catch (forceError) {
-              logger.debug(`Force click also failed: ${forceError.message}`);
-              // Try JavaScript click
-              try {
-                await selector.evaluate(el => el.click());
-                saved = true;
-                logger.info(`✓ Clicked Save button using selector ${i + 1} (JavaScript click)`);
-                break;
-              } catch (jsError) {
-                logger.debug(`JavaScript click failed: ${jsError.message}`);
-              }
-            }
-          }
-        }
-      } catch (e) {
-        logger.debug(`Save selector ${i + 1} failed: ${e.message}`);
-      }
-    }
-    
-    if (!saved) {
-      logger.warn('Could not find Save button with standard selectors, trying fallback');
-      await this.page.screenshot({ path: 'test-results/save-button-not-found.png', fullPage: true }).catch(() => {});
-      
-      // Fallback: try to find any button with "Save" text
-      try {
-        const allSaveButtons = this.page.locator('button:has-text("Save")');
-        const count = await allSaveButtons.count();
-        logger.info(`Found ${count} button(s) with "Save" text`);
-        
-        for (let i = 0; i < count; i++) {
-          const btn = allSaveButtons.nth(i);
-          try {
-            const isVisible = await btn.isVisible({ timeout: 2000 }).catch(() => false);
-            if (isVisible) {
-              await btn.scrollIntoViewIfNeeded();
-              await this.page.waitForTimeout(300);
-              await btn.click({ timeout: 10000 });
-              saved = true;
-              logger.info(`✓ Clicked Save button at index ${i}`);
-              break;
-            }
-          } catch (e) {
-            logger.debug(`Failed to click Save button at index ${i}: ${e.message}`);
-          }
-        }
-      } catch (e) {
-        logger.error(`Fallback Save button search failed: ${e.message}`);
-      }
-      
-      if (!saved) {
-        throw new Error('Could not find or click Save button');
-      }
-    }
-    
-    // Wait for save to complete
+    // Wait for save to complete; a silent save without a confirmation is acceptable
     logger.info('Waiting for save operation to complete...');
-    await this.page.waitForTimeout(2000);
-    
-    // Check if there's a success message or if the page state changed
-    try {
-      const successIndicators = [
-        this.page.locator('text=Saved, text=saved successfully, [class*="success" i]').first(),
-        this.page.locator('[class*="notification" i]:has-text("saved")').first(),
-      ];
-      
-      for (const indicator of successIndicators) {
-        const visible = await indicator.isVisible({ timeout: 3000 }).catch(() => false);
-        if (visible) {
-          logger.info('✓ Save operation completed successfully');
-          break;
-        }
-      }
-    } catch (e) {
-      // No success indicator found, but that's okay - save might have completed silently
+    const confirmation = await this.locators.find('taskBot.saveConfirmation', { timeout: 3000 });
+    if (confirmation) {
+      logger.info('✓ Save operation completed successfully');
+    } else {
       logger.debug('No success indicator found, but save action was clicked');
     }
     
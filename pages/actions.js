@@ -0,0 +1,122 @@
+/**
+ * Task Bot action descriptors
+ * One entry per action TaskBotPage.addAction() / configureAction() can drive, keyed by a short name.
+ * package and label are the action's group and name in the Actions panel; search is what is typed into its
+ * search box (defaults to the label); container marks actions that hold other actions (Loop, If). Fields are
+ * listed in the order they are filled, keyed by the name the bot stores them under, with the label shown in the
+ * action details panel and one of these types:
+ *   text     - input or textarea, filled with the value
+ *   checkbox - checked or unchecked to match a boolean
+ *   dropdown - option picked by its visible text
+ *   variable - variable picked with the (x) variable picker, e.g. "prompt-assignment"; other text is typed
+ */
+module.exports = {
+  messageBox: {
+    package: 'Message box',
+    label: 'Message box',
+    search: 'message box',
+    fields: {
+      message: { label: 'Enter the message to display', type: 'text' },
+      title: { label: 'Enter the message box window title', type: 'text' },
+      closeAfter: { label: 'Close message box after', type: 'checkbox' },
+      // Shown once closeAfter is checked
+      seconds: { label: 'Seconds', type: 'text' }
+    }
+  },
+
+  stringAssign: {
+    package: 'String',
+    label: 'Assign',
+    search: 'assign',
+    fields: {
+      source: { label: 'Select the source string variable(s)/ value', type: 'variable' },
+      destination: { label: 'Select the destination string variable', type: 'variable' }
+    }
+  },
+
+  numberIncrement: {
+    package: 'Number',
+    label: 'Increment',
+    search: 'increment',
+    fields: {
+      source: { label: 'Enter number', type: 'variable' },
+      incrementBy: { label: 'Enter increment value', type: 'text' },
+      destination: { label: 'Assign the output to variable', type: 'variable' }
+    }
+  },
+
+  loop: {
+    package: 'Loop',
+    label: 'Loop',
+    container: true,
+    fields: {
+      iterator: { label: 'Iterator', type: 'dropdown' },
+      times: { label: 'Times', type: 'text' }
+    }
+  },
+
+  if: {
+    package: 'If',
+    label: 'If',
+    container: true,
+    fields: {
+      condition: { label: 'Condition', type: 'dropdown' },
+      source: { label: 'Source value', type: 'variable' },
+      operator: { label: 'Operator', type: 'dropdown' },
+      target: { label: 'Target value', type: 'text' }
+    }
+  },
+
+  delay: {
+    package: 'Delay',
+    label: 'Delay',
+    fields: {
+      unit: { label: 'Delay type', type: 'dropdown' },
+      duration: { label: 'Delay', type: 'text' }
+    }
+  },
+
+  logToFile: {
+    package: 'Log to file',
+    label: 'Log to file',
+    fields: {
+      filePath: { label: 'Enter file path', type: 'text' },
+      text: { label: 'Enter text to log', type: 'text' },
+      appendTimestamp: { label: 'Append timestamp', type: 'checkbox' },
+      whenLogging: { label: 'When logging', type: 'dropdown' }
+    }
+  },
+
+  excelOpen: {
+    package: 'Excel advanced',
+    label: 'Open',
+    search: 'excel',
+    fields: {
+      sessionName: { label: 'Session name', type: 'text' },
+      filePath: { label: 'File path', type: 'text' },
+      openMode: { label: 'Open in', type: 'dropdown' },
+      sheetContainsHeader: { label: 'Sheet contains a header', type: 'checkbox' }
+    }
+  },
+
+  excelGetSingleCell: {
+    package: 'Excel advanced',
+    label: 'Get single cell',
+    search: 'excel',
+    fields: {
+      sessionName: { label: 'Session name', type: 'text' },
+      cell: { label: 'Cell address', type: 'text' },
+      destination: { label: 'Assign the value to a variable', type: 'variable' }
+    }
+  },
+
+  excelClose: {
+    package: 'Excel advanced',
+    label: 'Close',
+    search: 'excel',
+    fields: {
+      sessionName: { label: 'Session name', type: 'text' },
+      saveChanges: { label: 'Save changes when closing file', type: 'checkbox' }
+    }
+  }
+};
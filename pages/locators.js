@@ -0,0 +1,194 @@
+/**
+ * Locator registry definitions
+ * One entry per UI element, keyed "<page>.<element>". Strategies are Playwright selector
+ * strings in declared order; the first one is the primary selector. The registry may try a
+ * previously winning strategy first, but the primary is what the health report checks.
+ */
+module.exports = {
+  // Login page
+  'login.usernameInput': [
+    'input[name="username"], input[name="email"], input[type="email"]',
+    'input[name*="user" i], input[name*="email" i]',
+    'input[id*="user" i], input[id*="email" i]',
+    'input[placeholder*="user" i], input[placeholder*="email" i]',
+    'input[aria-label*="username" i], input[aria-label*="email" i]'
+  ],
+  'login.passwordInput': [
+    'input[name="password"]',
+    'input[type="password"]',
+    'input[name*="pass" i][type="password"], input[id*="pass" i][type="password"]',
+    'input[placeholder*="password" i][type="password"], input[aria-label*="password" i][type="password"]'
+  ],
+  'login.submitButton': [
+    'button[type="submit"]',
+    'input[type="submit"]',
+    'button:has-text("Log in"), button:has-text("Login"), button:has-text("Sign in")',
+    'button[id*="login" i], button[id*="signin" i]'
+  ],
+
+  // Shared dialogs
+  'common.confirmDelete': [
+    '[role="dialog"] button:has-text("Delete")',
+    '[role="alertdialog"] button:has-text("Delete")',
+    '[role="dialog"] button:has-text("Yes")',
+    '[role="dialog"] button:has-text("Confirm")'
+  ],
+
+  // Left navigation and Automation repository
+  'automation.menu': [
+    'nav >> text=Automation',
+    '[class*="sidebar" i] >> text=Automation',
+    '[class*="menu" i] >> text=Automation',
+    'a:has-text("Automation")',
+    'button:has-text("Automation")',
+    'text=Automation',
+    '[aria-label*="Automation" i]'
+  ],
+  'automation.createButton': [
+    'button:has-text("+ Create")',
+    'button[aria-haspopup="menu"]:has-text("Create")',
+    'header button:has-text("Create")',
+    'button:has-text("Create")',
+    '[aria-label*="Create" i]'
+  ],
+  'automation.createMenu': [
+    '[role="menu"]',
+    '[class*="dropdown-menu" i]',
+    'ul[class*="dropdown" i]'
+  ],
+  'automation.taskBotOption': [
+    '[role="menuitem"]:has-text("Task Bot")',
+    'text="Task Bot..."',
+    '[role="menu"] >> text=Task Bot',
+    '[class*="dropdown-menu" i] >> text=Task Bot',
+    'li:has-text("Task Bot")',
+    'a:has-text("Task Bot")',
+    'text=Task Bot'
+  ],
+  'automation.formOption': [
+    '[role="menuitem"]:has-text("Form")',
+    'text="Form..."',
+    '[role="menu"] >> text=/^Form/',
+    '[class*="dropdown-menu" i] >> text=/^Form/',
+    'li:has-text("Form")',
+    'a:has-text("Form")'
+  ],
+  'automation.createFileDialog': [
+    '[role="dialog"]',
+    '.modal',
+    '[class*="modal" i]',
+    'input[placeholder*="Untitled" i]',
+    'input[name*="name" i]',
+    'form'
+  ],
+  'automation.aiTab': [
+    'button:has-text("AI")',
+    'nav button:has-text("AI")',
+    '[role="button"]:has-text("AI")',
+    '[aria-label*="AI" i]',
+    'text=AI'
+  ],
+  'automation.documentAutomation': [
+    'text=Document Automation',
+    '[role="menuitem"]:has-text("Document Automation")',
+    'a:has-text("Document Automation")',
+    'li:has-text("Document Automation")'
+  ],
+
+  // Task Bot creation modal
+  'taskBot.nameInput': [
+    'input[placeholder*="Untitled" i]',
+    'input[name*="name" i], input[id*="name" i]',
+    'input[placeholder*="name" i], input[aria-label*="name" i]',
+    '[role="dialog"] input[type="text"]',
+    'input[type="text"]'
+  ],
+  'taskBot.descriptionInput': [
+    'textarea[name*="description" i], textarea[id*="description" i]',
+    'textarea[placeholder*="description" i], textarea[aria-label*="description" i]',
+    '[role="dialog"] textarea',
+    'textarea'
+  ],
+
+  // Task Bot editor - Actions panel
+  'taskBot.messageBoxAction': [
+    '[role="menuitem"]:has-text("Message box")',
+    '[class*="action" i]:has-text("Message box"):not([class*="header" i]):not([class*="title" i]):not([class*="section" i])',
+    '[class*="item" i]:has-text("Message box"):not([class*="header" i]):not([class*="title" i])',
+    '[class*="expanded" i] [class*="item" i]:has-text("Message box")',
+    '[aria-expanded="true"] ~ * [class*="item" i]:has-text("Message box")',
+    'li:has-text("Message box"):not(:has([class*="header" i]))',
+    'div[role="button"]:has-text("Message box"), a:has-text("Message box")'
+  ],
+
+  // Task Bot editor - Message Box properties and header
+  'taskBot.messageBoxPanel': [
+    '[class*="properties" i]:has-text("Message box")',
+    '[class*="panel" i]:has-text("Message box")',
+    '[class*="config" i]:has-text("Message box")',
+    'text=Message box'
+  ],
+  'taskBot.messageInput': [
+    'input[placeholder*="Enter the message to display" i], textarea[placeholder*="Enter the message to display" i]',
+    'input[placeholder*="message to display" i], textarea[placeholder*="message to display" i]',
+    'label:has-text("Enter the message to display") + input, label:has-text("Enter the message to display") + textarea',
+    'label:has-text("message to display") + input, label:has-text("message to display") + textarea',
+    'textarea[name*="message" i], input[name*="message" i]'
+  ],
+  'taskBot.titleInput': [
+    'input[placeholder*="Enter the message box window title" i]',
+    'input[placeholder*="message box window title" i]',
+    'label:has-text("Enter the message box window title") + input',
+    'label:has-text("window title") + input',
+    'input[name*="title" i]'
+  ],
+  'taskBot.closeAfterCheckbox': [
+    'label:has-text("Close message box after") input[type="checkbox"]',
+    'input[type="checkbox"]:near(label:has-text("Close message box after"))',
+    'text=Close message box after >> xpath=.. >> input[type="checkbox"]',
+    'text=Close message box after >> xpath=following::input[@type="checkbox"]',
+    'input[type="checkbox"][name*="close" i]'
+  ],
+  'taskBot.closeAfterLabel': [
+    'label:has-text("Close message box after")',
+    'text=Close message box after'
+  ],
+  'taskBot.secondsInput': [
+    'input[placeholder*="Seconds" i]',
+    'label:has-text("Seconds") + input',
+    'label:has-text("Seconds") >> xpath=.. >> input',
+    'input[type="number"]:near(label:has-text("Seconds"))',
+    'input[name*="second" i]'
+  ],
+  'taskBot.actionSearch': [
+    '[aria-label="Actions"] input[type="search"]',
+    'input[placeholder*="Search actions" i]',
+    '[class*="actions" i] input[type="search"], [class*="actions" i] input[type="text"]',
+    'input[type="search"]',
+    'input[placeholder*="search" i]'
+  ],
+  'taskBot.flow': [
+    '[aria-label="Bot flow"] > ol',
+    '[class*="flow-canvas" i] > ol',
+    '[class*="canvas" i] ol[class*="flow" i]'
+  ],
+  'taskBot.actionDetailsPanel': [
+    '[aria-label="Action details"]',
+    '[class*="properties" i]:has(form)',
+    '[class*="panel" i]:has(form)',
+    '[class*="properties" i]'
+  ],
+  'taskBot.saveButton': [
+    'header button:has-text("Save")',
+    '[class*="header" i] button:has-text("Save")',
+    '[class*="toolbar" i] button:has-text("Save")',
+    'button:has-text("Save")',
+    'button[type="submit"]:has-text("Save")'
+  ],
+  'taskBot.saveConfirmation': [
+    'text=/saved successfully/i',
+    '[class*="notification" i]:has-text("saved")',
+    '[role="status"]:has-text("saved")',
+    '[class*="success" i]'
+  ]
+};
@@ -1,17 +1,28 @@
 const { defineConfig, devices } = require('@playwright/test');
-const path = require('path');
-const dotenv = require('dotenv');
+const { Environment } = require('./utils/environment');
+const { runId } = require('./utils/artifactNames');
+const { Redaction } = require('./utils/redaction');
 
-// Load environment variables
-dotenv.config({ path: path.resolve(__dirname, '.env') });
+// TEST_ENV selects the environment profile (local-mock, staging, community-cloud; see utils/environment.js)
+// and exports its URLs and credentials to every worker. MOCK_SERVER=true is a shortcut for local-mock.
+const environment = Environment.apply();
+
+// One run ID (TEST_RUN_ID) for every worker; test artifacts are named E2E_<runId>_... (see utils/testArtifacts.js)
+runId();
+
+// Random secret (REDACTION_CANARY) the global setup logs; the teardown's artifact scan fails if it was not redacted
+Redaction.canary();
 
 /**
  * See https://playwright.dev/docs/test-configuration.
  */
 module.exports = defineConfig({
   testDir: './tests',
+  /* Log in once and store the session under playwright/.auth/ (see utils/authSession.js) */
+  globalSetup: require.resolve('./global-setup'),
+  globalTeardown: require.resolve('./global-teardown'),
   /* Maximum time one test can run for. */
-  timeout: 120000,
+  timeout: environment.timeouts.test,
   /* Run tests in files in parallel */
   fullyParallel: false, // Disable parallel execution to reduce HTTP2 errors
   /* Fail the build on CI if you accidentally left test.only in the source code. */
@@ -30,14 +41,8 @@ module.exports = defineConfig({
   ],
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
-    /* Base URL to use in actions like `await page.goto('/')`. */
-    /* If BASE_URL is set in .env, it will be used. Otherwise, defaults to Community Edition Control Room */
-    baseURL: process.env.BASE_URL 
-      ? process.env.BASE_URL
-          .replace(/#\/.*$/, '')  // Remove hash routes like #/login
-          .replace(/\?.*$/, '')   // Remove query parameters like ?mkt_tok=...
-          .replace(/\/$/, '')     // Remove trailing slash
-      : 'https://community2.cloud-2.automationanywhere.digital',
+    /* Base URL to use in actions like `await page.goto('/')`, taken from the environment profile */
+    baseURL: environment.baseURL,
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
     screenshot: 'only-on-failure',
@@ -45,11 +50,11 @@ module.exports = defineConfig({
     // Enhanced video and screenshot settings
     videoSize: { width: 1920, height: 1080 },
     /* Maximum time each action such as `click()` can take. Defaults to 0 (no limit). */
-    actionTimeout: 60000,
+    actionTimeout: environment.timeouts.action,
     /* Maximum time for navigation. Defaults to 0 (no limit). */
-    navigationTimeout: 90000,
+    navigationTimeout: environment.timeouts.navigation,
     /* Maximum time each test can run. */
-    testTimeout: 120000,
+    testTimeout: environment.timeouts.test,
     // Disable HTTP/2 to avoid protocol errors
     ignoreHTTPSErrors: false,
     // Additional context options to handle HTTP2 issues
@@ -105,11 +110,14 @@ module.exports = defineConfig({
     },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Start the mock Control Room before the tests for the local-mock profile */
+  webServer: environment.mockServer
+    ? {
+        command: 'node mock-server/server.js',
+        url: `${environment.baseURL}/health`,
+        reuseExistingServer: !process.env.CI,
+        timeout: 30000,
+      }
+    : undefined,
 });
 
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+const { BaselineStore } = require('../utils/baselineStore');
+
+const USAGE = `Visual baseline management
+
+Usage: npm run baselines -- <command> [options] [names...]
+
+Commands:
+  list                 List stored baselines
+  pending              List comparisons from the last run that differ from their baseline
+  approve <names...>   Approve pending snapshots (name or <project>/<viewport>/<name>)
+  approve --all        Approve every pending snapshot
+  prune                Delete baselines no test source references any more
+
+Options:
+  --project <name>     Only snapshots of this browser project (e.g. chromium)
+  --viewport <WxH>     Only snapshots taken at this viewport (e.g. 1920x1080)
+  --dry-run            With prune: only show what would be deleted
+`;
+
+function parseArgs(argv) {
+  const args = { command: argv[0], names: [], all: false, dryRun: false };
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--project' || arg === '--viewport') {
+      args[arg.slice(2)] = argv[++i];
+    } else if (arg === '--all') {
+      args.all = true;
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else {
+      args.names.push(arg);
+    }
+  }
+  return args;
+}
+
+function printTable(rows) {
+  if (rows.length === 0) {
+    console.log('  (none)');
+    return;
+  }
+  rows.forEach(row => console.log(`  ${row}`));
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const filter = { project: args.project, viewport: args.viewport, names: args.names };
+
+  switch (args.command) {
+    case 'list': {
+      const baselines = BaselineStore.listBaselines(filter);
+      console.log(`Baselines in ${BaselineStore.baselineDir} (${baselines.length}):`);
+      printTable(baselines.map(snapshot => `${snapshot.id}  ${(snapshot.size / 1024).toFixed(1)} KB  ${snapshot.updatedAt}`));
+      return 0;
+    }
+    case 'pending': {
+      const pending = BaselineStore.listPending(filter);
+      console.log(`Pending visual changes (${pending.length}):`);
+      printTable(pending.map(result => `${result.id}  ${result.reason}\n    diff: ${result.diffPath || 'n/a (size changed or no baseline)'}`));
+      return 0;
+    }
+    case 'approve': {
+      if (!args.all && args.names.length === 0) {
+        console.error('Name the snapshots to approve, or pass --all');
+        return 1;
+      }
+      const approved = BaselineStore.approvePending(args.all ? { ...filter, names: [] } : filter);
+      console.log(`Approved ${approved.length} snapshot(s):`);
+      printTable(approved);
+      return approved.length > 0 || args.all ? 0 : 1;
+    }
+    case 'prune': {
+      const orphans = BaselineStore.prune({ dryRun: args.dryRun });
+      console.log(`${args.dryRun ? 'Would prune' : 'Pruned'} ${orphans.length} orphaned baseline(s):`);
+      printTable(orphans.map(snapshot => snapshot.id));
+      return 0;
+    }
+    default:
+      console.log(USAGE);
+      return args.command ? 1 : 0;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+const path = require('path');
+const { ApiContract } = require('../utils/apiContract');
+const { Environment } = require('../utils/environment');
+
+const USAGE = `API contract management
+
+Usage: npm run contracts -- <command> [options]
+
+Works on api-contracts/<environment>.json of the environment selected by TEST_ENV and on the API traffic
+captured by the last test run (${path.relative(process.cwd(), ApiContract.runLogPath)}).
+
+Commands:
+  check                Compare the last run with the contract; exits 1 on breaking changes
+  update               Store the last run as the contract (endpoints it did not call are kept)
+  list                 List the endpoints in the contract
+
+Options:
+  --prune              With update: drop endpoints the last run did not call
+  --env <name>         Use another environment's contract
+`;
+
+function parseArgs(argv) {
+  const args = { command: argv[0], prune: false };
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--prune') {
+      args.prune = true;
+    } else if (arg === '--env') {
+      args.environment = argv[++i];
+    } else {
+      args.unknown = arg;
+    }
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const environment = args.environment || Environment.get().name;
+
+  switch (args.unknown ? undefined : args.command) {
+    case 'check': {
+      const result = ApiContract.check({ environment });
+      if (!result) {
+        console.log(`No contract stored for "${environment}" yet. Create one with "npm run contracts -- update".`);
+        return 0;
+      }
+      console.log(result.text);
+      return result.breaking.length > 0 ? 1 : 0;
+    }
+    case 'update': {
+      const contract = ApiContract.update({ environment, prune: args.prune });
+      console.log(`Stored ${Object.keys(contract.endpoints).length} endpoint(s) in ${path.relative(process.cwd(), contract.path)}`);
+      return 0;
+    }
+    case 'list': {
+      const contract = ApiContract.load(environment);
+      if (!contract) {
+        console.log(`No contract stored for "${environment}"`);
+        return 0;
+      }
+      for (const [endpoint, { responses }] of Object.entries(contract.endpoints)) {
+        console.log(`  ${endpoint}  [${Object.keys(responses).join(', ')}]`);
+      }
+      return 0;
+    }
+    default:
+      console.log(USAGE);
+      return args.command === '--help' ? 0 : 1;
+  }
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+const path = require('path');
+const { CredentialVault } = require('../utils/credentialVault');
+const { Environment } = require('../utils/environment');
+
+const USAGE = `Credential vault management
+
+Usage: npm run credentials -- <command> [options]
+
+Accounts are stored per environment profile in ${path.relative(process.cwd(), CredentialVault.vaultPath)}, encrypted with the
+passphrase in CREDENTIALS_KEY. Environment variables (<ROLE>_USERNAME / <ROLE>_PASSWORD) take precedence.
+
+Commands:
+  list                 Accounts of the environment and where they come from (passwords are not shown)
+  roles                Known roles
+  set <role>           Store an account; the password is read from stdin (typed or piped)
+  remove <role>        Delete an account from the vault
+
+Options:
+  --username <name>    With set: the account's username
+  --env <name>         Use another environment profile than TEST_ENV
+`;
+
+function parseArgs(argv) {
+  const args = { command: argv[0], role: argv[1] && !argv[1].startsWith('--') ? argv[1] : undefined };
+  for (let i = args.role ? 2 : 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--username') {
+      args.username = argv[++i];
+    } else if (arg === '--env') {
+      args.environment = argv[++i];
+    } else {
+      args.unknown = arg;
+    }
+  }
+  return args;
+}
+
+/**
+ * Read the password without echoing it on a terminal, or the first line of piped input
+ */
+function readPassword() {
+  return new Promise((resolve, reject) => {
+    const input = process.stdin;
+    let value = '';
+    if (!input.isTTY) {
+      input.setEncoding('utf8');
+      input.on('data', chunk => { value += chunk; });
+      input.on('end', () => resolve(value.split(/\r?\n/)[0]));
+      input.on('error', reject);
+      return;
+    }
+    process.stdout.write('Password: ');
+    input.setRawMode(true);
+    input.setEncoding('utf8');
+    input.resume();
+    const onData = chunk => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          input.setRawMode(false);
+          input.pause();
+          input.removeListener('data', onData);
+          process.stdout.write('\n');
+          resolve(value);
+          return;
+        }
+        if (char === '\u0003') {
+          input.setRawMode(false);
+          reject(new Error('Cancelled'));
+          return;
+        }
+        value = char === '\u007f' ? value.slice(0, -1) : value + char;
+      }
+    };
+    input.on('data', onData);
+  });
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const environment = args.environment || Environment.name;
+
+  switch (args.unknown ? undefined : args.command) {
+    case 'list': {
+      const accounts = CredentialVault.accounts(environment);
+      console.log(`Accounts of "${environment}":`);
+      accounts.forEach(account => console.log(`  ${account.role.padEnd(12)} ${account.username}  (${account.source})`));
+      const missing = Object.keys(CredentialVault.roles).filter(role => !accounts.some(account => account.role === role));
+      if (missing.length > 0) {
+        console.log(`Not configured: ${missing.join(', ')}`);
+      }
+      return 0;
+    }
+    case 'roles':
+      Object.entries(CredentialVault.roles).forEach(([role, description]) => console.log(`  ${role.padEnd(12)} ${description}`));
+      return 0;
+    case 'set': {
+      if (!args.role || !args.username) {
+        console.log(USAGE);
+        return 1;
+      }
+      const password = await readPassword();
+      if (!password) {
+        throw new Error('No password given');
+      }
+      const data = CredentialVault.readVault();
+      data[environment] = { ...data[environment], [args.role]: { username: args.username, password } };
+      CredentialVault.writeVault(data);
+      console.log(`Stored "${args.role}" (${args.username}) for "${environment}" in ${path.relative(process.cwd(), CredentialVault.vaultPath)}`);
+      return 0;
+    }
+    case 'remove': {
+      const data = CredentialVault.readVault();
+      if (!args.role || !data[environment] || !data[environment][args.role]) {
+        console.log(`No stored account "${args.role}" for "${environment}"`);
+        return 1;
+      }
+      delete data[environment][args.role];
+      CredentialVault.writeVault(data);
+      console.log(`Removed "${args.role}" for "${environment}"`);
+      return 0;
+    }
+    default:
+      console.log(USAGE);
+      return args.command === '--help' ? 0 : 1;
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
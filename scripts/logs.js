@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+const path = require('path');
+const { TestLogContext } = require('../utils/testLogContext');
+
+const USAGE = `Show log entries of the last run
+
+Usage: npm run logs -- [options]
+
+Reads ${path.relative(process.cwd(), TestLogContext.runLogPath)}, which holds every log entry of the last run
+tagged with the test that wrote it.
+
+Options:
+  --test <id|title>      Only this test (test ID, or part of the title)
+  --project <name>       Only this browser project (e.g. chromium)
+  --retry <n>            Only this attempt (0 = first run)
+  --level <level>        Only this level (error, warn, info, debug)
+  --step <title>         Only entries logged inside a step whose path contains <title>
+  --json                 Print the raw JSON lines
+  --help                 Show this help
+`;
+
+const OPTIONS = ['--test', '--project', '--retry', '--level', '--step'];
+
+function parseArgs(argv) {
+  const args = { filter: {}, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (OPTIONS.includes(arg)) {
+      args.filter[arg.slice(2)] = argv[++i];
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--help') {
+      args.help = true;
+    } else {
+      args.unknown = arg;
+    }
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || args.unknown) {
+    console.log(USAGE);
+    return args.unknown ? 1 : 0;
+  }
+
+  const entries = TestLogContext.readRun(args.filter);
+  if (args.json) {
+    entries.forEach(entry => console.log(JSON.stringify(entry)));
+    return 0;
+  }
+  let currentTest;
+  for (const entry of entries) {
+    const testKey = entry.testId ? `${entry.project} › ${entry.test}${entry.retry > 0 ? ` (retry ${entry.retry})` : ''}` : '(outside tests)';
+    if (testKey !== currentTest) {
+      currentTest = testKey;
+      console.log(`\n${testKey}`);
+    }
+    console.log(`  ${entry.timestamp} [${entry.level}]${entry.step ? ` ${entry.step} ›` : ''} ${entry.message}`);
+  }
+  if (entries.length === 0) {
+    console.log('  (no matching log entries)');
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+const path = require('path');
+const { SecretScanner } = require('../utils/secretScanner');
+const { Environment } = require('../utils/environment');
+
+const USAGE = `Scan run artifacts for secrets
+
+Usage: npm run secrets:check -- [options]
+
+Looks for the configured passwords and tokens, unredacted bearer tokens, JWTs and password fields in the names
+and contents of:
+${SecretScanner.artifactDirs.map(dir => `  ${path.relative(process.cwd(), dir)}/`).join('\n')}
+
+Options:
+  --traces               Also fail on findings inside Playwright traces (trace.zip)
+  --help                 Show this help
+`;
+
+function main(argv) {
+  if (argv.includes('--help') || argv.some(arg => arg !== '--traces')) {
+    console.log(USAGE);
+    return argv.includes('--help') ? 0 : 1;
+  }
+  // Loads .env and the TEST_ENV profile, so the passwords a run would use are known secrets
+  Environment.apply();
+
+  const findings = SecretScanner.scan();
+  console.log(SecretScanner.format(findings));
+  const failing = argv.includes('--traces') ? findings : findings.filter(finding => !finding.trace);
+  return failing.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+const { ArtifactRegistry, ENTITY_TYPES } = require('../utils/testArtifacts');
+const { Environment } = require('../utils/environment');
+
+const USAGE = `Delete test artifacts left behind by earlier runs
+
+Usage: npm run sweep -- [options]
+
+Removes Task Bots, Forms and Learning Instances named E2E_<runId>_... (see utils/testArtifacts.js)
+from the environment selected by TEST_ENV, using the API.
+
+Options:
+  --dry-run              Only list what would be deleted
+  --older-than <min>     Only artifacts created more than <min> minutes ago (default 60)
+  --type <type>          Only this entity type (${Object.keys(ENTITY_TYPES).join(', ')}); repeatable
+  --help                 Show this help
+`;
+
+function parseArgs(argv) {
+  const args = { dryRun: false, types: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--older-than') {
+      args.olderThanMinutes = Number(argv[++i]);
+    } else if (arg === '--type') {
+      args.types.push(argv[++i]);
+    } else if (arg === '--help') {
+      args.help = true;
+    } else {
+      args.unknown = arg;
+    }
+  }
+  return args;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || args.unknown) {
+    console.log(USAGE);
+    return args.unknown ? 1 : 0;
+  }
+  if (args.olderThanMinutes !== undefined && !(args.olderThanMinutes >= 0)) {
+    console.error('--older-than takes a number of minutes');
+    return 1;
+  }
+  const unknownType = args.types.find(type => !ENTITY_TYPES[type]);
+  if (unknownType) {
+    console.error(`Unknown type "${unknownType}" (one of ${Object.keys(ENTITY_TYPES).join(', ')})`);
+    return 1;
+  }
+
+  const environment = Environment.get();
+  console.log(`Sweeping ${environment.name} (${environment.apiBaseURL})${args.dryRun ? ' - dry run' : ''}`);
+  const results = await ArtifactRegistry.sweepEnvironment({
+    dryRun: args.dryRun,
+    olderThanMinutes: args.olderThanMinutes,
+    types: args.types.length > 0 ? args.types : undefined
+  });
+
+  if (results.length === 0) {
+    console.log('  (nothing to sweep)');
+    return 0;
+  }
+  for (const result of results) {
+    const state = args.dryRun ? 'would delete' : (result.deleted ? 'deleted' : `failed (${result.error})`);
+    console.log(`  ${ENTITY_TYPES[result.type].label} "${result.name}"  ${result.createdAt}  ${state}`);
+  }
+  return results.some(result => !args.dryRun && !result.deleted) ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  error => {
+    console.error(`Sweep failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+);
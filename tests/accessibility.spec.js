@@ -0,0 +1,62 @@
+const { test, expect } = require('../fixtures');
+const logger = require('../utils/logger');
+const { AuthSession } = require('../utils/authSession');
+const AccessibilityHelper = require('../utils/accessibility');
+const { Environment } = require('../utils/environment');
+
+/**
+ * Accessibility audits (WCAG rule engine)
+ *
+ * Runs utils/a11yRules.js against the mock Task Bot editor, which must have no violations, and
+ * against an injected fragment with an unlabeled input and a skipped heading level, which must
+ * fail the label rule and only fail heading-order once failOn is lowered to 'low'.
+ */
+test.describe('Accessibility audits', () => {
+  // Start from the session stored by global setup when one is available
+  test.use({ storageState: AuthSession.storageState() });
+
+  test.beforeEach(async ({ loginPage, credentials }) => {
+    await loginPage.navigateToLogin();
+    if (await loginPage.hasActiveSession()) {
+      logger.info('Reusing authenticated session from global setup');
+    } else {
+      await loginPage.login(credentials.username, credentials.password);
+    }
+    expect(await loginPage.isLoggedIn()).toBeTruthy();
+  });
+
+  test('@ui @a11y Task Bot editor passes the WCAG rule engine', async ({ page, automationPage, taskBotPage, factories }) => {
+    // Only the mock app is held to zero violations; the live Control Room's markup is outside this suite's control
+    test.skip(!Environment.get().mockServer, 'Runs against the mock Control Room (TEST_ENV=local-mock)');
+    await automationPage.navigateToAutomation();
+    await automationPage.selectTaskBot();
+    await taskBotPage.fillTaskBotForm(factories.taskBot.name('A11yBot'), 'Accessibility audit');
+    await taskBotPage.createTaskBot();
+    await taskBotPage.addMessageBoxAction();
+
+    const results = await AccessibilityHelper.expectAccessible(page, 'task-bot-editor');
+    expect(results.issues.filter(issue => issue.ruleId === 'audit-error')).toEqual([]);
+  });
+
+  test('@ui @a11y Rule engine fails an unlabeled input and gates on severity', async ({ page }) => {
+    // Audit an injected fragment so the findings do not depend on the host's own markup
+    await page.locator('main').first().evaluate(main => {
+      main.insertAdjacentHTML('beforeend', '<section id="a11y-fixture"><h1>Audit fixture</h1><h4>Skipped level</h4><input type="text" placeholder="Unlabeled"></section>');
+    });
+
+    const high = await AccessibilityHelper.checkAccessibility(page, 'unlabeled-input', { rules: ['label', 'heading-order'], context: '#a11y-fixture' });
+    expect(high.passed).toBeFalsy();
+    expect(high.violations.map(issue => issue.ruleId)).toEqual(['label']);
+    expect(high.violations[0].selector).toContain('#a11y-fixture');
+    expect(high.violations[0].message).toContain('a placeholder is not a label');
+    expect(high.issues.find(issue => issue.ruleId === 'heading-order').type).toBe('warning');
+
+    const low = await AccessibilityHelper.checkAccessibility(page, 'unlabeled-input', { rules: ['label', 'heading-order'], context: '#a11y-fixture', failOn: 'low' });
+    expect(low.violations.map(issue => issue.ruleId).sort()).toEqual(['heading-order', 'label']);
+
+    // Labelling the control clears the finding
+    await page.locator('#a11y-fixture input').evaluate(input => input.setAttribute('aria-label', 'Now labelled'));
+    const fixed = await AccessibilityHelper.checkAccessibility(page, 'labelled-input', { rules: ['label'], context: '#a11y-fixture' });
+    expect(fixed.passed).toBeTruthy();
+  });
+});
@@ -0,0 +1,63 @@
+const { test, expect } = require('../fixtures');
+const { ApiContract, inferSchema, mergeSchemas } = require('../utils/apiContract');
+
+/**
+ * API contract drift rules
+ *
+ * Runs ApiContract.diff() on contracts built from sample bodies, the way fromRun() merges them.
+ * Pure schema checks; they need neither a browser nor the network.
+ */
+test.describe('API contract drift', () => {
+  test.use({ requiresNetwork: false });
+
+  /**
+   * Contract of one endpoint whose responses with the given status had these bodies
+   */
+  function contractOf(bodies, status = 200, endpoint = 'GET /v1/repository/files/{id}') {
+    const schema = bodies.map(inferSchema).reduce((merged, sample) => mergeSchemas(merged, sample), null);
+    return { endpoints: { [endpoint]: { request: null, responses: { [status]: schema } } } };
+  }
+
+  const breakingOf = changes => changes.filter(change => change.breaking);
+
+  test('A field that switches between null and a value is reported but not breaking', () => {
+    // elementId is null until the form file is linked to an element
+    const unlinked = { id: 7, name: 'Invoice', elementId: null };
+    const linked = { id: 7, name: 'Invoice', elementId: 'el-42' };
+
+    const toValue = ApiContract.diff(contractOf([unlinked, unlinked]), contractOf([linked, linked]));
+    expect(toValue).toEqual([expect.objectContaining({ change: 'retyped', location: 'response 200 $.elementId', from: 'null', to: 'string', breaking: false })]);
+
+    const toNull = ApiContract.diff(contractOf([linked, linked]), contractOf([unlinked, linked]));
+    expect(toNull).toEqual([expect.objectContaining({ change: 'retyped', from: 'string', to: 'null | string', breaking: false })]);
+
+    // A real type change next to null still breaks
+    const retyped = ApiContract.diff(contractOf([unlinked, linked]), contractOf([{ ...linked, elementId: 42 }, linked]));
+    expect(breakingOf(retyped)).toEqual([expect.objectContaining({ location: 'response 200 $.elementId', from: 'null | string', to: 'integer | string' })]);
+  });
+
+  test('A field only counts as always present after more than one sample', () => {
+    const withLocale = { id: 7, name: 'Invoice', locale: 'en-US' };
+    const withoutLocale = { id: 7, name: 'Invoice' };
+
+    // One sample cannot tell a required field from an optional one
+    const fromOneSample = ApiContract.diff(contractOf([withLocale]), contractOf([withoutLocale, withoutLocale]));
+    expect(fromOneSample).toEqual([expect.objectContaining({ change: 'removed', location: 'response 200 $.locale', breaking: false })]);
+    expect(ApiContract.diff(contractOf([withLocale]), contractOf([withLocale, withoutLocale]))).toEqual([]);
+
+    // Present in every sample of the contract: dropping it breaks clients
+    const removed = ApiContract.diff(contractOf([withLocale, withLocale]), contractOf([withoutLocale, withoutLocale]));
+    expect(removed).toEqual([expect.objectContaining({ change: 'removed', breaking: true })]);
+    const optional = ApiContract.diff(contractOf([withLocale, withLocale]), contractOf([withLocale, withoutLocale]));
+    expect(optional).toEqual([expect.objectContaining({ change: 'optional', location: 'response 200 $.locale', breaking: true })]);
+  });
+
+  test('Samples add up across merges and contracts without a count are one sample', () => {
+    const body = { id: 7, name: 'Invoice' };
+    expect(contractOf([body, body, body]).endpoints['GET /v1/repository/files/{id}'].responses[200].samples).toBe(3);
+
+    const legacy = contractOf([body, body]);
+    delete legacy.endpoints['GET /v1/repository/files/{id}'].responses[200].samples;
+    expect(ApiContract.diff(legacy, contractOf([{ id: 7 }, { id: 7 }]))).toEqual([expect.objectContaining({ change: 'removed', location: 'response 200 $.name', breaking: false })]);
+  });
+});
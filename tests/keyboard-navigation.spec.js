@@ -0,0 +1,99 @@
+const { test, expect } = require('../fixtures');
+const logger = require('../utils/logger');
+const { AuthSession } = require('../utils/authSession');
+const { KeyboardWalker } = require('../utils/keyboardWalker');
+
+/**
+ * Keyboard navigation (accessibility)
+ *
+ * Tabs through the Task Bot editor and the Form designer, recording the focus order and
+ * failing on focus traps, invisible focus or stops out of the expected order. The Create
+ * Task Bot modal and the Learning Instance wizard must take focus, keep it while open and
+ * hand it back to their opener when closed.
+ */
+test.describe('Keyboard navigation', () => {
+  // Start from the session stored by global setup when one is available
+  test.use({ storageState: AuthSession.storageState() });
+
+  test.beforeEach(async ({ loginPage, credentials }) => {
+    await loginPage.navigateToLogin();
+    if (await loginPage.hasActiveSession()) {
+      logger.info('Reusing authenticated session from global setup');
+    } else {
+      await loginPage.login(credentials.username, credentials.password);
+    }
+    expect(await loginPage.isLoggedIn()).toBeTruthy();
+  });
+
+  /**
+   * Log the issues of a walk and attach the recorded focus order to the report
+   */
+  async function reportWalk(testInfo, name, walk) {
+    walk.issues.forEach(issue => logger.warn(`${name} [${issue.type}]: ${issue.message}`));
+    await testInfo.attach(`${name}-focus-order.json`, {
+      body: JSON.stringify(walk, null, 2),
+      contentType: 'application/json'
+    });
+  }
+
+  test('@ui @a11y Task Bot editor can be walked with the keyboard in order', async ({ page, automationPage, taskBotPage, factories }, testInfo) => {
+    await automationPage.navigateToAutomation();
+    await automationPage.selectTaskBot();
+    await taskBotPage.fillTaskBotForm(factories.taskBot.name('KeyboardBot'), 'Keyboard navigation check');
+    await taskBotPage.createTaskBot();
+
+    const walk = await KeyboardWalker.walk(page, {
+      expected: ['button "Save"', 'button "Close"', 'searchbox "Search actions"', 'menuitem "Message box"']
+    });
+    await reportWalk(testInfo, 'task-bot-editor', walk);
+
+    expect(walk.trap, 'focus trap in the Task Bot editor').toBeNull();
+    expect(walk.orderMismatches).toEqual([]);
+    expect(walk.passed).toBeTruthy();
+  });
+
+  test('@ui @a11y Form designer can be walked with the keyboard in order', async ({ page, automationPage, formPage, factories }, testInfo) => {
+    await automationPage.navigateToAutomation();
+    await automationPage.selectForm();
+    await formPage.fillFormCreationForm(factories.form.name('KeyboardForm'), 'Keyboard navigation check');
+    await formPage.createForm();
+
+    const walk = await KeyboardWalker.walk(page, {
+      expected: ['button "Save"', 'button "Textbox"', 'button "Select File"']
+    });
+    await reportWalk(testInfo, 'form-designer', walk);
+
+    expect(walk.trap, 'focus trap in the Form designer').toBeNull();
+    expect(walk.orderMismatches).toEqual([]);
+    expect(walk.passed).toBeTruthy();
+  });
+
+  test('@ui @a11y Create Task Bot modal traps focus and restores it on close', async ({ page, automationPage }) => {
+    await automationPage.navigateToAutomation();
+    const createButton = (await automationPage.locators.resolve('automation.createButton')).locator;
+
+    const result = await KeyboardWalker.verifyModalFocus(page, {
+      open: () => automationPage.selectTaskBot(),
+      restoreTo: createButton
+    });
+    result.issues.forEach(issue => logger.warn(`Create Task Bot modal [${issue.type}]: ${issue.message}`));
+
+    expect(result.focusMovedIn).toBeTruthy();
+    expect(result.trapped).toBeTruthy();
+    expect(result.restored).toBeTruthy();
+  });
+
+  test('@ui @a11y Learning Instance wizard traps focus and restores it on close', async ({ page, automationPage, learningInstancePage }) => {
+    await automationPage.navigateToLearningInstance();
+
+    const result = await KeyboardWalker.verifyModalFocus(page, {
+      open: () => learningInstancePage.clickCreateInstance(),
+      restoreTo: page.getByRole('button', { name: 'Create Learning Instance', exact: true })
+    });
+    result.issues.forEach(issue => logger.warn(`Learning Instance wizard [${issue.type}]: ${issue.message}`));
+
+    expect(result.focusMovedIn).toBeTruthy();
+    expect(result.trapped).toBeTruthy();
+    expect(result.restored).toBeTruthy();
+  });
+});
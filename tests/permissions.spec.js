@@ -0,0 +1,125 @@
+const { test, expect } = require('../fixtures');
+const logger = require('../utils/logger');
+const { matrixCases } = require('../utils/dataDriven');
+const { CredentialVault } = require('../utils/credentialVault');
+const { uniqueName } = require('../utils/artifactNames');
+
+/**
+ * Role-based permissions
+ *
+ * Drives the Create dropdown and the AI menu, and the matching API calls, once per role of the
+ * permission matrix in test-data/permissions.json (role × action × expected outcome):
+ *   ui   enabled  - the control can be used
+ *        disabled - the control shows but is greyed out (disabled or aria-disabled)
+ *        hidden   - the control is not shown at all
+ *   api  allowed  - the call succeeds
+ *        denied   - the call is rejected with 403 Forbidden
+ * ui entries name the control's locator (value) and the menu it sits in (create or ai).
+ * Roles without an account in the environment are skipped (see utils/credentialVault.js).
+ */
+const UI_OUTCOMES = ['enabled', 'disabled', 'hidden'];
+const API_OUTCOMES = ['allowed', 'denied'];
+
+/**
+ * Page object call that needs the control of a ui matrix entry
+ */
+const UI_ACTIONS = {
+  createMenu: automationPage => automationPage.clickCreateDropdown(),
+  createTaskBot: automationPage => automationPage.selectTaskBot(),
+  createForm: automationPage => automationPage.selectForm(),
+  aiMenu: automationPage => automationPage.navigateToLearningInstance(),
+  documentAutomation: automationPage => automationPage.navigateToLearningInstance()
+};
+
+/**
+ * Run one api matrix entry as the test's role
+ * Entities the role needs to exist are created by factories (as admin); everything the role creates is
+ * registered with them, so cleanup runs whatever the outcome.
+ */
+async function callApi(controlRoom, factories, { resource, action }) {
+  const factory = {
+    bots: factories.taskBot,
+    forms: factories.form,
+    learningInstances: factories.learningInstance
+  }[resource];
+  const api = controlRoom[resource];
+
+  switch (action) {
+    case 'list':
+      return await api.list();
+    case 'create': {
+      // Registered only once the create succeeded; a denied create leaves nothing to clean up
+      const name = uniqueName(`Permission_${resource}`);
+      const entity = await api.create({ name });
+      factory.register({ id: entity.id, name: entity.name || name });
+      return entity;
+    }
+    case 'update': {
+      const existing = await factory.create({}, `Permission_${resource}`);
+      return await api.update(existing.id, { description: 'Updated by the permission suite' });
+    }
+    case 'delete': {
+      const existing = await factory.create({}, `Permission_${resource}`);
+      return await api.delete(existing.id);
+    }
+    default:
+      throw new Error(`Unknown API action "${action}" in test-data/permissions.json`);
+  }
+}
+
+test.describe('Role-based permissions', () => {
+  for (const role of Object.keys(CredentialVault.roles)) {
+    test.describe(`as ${role}`, () => {
+      test.use({ role });
+
+      test.describe('UI', () => {
+        test.beforeEach(async ({ loginPage, automationPage, credentials }) => {
+          await loginPage.navigateToLogin();
+          await loginPage.login(credentials.username, credentials.password);
+          expect(await loginPage.isLoggedIn()).toBeTruthy();
+          await automationPage.navigateToAutomation();
+        });
+
+        for (const testCase of matrixCases({ file: 'permissions', section: 'ui', role, tags: ['@ui', '@permissions'], outcomes: UI_OUTCOMES })) {
+          test(testCase.title, testCase.details, async ({ automationPage }) => {
+            const access = testCase.menu === 'ai'
+              ? await automationPage.getAiMenuAccess()
+              : await automationPage.getCreateMenuAccess();
+
+            await test.step(`${testCase.value} is ${testCase.expected}`, async () => {
+              expect(access[testCase.value], `${testCase.description} for ${role}`).toBe(testCase.expected);
+            });
+
+            if (testCase.expected === 'disabled') {
+              await test.step('The page object refuses the disabled control', async () => {
+                await expect(UI_ACTIONS[testCase.key](automationPage)).rejects.toThrow(/disabled for this account/);
+              });
+            }
+          });
+        }
+      });
+
+      test.describe('API', () => {
+        for (const testCase of matrixCases({ file: 'permissions', section: 'api', role, tags: ['@api', '@permissions'], outcomes: API_OUTCOMES })) {
+          test(testCase.title, testCase.details, async ({ controlRoom, factories }) => {
+            const { resource, action } = testCase.value;
+            let error = null;
+            try {
+              await callApi(controlRoom, factories, testCase.value);
+            } catch (caught) {
+              error = caught;
+            }
+            logger.info(`${role} ${action} ${resource}: ${error ? `${error.status || ''} ${error.message}` : 'succeeded'}`);
+
+            if (testCase.expected === 'allowed') {
+              expect(error, `${action} ${resource} should succeed for ${role}`).toBeNull();
+            } else {
+              expect(error, `${action} ${resource} should be rejected for ${role}`).not.toBeNull();
+              expect(error.status, error.message).toBe(403);
+            }
+          });
+        }
+      });
+    });
+  }
+});
@@ -0,0 +1,106 @@
+const { test, expect } = require('../fixtures');
+const logger = require('../utils/logger');
+const { AuthSession } = require('../utils/authSession');
+const { TaskBotPage } = require('../pages/TaskBotPage');
+
+/**
+ * Task Bot actions
+ *
+ * Builds a bot from the actions described in pages/actions.js with the generic
+ * TaskBotPage.addAction() / configureAction(), nesting actions inside Loop and If (into) and
+ * disabling some (enabled: false). The flow read back from the editor and the bot saved through
+ * the API must both match the expected tree (flow) with expect().toMatchFlow().
+ * The bots live in test-data/taskBotActions.json, so a new bot only needs a JSON edit.
+ */
+
+/**
+ * Positions of the actions as they are added: the next free one at the end of the flow or of a container
+ */
+function positionTracker() {
+  const counts = {};
+  return into => {
+    const prefix = into ? `${into}.` : '';
+    counts[prefix] = (counts[prefix] || 0) + 1;
+    return `${prefix}${counts[prefix]}`;
+  };
+}
+
+test.describe('Task Bot actions', () => {
+  // Start from the session stored by global setup when one is available
+  test.use({ storageState: AuthSession.storageState(), testDataFile: 'taskBotActions' });
+
+  test.beforeEach(async ({ loginPage, credentials }) => {
+    await loginPage.navigateToLogin();
+    if (await loginPage.hasActiveSession()) {
+      logger.info('Reusing authenticated session from global setup');
+    } else {
+      await loginPage.login(credentials.username, credentials.password);
+    }
+    expect(await loginPage.isLoggedIn()).toBeTruthy();
+  });
+
+  test('@ui Build a bot from String, Number, Loop, If, Delay, Log to file and Excel actions', async ({ automationPage, taskBotPage, controlRoom, factories, testData }) => {
+    const bot = testData.get('excelReport');
+    const name = factories.taskBot.name('ActionsBot');
+
+    await test.step('Create the Task Bot', async () => {
+      await automationPage.navigateToAutomation();
+      await automationPage.selectTaskBot();
+      await taskBotPage.fillTaskBotForm(name, bot.description);
+      await taskBotPage.createTaskBot();
+    });
+
+    const nextPosition = positionTracker();
+    for (const step of bot.actions) {
+      const position = nextPosition(step.into);
+      await test.step(`Add and configure ${position} ${step.action}`, async () => {
+        await taskBotPage.addAction(step.action, { into: step.into });
+        await taskBotPage.configureAction(step.action, step.fields);
+        if (step.enabled === false) {
+          await taskBotPage.setActionEnabled(position, false);
+        }
+      });
+    }
+
+    await test.step('The editor shows the expected flow', async () => {
+      expect(await taskBotPage.readFlow()).toMatchFlow(bot.flow);
+    });
+
+    await test.step('Save the bot', async () => {
+      await taskBotPage.saveConfiguration();
+    });
+
+    await test.step('The saved bot has the expected flow', async () => {
+      const saved = await controlRoom.bots.findByName(name);
+      expect(saved, `bot ${name} was saved`).not.toBeNull();
+      expect(await controlRoom.bots.get(saved.id)).toMatchFlow(bot.flow);
+    });
+  });
+});
+
+test.describe('Task Bot action descriptors', () => {
+  // Descriptor and matcher checks; no browser page and no network
+  test.use({ requiresNetwork: false });
+
+  test('Unknown actions and fields are rejected with the described ones', () => {
+    expect(() => TaskBotPage.actionDescriptor('sendEmail')).toThrow(/Unknown Task Bot action "sendEmail".*stringAssign/);
+    // configureAction() runs the same check before it touches the page
+    expect(() => TaskBotPage.checkActionFields('delay', { seconds: '2' })).toThrow(/Delay > Delay has no field seconds\. Fields: unit, duration/);
+    expect(TaskBotPage.checkActionFields('delay', { unit: 'Seconds', duration: '2' }).label).toBe('Delay');
+  });
+
+  test('Flow differences are reported by position', async () => {
+    const saved = {
+      actions: [
+        { type: 'loop', enabled: true, fields: { times: '3' }, children: [
+          { type: 'delay', enabled: true, fields: { duration: '2' } }
+        ] },
+        { type: 'messageBox', enabled: true, fields: {} }
+      ]
+    };
+    expect(saved).toMatchFlow([{ action: 'loop', children: ['delay'] }, 'messageBox']);
+    expect(() => expect(saved).toMatchFlow([
+      { action: 'loop', fields: { times: '4' }, children: ['numberIncrement', { action: 'delay', enabled: false }] }
+    ])).toThrow(/1: loop\.times: expected "4", got "3"\n\s+1\.1: missing numberIncrement\n\s+1\.1: delay: expected disabled, got enabled\n\s+2: unexpected messageBox/);
+  });
+});
@@ -0,0 +1,47 @@
+const { test, expect } = require('../fixtures');
+const testDataManager = require('../utils/testData');
+
+/**
+ * Test data overlays
+ *
+ * test-data/env/<profile>/<name>.json is merged over test-data/<name>.json for the selected
+ * environment profile: objects key by key, while values, arrays and generators are replaced.
+ * Pure data checks; they need neither a browser nor the network.
+ */
+test.describe('Test data overlays', () => {
+  test.use({ requiresNetwork: false });
+
+  test('The local-mock overlay overrides only the keys it lists', () => {
+    const base = testDataManager.loadTestData('learningInstance', { environment: 'community-cloud' });
+    const merged = testDataManager.loadTestData('learningInstance', { environment: 'local-mock' });
+    const overlay = testDataManager.readOverlay('learningInstance', 'local-mock');
+    expect(overlay, 'test-data/env/local-mock/learningInstance.json exists').not.toBeNull();
+
+    expect(merged.valid.description).toBe(overlay.valid.description);
+    expect(merged.valid.description).not.toBe(base.valid.description);
+    // Siblings of an overridden key come from the base file
+    expect(merged.valid.instanceName).toBe(base.valid.instanceName);
+    expect(merged.valid.type).toBe(base.valid.type);
+    expect(merged.invalid).toEqual(base.invalid);
+    // The overlay's generator replaces the base one and is resolved
+    expect(base.edgeCases.veryLongDescription).toHaveLength(1000);
+    expect(merged.edgeCases.veryLongDescription).toHaveLength(200);
+  });
+
+  test('Objects merge key by key; values, arrays and generators are replaced', () => {
+    const base = {
+      valid: { name: 'Base', fileTypes: ['.txt', '.pdf'], nested: { a: 1, b: 2 } },
+      generated: { $gen: 'repeat', value: 'A', count: 5 }
+    };
+    const overlay = {
+      valid: { fileTypes: ['.pdf'], nested: { b: 3 }, extra: true },
+      generated: { $gen: 'repeat', value: 'B', count: 2 }
+    };
+    expect(testDataManager.mergeData(base, overlay)).toEqual({
+      valid: { name: 'Base', fileTypes: ['.pdf'], nested: { a: 1, b: 3 }, extra: true },
+      generated: { $gen: 'repeat', value: 'B', count: 2 }
+    });
+    // The base data is left untouched
+    expect(base.valid.fileTypes).toEqual(['.txt', '.pdf']);
+  });
+});
@@ -1,8 +1,6 @@
-const { test, expect } = require('@playwright/test');
-const { LoginPage } = require('../pages/LoginPage');
-const { AutomationPage } = require('../pages/AutomationPage');
-const { FormPage } = require('../pages/FormPage');
+const { test, expect } = require('../fixtures');
 const logger = require('../utils/logger');
+const { AuthSession } = require('../utils/authSession');
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs');
@@ -24,6 +22,9 @@ dotenv.config({ path: path.resolve(process.cwd(), '.env') });
  * 8. Save the form and verify whether the document is uploaded successfully
  */
 test.describe('Use Case 2: Form with Upload Flow', () => {
+  // Start from the session stored by global setup when one is available
+  test.use({ storageState: AuthSession.storageState() });
+
   // Create a test file for upload
   const testFilePath = path.resolve(process.cwd(), 'test-files/test-document.txt');
   
@@ -40,29 +41,19 @@ test.describe('Use Case 2: Form with Upload Flow', () => {
     }
   });
 
-  test('@ui Create form with Textbox and File Upload, verify upload functionality', async ({ page }) => {
-    const loginPage = new LoginPage(page);
-    const automationPage = new AutomationPage(page);
-    const formPage = new FormPage(page);
-
+  test('@ui Create form with Textbox and File Upload, verify upload functionality', async ({ page, loginPage, automationPage, formPage, credentials, factories }) => {
     // Step 1: Log in to the application
     await test.step('Login to application', async () => {
-      const Helpers = require('../utils/helpers');
-      try {
-        await loginPage.navigateToLogin();
-      } catch (error) {
-        if (Helpers.isDNSError(error)) {
-          const baseURL = process.env.BASE_URL || 'https://www.automationanywhere.com/products/enterprise/community-edition';
-          test.skip(true, Helpers.getDNSErrorMessage(error, baseURL));
-          return;
-        }
-        throw error;
-      }
+      await loginPage.navigateToLogin();
       
-      const username = process.env.USERNAME || 'your-username';
-      const password = process.env.PASSWORD || 'your-password';
+      const { username, password } = credentials;
       
-      await loginPage.login(username, password);
+      // A session stored by global setup skips the login form entirely
+      if (await loginPage.hasActiveSession()) {
+        logger.info('Reusing authenticated session from global setup');
+      } else {
+        await loginPage.login(username, password);
+      }
       
       // Assert: Verify login was successful
       const isLoggedIn = await loginPage.isLoggedIn();
@@ -100,7 +91,7 @@ test.describe('Use Case 2: Form with Upload Flow', () => {
 
     // Step 4: Fill in all mandatory details and click the Create button
     await test.step('Fill Form creation form and create', async () => {
-      const formName = `TestForm_${Date.now()}`;
+      const formName = factories.form.name('TestForm');
       const formDescription = 'Automated test form with Textbox and File Upload';
       
       await formPage.fillFormCreationForm(formName, formDescription);
@@ -1,9 +1,6 @@
-const { test, expect } = require('@playwright/test');
-const { APIHelper } = require('../utils/apiHelper');
-const { LoginPage } = require('../pages/LoginPage');
-const { AutomationPage } = require('../pages/AutomationPage');
-const { LearningInstancePage } = require('../pages/LearningInstancePage');
+const { test, expect } = require('../fixtures');
 const logger = require('../utils/logger');
+const { ControlRoomClient, ControlRoomApiError } = require('../utils/controlRoomClient');
 const dotenv = require('dotenv');
 const path = require('path');
 
@@ -28,175 +25,17 @@ dotenv.config({ path: path.resolve(process.cwd(), '.env') });
  *   • Functional accuracy (e.g., instance created with correct data and status)
  */
 test.describe('Use Case 3: Learning Instance API Flow', () => {
-  let apiContext;
-  let apiHelper;
   let authToken = '';
 
-  test.beforeAll(async ({ playwright }) => {
-    // Create API context
-    apiContext = await playwright.request.newContext({
-      baseURL: process.env.API_BASE_URL || process.env.BASE_URL?.replace(/#.*$/, '') || 'https://community2.cloud-2.automationanywhere.digital'
-    });
-    apiHelper = new APIHelper(apiContext);
-  });
-
-  test.afterAll(async () => {
-    await apiContext.dispose();
-  });
-
-  /**
-   * Helper function to log all network requests for API endpoint identification
-   */
-  function setupNetworkLogging(page, filterPattern = null) {
-    const networkLog = [];
-    
-    page.on('request', async (request) => {
-      const url = request.url();
-      const shouldLog = !filterPattern || 
-                       url.includes('/api/') || 
-                       url.includes('/v1/') || 
-                       url.includes('/v2/') ||
-                       url.match(filterPattern);
-      
-      if (shouldLog) {
-        const logEntry = {
-          type: 'REQUEST',
-          method: request.method(),
-          url,
-          headers: request.headers(),
-          postData: request.postData() ? (() => {
-            try {
-              return JSON.parse(request.postData());
-            } catch {
-              return request.postData();
-            }
-          })() : null,
-          timestamp: Date.now()
-        };
-        networkLog.push(logEntry);
-        console.log(`[NETWORK] ${request.method()} ${url}`);
-      }
-    });
-    
-    page.on('response', async (response) => {
-      const url = response.url();
-      const shouldLog = !filterPattern || 
-                       url.includes('/api/') || 
-                       url.includes('/v1/') || 
-                       url.includes('/v2/') ||
-                       url.match(filterPattern);
-      
-      if (shouldLog) {
-        const logEntry = {
-          type: 'RESPONSE',
-          method: 'GET', // Will be updated from request
-          url,
-          status: response.status(),
-          headers: response.headers(),
-          timestamp: Date.now()
-        };
-        
-        // Try to get response body
-        try {
-          const contentType = response.headers()['content-type'] || '';
-          if (contentType.includes('application/json')) {
-            logEntry.body = await response.json();
-          } else {
-            logEntry.body = await response.text().catch(() => '');
-          }
-        } catch (e) {
-          logEntry.body = null;
-        }
-        
-        networkLog.push(logEntry);
-        console.log(`[NETWORK] ${response.status()} ${url}`);
-      }
-    });
-    
-    return networkLog;
-  }
-
-  test('@api Create Learning Instance and validate API responses', async ({ page, request }) => {
-    const loginPage = new LoginPage(page);
-    const automationPage = new AutomationPage(page);
-    const learningInstancePage = new LearningInstancePage(page);
-
-    // Store all captured API calls for analysis
-    const allApiCalls = [];
+  test('@api Create Learning Instance and validate API responses', async ({ page, request, loginPage, automationPage, learningInstancePage, credentials, factories, networkRecorder, networkMode }) => {
+    // networkRecorder captures every /api/ and /v<n>/ call of this test and attaches them as a HAR file
     let instanceId = null;
-    
-    // Set up comprehensive network logging to identify API endpoints
-    console.log('\n=== Setting up network logging to identify API endpoints ===');
-    const networkLog = setupNetworkLogging(page, /\/api\/|\/v\d+\//);
 
     // Step 1: Perform login using the provided credentials
     await test.step('Login via UI and capture API calls', async () => {
-      const Helpers = require('../utils/helpers');
-      try {
-        await loginPage.navigateToLogin();
-      } catch (error) {
-        if (Helpers.isDNSError(error)) {
-          const baseURL = process.env.BASE_URL || 'https://www.automationanywhere.com/products/enterprise/community-edition';
-          test.skip(true, Helpers.getDNSErrorMessage(error, baseURL));
-          return;
-        }
-        throw error;
-      }
-      
-      const username = process.env.USERNAME || 'your-username';
-      const password = process.env.PASSWORD || 'your-password';
-      
-      // Set up network interception BEFORE login to capture all API calls
-      const loginApiResponses = [];
-      
-      page.on('response', async (response) => {
-        const url = response.url();
-        // Capture all API-related calls (adjust patterns based on actual API structure)
-        if (url.includes('/api/') || 
-            url.includes('/auth/') || 
-            url.includes('/login') ||
-            url.includes('/v1/') ||
-            url.includes('/v2/') ||
-            url.match(/\/api\/v\d+\//)) {
-          
-          const apiCall = {
-            url,
-            method: 'GET', // Will be updated from request
-            status: response.status(),
-            headers: response.headers(),
-            timestamp: Date.now()
-          };
-          
-          loginApiResponses.push(apiCall);
-          allApiCalls.push(apiCall);
-          
-          // Extract auth token if available
-          if (url.includes('/auth/') || url.includes('/login') || url.includes('/authenticate')) {
-            try {
-              const body = await response.json();
-              if (body.token || body.accessToken || body.access_token) {
-                authToken = body.token || body.accessToken || body.access_token;
-                apiHelper.setAuthToken(authToken);
-                console.log('Auth token captured from login API');
-              }
-            } catch (e) {
-              // Response might not be JSON
-            }
-          }
-        }
-      });
+      await loginPage.navigateToLogin();
       
-      // Also capture requests to get method and body
-      page.on('request', async (request) => {
-        const url = request.url();
-        if (url.includes('/api/') || url.includes('/auth/') || url.includes('/login')) {
-          const existingCall = allApiCalls.find(call => call.url === url && !call.method);
-          if (existingCall) {
-            existingCall.method = request.method();
-            existingCall.postData = request.postData();
-          }
-        }
-      });
+      const { username, password } = credentials;
       
       await loginPage.login(username, password);
       
@@ -204,10 +43,21 @@ test.describe('Use Case 3: Learning Instance API Flow', () => {
       const isLoggedIn = await loginPage.isLoggedIn();
       expect(isLoggedIn).toBeTruthy();
       
+      // Extract auth token if available (recorded bodies are redacted, so read the page response itself)
+      await networkRecorder.settle();
+      const loginCall = networkRecorder.filter({ url: /\/auth\/|\/login|\/authenticate/ }).find(call => call.pageResponse);
+      if (loginCall) {
+        const body = await loginCall.pageResponse.json().catch(() => ({}));
+        authToken = body.token || body.accessToken || body.access_token || '';
+        if (authToken) {
+          logger.info('Auth token captured from login API');
+        }
+      }
+      
       // Log captured API calls for debugging
-      console.log(`Captured ${loginApiResponses.length} API calls during login`);
-      loginApiResponses.forEach((call, index) => {
-        console.log(`  ${index + 1}. ${call.method || 'GET'} ${call.url} - Status: ${call.status}`);
+      logger.info(`Captured ${networkRecorder.entries.length} API calls during login`);
+      networkRecorder.entries.forEach((call, index) => {
+        logger.debug(`  ${index + 1}. ${call.method} ${call.url} - Status: ${call.response ? call.response.status : 'N/A'}`);
       });
     });
 
@@ -255,90 +105,8 @@ test.describe('Use Case 3: Learning Instance API Flow', () => {
     // Step 3: Create a Learning Instance
     await test.step('Create Learning Instance and capture API calls', async () => {
       const instanceName = 'instance1'; // As per user requirement
-      
-      // Set up network interception BEFORE creating instance
-      let createApiResponse = null;
-      let createApiRequest = null;
-      const requestStartTimes = new Map();
-      
-      // Capture requests to track start time
-      page.on('request', async (request) => {
-        const url = request.url();
-        // Look for learning instance creation endpoints
-        if (url.includes('/api/') && 
-            (url.includes('/instance') || 
-             url.includes('/learning') ||
-             url.includes('/learning-instance') ||
-             url.includes('/iqbot') ||
-             url.includes('/cognitive'))) {
-          
-          // Track start time for response time calculation
-          requestStartTimes.set(url, Date.now());
-          
-          createApiRequest = {
-            url,
-            method: request.method(),
-            postData: request.postData(),
-            headers: request.headers()
-          };
-          
-          console.log(`Captured CREATE request: ${request.method()} ${url}`);
-          if (request.postData()) {
-            try {
-              const postData = JSON.parse(request.postData());
-              console.log(`  Request body:`, JSON.stringify(postData, null, 2));
-            } catch (e) {
-              console.log(`  Request body: ${request.postData()}`);
-            }
-          }
-        }
-      });
-      
-      // Capture responses
-      page.on('response', async (response) => {
-        const url = response.url();
-        if (url.includes('/api/') && 
-            (url.includes('/instance') || 
-             url.includes('/learning') ||
-             url.includes('/learning-instance') ||
-             url.includes('/iqbot') ||
-             url.includes('/cognitive'))) {
-          
-          const startTime = requestStartTimes.get(url) || Date.now();
-          const status = response.status();
-          let body = {};
-          let responseTime = 0;
-          
-          try {
-            body = await response.json();
-            responseTime = Date.now() - startTime;
-          } catch (e) {
-            // Response might not be JSON
-            const text = await response.text().catch(() => '');
-            body = { rawResponse: text };
-            responseTime = Date.now() - startTime;
-          }
-          
-          createApiResponse = {
-            url,
-            method: createApiRequest?.method || 'POST',
-            status,
-            body,
-            responseTime,
-            headers: response.headers(),
-            timestamp: Date.now()
-          };
-          
-          console.log(`Captured CREATE response: ${status} ${url} - Time: ${responseTime}ms`);
-          console.log(`  Response body:`, JSON.stringify(body, null, 2));
-          
-          // Extract instance ID if available
-          if (body.id || body.instanceId || body.data?.id) {
-            instanceId = body.id || body.instanceId || body.data?.id;
-            console.log(`  Instance ID: ${instanceId}`);
-          }
-        }
-      });
+      // Fixed name, so delete it after the test or the next run collides with it
+      factories.learningInstance.register({ name: instanceName });
       
       // Now perform the UI actions
       // Step 3a: Click "Create Learning Instance" button (top right)
@@ -356,11 +124,33 @@ test.describe('Use Case 3: Learning Instance API Flow', () => {
       // Step 3d: Click "Create" button (final step)
       await learningInstancePage.clickCreate();
       
-      // Wait for API call to complete - wait for response or timeout
-      let waitCount = 0;
-      while (!createApiResponse && waitCount < 30) {
-        await page.waitForTimeout(500);
-        waitCount++;
+      // Wait for the POST that created the instance
+      const createCall = await networkRecorder.waitFor({
+        method: 'POST',
+        url: /\/(instance|learning|learning-instance|iqbot|cognitive)/
+      }, { timeout: 15000 }).catch(error => {
+        logger.warn(error.message);
+        return null;
+      });
+      const createApiResponse = createCall && {
+        url: createCall.url,
+        method: createCall.method,
+        status: createCall.response.status,
+        body: createCall.response.body || {},
+        response: createCall.pageResponse,
+        responseTime: createCall.durationMs
+      };
+      if (createCall) {
+        // Request and response bodies are in the network.har attachment (redacted), not in the log
+        logger.info(`Captured CREATE response: ${createCall.response.status} ${createCall.url} - Time: ${createCall.durationMs}ms`);
+        logger.debug(`CREATE timing phases: ${JSON.stringify(createCall.phases)}`);
+        
+        // Extract instance ID if available
+        const body = createApiResponse.body;
+        if (body.id || body.instanceId || body.data?.id) {
+          instanceId = body.id || body.instanceId || body.data?.id;
+          logger.info(`Instance ID: ${instanceId}`);
+        }
       }
       
       // Additional wait to ensure all network activity completes
@@ -377,91 +167,45 @@ test.describe('Use Case 3: Learning Instance API Flow', () => {
       
       // Step 4: Validate the created instance with appropriate checks
       if (createApiResponse) {
-        console.log('\n=== API Validation Results ===');
-        console.log(`API Endpoint: ${createApiResponse.method} ${createApiResponse.url}`);
-        console.log(`Status Code: ${createApiResponse.status}`);
-        console.log(`Response Time: ${createApiResponse.responseTime}ms`);
+        logger.info(`API validation: ${createApiResponse.method} ${createApiResponse.url} - Status: ${createApiResponse.status}, Time: ${createApiResponse.responseTime}ms`);
         
         // Assert: HTTP status code validation
         await test.step('Validate HTTP status code', async () => {
           const statusCode = createApiResponse.status;
-          console.log(`✓ Status code check: ${statusCode} (expected: 200, 201, or 204)`);
+          logger.info(`Status code check: ${statusCode} (expected: 200, 201, or 204)`);
           expect([200, 201, 204]).toContain(statusCode);
         });
         
         // Assert: Response time validation (optional but preferred)
         await test.step('Validate response time', async () => {
-          const responseTime = createApiResponse.responseTime;
-          console.log(`✓ Response time check: ${responseTime}ms (expected: < 5000ms)`);
-          expect(responseTime).toBeLessThan(5000); // Should complete within 5 seconds
+          logger.info(`Response time check: ${createApiResponse.responseTime}ms (expected: < 5000ms)`);
+          await expect(createApiResponse.response).toRespondWithin(5000); // Should complete within 5 seconds
         });
         
-        // Assert: Response body schema validation
+        // Assert: Response body schema validation (test-data/schemas/learningInstance.schema.json)
         await test.step('Validate response body schema', async () => {
-          const body = createApiResponse.body;
-          
-          // Check for required fields (handle nested structures)
-          const hasId = body.id !== undefined || body.instanceId !== undefined || body.data?.id !== undefined;
-          const hasName = body.name !== undefined || body.data?.name !== undefined;
-          const hasStatus = body.status !== undefined || body.data?.status !== undefined || body.state !== undefined;
-          
-          console.log(`✓ Schema check - ID: ${hasId}, Name: ${hasName}, Status: ${hasStatus}`);
-          
-          expect(hasId || hasName).toBeTruthy(); // At least ID or name should exist
-          
-          // Field-level checks
-          const instanceId = body.id || body.instanceId || body.data?.id;
-          if (instanceId) {
-            expect(typeof instanceId === 'string' || typeof instanceId === 'number').toBeTruthy();
-            if (typeof instanceId === 'string') {
-              expect(instanceId.length).toBeGreaterThan(0);
-            }
-            console.log(`✓ ID validation: ${instanceId} (type: ${typeof instanceId})`);
-          }
-          
-          const responseName = body.name || body.data?.name;
-          if (responseName) {
-            expect(typeof responseName).toBe('string');
-            // Name should match or contain the input name
-            expect(responseName.toLowerCase()).toContain(instanceName.toLowerCase());
-            console.log(`✓ Name validation: "${responseName}" matches input "${instanceName}"`);
-          }
-          
-          const instanceStatus = body.status || body.data?.status || body.state;
-          if (instanceStatus) {
-            const validStatuses = ['active', 'created', 'pending', 'ready', 'inactive', 'processing', 'completed', 'success'];
-            const statusLower = String(instanceStatus).toLowerCase();
-            expect(validStatuses.some(s => statusLower.includes(s))).toBeTruthy();
-            console.log(`✓ Status validation: ${instanceStatus} (valid status)`);
-          }
+          // Some Control Room versions wrap the entity in { data }
+          const instance = createApiResponse.body.data || createApiResponse.body;
+          await expect(instance).toMatchSchema('learningInstance');
+          logger.info(`Schema check: ID ${instance.id}, name "${instance.name}", status ${instance.status}`);
         });
         
         // Assert: Functional accuracy validation
         await test.step('Validate functional accuracy', async () => {
-          const body = createApiResponse.body;
-          const responseName = body.name || body.data?.name;
-          const responseId = body.id || body.instanceId || body.data?.id;
-          const responseStatus = body.status || body.data?.status || body.state;
+          const instance = createApiResponse.body.data || createApiResponse.body;
           
           // Verify instance was created with correct data
-          if (responseName) {
-            expect(responseName.toLowerCase()).toContain(instanceName.toLowerCase());
-            console.log(`✓ Functional check: Name matches input`);
-          }
-          
-          // Verify instance has a valid status
-          expect(responseStatus).toBeDefined();
-          console.log(`✓ Functional check: Status is defined (${responseStatus})`);
+          expect(instance.name.toLowerCase()).toContain(instanceName.toLowerCase());
+          logger.info('Functional check: Name matches input');
           
-          // Verify instance has an ID
-          expect(responseId).toBeDefined();
-          console.log(`✓ Functional check: ID is defined (${responseId})`);
+          // ID and a known status are required by the schema
+          logger.info(`Functional check: ID ${instance.id}, status ${instance.status}`);
         });
       } else {
         // If API interception didn't capture the call, log all API calls for debugging
-        console.log('\n⚠️  API call not captured. All captured API calls:');
-        allApiCalls.forEach((call, index) => {
-          console.log(`  ${index + 1}. ${call.method || 'GET'} ${call.url} - Status: ${call.status}`);
+        logger.warn('API call not captured. All captured API calls:');
+        networkRecorder.entries.forEach((call, index) => {
+          logger.warn(`  ${index + 1}. ${call.method} ${call.url} - Status: ${call.response ? call.response.status : 'N/A'}`);
         });
         
         // Fallback: Verify via UI
@@ -471,7 +215,7 @@ test.describe('Use Case 3: Learning Instance API Flow', () => {
           if (instanceDetails) {
             expect(instanceDetails.name).toBe(instanceName);
             expect(instanceDetails.status).toBeDefined();
-            console.log('✓ Validated via UI fallback');
+            logger.info('Validated via UI fallback');
           }
         });
       }
@@ -479,165 +223,88 @@ test.describe('Use Case 3: Learning Instance API Flow', () => {
 
     // Additional API validation: Verify instance can be retrieved via API
     await test.step('Verify instance retrieval via API', async () => {
-      if (authToken && instanceId) {
-        // Try to retrieve the created instance via API
-        // Note: This requires knowing the exact API endpoint structure
-        // Example:
-        // const getResponse = await apiHelper.get(`/learning-instances/${instanceId}`);
-        // expect(await apiHelper.validateStatusCode(getResponse, 200)).toBeTruthy();
-        // const instanceData = await apiHelper.getResponseBody(getResponse);
-        // expect(instanceData.name).toBe(instanceName);
-        console.log(`Instance ID available for retrieval: ${instanceId}`);
+      // In replay mode the instance and token only exist in the recording
+      if (authToken && instanceId && networkMode !== 'replay') {
+        // Reuse the token the UI received
+        const client = new ControlRoomClient(request);
+        client.api.setAuthToken(authToken);
+        try {
+          const instance = await client.learningInstances.get(instanceId);
+          expect(client.lastResponse.status).toBe(200);
+          expect(String(instance.id)).toBe(String(instanceId));
+          expect(instance.name).toBe('instance1');
+          logger.info(`Instance ${instanceId} retrieved via API`);
+        } catch (error) {
+          // The retrieval endpoint differs between Control Room versions
+          if (!(error instanceof ControlRoomApiError) || error.status !== 404) {
+            throw error;
+          }
+          logger.warn(`Instance retrieval endpoint not available: ${error.message}`);
+        }
       }
     });
     
     // Summary: Print all identified API endpoints
     await test.step('API Endpoint Summary', async () => {
-      console.log('\n=== API Endpoint Identification Summary ===');
-      console.log(`Total network requests captured: ${networkLog.length}`);
-      
-      const apiEndpoints = networkLog
-        .filter(entry => entry.url.includes('/api/') || entry.url.match(/\/v\d+\//))
-        .map(entry => ({
-          method: entry.method || 'GET',
-          url: entry.url,
-          status: entry.status || 'N/A',
-          type: entry.type
-        }));
-      
-      console.log(`\nAPI Endpoints identified (${apiEndpoints.length}):`);
-      apiEndpoints.forEach((endpoint, index) => {
-        console.log(`  ${index + 1}. ${endpoint.method} ${endpoint.url} [${endpoint.status}]`);
-      });
-      
-      // Group by endpoint pattern
-      const endpointPatterns = {};
-      apiEndpoints.forEach(endpoint => {
-        const pattern = endpoint.url.replace(/\/\d+/g, '/{id}').split('?')[0];
-        if (!endpointPatterns[pattern]) {
-          endpointPatterns[pattern] = [];
-        }
-        endpointPatterns[pattern].push(endpoint);
-      });
-      
-      console.log('\nEndpoint Patterns:');
-      Object.keys(endpointPatterns).forEach(pattern => {
-        console.log(`  ${pattern} (${endpointPatterns[pattern].length} calls)`);
+      logger.info(`API endpoint summary: ${networkRecorder.entries.length} network requests captured`);
+      networkRecorder.endpoints().forEach(({ endpoint, count, statuses }) => {
+        logger.info(`  ${endpoint} (${count} calls) [${statuses.join(', ')}]`);
       });
     });
   });
 
-  test('@api Direct API validation for Learning Instance creation', async ({ request }) => {
+  test('@api Direct API validation for Learning Instance creation', async ({ controlRoom, factories }) => {
     // Alternative approach: Direct API testing without UI
-    const username = process.env.USERNAME || 'your-username';
-    const password = process.env.PASSWORD || 'your-password';
+    // The controlRoom fixture logs in via the API and skips when the API is unreachable or missing
+    let instanceId = null;
+    const instanceName = factories.learningInstance.name('API_LearningInstance');
     
     // Step 1: Login via API
     await test.step('Login via API', async () => {
-      let loginResponse;
-      try {
-        loginResponse = await request.post(`${process.env.API_BASE_URL || 'https://www.automationanywhere.com/api'}/auth/login`, {
-          data: {
-            username,
-            password
-          },
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
-      } catch (error) {
-        // Handle DNS/network errors
-        if (error.message.includes('ENOTFOUND') || 
-            error.message.includes('getaddrinfo') ||
-            error.message.includes('Could not resolve hostname')) {
-          test.skip(true, `DNS resolution failed. Cannot reach API endpoint. Please check your network connection and DNS settings. Error: ${error.message}`);
-          return;
-        }
-        throw error;
-      }
-      
-      // Skip test if API endpoint is not available
-      if (loginResponse.status() === 404) {
-        test.skip(true, 'API endpoint not available (404). Skipping API test.');
-        return;
-      }
-      
-      // Assert: Verify login API response
-      expect(loginResponse.status()).toBe(200);
-      const loginBody = await loginResponse.json();
-      expect(loginBody).toHaveProperty('token');
-      
-      if (loginBody.token) {
-        authToken = loginBody.token;
-      }
+      // Assert: Verify login API returned a token
+      expect(controlRoom.api.authToken).toBeTruthy();
     });
     
     // Step 2: Create Learning Instance via API
     await test.step('Create Learning Instance via API', async () => {
-      if (!authToken) {
-        test.skip();
-        return;
-      }
-      
-      const instanceName = `API_LearningInstance_${Date.now()}`;
-      const instanceData = {
+      const responseBody = await controlRoom.learningInstances.create({
         name: instanceName,
-        description: 'Created via API automation',
-        type: 'default'
-      };
-      
-      const startTime = Date.now();
-      const createResponse = await request.post(
-        `${process.env.API_BASE_URL || 'https://www.automationanywhere.com/api'}/learning-instances`,
-        {
-          data: instanceData,
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${authToken}`
-          }
-        }
-      );
-      const responseTime = Date.now() - startTime;
+        description: 'Created via API automation'
+      });
       
       // Assert: HTTP status code (accept various success codes)
-      const statusCode = createResponse.status();
+      const statusCode = controlRoom.lastResponse.status;
       expect([200, 201, 202, 204]).toContain(statusCode);
       
       // Assert: Response time
-      expect(responseTime).toBeLessThan(10000); // Increased timeout for slower networks
+      await expect(controlRoom.lastResponse).toRespondWithin(10000); // Increased timeout for slower networks
       
       // Assert: Response body schema (only if response has body)
       if (statusCode !== 204) {
-        const responseBody = await createResponse.json().catch(() => ({}));
-        
-        // At least one of these should exist
-        const hasId = responseBody.hasOwnProperty('id');
-        const hasName = responseBody.hasOwnProperty('name');
-        const hasStatus = responseBody.hasOwnProperty('status');
-        expect(hasId || hasName || hasStatus).toBeTruthy();
-        
-        // Assert: Field-level checks (only if fields exist)
-        if (responseBody.name) {
-          expect(responseBody.name).toContain(instanceName.substring(0, 10));
-        }
-        
-        if (responseBody.id) {
-          expect(typeof responseBody.id === 'string' || typeof responseBody.id === 'number').toBeTruthy();
-          if (typeof responseBody.id === 'string') {
-            expect(responseBody.id.length).toBeGreaterThan(0);
-          }
-        }
+        await expect(responseBody).toMatchSchema('learningInstance');
         
         // Assert: Functional accuracy
-        if (responseBody.status) {
-          const statusStr = String(responseBody.status).toLowerCase();
-          expect(['active', 'created', 'pending', 'ready', 'success', 'completed']).toContain(statusStr);
-        }
+        expect(responseBody.name).toBe(instanceName);
+        instanceId = responseBody.id;
       } else {
         // 204 No Content - creation successful but no body
         logger.info('Instance created successfully (204 No Content)');
       }
     });
+    
+    // Step 3: Read the instance back
+    await test.step('Retrieve Learning Instance via API', async () => {
+      const instance = instanceId
+        ? await controlRoom.learningInstances.get(instanceId)
+        : await controlRoom.learningInstances.findByName(instanceName);
+      
+      // Assert: The stored instance matches what was sent
+      expect(controlRoom.lastResponse.status).toBe(200);
+      expect(instance).not.toBeNull();
+      expect(instance.name).toBe(instanceName);
+      expect(instance.description).toBe('Created via API automation');
+      await expect(instance).toMatchSchema('learningInstance');
+    });
   });
 });
 
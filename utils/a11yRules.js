@@ -0,0 +1,288 @@
+/**
+ * Accessibility rules evaluated inside the page by AccessibilityHelper
+ * RULES holds the metadata (WCAG reference, severity); auditPage is serialised into the
+ * browser by page.evaluate, so it must stay self-contained (no closures over this module).
+ */
+
+const RULES = {
+  'color-contrast': { wcag: '1.4.3', level: 'AA', severity: 'high', description: 'Text has a contrast ratio of at least 4.5:1 (3:1 for large text)' },
+  'label': { wcag: '1.3.1, 4.1.2', level: 'A', severity: 'high', description: 'Form controls have an associated label' },
+  'image-alt': { wcag: '1.1.1', level: 'A', severity: 'high', description: 'Images have alternative text' },
+  'focusable-name': { wcag: '4.1.2, 2.4.4', level: 'A', severity: 'high', description: 'Focusable elements have an accessible name' },
+  'aria-valid-role': { wcag: '4.1.2', level: 'A', severity: 'high', description: 'role attributes use valid ARIA roles' },
+  'aria-valid-attr': { wcag: '4.1.2', level: 'A', severity: 'high', description: 'aria-* attributes are valid ARIA attributes' },
+  'aria-valid-attr-value': { wcag: '4.1.2', level: 'A', severity: 'medium', description: 'aria-* attributes have valid values and existing ID references' },
+  'duplicate-id': { wcag: '4.1.1', level: 'A', severity: 'medium', description: 'id attributes are unique' },
+  'duplicate-id-aria': { wcag: '4.1.1, 4.1.2', level: 'A', severity: 'high', description: 'IDs used by labels and ARIA references are unique' },
+  'landmark-main': { wcag: '1.3.1, 2.4.1', level: 'A', severity: 'medium', description: 'The page has exactly one main landmark' },
+  'heading-order': { wcag: '1.3.1', level: 'A', severity: 'low', description: 'Heading levels increase by one' }
+};
+
+// Lowest to highest; failOn picks the first level that fails a check
+const SEVERITIES = ['low', 'medium', 'high'];
+
+/**
+ * Run every enabled rule against the document (executed in the browser)
+ * @param {Object} options - { ruleIds, context } where context is an optional root selector
+ * @returns {Array<Object>} - Findings ({ ruleId, selector, message })
+ */
+function auditPage({ ruleIds, context }) {
+  const root = context ? document.querySelector(context) : document.body;
+  if (!root) {
+    return [{ ruleId: 'context', selector: context, message: `Audit context "${context}" not found` }];
+  }
+  const findings = [];
+  const enabled = new Set(ruleIds);
+  const report = (ruleId, element, message) => findings.push({ ruleId, selector: selectorOf(element), message });
+  const all = [root, ...root.querySelectorAll('*')];
+
+  function selectorOf(element) {
+    if (!element || element.nodeType !== 1) {
+      return '';
+    }
+    if (element.id && document.querySelectorAll(`#${CSS.escape(element.id)}`).length === 1) {
+      return `#${CSS.escape(element.id)}`;
+    }
+    const parts = [];
+    let node = element;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let part = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? [...node.parentElement.children].filter(child => child.tagName === node.tagName) : [];
+      if (siblings.length > 1) {
+        part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      }
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  }
+
+  function isVisible(element) {
+    if (element.closest('[aria-hidden="true"], [hidden]')) {
+      return false;
+    }
+    const style = getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || style.visibility === 'collapse') {
+      return false;
+    }
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  function textOf(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function labelledByText(element) {
+    const ids = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+    return ids.map(id => document.getElementById(id)).filter(Boolean).map(textOf).join(' ').trim();
+  }
+
+  function accessibleName(element) {
+    const ariaLabel = (element.getAttribute('aria-label') || '').trim();
+    if (ariaLabel) return ariaLabel;
+    const labelledBy = labelledByText(element);
+    if (labelledBy) return labelledBy;
+    if (element.labels && element.labels.length > 0) {
+      const labelText = [...element.labels].map(textOf).join(' ').trim();
+      if (labelText) return labelText;
+    }
+    if (element.tagName === 'IMG') return (element.getAttribute('alt') || '').trim();
+    if (element.tagName === 'INPUT' && ['submit', 'button', 'reset'].includes(element.type)) return (element.value || '').trim();
+    const content = textOf(element) || [...element.querySelectorAll('img[alt]')].map(img => img.alt.trim()).join(' ');
+    if (content) return content;
+    return (element.getAttribute('title') || '').trim();
+  }
+
+  function parseColor(value) {
+    const match = /rgba?\(([^)]+)\)/.exec(value || '');
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  }
+
+  function blend(top, bottom) {
+    const alpha = top.a + bottom.a * (1 - top.a);
+    if (alpha === 0) return { r: 0, g: 0, b: 0, a: 0 };
+    const mix = channel => (top[channel] * top.a + bottom[channel] * bottom.a * (1 - top.a)) / alpha;
+    return { r: mix('r'), g: mix('g'), b: mix('b'), a: alpha };
+  }
+
+  // Composite background colours up the tree; null when an image or gradient makes it unknowable
+  function backgroundOf(element) {
+    const layers = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+    }
+    return layers.reduceRight((below, layer) => blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+  }
+
+  function luminance({ r, g, b }) {
+    const [R, G, B] = [r, g, b].map(value => {
+      const channel = value / 255;
+      return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  }
+
+  function contrastRatio(a, b) {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+  }
+
+  if (enabled.has('color-contrast')) {
+    for (const element of all) {
+      const ownText = [...element.childNodes].some(node => node.nodeType === 3 && node.textContent.trim());
+      if (!ownText || !isVisible(element) || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'OPTION'].includes(element.tagName)) continue;
+      if (element.closest('[disabled], [aria-disabled="true"]')) continue; // WCAG exempts inactive components
+      const style = getComputedStyle(element);
+      const background = backgroundOf(element);
+      const foreground = parseColor(style.color);
+      if (!background || !foreground) continue;
+      const ratio = contrastRatio(blend(foreground, background), background);
+      const size = parseFloat(style.fontSize);
+      const bold = Number(style.fontWeight) >= 700 || style.fontWeight === 'bold';
+      const large = size >= 24 || (bold && size >= 18.66);
+      const required = large ? 3 : 4.5;
+      if (ratio < required) {
+        report('color-contrast', element, `Contrast ratio ${ratio.toFixed(2)}:1 is below ${required}:1 for "${textOf(element).slice(0, 40)}"`);
+      }
+    }
+  }
+
+  if (enabled.has('label')) {
+    const controls = root.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea');
+    for (const control of controls) {
+      if (!isVisible(control)) continue;
+      const hasLabel = (control.getAttribute('aria-label') || '').trim() ||
+        labelledByText(control) ||
+        (control.labels && [...control.labels].some(label => textOf(label))) ||
+        (control.getAttribute('title') || '').trim();
+      if (!hasLabel) {
+        const hint = control.getAttribute('placeholder') ? ' (a placeholder is not a label)' : '';
+        report('label', control, `${control.tagName.toLowerCase()} has no label via for/id, a wrapping label, aria-label or aria-labelledby${hint}`);
+      }
+    }
+  }
+
+  if (enabled.has('image-alt')) {
+    for (const image of root.querySelectorAll('img')) {
+      const presentational = ['presentation', 'none'].includes(image.getAttribute('role'));
+      if (!image.hasAttribute('alt') && !presentational && !image.getAttribute('aria-label') && !labelledByText(image)) {
+        report('image-alt', image, `Image "${(image.getAttribute('src') || '').split('/').pop()}" has no alt attribute`);
+      }
+    }
+  }
+
+  if (enabled.has('focusable-name')) {
+    const focusable = root.querySelectorAll('a[href], button, [role="button"], [role="link"], [role="menuitem"], [role="tab"], [tabindex]:not([tabindex="-1"]), summary');
+    for (const element of focusable) {
+      if (!isVisible(element) || element.disabled || ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) continue;
+      if (!accessibleName(element)) {
+        report('focusable-name', element, `Focusable ${element.tagName.toLowerCase()} has no accessible name`);
+      }
+    }
+  }
+
+  const VALID_ROLES = new Set(('alert alertdialog application article banner blockquote button caption cell checkbox code columnheader ' +
+    'combobox complementary contentinfo definition deletion dialog directory document emphasis feed figure form generic grid ' +
+    'gridcell group heading img insertion link list listbox listitem log main marquee math menu menubar menuitem ' +
+    'menuitemcheckbox menuitemradio meter navigation none note option paragraph presentation progressbar radio radiogroup ' +
+    'region row rowgroup rowheader scrollbar search searchbox separator slider spinbutton status strong subscript superscript ' +
+    'switch tab table tablist tabpanel term textbox time timer toolbar tooltip tree treegrid treeitem').split(' '));
+  const VALID_ATTRS = new Set(('activedescendant atomic autocomplete braillelabel brailleroledescription busy checked colcount ' +
+    'colindex colindextext colspan controls current describedby description details disabled dropeffect errormessage expanded ' +
+    'flowto grabbed haspopup hidden invalid keyshortcuts label labelledby level live modal multiline multiselectable ' +
+    'orientation owns placeholder posinset pressed readonly relevant required roledescription rowcount rowindex rowindextext ' +
+    'rowspan selected setsize sort valuemax valuemin valuenow valuetext').split(' ').map(name => `aria-${name}`));
+  const BOOLEAN_ATTRS = ['aria-atomic', 'aria-busy', 'aria-disabled', 'aria-expanded', 'aria-hidden', 'aria-modal',
+    'aria-multiline', 'aria-multiselectable', 'aria-readonly', 'aria-required', 'aria-selected'];
+  const TRISTATE_ATTRS = ['aria-checked', 'aria-pressed'];
+  const IDREF_ATTRS = ['aria-activedescendant', 'aria-controls', 'aria-describedby', 'aria-details', 'aria-errormessage',
+    'aria-flowto', 'aria-labelledby', 'aria-owns'];
+
+  for (const element of all) {
+    if (enabled.has('aria-valid-role') && element.hasAttribute('role')) {
+      const roles = element.getAttribute('role').trim().split(/\s+/);
+      if (!roles.some(role => VALID_ROLES.has(role))) {
+        report('aria-valid-role', element, `role="${element.getAttribute('role')}" is not a valid ARIA role`);
+      }
+    }
+    for (const attribute of [...element.attributes].filter(attr => attr.name.startsWith('aria-'))) {
+      if (!VALID_ATTRS.has(attribute.name)) {
+        if (enabled.has('aria-valid-attr')) {
+          report('aria-valid-attr', element, `${attribute.name} is not a valid ARIA attribute`);
+        }
+        continue;
+      }
+      if (!enabled.has('aria-valid-attr-value')) continue;
+      const value = attribute.value.trim();
+      if (BOOLEAN_ATTRS.includes(attribute.name) && !['true', 'false'].includes(value)) {
+        report('aria-valid-attr-value', element, `${attribute.name}="${value}" must be "true" or "false"`);
+      } else if (TRISTATE_ATTRS.includes(attribute.name) && !['true', 'false', 'mixed'].includes(value)) {
+        report('aria-valid-attr-value', element, `${attribute.name}="${value}" must be "true", "false" or "mixed"`);
+      } else if (IDREF_ATTRS.includes(attribute.name)) {
+        const missing = value.split(/\s+/).filter(Boolean).filter(id => !document.getElementById(id));
+        if (missing.length > 0) {
+          report('aria-valid-attr-value', element, `${attribute.name} references missing id(s): ${missing.join(', ')}`);
+        }
+      }
+    }
+  }
+
+  if (enabled.has('duplicate-id') || enabled.has('duplicate-id-aria')) {
+    const referenced = new Set();
+    document.querySelectorAll('label[for]').forEach(label => referenced.add(label.htmlFor));
+    document.querySelectorAll(IDREF_ATTRS.map(name => `[${name}]`).join(', ')).forEach(element => {
+      IDREF_ATTRS.forEach(name => (element.getAttribute(name) || '').split(/\s+/).filter(Boolean).forEach(id => referenced.add(id)));
+    });
+    const seen = new Map();
+    for (const element of root.querySelectorAll('[id]')) {
+      const id = element.id;
+      if (!id) continue;
+      if (seen.has(id)) {
+        const ruleId = referenced.has(id) ? 'duplicate-id-aria' : 'duplicate-id';
+        if (enabled.has(ruleId)) {
+          report(ruleId, element, `id="${id}" is also used by ${seen.get(id)}`);
+        }
+      } else {
+        seen.set(id, selectorOf(element));
+      }
+    }
+  }
+
+  if (enabled.has('landmark-main') && !context) {
+    const mains = [...document.querySelectorAll('main, [role="main"]')].filter(isVisible);
+    if (mains.length === 0) {
+      report('landmark-main', document.body, 'The page has no <main> or role="main" landmark');
+    } else if (mains.length > 1) {
+      mains.slice(1).forEach(main => report('landmark-main', main, `The page has ${mains.length} main landmarks`));
+    }
+  }
+
+  if (enabled.has('heading-order')) {
+    let previousLevel = 0;
+    for (const heading of root.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+      if (!isVisible(heading)) continue;
+      const level = Number(heading.tagName.charAt(1));
+      if (previousLevel > 0 && level > previousLevel + 1) {
+        report('heading-order', heading, `h${level} follows h${previousLevel}`);
+      }
+      previousLevel = level;
+    }
+  }
+
+  return findings;
+}
+
+module.exports = { RULES, SEVERITIES, auditPage };
@@ -1,4 +1,6 @@
-const { test } = require('@playwright/test');
+const { test, expect } = require('@playwright/test');
+const { RULES, SEVERITIES, auditPage } = require('./a11yRules');
+const { KeyboardWalker } = require('./keyboardWalker');
 const logger = require('./logger');
 
 /**
@@ -7,112 +9,115 @@ const logger = require('./logger');
  */
 class AccessibilityHelper {
   /**
-   * Run basic accessibility checks
+   * Run the accessibility rule engine against the current page
+   * Every issue carries its rule ID, WCAG reference, severity and the offending element's selector.
    * @param {Object} page - Playwright page object
    * @param {string} testName - Name of the test
-   * @returns {Promise<Object>} - Accessibility check results
+   * @param {Object} options - failOn (lowest severity that fails: 'low' | 'medium' | 'high', default A11Y_FAIL_ON or 'high'),
+   *   rules (rule IDs to run, default all), disabledRules (rule IDs to skip), context (root selector to audit)
+   * @returns {Promise<Object>} - Accessibility check results ({ passed, failOn, issues, violations })
    */
-  static async checkAccessibility(page, testName) {
+  static async checkAccessibility(page, testName, options = {}) {
+    const failOn = options.failOn || process.env.A11Y_FAIL_ON || 'high';
+    if (!SEVERITIES.includes(failOn)) {
+      throw new Error(`Unknown accessibility severity "${failOn}". Use one of: ${SEVERITIES.join(', ')}`);
+    }
+    const disabled = new Set(options.disabledRules || []);
+    const ruleIds = (options.rules || Object.keys(RULES)).filter(ruleId => !disabled.has(ruleId));
     const results = {
       passed: true,
-      issues: []
+      failOn,
+      issues: [],
+      violations: []
     };
 
     try {
-      // Check for images without alt text
-      const imagesWithoutAlt = await page.locator('img:not([alt])').count();
-      if (imagesWithoutAlt > 0) {
-        results.issues.push({
-          type: 'error',
-          message: `${imagesWithoutAlt} images found without alt text`,
-          severity: 'high'
-        });
-        results.passed = false;
-      }
-
-      // Check for buttons without accessible names
-      const buttonsWithoutName = await page.locator('button:not([aria-label]):not(:has-text(""))').count();
-      if (buttonsWithoutName > 0) {
-        results.issues.push({
-          type: 'warning',
-          message: `${buttonsWithoutName} buttons found without accessible names`,
-          severity: 'medium'
-        });
-      }
-
-      // Check for form inputs without labels
-      const inputsWithoutLabel = await page.locator('input:not([aria-label]):not([aria-labelledby])').count();
-      if (inputsWithoutLabel > 0) {
-        results.issues.push({
-          type: 'warning',
-          message: `${inputsWithoutLabel} form inputs found without labels`,
-          severity: 'medium'
-        });
-      }
+      const findings = await page.evaluate(auditPage, { ruleIds, context: options.context || null });
+      const threshold = SEVERITIES.indexOf(failOn);
 
-      // Check for heading hierarchy
-      const headings = await page.locator('h1, h2, h3, h4, h5, h6').all();
-      if (headings.length > 0) {
-        let previousLevel = 0;
-        for (const heading of headings) {
-          const tagName = await heading.evaluate(el => el.tagName.toLowerCase());
-          const level = parseInt(tagName.charAt(1));
-          if (previousLevel > 0 && level > previousLevel + 1) {
-            results.issues.push({
-              type: 'warning',
-              message: `Heading hierarchy issue: ${tagName} follows h${previousLevel}`,
-              severity: 'low'
-            });
-          }
-          previousLevel = level;
-        }
-      }
-
-      // Check for color contrast (basic check)
-      const lowContrastElements = await page.locator('[style*="color"]').count();
-      if (lowContrastElements > 0) {
-        results.issues.push({
-          type: 'info',
-          message: `${lowContrastElements} elements with inline color styles (manual review recommended)`,
-          severity: 'low'
-        });
-      }
+      results.issues = findings.map(finding => {
+        const rule = RULES[finding.ruleId] || { wcag: '-', level: '-', severity: 'high' };
+        const failing = SEVERITIES.indexOf(rule.severity) >= threshold;
+        return {
+          ruleId: finding.ruleId,
+          type: failing ? 'error' : 'warning',
+          severity: rule.severity,
+          wcag: rule.wcag,
+          level: rule.level,
+          selector: finding.selector,
+          message: finding.message
+        };
+      });
+      results.violations = results.issues.filter(issue => issue.type === 'error');
+      results.passed = results.violations.length === 0;
 
-      if (results.passed && results.issues.length === 0) {
+      if (results.issues.length === 0) {
         logger.info(`Accessibility check passed for: ${testName}`);
       } else {
-        logger.warn(`Accessibility issues found for ${testName}:`, results.issues);
+        logger.warn(`Accessibility issues found for ${testName}: ${results.violations.length} failing (>= ${failOn}), ${results.issues.length} total`);
+        results.issues.forEach(issue => logger.debug(`  [${issue.ruleId}] ${issue.selector}: ${issue.message}`));
       }
 
+      await this.attachResults(testName, results);
       return results;
     } catch (error) {
       logger.error(`Error during accessibility check: ${error.message}`);
       results.passed = false;
       results.issues.push({
+        ruleId: 'audit-error',
         type: 'error',
         message: `Accessibility check failed: ${error.message}`,
         severity: 'high'
       });
+      results.violations = results.issues;
       return results;
     }
   }
 
   /**
-   * Verify keyboard navigation
+   * Run checkAccessibility and fail the test when any issue reaches the severity threshold
+   * @param {Object} page - Playwright page object
+   * @param {string} testName - Name of the test
+   * @param {Object} options - Same options as checkAccessibility
+   * @returns {Promise<Object>} - Accessibility check results
+   */
+  static async expectAccessible(page, testName, options = {}) {
+    const results = await this.checkAccessibility(page, testName, options);
+    const summary = results.violations
+      .map(issue => `[${issue.ruleId}] (WCAG ${issue.wcag}, ${issue.severity}) ${issue.selector}: ${issue.message}`)
+      .join('\n');
+    expect(results.violations, `Accessibility violations (>= ${results.failOn}) on ${testName}:\n${summary}`).toEqual([]);
+    return results;
+  }
+
+  /**
+   * Attach the audit to the running test's report, if there is one
+   */
+  static async attachResults(testName, results) {
+    let testInfo;
+    try {
+      testInfo = test.info();
+    } catch (error) {
+      return;
+    }
+    await testInfo.attach(`a11y-${testName}`, { body: JSON.stringify(results, null, 2), contentType: 'application/json' });
+  }
+
+  /**
+   * Verify keyboard navigation by tabbing through the whole page (see KeyboardWalker.walk)
    * @param {Object} page - Playwright page object
-   * @returns {Promise<boolean>} - True if keyboard navigation works
+   * @param {Object} options - KeyboardWalker.walk options (expected order, maxTabs, startFrom)
+   * @returns {Promise<boolean>} - True when focus reaches every stop without traps, invisible focus or order mismatches
    */
-  static async verifyKeyboardNavigation(page) {
+  static async verifyKeyboardNavigation(page, options = {}) {
     try {
-      // Check if Tab key navigation works
-      await page.keyboard.press('Tab');
-      const focusedElement = await page.evaluate(() => document.activeElement?.tagName);
-      
-      if (focusedElement) {
-        logger.info(`Keyboard navigation working. Focused element: ${focusedElement}`);
-        return true;
+      const walk = await KeyboardWalker.walk(page, options);
+      if (walk.stops.length === 0) {
+        logger.warn('Keyboard navigation check found no focusable elements');
+        return false;
       }
-      return false;
+      walk.issues.forEach(issue => logger.warn(`Keyboard navigation [${issue.type}]: ${issue.message}`));
+      return walk.passed;
     } catch (error) {
       logger.error(`Keyboard navigation check failed: ${error.message}`);
       return false;
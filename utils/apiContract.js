@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const { ResponseTiming } = require('./responseTiming');
+const { Environment } = require('./environment');
+const logger = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+// Contracts are versioned with the code, one per environment profile
+const CONTRACT_DIR = path.join(ROOT_DIR, 'api-contracts');
+// Shapes of the responses seen in the latest run, and the drift report
+const RESULTS_DIR = path.join(ROOT_DIR, 'test-results', 'api-contract');
+const RUN_FILE = path.join(RESULTS_DIR, 'run-traffic.jsonl');
+// Objects seen fewer times than this say nothing about which keys are always present
+const MIN_REQUIRED_SAMPLES = 2;
+
+/**
+ * JSON Schema (type, properties, required, items) describing one value
+ * Objects also carry samples, the number of objects the schema was inferred from.
+ * @param {any} value - Parsed JSON
+ * @returns {Object} - Inferred schema
+ */
+function inferSchema(value) {
+  if (value === null) {
+    return { type: 'null' };
+  }
+  if (Array.isArray(value)) {
+    const items = value.reduce((merged, item) => mergeSchemas(merged, inferSchema(item)), null);
+    return items ? { type: 'array', items } : { type: 'array' };
+  }
+  if (typeof value === 'object') {
+    const properties = {};
+    for (const [key, item] of Object.entries(value)) {
+      properties[key] = inferSchema(item);
+    }
+    return { type: 'object', properties, required: Object.keys(properties).sort(), samples: 1 };
+  }
+  if (typeof value === 'number') {
+    return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  }
+  return { type: typeof value };
+}
+
+function typesOf(schema) {
+  return [].concat(schema.type);
+}
+
+/**
+ * Sorted type list, with integer folded into number when both occur
+ */
+function normalizeTypes(types) {
+  const unique = [...new Set(types)];
+  const folded = unique.includes('number') ? unique.filter(type => type !== 'integer') : unique;
+  return folded.sort();
+}
+
+/**
+ * Schema that accepts everything either schema accepts; properties missing on one side become optional
+ * @param {Object|null} a - Schema or null
+ * @param {Object|null} b - Schema or null
+ * @returns {Object|null} - Merged schema
+ */
+function mergeSchemas(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+  const types = normalizeTypes([...typesOf(a), ...typesOf(b)]);
+  const merged = { type: types.length === 1 ? types[0] : types };
+  if (a.properties || b.properties) {
+    const propertiesA = a.properties || {};
+    const propertiesB = b.properties || {};
+    merged.properties = {};
+    for (const key of [...new Set([...Object.keys(propertiesA), ...Object.keys(propertiesB)])].sort()) {
+      merged.properties[key] = mergeSchemas(propertiesA[key], propertiesB[key]);
+    }
+    // Only objects on both sides can tell which keys are always present
+    const requiredA = a.properties ? a.required || [] : (b.required || []);
+    const requiredB = b.properties ? b.required || [] : (a.required || []);
+    merged.required = requiredA.filter(key => requiredB.includes(key));
+    merged.samples = (a.samples || 0) + (b.samples || 0);
+  }
+  if (a.items || b.items) {
+    merged.items = mergeSchemas(a.items, b.items);
+  }
+  return merged;
+}
+
+/**
+ * Keys that were present in every sample, or null while too few objects were seen to tell
+ * Contracts written before samples were counted count as a single sample.
+ */
+function requiredKeys(schema) {
+  return (schema.samples || 1) >= MIN_REQUIRED_SAMPLES ? schema.required || [] : null;
+}
+
+/**
+ * Compare two schemas of the same location, pushing one change per differing field
+ * direction 'response' treats anything a client could trip over as breaking; 'request' only a newly required field.
+ * null carries no type, so a field turning null or turning from null into a value is reported but never breaking.
+ */
+function diffSchemas(before, after, location, direction, changes) {
+  const typesBefore = normalizeTypes(typesOf(before));
+  const typesAfter = normalizeTypes(typesOf(after));
+  if (typesBefore.join() !== typesAfter.join()) {
+    const typedBefore = typesBefore.some(type => type !== 'null');
+    const widened = typedBefore && typesAfter.some(type => type !== 'null' && !typesBefore.includes(type) && !(type === 'integer' && typesBefore.includes('number')));
+    changes.push({
+      change: 'retyped',
+      location,
+      from: typesBefore.join(' | '),
+      to: typesAfter.join(' | '),
+      breaking: direction === 'response' && widened
+    });
+  }
+
+  if (before.properties && after.properties) {
+    const requiredBefore = requiredKeys(before);
+    const requiredAfter = requiredKeys(after);
+    const alwaysBefore = key => Boolean(requiredBefore && requiredBefore.includes(key));
+    const alwaysAfter = key => Boolean(requiredAfter && requiredAfter.includes(key));
+    for (const key of Object.keys(before.properties)) {
+      const fieldLocation = `${location}.${key}`;
+      if (!after.properties[key]) {
+        changes.push({ change: 'removed', location: fieldLocation, from: typesOf(before.properties[key]).join(' | '), breaking: direction === 'response' && alwaysBefore(key) });
+        continue;
+      }
+      // Presence only changes when both sides saw enough objects to know it
+      if (requiredBefore && requiredAfter) {
+        if (alwaysBefore(key) && !alwaysAfter(key)) {
+          changes.push({ change: 'optional', location: fieldLocation, breaking: direction === 'response' });
+        } else if (!alwaysBefore(key) && alwaysAfter(key)) {
+          changes.push({ change: 'required', location: fieldLocation, breaking: direction === 'request' });
+        }
+      }
+      diffSchemas(before.properties[key], after.properties[key], fieldLocation, direction, changes);
+    }
+    for (const key of Object.keys(after.properties)) {
+      if (!before.properties[key]) {
+        changes.push({ change: 'added', location: `${location}.${key}`, to: typesOf(after.properties[key]).join(' | '), breaking: direction === 'request' && alwaysAfter(key) });
+      }
+    }
+  }
+
+  if (before.items && after.items) {
+    diffSchemas(before.items, after.items, `${location}[]`, direction, changes);
+  }
+  return changes;
+}
+
+function isSuccess(status) {
+  return Number(status) >= 200 && Number(status) < 300;
+}
+
+/**
+ * API contract drift detection
+ * Request and response bodies captured during a run (NetworkRecorder and ControlRoomClient) are reduced to
+ * inferred JSON Schemas per endpoint and status. The contract of an environment is stored in
+ * api-contracts/<environment>.json; later runs are compared with it field by field.
+ *
+ * Breaking: a required response field removed or made optional, a response field that can now hold a type it
+ * could not before, a request field the UI now always sends that it did not send before, and an endpoint that
+ * only fails where it used to succeed. A field only counts as required once it was present in at least
+ * MIN_REQUIRED_SAMPLES objects, and null never makes a retype breaking. Added response fields, new endpoints and
+ * endpoints the run did not exercise are reported but never fail the check.
+ */
+class ApiContract {
+  static get contractDir() {
+    return process.env.API_CONTRACT_DIR ? path.resolve(process.env.API_CONTRACT_DIR) : CONTRACT_DIR;
+  }
+
+  static get resultsDir() {
+    return RESULTS_DIR;
+  }
+
+  static get runLogPath() {
+    return RUN_FILE;
+  }
+
+  /**
+   * Contract file of an environment profile
+   * @param {string} environment - Profile name (defaults to the selected one)
+   * @returns {string} - Absolute path
+   */
+  static contractPath(environment = Environment.get().name) {
+    return path.join(this.contractDir, `${environment}.json`);
+  }
+
+  /**
+   * Record the body shapes of one API call in the run log; values themselves are never written
+   * @param {Object} call - method, url, status, requestBody and responseBody (parsed JSON or text)
+   */
+  static capture(call) {
+    if (!call.status) {
+      return;
+    }
+    const line = {
+      endpoint: ResponseTiming.endpointKey(call.method, call.url),
+      status: call.status,
+      request: call.requestBody === null || call.requestBody === undefined ? undefined : inferSchema(call.requestBody),
+      response: call.responseBody === null || call.responseBody === undefined ? undefined : inferSchema(call.responseBody)
+    };
+    try {
+      fs.mkdirSync(RESULTS_DIR, { recursive: true });
+      fs.appendFileSync(RUN_FILE, `${JSON.stringify(line)}\n`);
+    } catch (error) {
+      logger.debug(`Could not capture API contract sample: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record every completed entry of a NetworkRecorder
+   * @param {Array<Object>} entries - NetworkRecorder entries
+   */
+  static captureEntries(entries) {
+    for (const entry of entries) {
+      if (entry.response) {
+        this.capture({ method: entry.method, url: entry.url, status: entry.response.status, requestBody: entry.request.body, responseBody: entry.response.body });
+      }
+    }
+  }
+
+  /**
+   * Start a fresh run log (called from the global setup)
+   */
+  static resetRun() {
+    fs.rmSync(RUN_FILE, { force: true });
+  }
+
+  /**
+   * Contract of the calls captured in the current run
+   * @returns {Object} - { endpoints: { "<METHOD> <path>": { request, responses: { <status>: schema } } } }
+   */
+  static fromRun() {
+    const lines = fs.existsSync(RUN_FILE)
+      ? fs.readFileSync(RUN_FILE, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+      : [];
+    const endpoints = {};
+    for (const line of lines) {
+      const endpoint = endpoints[line.endpoint] || (endpoints[line.endpoint] = { request: null, responses: {} });
+      endpoint.request = mergeSchemas(endpoint.request, line.request);
+      // null: the status came without a (JSON) body
+      endpoint.responses[line.status] = mergeSchemas(endpoint.responses[line.status] || null, line.response || null);
+    }
+    return { endpoints: Object.fromEntries(Object.entries(endpoints).sort(([a], [b]) => a.localeCompare(b))) };
+  }
+
+  /**
+   * Stored contract of an environment
+   * @param {string} environment - Profile name (defaults to the selected one)
+   * @returns {Object|null} - Contract or null when none was stored yet
+   */
+  static load(environment) {
+    const file = this.contractPath(environment);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  /**
+   * Store the current run as the contract; endpoints the run did not exercise are kept unless prune is set
+   * @param {Object} options - environment, prune
+   * @returns {Object} - Written contract plus its path
+   */
+  static update(options = {}) {
+    const environment = options.environment || Environment.get().name;
+    const run = this.fromRun();
+    if (Object.keys(run.endpoints).length === 0) {
+      throw new Error(`No API traffic captured in ${path.relative(ROOT_DIR, RUN_FILE)}; run the tests first`);
+    }
+    const existing = (!options.prune && this.load(environment)) || { endpoints: {} };
+    const endpoints = { ...existing.endpoints, ...run.endpoints };
+    const contract = {
+      environment,
+      updatedAt: new Date().toISOString(),
+      endpoints: Object.fromEntries(Object.entries(endpoints).sort(([a], [b]) => a.localeCompare(b)))
+    };
+    const file = this.contractPath(environment);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(contract, null, 2)}\n`);
+    return { ...contract, path: file };
+  }
+
+  /**
+   * Changes between a stored contract and a run
+   * @param {Object} contract - Stored contract
+   * @param {Object} run - Contract of the run (fromRun())
+   * @returns {Array<Object>} - { endpoint, change, location, from, to, breaking }
+   */
+  static diff(contract, run) {
+    const changes = [];
+    const push = (endpoint, found) => found.forEach(change => changes.push({ endpoint, ...change }));
+
+    for (const [endpoint, before] of Object.entries(contract.endpoints)) {
+      const after = run.endpoints[endpoint];
+      if (!after) {
+        push(endpoint, [{ change: 'not-exercised', breaking: false }]);
+        continue;
+      }
+      if (before.request && after.request) {
+        push(endpoint, diffSchemas(before.request, after.request, 'request $', 'request', []));
+      }
+      const succeededBefore = Object.keys(before.responses).some(isSuccess);
+      const succeedsNow = Object.keys(after.responses).some(isSuccess);
+      for (const status of Object.keys(after.responses)) {
+        if (!(status in before.responses)) {
+          push(endpoint, [{ change: 'status-added', location: `status ${status}`, breaking: succeededBefore && !succeedsNow }]);
+        } else if (before.responses[status] && after.responses[status]) {
+          push(endpoint, diffSchemas(before.responses[status], after.responses[status], `response ${status} $`, 'response', []));
+        }
+      }
+    }
+    for (const endpoint of Object.keys(run.endpoints)) {
+      if (!contract.endpoints[endpoint]) {
+        push(endpoint, [{ change: 'new-endpoint', breaking: false }]);
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Readable diff, grouped by endpoint with breaking changes marked "!"
+   * @param {Array<Object>} changes - Changes from diff()
+   * @returns {string} - Multi-line text
+   */
+  static formatDiff(changes) {
+    const describe = change => {
+      switch (change.change) {
+        case 'added': return `${change.location}: added (${change.to})`;
+        case 'removed': return `${change.location}: removed (was ${change.from})`;
+        case 'retyped': return `${change.location}: ${change.from} -> ${change.to}`;
+        case 'optional': return `${change.location}: no longer always present`;
+        case 'required': return `${change.location}: now always present`;
+        case 'status-added': return `${change.location}: new status`;
+        case 'new-endpoint': return 'new endpoint';
+        case 'not-exercised': return 'not called in this run';
+        default: return change.change;
+      }
+    };
+    const lines = [];
+    let current = null;
+    for (const change of changes) {
+      if (change.endpoint !== current) {
+        current = change.endpoint;
+        lines.push(`  ${current}`);
+      }
+      lines.push(`    ${change.breaking ? '!' : ' '} ${describe(change)}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Compare the current run with the stored contract and write test-results/api-contract/drift.json
+   * @param {Object} options - environment
+   * @returns {Object|null} - { environment, changes, breaking, text } or null when no contract is stored
+   */
+  static check(options = {}) {
+    const environment = options.environment || Environment.get().name;
+    const contract = this.load(environment);
+    if (!contract) {
+      return null;
+    }
+    const changes = this.diff(contract, this.fromRun());
+    const breaking = changes.filter(change => change.breaking);
+    const text = changes.length === 0
+      ? `API contract "${environment}": no drift`
+      : `API contract "${environment}": ${breaking.length} breaking, ${changes.length - breaking.length} other change(s) ("!" = breaking)\n${this.formatDiff(changes)}`;
+    fs.mkdirSync(RESULTS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(RESULTS_DIR, 'drift.json'), JSON.stringify({ environment, checkedAt: new Date().toISOString(), changes }, null, 2));
+    return { environment, changes, breaking, text };
+  }
+}
+
+module.exports = { ApiContract, inferSchema, mergeSchemas };
@@ -1,8 +1,9 @@
-const dotenv = require('dotenv');
-const path = require('path');
-
-// Load environment variables
-dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+const { Environment } = require('./environment');
+const { SchemaValidator } = require('./schemaValidator');
+const { ResponseTiming } = require('./responseTiming');
+const { TestLogContext } = require('./testLogContext');
+const { Redaction } = require('./redaction');
+const { CredentialVault } = require('./credentialVault');
 
 /**
  * API Helper utility class
@@ -11,15 +12,16 @@ dotenv.config({ path: path.resolve(process.cwd(), '.env') });
 class APIHelper {
   constructor(request, baseURL) {
     this.request = request;
-    this.baseURL = baseURL || process.env.API_BASE_URL || 'https://www.automationanywhere.com/api';
+    this.baseURL = baseURL || Environment.get().apiBaseURL;
     this.authToken = null;
   }
 
   /**
-   * Set authentication token
+   * Set authentication token (from now on redacted wherever it shows up)
    */
   setAuthToken(token) {
     this.authToken = token;
+    Redaction.addSecret(token);
   }
 
   /**
@@ -32,21 +34,48 @@ class APIHelper {
       ...additionalHeaders
     };
 
+    // Lets server-side logs be matched to the test that made the call
+    const correlationId = TestLogContext.correlationId();
+    if (correlationId) {
+      headers['X-Correlation-Id'] = correlationId;
+    }
+
     if (this.authToken) {
+      // Control Room reads X-Authorization; Authorization is kept for gateways in front of it
+      headers['X-Authorization'] = this.authToken;
       headers['Authorization'] = `Bearer ${this.authToken}`;
     }
 
     return headers;
   }
 
+  /**
+   * Send a request and record its wall-clock duration (see ResponseTiming)
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Path below the base URL
+   * @param {Object} options - Playwright request options (data, headers)
+   * @returns {Promise<APIResponse>} - Response
+   */
+  async send(method, endpoint, options) {
+    const url = `${this.baseURL}${endpoint}`;
+    const startedAt = performance.now();
+    const response = await this.request.fetch(url, { method, ...options });
+    ResponseTiming.record(response, { method, url, durationMs: performance.now() - startedAt });
+    return response;
+  }
+
   /**
    * Perform login and get authentication token
+   * @param {string|Object} usernameOrRole - Username, a role of the credential vault when no password is given
+   *   (e.g. 'botCreator'), or { username, password }
+   * @param {string} password - Password
    */
-  async login(username, password) {
-    const response = await this.request.post(`${this.baseURL}/auth/login`, {
+  async login(usernameOrRole, password) {
+    const credentials = CredentialVault.resolve(usernameOrRole, password);
+    const response = await this.send('POST', '/auth/login', {
       data: {
-        username,
-        password
+        username: credentials.username,
+        password: credentials.password
       },
       headers: this.getHeaders()
     });
@@ -66,7 +95,7 @@ class APIHelper {
    * Make GET request
    */
   async get(endpoint, headers) {
-    return await this.request.get(`${this.baseURL}${endpoint}`, {
+    return await this.send('GET', endpoint, {
       headers: this.getHeaders(headers)
     });
   }
@@ -75,7 +104,7 @@ class APIHelper {
    * Make POST request
    */
   async post(endpoint, data, headers) {
-    return await this.request.post(`${this.baseURL}${endpoint}`, {
+    return await this.send('POST', endpoint, {
       data,
       headers: this.getHeaders(headers)
     });
@@ -85,7 +114,7 @@ class APIHelper {
    * Make PUT request
    */
   async put(endpoint, data, headers) {
-    return await this.request.put(`${this.baseURL}${endpoint}`, {
+    return await this.send('PUT', endpoint, {
       data,
       headers: this.getHeaders(headers)
     });
@@ -95,7 +124,7 @@ class APIHelper {
    * Make DELETE request
    */
   async delete(endpoint, headers) {
-    return await this.request.delete(`${this.baseURL}${endpoint}`, {
+    return await this.send('DELETE', endpoint, {
       headers: this.getHeaders(headers)
     });
   }
@@ -109,33 +138,27 @@ class APIHelper {
 
   /**
    * Validate response time
+   * @param {APIResponse} response - Response returned by this helper
+   * @param {number} maxTimeMs - Upper bound in milliseconds
+   * @returns {Promise<boolean>} - True when the call took at most maxTimeMs; use expect(response).toRespondWithin() for details
    */
   async validateResponseTime(response, maxTimeMs) {
-    // Response time is not directly available in Playwright API
-    // This would need to be measured manually or through network interception
-    return true; // Placeholder
+    const timing = ResponseTiming.get(response);
+    if (!timing) {
+      throw new Error('No timing recorded for this response; it was not sent through APIHelper');
+    }
+    return timing.durationMs <= maxTimeMs;
   }
 
   /**
-   * Validate response body schema
+   * Validate response body against a JSON Schema (draft 2020-12)
+   * @param {APIResponse} response - Playwright API response
+   * @param {string|Object} schema - Schema name under test-data/schemas/ or a JSON Schema object
+   * @returns {Promise<boolean>} - True when the body matches; use expect(response).toMatchSchema() for readable errors
    */
   async validateResponseSchema(response, schema) {
     const body = await response.json();
-    
-    for (const key in schema) {
-      if (!(key in body)) {
-        return false;
-      }
-      if (typeof schema[key] === 'object' && schema[key] !== null) {
-        if (!(await this.validateResponseSchema({ json: async () => body[key] }, schema[key]))) {
-          return false;
-        }
-      } else if (typeof body[key] !== schema[key]) {
-        return false;
-      }
-    }
-    
-    return true;
+    return SchemaValidator.validate(schema, body).valid;
   }
 
   /**
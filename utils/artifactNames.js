@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+/**
+ * Run-scoped names for test artifacts
+ * Kept apart from the factories in testArtifacts.js so test data and HAR matching can name things
+ * without loading the API client.
+ */
+
+// Every name a factory hands out starts with this, so leftovers can be found by prefix
+const NAME_PREFIX = 'E2E';
+const NAME_PATTERN = /^E2E_(\d{14})([0-9a-f]{4})_/;
+// A complete uniqueName() inside other text (request and response bodies)
+const NAME_IN_TEXT = /E2E_\d{14}[0-9a-f]{4}_[A-Za-z0-9]+_w\d+n\d+/g;
+
+let nameCounter = 0;
+
+/**
+ * ID of the current test run, e.g. "20261019101500a1b2" (start time plus random suffix)
+ * Created once and exported as TEST_RUN_ID, so every worker process shares it.
+ * @returns {string} - Run ID
+ */
+function runId() {
+  if (!process.env.TEST_RUN_ID) {
+    const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    process.env.TEST_RUN_ID = `${stamp}${crypto.randomBytes(2).toString('hex')}`;
+  }
+  return process.env.TEST_RUN_ID;
+}
+
+/**
+ * Collision-free entity name: E2E_<runId>_<label>_w<worker>n<counter>
+ * @param {string} label - Readable part of the name (e.g. 'MessageBoxTask')
+ * @returns {string} - Unique name
+ */
+function uniqueName(label = 'Test') {
+  nameCounter += 1;
+  const safeLabel = String(label).replace(/[^A-Za-z0-9]+/g, '') || 'Test';
+  return `${NAME_PREFIX}_${runId()}_${safeLabel}_w${process.env.TEST_WORKER_INDEX || 0}n${nameCounter}`;
+}
+
+/**
+ * Read the run ID and creation time back from a factory name
+ * @param {string} name - Entity name
+ * @returns {Object|null} - { runId, createdAt } or null when the name was not made by uniqueName()
+ */
+function parseName(name) {
+  const match = NAME_PATTERN.exec(String(name));
+  if (!match) {
+    return null;
+  }
+  const [, stamp, suffix] = match;
+  const createdAt = new Date(`${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T${stamp.slice(8, 10)}:${stamp.slice(10, 12)}:${stamp.slice(12, 14)}Z`);
+  return { runId: `${stamp}${suffix}`, createdAt };
+}
+
+/**
+ * Every uniqueName() in a text, in order of appearance
+ * @param {string} text - e.g. a request body
+ * @returns {Array<string>} - Names found
+ */
+function findNames(text) {
+  return String(text || '').match(NAME_IN_TEXT) || [];
+}
+
+module.exports = { NAME_PREFIX, runId, uniqueName, parseName, findNames };
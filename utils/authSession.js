@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { CredentialVault } = require('./credentialVault');
+
+const AUTH_DIR = path.resolve(__dirname, '../playwright/.auth');
+// Refresh a little before the real expiry so a session never dies mid-test
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Authenticated session storage
+ * Persists Playwright storageState per account so specs can skip the login flow
+ */
+class AuthSession {
+  /**
+   * Accounts the global setup logs in with, keyed by session name
+   * The admin account is stored as "default", every other configured role under its own name.
+   * @returns {Array<Object>} - Accounts ({ name, role, username, password })
+   */
+  static getAccounts() {
+    return CredentialVault.accounts().map(account => ({
+      name: account.role === 'admin' ? 'default' : account.role,
+      role: account.role,
+      username: account.username,
+      password: account.password
+    }));
+  }
+
+  /**
+   * Path of the storageState file for a session
+   * @param {string} name - Session name (e.g. 'default')
+   * @returns {string} - Absolute path
+   */
+  static statePath(name = 'default') {
+    return path.join(AUTH_DIR, `${name}.json`);
+  }
+
+  static metaPath(name = 'default') {
+    return path.join(AUTH_DIR, `${name}.meta.json`);
+  }
+
+  /**
+   * Session lifetime used when the stored state carries no cookie expiry
+   * @returns {number} - Lifetime in milliseconds
+   */
+  static getMaxAgeMs() {
+    return Number(process.env.AUTH_SESSION_MAX_AGE_MINUTES || 30) * 60 * 1000;
+  }
+
+  /**
+   * Persist the page's storageState together with its expiry metadata
+   * @param {Object} context - Playwright browser context
+   * @param {string} name - Session name
+   * @param {string} username - Account the session belongs to
+   */
+  static async save(context, name, username) {
+    fs.mkdirSync(AUTH_DIR, { recursive: true });
+    const state = await context.storageState({ path: this.statePath(name) });
+    const createdAt = Date.now();
+
+    // Earliest expiring session cookie wins; cookies with expires -1 live for the browser session
+    const cookieExpiries = state.cookies
+      .filter(cookie => cookie.expires > 0)
+      .map(cookie => cookie.expires * 1000);
+    const expiresAt = Math.min(createdAt + this.getMaxAgeMs(), ...cookieExpiries);
+
+    fs.writeFileSync(this.metaPath(name), JSON.stringify({
+      name,
+      username,
+      baseURL: process.env.BASE_URL || null,
+      createdAt: new Date(createdAt).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString()
+    }, null, 2));
+    logger.info(`Stored authenticated session "${name}" until ${new Date(expiresAt).toISOString()}`);
+  }
+
+  /**
+   * Read the metadata written alongside a stored session
+   * @param {string} name - Session name
+   * @returns {Object|null} - Metadata or null when missing/unreadable
+   */
+  static readMeta(name = 'default') {
+    try {
+      return JSON.parse(fs.readFileSync(this.metaPath(name), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a stored session is missing, expired, or was created for another account/environment
+   * @param {string} name - Session name
+   * @param {string} username - Expected account (optional)
+   * @returns {boolean} - True when the session must be recreated
+   */
+  static isExpired(name = 'default', username) {
+    const meta = this.readMeta(name);
+    if (!meta || !fs.existsSync(this.statePath(name))) {
+      return true;
+    }
+    if (username && meta.username !== username) {
+      return true;
+    }
+    if ((meta.baseURL || null) !== (process.env.BASE_URL || null)) {
+      return true;
+    }
+    return Date.parse(meta.expiresAt) - EXPIRY_MARGIN_MS <= Date.now();
+  }
+
+  /**
+   * Remove a stored session so the next run logs in again
+   * @param {string} name - Session name
+   */
+  static invalidate(name = 'default') {
+    [this.statePath(name), this.metaPath(name)].forEach(file => fs.rmSync(file, { force: true }));
+    logger.info(`Discarded stored session "${name}"`);
+  }
+
+  /**
+   * storageState override for test.use(); falls back to a fresh context when no valid session exists
+   * @param {string} name - Session name
+   * @returns {Function} - Fixture function for the storageState option
+   *
+   * @example
+   * test.use({ storageState: AuthSession.storageState('default') });
+   * test.use({ storageState: AuthSession.storageState('readOnly') });
+   */
+  static storageState(name = 'default') {
+    return async ({}, use) => {
+      await use(this.isExpired(name) ? undefined : this.statePath(name));
+    };
+  }
+}
+
+module.exports = { AuthSession };
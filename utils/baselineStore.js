@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+// Baselines are versioned with the code, so they live outside test-results/
+const DEFAULT_BASELINE_DIR = path.join(ROOT_DIR, 'visual-baselines');
+// Actual screenshots, diffs and comparison results of the latest run
+const DEFAULT_RESULTS_DIR = path.join(ROOT_DIR, 'test-results', 'visual');
+// Where prune looks for the snapshot names tests still use
+const SOURCE_DIRS = ['tests', 'pages', 'fixtures'];
+
+/**
+ * Visual baseline storage
+ * Baselines are kept per browser project and viewport:
+ *   visual-baselines/<project>/<width>x<height>/<name>.png
+ * and the latest run writes its actual image, diff and result next to the same relative path
+ * under test-results/visual/. A snapshot is identified as "<project>/<viewport>/<name>".
+ */
+class BaselineStore {
+  static get baselineDir() {
+    return process.env.VISUAL_BASELINE_DIR ? path.resolve(process.env.VISUAL_BASELINE_DIR) : DEFAULT_BASELINE_DIR;
+  }
+
+  static get resultsDir() {
+    return DEFAULT_RESULTS_DIR;
+  }
+
+  /**
+   * Viewport folder name for a page
+   * @param {Object} page - Playwright page
+   * @returns {string} - e.g. '1920x1080', or 'default' when the page has no fixed viewport
+   */
+  static viewportKey(page) {
+    const size = page && page.viewportSize();
+    return size ? `${size.width}x${size.height}` : 'default';
+  }
+
+  /**
+   * Paths of one snapshot
+   * @param {Object} snapshot - { project, viewport, name }
+   * @returns {Object} - { id, baselinePath, actualPath, diffPath, resultPath }
+   */
+  static pathsFor({ project, viewport, name }) {
+    const relative = path.join(project, viewport, name);
+    return {
+      id: `${project}/${viewport}/${name}`,
+      baselinePath: path.join(this.baselineDir, `${relative}.png`),
+      actualPath: path.join(this.resultsDir, `${relative}.png`),
+      diffPath: path.join(this.resultsDir, `${relative}_diff.png`),
+      resultPath: path.join(this.resultsDir, `${relative}.result.json`)
+    };
+  }
+
+  /**
+   * Parse "<project>/<viewport>/<name>" back into its parts
+   */
+  static parseId(id) {
+    const [project, viewport, ...rest] = id.split('/');
+    return { project, viewport, name: rest.join('/') };
+  }
+
+  static walkPngs(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return this.walkPngs(fullPath);
+      }
+      return entry.name.endsWith('.png') && !entry.name.endsWith('_diff.png') ? [fullPath] : [];
+    });
+  }
+
+  static matchesFilter(snapshot, filter = {}) {
+    return (!filter.project || snapshot.project === filter.project) &&
+      (!filter.viewport || snapshot.viewport === filter.viewport) &&
+      (!filter.names || filter.names.length === 0 || filter.names.some(name => name === snapshot.name || name === snapshot.id));
+  }
+
+  /**
+   * All stored baselines
+   * @param {Object} filter - Optional project, viewport and names
+   * @returns {Array<Object>} - Snapshots ({ id, project, viewport, name, baselinePath, size, updatedAt })
+   */
+  static listBaselines(filter = {}) {
+    return this.walkPngs(this.baselineDir)
+      .map(file => {
+        const id = path.relative(this.baselineDir, file).split(path.sep).join('/').replace(/\.png$/, '');
+        const snapshot = { ...this.parseId(id), id };
+        const stat = fs.statSync(file);
+        return { ...snapshot, baselinePath: file, size: stat.size, updatedAt: stat.mtime.toISOString() };
+      })
+      .filter(snapshot => this.matchesFilter(snapshot, filter))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Store the outcome of a comparison so the CLI can show and approve it later
+   * @param {Object} snapshot - { project, viewport, name }
+   * @param {Object} result - Comparison result from VisualRegressionHelper
+   */
+  static writeResult(snapshot, result) {
+    const { resultPath } = this.pathsFor(snapshot);
+    fs.mkdirSync(path.dirname(resultPath), { recursive: true });
+    fs.writeFileSync(resultPath, JSON.stringify({ ...snapshot, ...result, comparedAt: new Date().toISOString() }, null, 2));
+  }
+
+  /**
+   * Comparisons from the latest run that failed and have not been approved yet
+   * @param {Object} filter - Optional project, viewport and names
+   * @returns {Array<Object>} - Pending results (comparison result plus id and paths)
+   */
+  static listPending(filter = {}) {
+    return this.walkPngs(this.resultsDir)
+      .map(file => file.replace(/\.png$/, '.result.json'))
+      .filter(resultPath => fs.existsSync(resultPath))
+      .map(resultPath => JSON.parse(fs.readFileSync(resultPath, 'utf8')))
+      .filter(result => !result.match)
+      .map(result => ({ ...result, ...this.pathsFor(result) }))
+      .filter(result => this.matchesFilter(result, filter))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Copy the actual screenshot of a snapshot over its baseline
+   * @param {Object} snapshot - { project, viewport, name }
+   * @returns {string} - Baseline path
+   */
+  static approve(snapshot) {
+    const paths = this.pathsFor(snapshot);
+    if (!fs.existsSync(paths.actualPath)) {
+      throw new Error(`No screenshot to approve for ${paths.id}: ${paths.actualPath} does not exist`);
+    }
+    fs.mkdirSync(path.dirname(paths.baselinePath), { recursive: true });
+    fs.copyFileSync(paths.actualPath, paths.baselinePath);
+    fs.rmSync(paths.resultPath, { force: true });
+    fs.rmSync(paths.diffPath, { force: true });
+    logger.info(`Baseline approved: ${paths.id}`);
+    return paths.baselinePath;
+  }
+
+  /**
+   * Approve every pending snapshot matching a filter
+   * @param {Object} filter - Optional project, viewport and names; an empty filter approves everything
+   * @returns {Array<string>} - Approved snapshot ids
+   */
+  static approvePending(filter = {}) {
+    return this.listPending(filter).map(result => {
+      this.approve(result);
+      return result.id;
+    });
+  }
+
+  /**
+   * Snapshot names referenced as string literals in the test sources
+   * @returns {Set<string>} - Names
+   */
+  static referencedNames() {
+    const files = SOURCE_DIRS.flatMap(dir => this.walkSources(path.join(ROOT_DIR, dir)));
+    const sources = files.map(file => fs.readFileSync(file, 'utf8')).join('\n');
+    const names = new Set();
+    for (const snapshot of this.listBaselines()) {
+      if (new RegExp(`['"\`]${snapshot.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}['"\`]`).test(sources)) {
+        names.add(snapshot.name);
+      }
+    }
+    return names;
+  }
+
+  static walkSources(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return this.walkSources(fullPath);
+      }
+      return entry.name.endsWith('.js') ? [fullPath] : [];
+    });
+  }
+
+  /**
+   * Baselines whose name no test source mentions any more
+   * @returns {Array<Object>} - Orphaned snapshots
+   */
+  static listOrphans() {
+    const referenced = this.referencedNames();
+    return this.listBaselines().filter(snapshot => !referenced.has(snapshot.name));
+  }
+
+  /**
+   * Delete orphaned baselines
+   * @param {Object} options - dryRun to only report what would be removed
+   * @returns {Array<Object>} - Orphans (removed unless dryRun)
+   */
+  static prune(options = {}) {
+    const orphans = this.listOrphans();
+    if (!options.dryRun) {
+      orphans.forEach(snapshot => {
+        fs.rmSync(snapshot.baselinePath, { force: true });
+        logger.info(`Pruned orphaned baseline: ${snapshot.id}`);
+      });
+    }
+    return orphans;
+  }
+}
+
+module.exports = { BaselineStore };
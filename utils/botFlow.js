@@ -0,0 +1,175 @@
+/**
+ * Task Bot flows as plain trees, compared with readable differences
+ * A flow is an array of actions, each { action, enabled, fields, children }: action is the descriptor name from
+ * pages/actions.js, fields the configured values by field name, children the actions inside a Loop or If.
+ * Positions are 1-based and dotted by nesting level: "2.1" is the first action inside the second one.
+ *
+ * @example
+ * const flow = await taskBotPage.readFlow();
+ * expect(flow).toMatchFlow([
+ *   { action: 'loop', fields: { times: '3' }, children: ['numberIncrement', { action: 'delay', enabled: false }] },
+ *   'messageBox'
+ * ]);
+ */
+class BotFlow {
+  /**
+   * Flow of a bot as the API returns it ({ type, enabled, fields, children } per action)
+   * @param {Array<Object>|Object} actions - Bot actions, or the bot itself
+   * @returns {Array<Object>} - Flow
+   */
+  static fromActions(actions) {
+    const list = Array.isArray(actions) ? actions : (actions && actions.actions) || [];
+    return list.map(action => ({
+      action: action.type,
+      enabled: action.enabled !== false,
+      fields: { ...action.fields },
+      ...(Array.isArray(action.children) ? { children: this.fromActions(action.children) } : {})
+    }));
+  }
+
+  /**
+   * Expected flow with defaults filled in: a plain string is an action with no checked fields,
+   * enabled defaults to true and children to none
+   * @param {Array<Object|string>} flow - Expected flow
+   * @returns {Array<Object>} - Normalised flow
+   */
+  static normalize(flow) {
+    return (flow || []).map(node => {
+      const entry = typeof node === 'string' ? { action: node } : node;
+      return {
+        action: entry.action,
+        enabled: entry.enabled !== false,
+        fields: entry.fields || {},
+        children: this.normalize(entry.children)
+      };
+    });
+  }
+
+  /**
+   * Differences between an actual and an expected flow
+   * Actions are aligned per level by name, so one missing or extra action is reported once instead of shifting
+   * every later position. Only the fields listed in the expectation are compared.
+   * @param {Array<Object>} actual - Flow read from the editor or the API
+   * @param {Array<Object|string>} expected - Expected flow
+   * @returns {Array<Object>} - Differences ({ position, message }); empty when the flows match
+   */
+  static diff(actual, expected) {
+    return compareLevel(actual || [], this.normalize(expected), '');
+  }
+
+  /**
+   * Indented text of a flow, one action per line with its position, state and non-empty fields
+   * @param {Array<Object>} flow - Flow
+   * @param {string} indent - Prefix of every line
+   * @returns {string} - Text
+   */
+  static format(flow, indent = '') {
+    const lines = [];
+    const walk = (nodes, prefix, depth) => nodes.forEach((node, index) => {
+      const position = `${prefix}${index + 1}`;
+      const fields = Object.entries(node.fields || {})
+        .filter(([, value]) => value !== '' && value !== undefined)
+        .map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+      lines.push(`${indent}${'  '.repeat(depth)}${position} ${node.enabled === false ? '[disabled] ' : ''}${node.action}${fields.length > 0 ? `  ${fields.join(', ')}` : ''}`);
+      walk(node.children || [], `${position}.`, depth + 1);
+    });
+    walk(flow || [], '', 0);
+    return lines.length > 0 ? lines.join('\n') : `${indent}(empty flow)`;
+  }
+}
+
+/**
+ * An unset field reads as '' or false in the editor and is missing in the API
+ */
+function sameValue(expected, actual) {
+  if (typeof expected === 'boolean') {
+    return Boolean(actual) === expected;
+  }
+  return String(expected) === String(actual === undefined || actual === null ? '' : actual);
+}
+
+/**
+ * Longest common subsequence of action names, as index pairs
+ */
+function align(actual, expected) {
+  const lengths = Array.from({ length: actual.length + 1 }, () => new Array(expected.length + 1).fill(0));
+  for (let i = actual.length - 1; i >= 0; i--) {
+    for (let j = expected.length - 1; j >= 0; j--) {
+      lengths[i][j] = actual[i].action === expected[j].action
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < actual.length || j < expected.length) {
+    if (i < actual.length && j < expected.length && actual[i].action === expected[j].action) {
+      pairs.push([i++, j++]);
+    } else if (j < expected.length && (i === actual.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      pairs.push([null, j++]);
+    } else {
+      pairs.push([i++, null]);
+    }
+  }
+  return pairs;
+}
+
+function compareLevel(actual, expected, prefix) {
+  const differences = [];
+  // Positions are those of the actual flow; a missing action is reported where it should have been
+  let seen = 0;
+  for (const [actualIndex, expectedIndex] of align(actual, expected)) {
+    if (actualIndex === null) {
+      differences.push({ position: `${prefix}${seen + 1}`, message: `missing ${expected[expectedIndex].action}` });
+      continue;
+    }
+    seen = actualIndex + 1;
+    const node = actual[actualIndex];
+    const position = `${prefix}${actualIndex + 1}`;
+    if (expectedIndex === null) {
+      differences.push({ position, message: `unexpected ${node.action}` });
+      continue;
+    }
+    const want = expected[expectedIndex];
+    if ((node.enabled !== false) !== want.enabled) {
+      differences.push({ position, message: `${node.action}: expected ${want.enabled ? 'enabled' : 'disabled'}, got ${want.enabled ? 'disabled' : 'enabled'}` });
+    }
+    for (const [key, value] of Object.entries(want.fields)) {
+      const got = (node.fields || {})[key];
+      if (!sameValue(value, got)) {
+        differences.push({ position, message: `${node.action}.${key}: expected ${JSON.stringify(value)}, got ${got === undefined ? 'nothing' : JSON.stringify(got)}` });
+      }
+    }
+    differences.push(...compareLevel(node.children || [], want.children, `${position}.`));
+  }
+  return differences;
+}
+
+/**
+ * expect(flow).toMatchFlow(expected) matcher, registered in fixtures/index.js
+ * Accepts a flow from TaskBotPage.readFlow(), or a bot / its actions as the API returns them.
+ * @param {Array<Object>|Object} received - Flow, bot or bot actions
+ * @param {Array<Object|string>} expected - Expected flow
+ * @returns {Object} - Matcher result
+ */
+function toMatchFlow(received, expected) {
+  const hint = this.utils.matcherHint('toMatchFlow', 'flow', 'expected', { isNot: this.isNot });
+  const isFlow = Array.isArray(received) && received.every(node => node && typeof node.action === 'string');
+  const actual = isFlow ? received : BotFlow.fromActions(received);
+  const differences = BotFlow.diff(actual, expected);
+  const pass = differences.length === 0;
+  return {
+    pass,
+    name: 'toMatchFlow',
+    expected,
+    actual,
+    message: () => (pass
+      ? `${hint}\n\nExpected the flow to differ from:\n${BotFlow.format(actual, '  ')}`
+      : `${hint}\n\nBot flow differs in ${differences.length} place(s):\n`
+        + `${differences.map(difference => `  ${difference.position}: ${difference.message}`).join('\n')}\n\n`
+        + `Actual flow:\n${BotFlow.format(actual, '  ')}\n\nExpected flow:\n${BotFlow.format(BotFlow.normalize(expected), '  ')}`)
+  };
+}
+
+module.exports = { BotFlow, toMatchFlow };
@@ -0,0 +1,351 @@
+const { APIHelper } = require('./apiHelper');
+const { ResponseTiming } = require('./responseTiming');
+const { ApiContract } = require('./apiContract');
+const { CredentialVault } = require('./credentialVault');
+
+// Refresh the token this long before the expiry the login response announced
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Error of a failed Control Room API call, carrying the HTTP status and the parsed response body
+ */
+class ControlRoomApiError extends Error {
+  /**
+   * @param {Object} response - { method, endpoint, status, body }
+   */
+  constructor(response) {
+    const message = response.body && typeof response.body === 'object' ? response.body.message : response.body;
+    super(`${response.method} ${response.endpoint} failed: HTTP ${response.status}${message ? ` - ${message}` : ''}`);
+    this.name = 'ControlRoomApiError';
+    this.method = response.method;
+    this.endpoint = response.endpoint;
+    this.status = response.status;
+    this.body = response.body;
+    this.details = response.body && typeof response.body === 'object' ? response.body.details : undefined;
+  }
+}
+
+/**
+ * Request body fields per payload type
+ * type is 'string', 'array' or 'object', plus optional required and enum. Fields that are not declared are
+ * rejected, so a typo fails before the request is sent instead of being silently ignored by the server.
+ */
+const REQUEST_FIELDS = {
+  credentials: {
+    username: { type: 'string', required: true },
+    password: { type: 'string', required: true }
+  },
+  bot: {
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    folderId: { type: 'string' },
+    actions: { type: 'array' }
+  },
+  form: {
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    folderId: { type: 'string' },
+    elements: { type: 'array' },
+    files: { type: 'array' }
+  },
+  formFile: {
+    fileName: { type: 'string', required: true },
+    content: { type: 'string', required: true },
+    contentType: { type: 'string' },
+    elementId: { type: 'string' }
+  },
+  learningInstance: {
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    documentType: { type: 'string', enum: ['Invoices', 'Purchase orders', 'Receipts', 'User-defined'] },
+    locale: { type: 'string' },
+    provider: { type: 'string' },
+    fields: { type: 'array' },
+    status: { type: 'string' }
+  }
+};
+
+/**
+ * Build a request body from REQUEST_FIELDS, dropping undefined values
+ * @param {string} kind - Key of REQUEST_FIELDS
+ * @param {Object} data - Caller's values
+ * @param {Object} options - partial: required fields may be missing (updates)
+ * @returns {Object} - Request body
+ * @throws {TypeError} When a field is unknown, missing or of the wrong type
+ */
+function buildRequest(kind, data, options = {}) {
+  const fields = REQUEST_FIELDS[kind];
+  const problems = [];
+  const body = {};
+  for (const name of Object.keys(data || {})) {
+    if (!fields[name]) {
+      problems.push(`unknown field "${name}" (expected ${Object.keys(fields).join(', ')})`);
+    }
+  }
+  for (const [name, field] of Object.entries(fields)) {
+    const value = data ? data[name] : undefined;
+    if (value === undefined) {
+      if (field.required && !options.partial) {
+        problems.push(`"${name}" is required`);
+      }
+      continue;
+    }
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== field.type) {
+      problems.push(`"${name}" must be ${field.type === 'array' ? 'an' : 'a'} ${field.type}, got ${actualType}`);
+    } else if (field.enum && !field.enum.includes(value)) {
+      problems.push(`"${name}" must be one of ${field.enum.join(', ')}`);
+    } else {
+      body[name] = value;
+    }
+  }
+  if (problems.length > 0) {
+    throw new TypeError(`Invalid ${kind} request: ${problems.join('; ')}`);
+  }
+  return body;
+}
+
+/**
+ * Append query parameters, skipping undefined and null values
+ */
+function withQuery(endpoint, query) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null) {
+      params.append(key, String(value));
+    }
+  }
+  const search = params.toString();
+  return search ? `${endpoint}?${search}` : endpoint;
+}
+
+/**
+ * List endpoints answer { list, page }; resources return the list itself
+ */
+function listItems(body) {
+  return Array.isArray(body) ? body : (body && body.list) || [];
+}
+
+/**
+ * CRUD operations on one collection endpoint (bots, forms, learning instances)
+ */
+class CrudResource {
+  /**
+   * @param {ControlRoomClient} client - Client used to send requests
+   * @param {string} endpoint - Collection path (e.g. '/bots')
+   * @param {string} kind - Key of REQUEST_FIELDS for create/update bodies
+   */
+  constructor(client, endpoint, kind) {
+    this.client = client;
+    this.endpoint = endpoint;
+    this.kind = kind;
+  }
+
+  /**
+   * @param {Object} query - Optional query parameters
+   * @returns {Promise<Array<Object>>} - Entities
+   */
+  async list(query) {
+    return listItems(await this.client.send('GET', withQuery(this.endpoint, query)));
+  }
+
+  /**
+   * @param {string} id - Entity ID
+   * @returns {Promise<Object>} - Entity
+   */
+  async get(id) {
+    return await this.client.send('GET', `${this.endpoint}/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * First entity with exactly this name
+   * @param {string} name - Entity name
+   * @returns {Promise<Object|null>} - Entity or null
+   */
+  async findByName(name) {
+    return (await this.list()).find(entity => entity.name === name) || null;
+  }
+
+  /**
+   * @param {Object} data - Entity fields (see REQUEST_FIELDS)
+   * @returns {Promise<Object>} - Created entity
+   */
+  async create(data) {
+    return await this.client.send('POST', this.endpoint, { data: buildRequest(this.kind, data) });
+  }
+
+  /**
+   * @param {string} id - Entity ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} - Updated entity
+   */
+  async update(id, changes) {
+    return await this.client.send('PUT', `${this.endpoint}/${encodeURIComponent(id)}`, { data: buildRequest(this.kind, changes, { partial: true }) });
+  }
+
+  /**
+   * @param {string} id - Entity ID
+   */
+  async delete(id) {
+    await this.client.send('DELETE', `${this.endpoint}/${encodeURIComponent(id)}`);
+  }
+}
+
+/**
+ * Forms, plus file uploads into a form
+ */
+class FormsResource extends CrudResource {
+  /**
+   * Upload a file to a form's File Upload element
+   * @param {string} formId - Form ID
+   * @param {Object} file - fileName, content (Buffer or base64 string), contentType, elementId
+   * @returns {Promise<Object>} - Stored file ({ id, fileName, contentType, size, elementId })
+   */
+  async uploadFile(formId, file) {
+    const content = Buffer.isBuffer(file.content) ? file.content.toString('base64') : file.content;
+    return await this.client.send('POST', `${this.endpoint}/${encodeURIComponent(formId)}/files`, {
+      data: buildRequest('formFile', { ...file, content })
+    });
+  }
+}
+
+/**
+ * Typed Control Room REST client on top of APIHelper
+ * Groups endpoints by resource, validates request bodies, parses responses and throws ControlRoomApiError
+ * for any non-2xx status. After login() the token is sent on every call and renewed shortly before it
+ * expires, or once after a 401.
+ *
+ * @example
+ * const client = new ControlRoomClient(request);
+ * await client.auth.login({ username, password });
+ * const instance = await client.learningInstances.create({ name: 'Invoices', documentType: 'Invoices' });
+ * const again = await client.learningInstances.get(instance.id);
+ */
+class ControlRoomClient {
+  /**
+   * @param {import('@playwright/test').APIRequestContext} request - Playwright request context
+   * @param {Object} options - baseURL (defaults to the environment profile's API base URL) or an existing apiHelper
+   */
+  constructor(request, options = {}) {
+    this.api = options.apiHelper || new APIHelper(request, options.baseURL);
+    this.credentials = null;
+    this.tokenExpiresAt = null;
+    this.lastResponse = null;
+
+    const client = this;
+    this.auth = {
+      /**
+       * Log in and keep the credentials for token renewal
+       * @param {Object|string} credentials - { username, password } or a role of the credential vault (e.g. 'readOnly')
+       * @returns {Promise<Object>} - Login response ({ token, user, expiresAt })
+       */
+      async login(credentials) {
+        const { username, password } = CredentialVault.resolve(credentials);
+        const data = buildRequest('credentials', { username, password });
+        const body = await client.send('POST', '/auth/login', { data, auth: false });
+        const token = body && (body.token || body.accessToken);
+        if (!token) {
+          throw new ControlRoomApiError({ ...client.lastResponse, body: { message: 'login response has no token' } });
+        }
+        client.api.setAuthToken(token);
+        client.credentials = data;
+        client.tokenExpiresAt = body.expiresAt ? new Date(body.expiresAt).getTime() : null;
+        return body;
+      },
+      /** @returns {Promise<Object>} - Current session ({ user, expiresAt }) */
+      session: () => client.send('GET', '/auth/session'),
+      /** End the session and forget the token */
+      async logout() {
+        await client.send('POST', '/auth/logout', { retry: false });
+        client.api.setAuthToken(null);
+        client.credentials = null;
+        client.tokenExpiresAt = null;
+      }
+    };
+    this.repository = {
+      /** @returns {Promise<Array<Object>>} - Folders */
+      listFolders: async () => listItems(await client.send('GET', '/repository/folders')),
+      /**
+       * @param {Object} filter - Optional folderId
+       * @returns {Promise<Array<Object>>} - Task Bots and Forms in the repository
+       */
+      listFiles: async (filter = {}) => listItems(await client.send('GET', withQuery('/repository/files', { folderId: filter.folderId })))
+    };
+    this.bots = new CrudResource(this, '/bots', 'bot');
+    this.forms = new FormsResource(this, '/forms', 'form');
+    this.learningInstances = new CrudResource(this, '/learning-instances', 'learningInstance');
+    this.devices = {
+      /** @returns {Promise<Array<Object>>} - Registered devices */
+      list: async () => listItems(await client.send('GET', '/devices'))
+    };
+  }
+
+  /**
+   * API base URL requests go to
+   * @returns {string} - Base URL
+   */
+  get baseURL() {
+    return this.api.baseURL;
+  }
+
+  /**
+   * Log in again with the stored credentials
+   */
+  async refreshToken() {
+    this.api.setAuthToken(null);
+    await this.auth.login(this.credentials);
+  }
+
+  /**
+   * Send one request and parse the response
+   * @param {string} method - GET, POST, PUT or DELETE
+   * @param {string} endpoint - Path below the API base URL, query included
+   * @param {Object} options - data (JSON body), auth (renew the token, default true), retry (re-login after a 401, default true)
+   * @returns {Promise<any>} - Parsed JSON body, text for non-JSON responses, null for empty ones
+   * @throws {ControlRoomApiError} For any non-2xx status
+   */
+  async send(method, endpoint, options = {}) {
+    const auth = options.auth !== false;
+    if (auth && this.credentials && this.tokenExpiresAt && Date.now() > this.tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      await this.refreshToken();
+    }
+
+    const response = method === 'GET' || method === 'DELETE'
+      ? await this.api[method.toLowerCase()](endpoint)
+      : await this.api[method.toLowerCase()](endpoint, options.data || {});
+    const body = await this.parseBody(response);
+    const timing = ResponseTiming.get(response);
+    this.lastResponse = { method, endpoint, status: response.status(), headers: response.headers(), body, durationMs: timing ? timing.durationMs : undefined };
+    ApiContract.capture({ method, url: response.url(), status: response.status(), requestBody: options.data, responseBody: body });
+
+    if (response.status() === 401 && auth && this.credentials && options.retry !== false) {
+      await this.refreshToken();
+      return await this.send(method, endpoint, { ...options, retry: false });
+    }
+    if (!response.ok()) {
+      throw new ControlRoomApiError(this.lastResponse);
+    }
+    return body;
+  }
+
+  /**
+   * Parse a response body by its content type
+   */
+  async parseBody(response) {
+    const text = await response.text();
+    if (!text) {
+      return null;
+    }
+    const contentType = response.headers()['content-type'] || '';
+    if (contentType.includes('json')) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    }
+    return text;
+  }
+}
+
+module.exports = { ControlRoomClient, ControlRoomApiError, REQUEST_FIELDS, buildRequest };
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Environment, PROFILES } = require('./environment');
+
+const DEFAULT_VAULT_FILE = path.resolve(__dirname, '../credentials.enc.json');
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Accounts the suites know by name
+ * Each role reads <ROLE>_USERNAME / <ROLE>_PASSWORD (with the profile's prefix, e.g. STAGING_READ_ONLY_USERNAME)
+ * before the encrypted vault file. admin also falls back to the profile credentials (USERNAME / PASSWORD).
+ */
+const ROLES = {
+  admin: 'Full privileges (AAE_Admin)',
+  botCreator: 'Creates and edits bots; forms are view-only, no AI or administration',
+  readOnly: 'Views the repository, cannot create anything'
+};
+
+// Values from .env.example that mean "not configured"
+const PLACEHOLDERS = ['your-username', 'your-username-here', 'your-password', 'your-password-here'];
+
+let vaultCache = null;
+
+/**
+ * readOnly -> READ_ONLY
+ */
+function toEnvName(role) {
+  return role.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function isConfigured(value) {
+  return Boolean(value) && !PLACEHOLDERS.includes(value);
+}
+
+function deriveKey(key, salt) {
+  return crypto.scryptSync(key, salt, 32);
+}
+
+/**
+ * Credentials of named accounts (admin, botCreator, readOnly, ...) per environment profile
+ * Sources, first match wins: environment variables, the encrypted vault file (credentials.enc.json, key in
+ * CREDENTIALS_KEY), then the profile itself (the seeded mock-server users, or USERNAME/PASSWORD for admin).
+ *
+ * @example
+ * await loginPage.login('readOnly');
+ * const { username, password } = CredentialVault.get('botCreator');
+ */
+class CredentialVault {
+  static get vaultPath() {
+    return process.env.CREDENTIALS_FILE ? path.resolve(process.env.CREDENTIALS_FILE) : DEFAULT_VAULT_FILE;
+  }
+
+  /**
+   * Role names with a description
+   * @returns {Object} - { role: description }
+   */
+  static get roles() {
+    return { ...ROLES };
+  }
+
+  /**
+   * Encrypt vault contents with a passphrase
+   * @param {Object} data - { <profile>: { <role>: { username, password } } }
+   * @param {string} key - Passphrase (CREDENTIALS_KEY)
+   * @returns {Object} - Encrypted document ({ version, algorithm, salt, iv, tag, data })
+   */
+  static encrypt(data, key) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(key, salt), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+    return {
+      version: 1,
+      algorithm: ALGORITHM,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a document written by encrypt()
+   * @param {Object} document - Encrypted document
+   * @param {string} key - Passphrase
+   * @returns {Object} - Vault contents
+   * @throws {Error} If the key is wrong or the document was modified
+   */
+  static decrypt(document, key) {
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(key, Buffer.from(document.salt, 'base64')), Buffer.from(document.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(document.tag, 'base64'));
+      const decrypted = Buffer.concat([decipher.update(Buffer.from(document.data, 'base64')), decipher.final()]);
+      return JSON.parse(decrypted.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Cannot decrypt ${path.basename(this.vaultPath)}: wrong CREDENTIALS_KEY or a modified file`);
+    }
+  }
+
+  /**
+   * Decrypted vault file, {} when there is none
+   * @param {string} key - Passphrase (defaults to CREDENTIALS_KEY)
+   * @returns {Object} - { <profile>: { <role>: { username, password } } }
+   */
+  static readVault(key = process.env.CREDENTIALS_KEY) {
+    const file = this.vaultPath;
+    if (vaultCache && vaultCache.file === file) {
+      return vaultCache.data;
+    }
+    if (!fs.existsSync(file)) {
+      return {};
+    }
+    if (!key) {
+      throw new Error(`${path.basename(file)} exists but CREDENTIALS_KEY is not set`);
+    }
+    const data = this.decrypt(JSON.parse(fs.readFileSync(file, 'utf8')), key);
+    vaultCache = { file, data };
+    return data;
+  }
+
+  /**
+   * Encrypt and write the vault file
+   * @param {Object} data - Vault contents
+   * @param {string} key - Passphrase (defaults to CREDENTIALS_KEY)
+   */
+  static writeVault(data, key = process.env.CREDENTIALS_KEY) {
+    if (!key) {
+      throw new Error('Set CREDENTIALS_KEY to encrypt the credential vault');
+    }
+    fs.writeFileSync(this.vaultPath, `${JSON.stringify(this.encrypt(data, key), null, 2)}\n`, { mode: 0o600 });
+    vaultCache = { file: this.vaultPath, data };
+  }
+
+  /**
+   * Account of a role, or null when it is not configured
+   * @param {string} role - Role name (admin, botCreator, readOnly or one stored in the vault)
+   * @param {string} environment - Profile name (defaults to TEST_ENV)
+   * @returns {Object|null} - { role, username, password, source }
+   */
+  static find(role, environment = Environment.name) {
+    const profile = PROFILES[environment];
+    if (!profile) {
+      throw new Error(`Unknown environment profile "${environment}" (TEST_ENV). Available: ${Object.keys(PROFILES).join(', ')}`);
+    }
+
+    const prefix = profile.credentials.prefix || '';
+    const username = process.env[`${prefix}${toEnvName(role)}_USERNAME`];
+    const password = process.env[`${prefix}${toEnvName(role)}_PASSWORD`];
+    if (isConfigured(username) && isConfigured(password)) {
+      return { role, username, password, source: 'env' };
+    }
+
+    const stored = (this.readVault()[environment] || {})[role];
+    if (stored && isConfigured(stored.username) && isConfigured(stored.password)) {
+      return { role, username: stored.username, password: stored.password, source: 'vault' };
+    }
+
+    if (profile.credentials.source === 'mock-users') {
+      const user = require('../mock-server/fixtures/users.json').find(item => item.account === role);
+      return user ? { role, username: user.username, password: user.password, source: 'mock-users' } : null;
+    }
+    if (role === 'admin') {
+      const { username: profileUsername, password: profilePassword } = Environment.resolveCredentials(profile.credentials, environment);
+      if (isConfigured(profileUsername) && isConfigured(profilePassword)) {
+        return { role, username: profileUsername, password: profilePassword, source: 'env' };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Account of a role
+   * @param {string} role - Role name (defaults to admin)
+   * @param {string} environment - Profile name (defaults to TEST_ENV)
+   * @returns {Object} - { role, username, password, source }
+   * @throws {Error} If the role has no credentials in this environment
+   */
+  static get(role = 'admin', environment = Environment.name) {
+    const account = this.find(role, environment);
+    if (!account) {
+      const prefix = (PROFILES[environment].credentials.prefix || '') + toEnvName(role);
+      throw new Error(`No credentials for role "${role}" in environment "${environment}". `
+        + `Set ${prefix}_USERNAME/${prefix}_PASSWORD or run "npm run credentials -- set ${role}".`);
+    }
+    return account;
+  }
+
+  /**
+   * Every configured account of an environment
+   * @param {string} environment - Profile name (defaults to TEST_ENV)
+   * @returns {Array<Object>} - Accounts ({ role, username, password, source })
+   */
+  static accounts(environment = Environment.name) {
+    const roles = new Set([...Object.keys(ROLES), ...Object.keys(this.readVault()[environment] || {})]);
+    return [...roles].map(role => this.find(role, environment)).filter(Boolean);
+  }
+
+  /**
+   * Turn login arguments into credentials: a role name (no password), { username, password } or username and password
+   * @param {string|Object} userOrRole - Role name, credentials object or username
+   * @param {string} password - Password when userOrRole is a username
+   * @returns {Object} - { username, password, role? }
+   */
+  static resolve(userOrRole, password) {
+    if (userOrRole && typeof userOrRole === 'object') {
+      return userOrRole;
+    }
+    if (password === undefined && typeof userOrRole === 'string' && userOrRole !== '') {
+      return this.get(userOrRole);
+    }
+    return { username: userOrRole, password };
+  }
+}
+
+module.exports = { CredentialVault };
@@ -0,0 +1,156 @@
+const testDataManager = require('./testData');
+
+// Entry keys with a meaning for the generator; everything else is passed through to the test
+const CASE_KEYS = ['value', 'expected', 'tags', 'skip', 'fixme', 'description'];
+
+function isCaseObject(entry) {
+  return entry !== null && typeof entry === 'object' && !Array.isArray(entry) &&
+    (Object.prototype.hasOwnProperty.call(entry, 'value') || Object.prototype.hasOwnProperty.call(entry, 'expected'));
+}
+
+/**
+ * Normalise one section entry into a test case
+ * A plain value becomes { value } with the default outcome; an object with value/expected is taken as is.
+ * @param {string} key - Entry key in the section
+ * @param {any} entry - Entry from the data file
+ * @param {Object} options - defaultExpected
+ * @returns {Object} - Case ({ key, value, expected, tags, skip, fixme, description, ...extra fields })
+ */
+function toCase(key, entry, options = {}) {
+  const data = isCaseObject(entry) ? entry : { value: entry };
+  const extra = Object.fromEntries(Object.entries(data).filter(([name]) => !CASE_KEYS.includes(name)));
+  return {
+    ...extra,
+    key,
+    value: data.value,
+    expected: data.expected !== undefined ? data.expected : options.defaultExpected,
+    tags: data.tags || [],
+    skip: data.skip,
+    fixme: data.fixme,
+    description: data.description
+  };
+}
+
+/**
+ * Cases of one data section, checked against the allowed outcomes
+ * @param {Object} options - file, section, outcomes, defaultExpected, where
+ * @returns {Array<Object>} - Cases
+ */
+function loadCases(options) {
+  const data = testDataManager.loadTestData(options.file);
+  const section = data[options.section];
+  const location = `test-data/${options.file}.json: ${options.section}`;
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw new Error(`${location} must be an object of test cases`);
+  }
+
+  const cases = Object.entries(section).map(([key, entry]) => toCase(key, entry, options));
+  cases.forEach(testCase => checkCase(testCase, location, options));
+  return options.where ? cases.filter(options.where) : cases;
+}
+
+/**
+ * Throw when a case has no or an unknown outcome, or malformed tags
+ */
+function checkCase(testCase, location, options) {
+  const where = testCase.role ? `${location}.${testCase.key}.${testCase.role}` : `${location}.${testCase.key}`;
+  if (testCase.expected === undefined) {
+    throw new Error(`${where} has no "expected" outcome${options.outcomes ? ` (one of ${options.outcomes.join(', ')})` : ''}`);
+  }
+  if (options.outcomes && !options.outcomes.includes(testCase.expected)) {
+    throw new Error(`${where}: unknown expected outcome "${testCase.expected}" (one of ${options.outcomes.join(', ')})`);
+  }
+  if (!Array.isArray(testCase.tags) || testCase.tags.some(tag => !/^@\S+$/.test(tag))) {
+    throw new Error(`${where}: tags must be an array like ["@smoke"]`);
+  }
+}
+
+/**
+ * Add the test title and details (description and skip/fixme annotations) to a case
+ */
+function withTitle(testCase, baseTags, title) {
+  const annotation = [];
+  if (testCase.description) {
+    annotation.push({ type: 'case', description: testCase.description });
+  }
+  // Playwright skips tests that carry a skip or fixme annotation
+  if (testCase.skip) {
+    annotation.push({ type: 'skip', description: String(testCase.skip) });
+  } else if (testCase.fixme) {
+    annotation.push({ type: 'fixme', description: String(testCase.fixme) });
+  }
+  return {
+    ...testCase,
+    title: [...baseTags, ...testCase.tags, title(testCase)].join(' '),
+    details: { annotation }
+  };
+}
+
+/**
+ * Cases of a test-data section, ready to become one Playwright test each
+ * Every case gets a title with the tags and the entry key, e.g. "@ui @negative invalid.emptyTaskName is rejected",
+ * so a single case can be run with --grep, and test details whose annotations carry the description and any
+ * skip/fixme reason from the data file. Cases are read when the spec is collected, so every worker resolves
+ * generators afresh.
+ *
+ * @example
+ * for (const testCase of dataCases({ file: 'messageBox', section: 'edgeCases', tags: ['@ui'], outcomes: ['accepted', 'rejected'] })) {
+ *   test(testCase.title, testCase.details, async ({ taskBotPage }) => {
+ *     // testCase.value, testCase.expected and any extra fields from the data file
+ *   });
+ * }
+ *
+ * @param {Object} options - file, section, plus optional tags, outcomes (allowed expected values),
+ *   defaultExpected (for plain entries), where(testCase) filter and title(testCase) builder
+ * @returns {Array<Object>} - Cases, each with title and details added
+ */
+function dataCases(options) {
+  const baseTags = options.tags || [];
+  const title = options.title || (testCase => `${options.section}.${testCase.key} is ${testCase.expected}`);
+
+  return loadCases(options).map(testCase => withTitle(testCase, baseTags, title));
+}
+
+/**
+ * Cases of a matrix section: each entry has one expected outcome per role, and becomes one test per role
+ * Titles read "<section>.<key> is <expected> for <role>", e.g. "@permissions ui.createForm is disabled for botCreator".
+ *
+ * @example
+ * // test-data/permissions.json: "ui": { "createForm": { "value": "automation.formOption", "expected": { "admin": "enabled", "readOnly": "hidden" } } }
+ * for (const testCase of matrixCases({ file: 'permissions', section: 'ui', role: 'readOnly', outcomes: ['enabled', 'disabled', 'hidden'] })) {
+ *   test(testCase.title, testCase.details, async ({ automationPage }) => {
+ *     // testCase.role, testCase.value, testCase.expected
+ *   });
+ * }
+ *
+ * @param {Object} options - file, section, plus optional role (only that role's cases), tags, outcomes, where and title
+ * @returns {Array<Object>} - Cases ({ role, key, value, expected, ... }), each with title and details added
+ */
+function matrixCases(options) {
+  const data = testDataManager.loadTestData(options.file);
+  const section = data[options.section];
+  const location = `test-data/${options.file}.json: ${options.section}`;
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw new Error(`${location} must be an object of matrix entries`);
+  }
+
+  const cases = [];
+  for (const [key, entry] of Object.entries(section)) {
+    if (!entry || typeof entry.expected !== 'object' || Array.isArray(entry.expected) || entry.expected === null) {
+      throw new Error(`${location}.${key} needs "expected" as an object of role outcomes, e.g. { "admin": "allowed" }`);
+    }
+    for (const [role, expected] of Object.entries(entry.expected)) {
+      if (options.role && role !== options.role) {
+        continue;
+      }
+      const testCase = { ...toCase(key, { ...entry, expected }), role };
+      checkCase(testCase, location, options);
+      cases.push(testCase);
+    }
+  }
+
+  const title = options.title || (testCase => `${options.section}.${testCase.key} is ${testCase.expected} for ${testCase.role}`);
+  return (options.where ? cases.filter(options.where) : cases).map(testCase => withTitle(testCase, options.tags || [], title));
+}
+
+module.exports = { dataCases, matrixCases, loadCases, toCase };
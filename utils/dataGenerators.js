@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const CHARSETS = {
+  alpha: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  alphanumeric: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+  numeric: '0123456789',
+  hex: '0123456789abcdef'
+};
+
+const UNICODE_SAMPLES = {
+  cjk: '测试数据学习实例表单',
+  emoji: '🚀🤖📄✅🔥',
+  rtl: 'مرحبا بالعالم',
+  accented: 'émoji façade naïve Ångström',
+  combining: 'éäôñ',
+  mixed: '测试 🚀 émoji مرحبا'
+};
+
+/**
+ * Repeat a sample string up to a number of code points, so surrogate pairs are never split
+ */
+function fillToLength(sample, length) {
+  const codePoints = Array.from(sample);
+  return Array.from({ length }, (_, index) => codePoints[index % codePoints.length]).join('');
+}
+
+/**
+ * Declarative test data generators
+ * A JSON value of the form { "$gen": "<name>", ...params } is replaced by the generator's output when the
+ * file is loaded. Every generator declares its parameters so data files can be validated before any test runs:
+ * type is 'string', 'integer' or 'boolean', plus optional required, min, enum and default.
+ */
+const GENERATORS = {
+  repeat: {
+    description: 'A string repeated count times',
+    params: {
+      value: { type: 'string', required: true },
+      count: { type: 'integer', required: true, min: 0 }
+    },
+    generate: ({ value, count }) => value.repeat(count)
+  },
+
+  randomString: {
+    description: 'Random characters from a charset, optionally prefixed',
+    params: {
+      length: { type: 'integer', required: true, min: 1 },
+      charset: { type: 'string', enum: Object.keys(CHARSETS), default: 'alphanumeric' },
+      prefix: { type: 'string', default: '' }
+    },
+    generate: ({ length, charset, prefix }) => {
+      const characters = CHARSETS[charset];
+      const bytes = crypto.randomBytes(length);
+      return prefix + Array.from(bytes, byte => characters[byte % characters.length]).join('');
+    }
+  },
+
+  unicode: {
+    description: 'A non-ASCII sample (CJK, emoji, right-to-left, accented or combining characters)',
+    params: {
+      sample: { type: 'string', enum: Object.keys(UNICODE_SAMPLES), default: 'mixed' },
+      length: { type: 'integer', min: 1 }
+    },
+    generate: ({ sample, length }) => (length ? fillToLength(UNICODE_SAMPLES[sample], length) : UNICODE_SAMPLES[sample])
+  },
+
+  timestamp: {
+    description: 'The current time (plus offsetMs) as ISO string, date, epoch milliseconds or seconds',
+    params: {
+      format: { type: 'string', enum: ['iso', 'date', 'epoch', 'epochSeconds'], default: 'iso' },
+      offsetMs: { type: 'integer', default: 0 },
+      prefix: { type: 'string' }
+    },
+    generate: ({ format, offsetMs, prefix }) => {
+      const time = new Date(Date.now() + offsetMs);
+      const values = {
+        iso: time.toISOString(),
+        date: time.toISOString().slice(0, 10),
+        epoch: time.getTime(),
+        epochSeconds: Math.floor(time.getTime() / 1000)
+      };
+      // A prefix always yields a string, e.g. unique names like "Form_1718000000000"
+      return prefix === undefined ? values[format] : `${prefix}${values[format]}`;
+    }
+  },
+
+  file: {
+    description: 'A file relative to the project root, as absolute path, UTF-8 content or base64',
+    params: {
+      path: { type: 'string', required: true },
+      as: { type: 'string', enum: ['path', 'content', 'base64'], default: 'path' },
+      mustExist: { type: 'boolean', default: true }
+    },
+    generate: params => {
+      const filePath = path.resolve(ROOT_DIR, params.path);
+      if ((params.mustExist || params.as !== 'path') && !fs.existsSync(filePath)) {
+        throw new Error(`file "${params.path}" does not exist (${filePath})`);
+      }
+      if (params.as === 'content') {
+        return fs.readFileSync(filePath, 'utf8');
+      }
+      if (params.as === 'base64') {
+        return fs.readFileSync(filePath).toString('base64');
+      }
+      return filePath;
+    }
+  }
+};
+
+module.exports = { GENERATORS, CHARSETS, UNICODE_SAMPLES };
@@ -0,0 +1,155 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const DEFAULT_PROFILE = 'community-cloud';
+const COMMUNITY_CLOUD_URL = 'https://community2.cloud-2.automationanywhere.digital';
+
+/**
+ * Named environment profiles
+ * baseURL/apiBaseURL read the profile's own variables first; apiBaseURL defaults to <baseURL>/api.
+ * credentials.source is 'env' (usernameVar/passwordVar, required when they are not USERNAME/PASSWORD) or 'mock-users'
+ * (first account seeded in mock-server/fixtures/users.json); prefix is put before the role variables of
+ * utils/credentialVault.js (e.g. STAGING_READ_ONLY_USERNAME). dataOverlay names the test-data/env/<overlay>/
+ * directory merged over the base data files.
+ */
+const PROFILES = {
+  'local-mock': {
+    description: 'Offline mock Control Room started by Playwright (mock-server/)',
+    baseURL: () => `http://127.0.0.1:${process.env.MOCK_SERVER_PORT || 3000}`,
+    mockServer: true,
+    credentials: { source: 'mock-users' },
+    timeouts: { test: 120000, action: 30000, navigation: 30000 },
+    dataOverlay: 'local-mock'
+  },
+  staging: {
+    description: 'Staging Control Room (STAGING_BASE_URL, STAGING_USERNAME/STAGING_PASSWORD)',
+    // No BASE_URL fallback: .env points it at the community cloud, where the STAGING_ accounts do not belong
+    baseURL: () => process.env.STAGING_BASE_URL,
+    apiBaseURL: () => process.env.STAGING_API_BASE_URL,
+    credentials: { source: 'env', usernameVar: 'STAGING_USERNAME', passwordVar: 'STAGING_PASSWORD', prefix: 'STAGING_' },
+    timeouts: { test: 120000, action: 60000, navigation: 90000 },
+    dataOverlay: 'staging'
+  },
+  'community-cloud': {
+    description: 'Automation Anywhere Community Edition cloud',
+    baseURL: () => process.env.BASE_URL || COMMUNITY_CLOUD_URL,
+    apiBaseURL: () => process.env.API_BASE_URL,
+    credentials: { source: 'env', usernameVar: 'USERNAME', passwordVar: 'PASSWORD' },
+    timeouts: { test: 120000, action: 60000, navigation: 90000 },
+    dataOverlay: 'community-cloud'
+  }
+};
+
+/**
+ * Strip hash routes, query parameters and the trailing slash from a base URL
+ */
+function normalizeURL(url) {
+  return url
+    .replace(/#\/.*$/, '')  // Remove hash routes like #/login
+    .replace(/\?.*$/, '')   // Remove query parameters like ?mkt_tok=...
+    .replace(/\/$/, '');    // Remove trailing slash
+}
+
+/**
+ * Environment profile selection
+ * TEST_ENV picks a profile; MOCK_SERVER=true is kept as a shortcut for local-mock.
+ */
+class Environment {
+  /**
+   * Name of the selected profile
+   * @returns {string} - Profile name
+   */
+  static get name() {
+    if (process.env.TEST_ENV) {
+      return process.env.TEST_ENV;
+    }
+    return process.env.MOCK_SERVER === 'true' ? 'local-mock' : DEFAULT_PROFILE;
+  }
+
+  /**
+   * Resolve credentials from the profile's source
+   * A profile with its own usernameVar/passwordVar never borrows USERNAME/PASSWORD, which hold the
+   * community cloud account.
+   * @param {Object} source - Profile credentials ({ source, usernameVar, passwordVar })
+   * @param {string} name - Profile name, for the error message
+   * @returns {Object} - { source, username, password }
+   * @throws {Error} If the profile's own variables are unset
+   */
+  static resolveCredentials(source, name = this.name) {
+    if (source.source === 'mock-users') {
+      const [mockAdmin] = require('../mock-server/fixtures/users.json');
+      return { source: 'mock-users', username: mockAdmin.username, password: mockAdmin.password };
+    }
+    const username = process.env[source.usernameVar];
+    const password = process.env[source.passwordVar];
+    const ownVariables = source.usernameVar !== 'USERNAME' || source.passwordVar !== 'PASSWORD';
+    if (ownVariables && !(username && password)) {
+      throw new Error(`Environment profile "${name}" has no credentials. Set ${source.usernameVar} and ${source.passwordVar}; `
+        + 'USERNAME/PASSWORD are not used for this profile (see README "Environment Profiles").');
+    }
+    return { source: 'env', username, password };
+  }
+
+  /**
+   * Resolve the selected profile against the current environment variables
+   * @param {string} name - Profile name (defaults to the selected one)
+   * @returns {Object} - { name, description, baseURL, apiBaseURL, mockServer, credentials, timeouts, dataOverlay }
+   */
+  static get(name = this.name) {
+    const profile = PROFILES[name];
+    if (!profile) {
+      throw new Error(`Unknown environment profile "${name}" (TEST_ENV). Available: ${Object.keys(PROFILES).join(', ')}`);
+    }
+
+    const baseURL = profile.baseURL();
+    if (!baseURL) {
+      throw new Error(`Environment profile "${name}" has no base URL. Set ${name === 'staging' ? 'STAGING_BASE_URL' : 'BASE_URL'} (see README "Environment Profiles").`);
+    }
+    const apiBaseURL = (profile.apiBaseURL && profile.apiBaseURL()) || `${normalizeURL(baseURL)}/api`;
+
+    return {
+      name,
+      description: profile.description,
+      baseURL: normalizeURL(baseURL),
+      apiBaseURL: apiBaseURL.replace(/\/$/, ''),
+      mockServer: Boolean(profile.mockServer),
+      credentials: this.resolveCredentials(profile.credentials, name),
+      timeouts: {
+        test: Number(process.env.TEST_TIMEOUT) || profile.timeouts.test,
+        action: Number(process.env.ACTION_TIMEOUT) || profile.timeouts.action,
+        navigation: Number(process.env.NAVIGATION_TIMEOUT) || profile.timeouts.navigation
+      },
+      dataOverlay: profile.dataOverlay
+    };
+  }
+
+  /**
+   * Resolve the selected profile and export it as BASE_URL, API_BASE_URL, USERNAME and PASSWORD,
+   * so the mock server, session storage and worker processes all see the same values
+   * @returns {Object} - Resolved profile
+   */
+  static apply() {
+    const environment = this.get();
+    process.env.TEST_ENV = environment.name;
+    process.env.BASE_URL = environment.baseURL;
+    process.env.API_BASE_URL = environment.apiBaseURL;
+    if (environment.credentials.username && environment.credentials.password) {
+      process.env.USERNAME = environment.credentials.username;
+      process.env.PASSWORD = environment.credentials.password;
+    }
+    return environment;
+  }
+
+  /**
+   * Names of all profiles
+   * @returns {Array<string>} - Profile names
+   */
+  static list() {
+    return Object.keys(PROFILES);
+  }
+}
+
+module.exports = { Environment, PROFILES };
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+const { ResponseTiming } = require('./responseTiming');
+const { Redaction, REDACTED } = require('./redaction');
+const { findNames } = require('./artifactNames');
+const logger = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+// Recordings are versioned with the tests that replay them
+const DEFAULT_RECORDINGS_DIR = path.join(ROOT_DIR, 'network-recordings');
+const NAME_PLACEHOLDER = '<factory name>';
+// Headers that describe the original transfer, not the replayed body
+const DROPPED_HEADERS = ['content-length', 'content-encoding', 'transfer-encoding', 'connection'];
+
+const DEFAULT_OPTIONS = {
+  urlPattern: /\/api\/|\/v\d+\//,
+  // Query parameters that only bust caches
+  ignoreQueryParams: ['_', 't', 'ts', 'timestamp', 'cacheBust'],
+  // Body fields that differ on every run
+  ignoreBodyFields: ['createdAt', 'updatedAt', 'timestamp', 'requestId'],
+  // Treat numeric and long hex IDs in paths, and id/...Id body fields, as equal
+  ignoreIds: true,
+  // 'prefer': same body first, then the next call to the same URL; 'strict': same body only; 'ignore': URL only
+  body: 'prefer',
+  // What happens to API calls without a recording: 'abort' them or let them 'continue' to the network
+  unmatched: 'abort'
+};
+
+/**
+ * Whether a URL belongs to the API calls (urlPattern) rather than the app's documents and assets
+ */
+function isApiUrl(pattern, url) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(url);
+  }
+  return typeof pattern === 'function' ? Boolean(pattern(new URL(url))) : url.includes(pattern);
+}
+
+function stripFields(value, fields, ignoreIds) {
+  if (Array.isArray(value)) {
+    return value.map(item => stripFields(item, fields, ignoreIds));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => !fields.includes(key))
+      .map(key => [key, ignoreIds && /^id$|Id$/.test(key) ? ':id' : stripFields(value[key], fields, ignoreIds)]));
+  }
+  return value;
+}
+
+/**
+ * Serves a page's API calls from a HAR recording, so a UI flow runs without the live Control Room
+ * Requests are matched on method, path and query (IDs and cache-busting parameters ignored), then on the body
+ * (volatile fields, secrets and factory names ignored). Several calls to the same URL are answered in recorded
+ * order; once the recording runs out, the last response is repeated. Factory names (E2E_<run>_...) of the
+ * recording are rewritten to the names the current run sends, so lists show what the test just created.
+ * Documents and assets recorded with recordAssets() (everything outside urlPattern) are served by exact URL,
+ * so the app itself loads from the recording too.
+ *
+ * @example
+ * const replay = await HarReplay.load('network-recordings/use-case-3/create.har').attach(page);
+ * // ... drive the UI ...
+ * expect(replay.unmatched).toEqual([]);
+ */
+class HarReplay {
+  /**
+   * @param {Object} har - HAR document
+   * @param {Object} options - See DEFAULT_OPTIONS (urlPattern, ignoreQueryParams, ignoreBodyFields, ignoreIds, body, unmatched)
+   */
+  constructor(har, options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    const [api, assets] = [true, false].map(wanted => har.log.entries
+      .filter(entry => isApiUrl(this.options.urlPattern, entry.request.url) === wanted));
+    // The last recorded response of an asset URL wins
+    this.assets = new Map(assets.map(entry => [`${entry.request.method} ${entry.request.url}`, entry]));
+    this.entries = api.map(entry => ({
+      entry,
+      urlKey: this.urlKey(entry.request.method, entry.request.url),
+      bodyKey: this.bodyKey(entry.request.postData && entry.request.postData.text),
+      used: false
+    }));
+    this.names = new Map();
+    this.unmatched = [];
+    this.served = 0;
+  }
+
+  static get recordingsDir() {
+    return process.env.NETWORK_RECORDINGS_DIR ? path.resolve(process.env.NETWORK_RECORDINGS_DIR) : DEFAULT_RECORDINGS_DIR;
+  }
+
+  /**
+   * Recording file of a test: network-recordings/<spec>/<describe>-<title>.har
+   * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+   * @returns {string} - Absolute path
+   */
+  static recordingPath(testInfo) {
+    const spec = path.basename(testInfo.file).replace(/\.spec\.js$/, '');
+    const title = testInfo.titlePath.slice(1).join(' ').replace(/@\w+/g, '').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase();
+    return path.join(this.recordingsDir, spec, `${title}.har`);
+  }
+
+  /**
+   * Write a HAR document, e.g. NetworkRecorder.toHar(), with any remaining secrets redacted
+   * @param {string} file - Target path
+   * @param {Object} har - HAR document
+   */
+  static save(file, har) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${Redaction.redactText(JSON.stringify(har, null, 2))}\n`);
+  }
+
+  /**
+   * Record the documents, scripts, styles, images and fonts a page loads (GET requests outside urlPattern),
+   * as HAR entries with base64 bodies and redacted headers, to be saved with the API calls
+   * @param {import('@playwright/test').Page} page - Page to record
+   * @param {Object} options - urlPattern of the API calls, which are left to NetworkRecorder
+   * @returns {Object} - { stop() } resolving to the HAR entries once every body has been read
+   */
+  static recordAssets(page, options = {}) {
+    const urlPattern = options.urlPattern || DEFAULT_OPTIONS.urlPattern;
+    const entries = [];
+    const pending = new Set();
+    const onResponse = response => {
+      const request = response.request();
+      const url = request.url();
+      if (request.method() !== 'GET' || !/^https?:/.test(url) || isApiUrl(urlPattern, url)) {
+        return;
+      }
+      const read = response.body().catch(() => Buffer.alloc(0)).then(body => {
+        const headers = Redaction.redact(response.headers());
+        entries.push({
+          startedDateTime: new Date().toISOString(),
+          time: 0,
+          request: { method: 'GET', url, httpVersion: 'HTTP/1.1', cookies: [], headers: [], queryString: [], headersSize: -1, bodySize: 0 },
+          response: {
+            status: response.status(),
+            statusText: response.statusText(),
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: Object.entries(headers).map(([name, value]) => ({ name, value: String(value) })),
+            // Redirects have no body
+            content: { size: body.length, mimeType: headers['content-type'] || 'x-unknown', text: body.toString('base64'), encoding: 'base64' },
+            redirectURL: headers.location || '',
+            headersSize: -1,
+            bodySize: body.length
+          },
+          cache: {},
+          timings: { send: 0, wait: 0, receive: 0 }
+        });
+      });
+      pending.add(read);
+      read.finally(() => pending.delete(read));
+    };
+    page.on('response', onResponse);
+    return {
+      stop: async () => {
+        page.off('response', onResponse);
+        await Promise.all([...pending]);
+        return entries;
+      }
+    };
+  }
+
+  /**
+   * Replay for a stored recording
+   * @param {string} file - HAR file
+   * @param {Object} options - Matching options
+   * @returns {HarReplay} - Replay, not yet attached to a page
+   */
+  static load(file, options) {
+    return new HarReplay(JSON.parse(fs.readFileSync(file, 'utf8')), options);
+  }
+
+  /**
+   * "METHOD /path?query" with IDs and ignored query parameters normalized away
+   */
+  urlKey(method, url) {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams]
+      .filter(([name]) => !this.options.ignoreQueryParams.includes(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const base = this.options.ignoreIds ? ResponseTiming.endpointKey(method, url) : `${method.toUpperCase()} ${parsed.pathname}`;
+    return params.length > 0 ? `${base}?${new URLSearchParams(params)}` : base;
+  }
+
+  /**
+   * Comparable form of a request body; recordings are redacted, so secrets are redacted here too
+   */
+  bodyKey(text) {
+    if (!text) {
+      return '';
+    }
+    const withoutNames = findNames(text).reduce((result, name) => result.split(name).join(NAME_PLACEHOLDER), String(text));
+    try {
+      return JSON.stringify(stripFields(Redaction.redact(JSON.parse(withoutNames)), this.options.ignoreBodyFields, this.options.ignoreIds));
+    } catch (error) {
+      return withoutNames;
+    }
+  }
+
+  /**
+   * Recorded entry for a request, or null
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {string} postData - Request body
+   * @returns {Object|null} - HAR entry
+   */
+  match(method, url, postData) {
+    const urlKey = this.urlKey(method, url);
+    const bodyKey = this.bodyKey(postData);
+    const candidates = this.entries.filter(candidate => candidate.urlKey === urlKey
+      && (this.options.body !== 'strict' || candidate.bodyKey === bodyKey));
+    const unused = candidates.filter(candidate => !candidate.used);
+    const found = (this.options.body !== 'ignore' && unused.find(candidate => candidate.bodyKey === bodyKey))
+      || unused[0]
+      || candidates[candidates.length - 1];
+    if (!found) {
+      return null;
+    }
+    found.used = true;
+    return found.entry;
+  }
+
+  /**
+   * Map the recording's factory names to the ones this run sends in the same place
+   */
+  learnNames(recordedText, currentText) {
+    const recorded = findNames(recordedText);
+    const current = findNames(currentText);
+    recorded.forEach((name, index) => {
+      if (current[index] && current[index] !== name) {
+        this.names.set(name, current[index]);
+      }
+    });
+  }
+
+  renameAll(text) {
+    let renamed = text;
+    for (const [recorded, current] of this.names) {
+      renamed = renamed.split(recorded).join(current);
+    }
+    return renamed;
+  }
+
+  /**
+   * Route handler: fulfil from the recording, or abort/continue unmatched calls
+   * @param {import('@playwright/test').Route} route - Intercepted route
+   */
+  async handle(route) {
+    const request = route.request();
+    const entry = this.match(request.method(), request.url(), request.postData());
+    if (!entry) {
+      this.unmatched.push(`${request.method()} ${request.url()}`);
+      logger.warn(`[REPLAY] No recording for ${request.method()} ${request.url()} (${this.options.unmatched})`);
+      await (this.options.unmatched === 'continue' ? route.continue() : route.abort('failed'));
+      return;
+    }
+
+    this.learnNames(entry.request.postData && entry.request.postData.text, request.postData());
+    this.learnNames(entry.request.url, request.url());
+    const headers = Object.fromEntries(entry.response.headers
+      .filter(({ name, value }) => !DROPPED_HEADERS.includes(name.toLowerCase()) && value !== REDACTED)
+      .map(({ name, value }) => [name, value]));
+    this.served += 1;
+    await route.fulfill({
+      status: entry.response.status,
+      headers,
+      body: this.renameAll(entry.response.content.text || '')
+    });
+  }
+
+  /**
+   * Route handler for documents and assets: fulfil by exact URL, or abort/continue unrecorded ones
+   * @param {import('@playwright/test').Route} route - Intercepted route
+   */
+  async handleAsset(route) {
+    const request = route.request();
+    const entry = this.assets.get(`${request.method()} ${request.url()}`);
+    if (!entry) {
+      this.unmatched.push(`${request.method()} ${request.url()}`);
+      logger.debug(`[REPLAY] No recorded asset ${request.url()} (${this.options.unmatched})`);
+      await (this.options.unmatched === 'continue' ? route.continue() : route.abort('failed'));
+      return;
+    }
+    const { content } = entry.response;
+    this.served += 1;
+    await route.fulfill({
+      status: entry.response.status,
+      headers: Object.fromEntries(entry.response.headers
+        .filter(({ name, value }) => !DROPPED_HEADERS.includes(name.toLowerCase()) && value !== REDACTED)
+        .map(({ name, value }) => [name, value])),
+      body: Buffer.from(content.text || '', content.encoding === 'base64' ? 'base64' : 'utf8')
+    });
+  }
+
+  /**
+   * Start answering the page's API calls from the recording, and its documents and assets when the
+   * recording has them (recordings made before assets were recorded still load the app from BASE_URL)
+   * @param {import('@playwright/test').Page} page - Page to route
+   * @returns {Promise<HarReplay>} - this
+   */
+  async attach(page) {
+    await page.route(this.options.urlPattern, route => this.handle(route));
+    if (this.assets.size > 0) {
+      await page.route(url => !isApiUrl(this.options.urlPattern, url.href), route => this.handleAsset(route));
+    }
+    return this;
+  }
+}
+
+module.exports = { HarReplay, DEFAULT_REPLAY_OPTIONS: DEFAULT_OPTIONS };
@@ -1,5 +1,6 @@
 const { expect } = require('@playwright/test');
 const logger = require('./logger');
+const { Redaction } = require('./redaction');
 
 /**
  * Helper utility functions for common test operations
@@ -40,12 +41,12 @@ class Helpers {
   /**
    * Take screenshot with descriptive name
    * @param {Object} page - Playwright page object
-   * @param {string} name - Screenshot name
+   * @param {string} name - Screenshot name (secrets and unsafe characters are replaced)
    */
   static async takeScreenshot(page, name) {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const screenshotPath = `test-results/screenshots/${name}_${timestamp}.png`;
+      const screenshotPath = `test-results/screenshots/${Redaction.safeFileName(name)}_${timestamp}.png`;
       await page.screenshot({ 
         path: screenshotPath, 
         fullPage: true 
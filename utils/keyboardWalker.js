@@ -0,0 +1,322 @@
+const logger = require('./logger');
+
+const DEFAULT_MAX_TABS = 100;
+const DIALOG_SELECTOR = '[role="dialog"], [role="alertdialog"], dialog[open]';
+
+/**
+ * Describe document.activeElement (executed in the browser)
+ * Elements get a stable per-page uid (kept in a WeakMap, the DOM is not touched) so stops can be compared.
+ * @returns {Object|null} - Stop ({ uid, tag, role, name, selector, description, visible, focusIndicator, inDialog }) or null on body
+ */
+function describeActiveElement(dialogSelector) {
+  const element = document.activeElement;
+  if (!element || element === document.body || element === document.documentElement) {
+    return null;
+  }
+  window.__focusWalkIds = window.__focusWalkIds || { map: new WeakMap(), next: 1 };
+  const ids = window.__focusWalkIds;
+  if (!ids.map.has(element)) {
+    ids.map.set(element, ids.next++);
+  }
+
+  const text = node => (node.textContent || '').replace(/\s+/g, ' ').trim();
+  const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map(id => document.getElementById(id)).filter(Boolean).map(text).join(' ');
+  const labels = element.labels ? [...element.labels].map(text).join(' ') : '';
+  const name = (element.getAttribute('aria-label') || labelledBy || labels ||
+    (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) ? '' : text(element)) ||
+    element.getAttribute('title') || element.getAttribute('placeholder') || '').trim().slice(0, 60);
+
+  const implicitRoles = { A: 'link', BUTTON: 'button', SELECT: 'combobox', TEXTAREA: 'textbox', SUMMARY: 'button' };
+  const inputRoles = { checkbox: 'checkbox', radio: 'radio', search: 'searchbox', submit: 'button', button: 'button', reset: 'button', number: 'spinbutton', range: 'slider' };
+  const role = element.getAttribute('role') ||
+    (element.tagName === 'INPUT' ? inputRoles[element.type] || 'textbox' : implicitRoles[element.tagName]) ||
+    element.tagName.toLowerCase();
+
+  const parts = [];
+  for (let node = element; node && node.nodeType === 1 && node !== document.documentElement; node = node.parentElement) {
+    if (node.id) {
+      parts.unshift(`#${CSS.escape(node.id)}`);
+      break;
+    }
+    const siblings = node.parentElement ? [...node.parentElement.children].filter(child => child.tagName === node.tagName) : [];
+    parts.unshift(node.tagName.toLowerCase() + (siblings.length > 1 ? `:nth-of-type(${siblings.indexOf(node) + 1})` : ''));
+  }
+
+  const style = getComputedStyle(element);
+  const rect = element.getBoundingClientRect();
+  const onScreen = rect.right > 0 && rect.bottom > 0 &&
+    rect.left < document.documentElement.scrollWidth && rect.top < document.documentElement.scrollHeight;
+  const visible = rect.width > 0 && rect.height > 0 && onScreen &&
+    style.visibility !== 'hidden' && Number(style.opacity) > 0 && !element.closest('[aria-hidden="true"]');
+  const focusIndicator = (style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0) || style.boxShadow !== 'none';
+
+  return {
+    uid: ids.map.get(element),
+    tag: element.tagName.toLowerCase(),
+    role,
+    name,
+    selector: parts.join(' > '),
+    description: `${role} "${name}"`,
+    visible,
+    focusIndicator,
+    inDialog: Boolean(element.closest(dialogSelector))
+  };
+}
+
+/**
+ * Number of elements reachable with Tab, optionally inside a container (executed in the browser)
+ */
+function countTabbable(containerSelector) {
+  const container = containerSelector ? document.querySelector(containerSelector) : document;
+  if (!container) {
+    return 0;
+  }
+  return [...container.querySelectorAll('a[href], button, input, select, textarea, summary, [tabindex]')]
+    .filter(el => el.tabIndex >= 0 && !el.disabled && el.type !== 'hidden')
+    .filter(el => !el.closest('[hidden], [inert]') && el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden')
+    .length;
+}
+
+/**
+ * Keyboard navigation walker
+ * Tabs through a page (or an open modal), records the focus order and reports focus traps,
+ * focus on invisible elements, missing focus indicators and deviations from an expected order.
+ */
+class KeyboardWalker {
+  /**
+   * Describe the element that currently has focus
+   * @param {Object} page - Playwright page object
+   * @returns {Promise<Object|null>} - Stop description or null when nothing is focused
+   */
+  static async activeElement(page) {
+    return page.evaluate(describeActiveElement, DIALOG_SELECTOR);
+  }
+
+  /**
+   * Tab through the page and record every focus stop
+   * @param {Object} page - Playwright page object
+   * @param {Object} options - maxTabs (default 100), reverse (Shift+Tab), startFrom (selector or Locator to focus first),
+   *   expected (ordered strings/RegExps matched against "role \"name\"" or the selector), exact (expected must match every stop)
+   * @returns {Promise<Object>} - Walk ({ stops, completed, trap, issues, orderMismatches, passed })
+   */
+  static async walk(page, options = {}) {
+    const maxTabs = options.maxTabs || DEFAULT_MAX_TABS;
+    const key = options.reverse ? 'Shift+Tab' : 'Tab';
+
+    if (options.startFrom) {
+      const start = typeof options.startFrom === 'string' ? page.locator(options.startFrom).first() : options.startFrom;
+      await start.focus();
+    } else {
+      await page.evaluate(() => document.activeElement && document.activeElement.blur());
+    }
+
+    const stops = [];
+    const initial = options.startFrom ? await this.activeElement(page) : null;
+    if (initial) {
+      stops.push(initial);
+    }
+
+    let completed = false;
+    let trap = null;
+    for (let i = 0; i < maxTabs; i++) {
+      await page.keyboard.press(key);
+      const stop = await this.activeElement(page);
+      if (!stop) {
+        // Focus left the document (browser UI) - the walk went all the way through
+        completed = true;
+        break;
+      }
+      const previous = stops[stops.length - 1];
+      if (previous && previous.uid === stop.uid) {
+        trap = { type: 'stuck', message: `Focus does not move past ${stop.description} (${stop.selector})`, stops: [stop] };
+        break;
+      }
+      const seenAt = stops.findIndex(entry => entry.uid === stop.uid);
+      if (seenAt !== -1) {
+        trap = await this.checkCycle(page, stops.slice(seenAt));
+        completed = !trap;
+        break;
+      }
+      stops.push(stop);
+    }
+    if (!completed && !trap) {
+      trap = { type: 'limit', message: `Focus did not leave the page within ${maxTabs} key presses`, stops: [] };
+    }
+
+    const issues = [];
+    if (trap) {
+      issues.push({ type: 'focus-trap', message: trap.message });
+    }
+    stops.filter(stop => !stop.visible).forEach(stop => {
+      issues.push({ type: 'invisible-focus', message: `Focus lands on an invisible element: ${stop.description} (${stop.selector})` });
+    });
+    stops.filter(stop => stop.visible && !stop.focusIndicator).forEach(stop => {
+      issues.push({ type: 'no-focus-indicator', message: `No visible focus indicator on ${stop.description} (${stop.selector})` });
+    });
+
+    const orderMismatches = options.expected ? this.compareOrder(stops, options.expected, options) : [];
+    orderMismatches.forEach(message => issues.push({ type: 'focus-order', message }));
+
+    const result = {
+      stops,
+      completed,
+      trap,
+      issues,
+      orderMismatches,
+      // A missing focus indicator is reported but does not fail the walk on its own
+      passed: issues.every(issue => issue.type === 'no-focus-indicator')
+    };
+    logger.info(`Keyboard walk: ${stops.length} focus stops, ${issues.length} issue(s)`);
+    stops.forEach((stop, index) => logger.debug(`  ${index + 1}. ${stop.description} ${stop.selector}`));
+    return result;
+  }
+
+  /**
+   * Decide whether focus cycling back to an earlier stop is a trap
+   * Cycling is expected inside an open modal; elsewhere it is a trap unless every tabbable element was visited.
+   */
+  static async checkCycle(page, cycle) {
+    if (cycle.every(stop => stop.inDialog)) {
+      return null;
+    }
+    const tabbable = await page.evaluate(countTabbable, null);
+    if (cycle.length >= tabbable) {
+      return null;
+    }
+    return {
+      type: 'cycle',
+      message: `Focus cycles through ${cycle.length} of ${tabbable} tabbable elements: ${cycle.map(stop => stop.description).join(' -> ')}`,
+      stops: cycle
+    };
+  }
+
+  /**
+   * Compare recorded stops with an expected order
+   * By default expected entries must appear in that order (other stops may sit in between);
+   * with exact every stop must match the entry at the same position.
+   * @param {Array<Object>} stops - Stops from walk()
+   * @param {Array<string|RegExp>} expected - Matched against "role \"name\"" or the selector
+   * @param {Object} options - exact
+   * @returns {Array<string>} - Mismatch messages (empty when the order matches)
+   */
+  static compareOrder(stops, expected, options = {}) {
+    const matches = (stop, pattern) => pattern instanceof RegExp
+      ? pattern.test(stop.description) || pattern.test(stop.selector)
+      : stop.description.includes(pattern) || stop.selector === pattern;
+    const actual = stops.map(stop => stop.description).join(', ');
+
+    if (options.exact) {
+      const mismatches = expected
+        .map((pattern, index) => (stops[index] && matches(stops[index], pattern) ? null
+          : `Stop ${index + 1}: expected ${pattern}, got ${stops[index] ? stops[index].description : 'nothing'}`))
+        .filter(Boolean);
+      if (stops.length > expected.length) {
+        mismatches.push(`${stops.length - expected.length} unexpected extra stop(s) after ${expected[expected.length - 1]}`);
+      }
+      return mismatches.length ? [...mismatches, `Actual order: ${actual}`] : [];
+    }
+
+    let position = 0;
+    for (const pattern of expected) {
+      const found = stops.findIndex((stop, index) => index >= position && matches(stop, pattern));
+      if (found === -1) {
+        const earlier = stops.findIndex(stop => matches(stop, pattern));
+        const reason = earlier === -1 ? 'never received focus' : `received focus too early (stop ${earlier + 1})`;
+        return [`Expected ${pattern} ${reason}. Actual order: ${actual}`];
+      }
+      position = found + 1;
+    }
+    return [];
+  }
+
+  /**
+   * Check that a modal takes focus, keeps it while open and hands it back when closed
+   * @param {Object} page - Playwright page object
+   * @param {Object} options - open (async function that opens the modal), close (async function, default Escape),
+   *   dialog (selector, default role=dialog), restoreTo (selector/Locator expected to regain focus; defaults to the
+   *   element focused right before open), maxTabs
+   * @returns {Promise<Object>} - Result ({ focusMovedIn, trapped, escapedTo, restored, forward, backward, issues, passed })
+   */
+  static async verifyModalFocus(page, options) {
+    const dialogSelector = options.dialog || DIALOG_SELECTOR;
+    const maxTabs = options.maxTabs || 30;
+    const issues = [];
+
+    const before = await this.activeElement(page);
+    await options.open();
+    const dialog = page.locator(dialogSelector).first();
+    await dialog.waitFor({ state: 'visible', timeout: 10000 });
+
+    const opened = await this.activeElement(page);
+    const focusMovedIn = Boolean(opened && opened.inDialog);
+    if (!focusMovedIn) {
+      issues.push({ type: 'modal-focus', message: `Focus stayed outside the modal after opening it (${opened ? opened.description : 'body'})` });
+    }
+
+    const tabThrough = async key => {
+      const stops = [];
+      for (let i = 0; i < maxTabs; i++) {
+        await page.keyboard.press(key);
+        const stop = await this.activeElement(page);
+        if (!stop || !stop.inDialog) {
+          return { stops, escapedTo: stop, wrapped: false };
+        }
+        if (stops.some(entry => entry.uid === stop.uid)) {
+          return { stops, escapedTo: null, wrapped: true };
+        }
+        stops.push(stop);
+      }
+      return { stops, escapedTo: null, wrapped: false };
+    };
+
+    const forward = await tabThrough('Tab');
+    const backward = await tabThrough('Shift+Tab');
+    const escaped = forward.escapedTo || backward.escapedTo;
+    const trapped = forward.wrapped && backward.wrapped;
+    if (!trapped) {
+      const where = escaped ? escaped.description : 'the browser UI';
+      issues.push({ type: 'modal-trap', message: `Focus escaped the open modal to ${where}` });
+    }
+    forward.stops.filter(stop => !stop.visible).forEach(stop => {
+      issues.push({ type: 'invisible-focus', message: `Focus lands on an invisible element in the modal: ${stop.description}` });
+    });
+
+    if (options.close) {
+      await options.close();
+    } else {
+      await page.keyboard.press('Escape');
+    }
+    await dialog.waitFor({ state: 'hidden', timeout: 10000 });
+
+    const after = await this.activeElement(page);
+    let restored;
+    let expected;
+    if (options.restoreTo) {
+      const locator = typeof options.restoreTo === 'string' ? page.locator(options.restoreTo).first() : options.restoreTo;
+      restored = await locator.evaluate(el => el === document.activeElement).catch(() => false);
+      expected = String(options.restoreTo);
+    } else {
+      restored = Boolean(before && after && before.uid === after.uid);
+      expected = before ? before.description : 'the opener';
+    }
+    if (!restored) {
+      issues.push({ type: 'modal-restore', message: `Focus was not restored to ${expected} after closing (now on ${after ? after.description : 'body'})` });
+    }
+
+    const result = {
+      focusMovedIn,
+      trapped,
+      escapedTo: escaped || null,
+      restored,
+      forward: forward.stops,
+      backward: backward.stops,
+      issues,
+      passed: issues.length === 0
+    };
+    logger.info(`Modal focus check: moved in=${focusMovedIn}, trapped=${trapped}, restored=${restored}`);
+    return result;
+  }
+}
+
+module.exports = { KeyboardWalker };
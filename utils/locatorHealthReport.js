@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const { LocatorRegistry } = require('./locatorRegistry');
+const logger = require('./logger');
+
+const REPORT_DIR = path.resolve(__dirname, '../locator-health');
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Locator health report
+ * Summarises the current run's locator events per page object and element: which fallback
+ * index matched, how much time failed attempts cost, and which clicks needed force/JavaScript.
+ * Elements are sorted so the most expensive selector cleanup comes first.
+ */
+class LocatorHealthReport {
+  /**
+   * Aggregate run events into per-element rows
+   * @param {Array<Object>} events - Events from LocatorRegistry.readRunEvents()
+   * @returns {Object} - Report ({ generatedAt, summary, elements })
+   */
+  static build(events) {
+    const rows = new Map();
+    const rowFor = (owner, name) => {
+      const key = `${owner} ${name}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          pageObject: owner,
+          element: name,
+          resolutions: 0,
+          notFound: 0,
+          matchedIndexes: {},
+          worstIndex: 0,
+          failedAttempts: 0,
+          failedAttemptMs: 0,
+          clicks: { regular: 0, force: 0, javascript: 0, keyboard: 0 },
+          failingStrategies: {}
+        });
+      }
+      return rows.get(key);
+    };
+
+    for (const event of events) {
+      const row = rowFor(event.owner, event.name);
+      if (event.type === 'click') {
+        row.clicks[event.mode] = (row.clicks[event.mode] || 0) + 1;
+        continue;
+      }
+      row.resolutions += 1;
+      if (event.matchedIndex === null) {
+        row.notFound += 1;
+      } else {
+        row.matchedIndexes[event.matchedIndex] = (row.matchedIndexes[event.matchedIndex] || 0) + 1;
+        row.worstIndex = Math.max(row.worstIndex, event.matchedIndex);
+      }
+      for (const attempt of event.attempts.filter(entry => !entry.matched && !entry.probe)) {
+        row.failedAttempts += 1;
+        row.failedAttemptMs += attempt.durationMs || 0;
+        row.failingStrategies[attempt.strategy] = (row.failingStrategies[attempt.strategy] || 0) + 1;
+      }
+    }
+
+    const elements = [...rows.values()]
+      .map(row => ({
+        ...row,
+        needsAttention: row.notFound > 0 || row.worstIndex > 0 || row.clicks.force + row.clicks.javascript + row.clicks.keyboard > 0
+      }))
+      .sort((a, b) => Number(b.needsAttention) - Number(a.needsAttention) || b.failedAttemptMs - a.failedAttemptMs);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      summary: {
+        elements: elements.length,
+        needingAttention: elements.filter(row => row.needsAttention).length,
+        failedAttemptMs: elements.reduce((total, row) => total + row.failedAttemptMs, 0),
+        forcedClicks: elements.reduce((total, row) => total + row.clicks.force + row.clicks.javascript + row.clicks.keyboard, 0)
+      },
+      elements
+    };
+  }
+
+  /**
+   * Render a report as a standalone HTML page
+   * @param {Object} report - Report from build()
+   * @returns {string} - HTML
+   */
+  static toHtml(report) {
+    const rows = report.elements.map(row => {
+      const indexes = Object.entries(row.matchedIndexes)
+        .map(([index, count]) => `#${Number(index) + 1} &times; ${count}`)
+        .join(', ') || '&mdash;';
+      const clicks = ['force', 'javascript', 'keyboard']
+        .filter(mode => row.clicks[mode] > 0)
+        .map(mode => `${mode} &times; ${row.clicks[mode]}`)
+        .join(', ') || '&mdash;';
+      const failing = Object.entries(row.failingStrategies)
+        .map(([strategy, count]) => `<li><code>${escapeHtml(strategy)}</code> &times; ${count}</li>`)
+        .join('');
+      return `
+        <tr class="${row.needsAttention ? 'attention' : ''}">
+          <td>${escapeHtml(row.pageObject)}</td>
+          <td><code>${escapeHtml(row.element)}</code></td>
+          <td>${row.resolutions}</td>
+          <td>${indexes}${row.notFound ? ` <strong>(not found &times; ${row.notFound})</strong>` : ''}</td>
+          <td>${row.failedAttempts} / ${row.failedAttemptMs} ms</td>
+          <td>${clicks}</td>
+          <td>${failing ? `<ul>${failing}</ul>` : '&mdash;'}</td>
+        </tr>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Locator health report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #d2d6dc; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f4f5f7; }
+    tr.attention { background: #fff4e5; }
+    ul { margin: 0; padding-left: 1rem; }
+    code { font-size: 0.85em; }
+  </style>
+</head>
+<body>
+  <h1>Locator health report</h1>
+  <p>Generated ${escapeHtml(report.generatedAt)} &middot; ${report.summary.elements} elements,
+    ${report.summary.needingAttention} needing attention, ${report.summary.failedAttemptMs} ms spent on failed attempts,
+    ${report.summary.forcedClicks} force/JavaScript/keyboard clicks.</p>
+  <table>
+    <thead>
+      <tr>
+        <th>Page object</th><th>Element</th><th>Lookups</th><th>Matched strategy</th>
+        <th>Failed attempts / cost</th><th>Non-regular clicks</th><th>Failing strategies</th>
+      </tr>
+    </thead>
+    <tbody>${rows || '<tr><td colspan="7">No registered locators were used in this run</td></tr>'}</tbody>
+  </table>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Build the report from the current run's events and write report.json and report.html
+   * @param {string} outputDir - Target directory (defaults to locator-health/)
+   * @returns {Object} - Report plus the written file paths
+   */
+  static generate(outputDir = REPORT_DIR) {
+    const report = this.build(LocatorRegistry.readRunEvents());
+    fs.mkdirSync(outputDir, { recursive: true });
+    const jsonPath = path.join(outputDir, 'report.json');
+    const htmlPath = path.join(outputDir, 'report.html');
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(htmlPath, this.toHtml(report));
+    logger.info(`Locator health report: ${htmlPath} (${report.summary.needingAttention} of ${report.summary.elements} elements need attention)`);
+    return { ...report, jsonPath, htmlPath };
+  }
+}
+
+module.exports = { LocatorHealthReport };
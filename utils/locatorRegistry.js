@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const definitions = require('../pages/locators');
+const logger = require('./logger');
+
+const HEALTH_DIR = path.resolve(__dirname, '../locator-health');
+const DEFAULT_STATS_FILE = path.join(HEALTH_DIR, 'locator-stats.json');
+// Per-run events (one JSON line per resolution or click) consumed by the locator health report
+const RUN_EVENTS_FILE = path.join(HEALTH_DIR, 'run-events.jsonl');
+const DEFAULT_TIMEOUT = 3000;
+// Strategies that matched in this worker; the stats file only learns about them in the global teardown
+const preferredThisRun = new Map();
+
+/**
+ * Self-healing locator registry
+ * Resolves named UI elements from pages/locators.js by trying their strategies in order,
+ * logs every attempt to the run's event log, and tries the last winning strategy first next time.
+ * The global teardown folds the events into a JSON stats file that survives between runs, so
+ * parallel workers never rewrite it. Entries whose primary selector no longer matches are
+ * reported through getBrokenPrimaries().
+ */
+class LocatorRegistry {
+  /**
+   * @param {Object} page - Playwright page
+   * @param {Object} options - owner (page object name used in reports) and entries (defaults to pages/locators.js)
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.owner = options.owner || 'unknown';
+    this.entries = options.entries || definitions;
+  }
+
+  /**
+   * Location of the hit statistics file
+   * @returns {string} - Absolute path (LOCATOR_STATS_FILE overrides the default)
+   */
+  static get statsPath() {
+    return process.env.LOCATOR_STATS_FILE
+      ? path.resolve(process.env.LOCATOR_STATS_FILE)
+      : DEFAULT_STATS_FILE;
+  }
+
+  /**
+   * Read the persisted hit statistics
+   * @returns {Object} - Stats ({ updatedAt, entries })
+   */
+  static loadStats() {
+    try {
+      return JSON.parse(fs.readFileSync(this.statsPath, 'utf8'));
+    } catch (error) {
+      return { updatedAt: null, entries: {} };
+    }
+  }
+
+  static get runEventsPath() {
+    return RUN_EVENTS_FILE;
+  }
+
+  /**
+   * Append one event to the current run's event log
+   * @param {Object} event - Resolution or click event
+   */
+  static recordRunEvent(event) {
+    try {
+      fs.mkdirSync(path.dirname(RUN_EVENTS_FILE), { recursive: true });
+      fs.appendFileSync(RUN_EVENTS_FILE, `${JSON.stringify({ ...event, at: new Date().toISOString() })}\n`);
+    } catch (error) {
+      logger.debug(`Could not record locator event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the current run's event log
+   * @returns {Array<Object>} - Events in the order they were recorded
+   */
+  static readRunEvents() {
+    if (!fs.existsSync(RUN_EVENTS_FILE)) {
+      return [];
+    }
+    return fs.readFileSync(RUN_EVENTS_FILE, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Start a fresh event log (called from the global setup)
+   */
+  static resetRunEvents() {
+    fs.rmSync(RUN_EVENTS_FILE, { force: true });
+  }
+
+  static saveStats(stats) {
+    const file = this.statsPath;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write then rename so an interrupted teardown never leaves a half-written file
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ ...stats, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tempFile, file);
+  }
+
+  /**
+   * Merge the resolve events of a run into the stats file in one write (called from the global teardown)
+   * Workers only append to the event log, so hit counts from parallel workers are never lost.
+   * @param {Array<Object>} events - Events from readRunEvents() (defaults to the current run)
+   * @returns {number} - Number of resolutions merged
+   */
+  static foldRunEvents(events = this.readRunEvents()) {
+    // Workers append concurrently, so restore the order in which the resolutions happened
+    const resolutions = events
+      .filter(event => event.type === 'resolve' && event.primary)
+      .sort((a, b) => a.at.localeCompare(b.at));
+    if (resolutions.length === 0) {
+      return 0;
+    }
+    const stats = this.loadStats();
+    for (const { name, primary, attempts, at } of resolutions) {
+      const entry = stats.entries[name] || { strategies: {} };
+      entry.primary = primary;
+      for (const { strategy, matched } of attempts) {
+        const counts = entry.strategies[strategy] || { hits: 0, misses: 0 };
+        if (matched) {
+          counts.hits += 1;
+          counts.lastHitAt = at;
+          entry.preferred = strategy;
+        } else {
+          counts.misses += 1;
+          counts.lastMissAt = at;
+        }
+        entry.strategies[strategy] = counts;
+      }
+      entry.lastResolvedAt = at;
+      stats.entries[name] = entry;
+    }
+    this.saveStats(stats);
+    return resolutions.length;
+  }
+
+  /**
+   * Entries whose primary selector missed on its latest check
+   * @param {Object} entries - Locator definitions to check against (defaults to pages/locators.js)
+   * @returns {Array<Object>} - Broken entries ({ name, primary, preferred, lastMissAt, lastHitAt })
+   */
+  static getBrokenPrimaries(entries = definitions) {
+    const stats = this.loadStats();
+    return Object.keys(entries)
+      .filter(name => stats.entries[name])
+      .map(name => {
+        const entry = stats.entries[name];
+        const primary = entries[name][0];
+        const counts = entry.strategies[primary] || {};
+        return { name, primary, preferred: entry.preferred, lastMissAt: counts.lastMissAt, lastHitAt: counts.lastHitAt };
+      })
+      .filter(entry => entry.lastMissAt && (!entry.lastHitAt || entry.lastMissAt > entry.lastHitAt));
+  }
+
+  /**
+   * Strategies for a name in the order they will be tried: last winner first, then declared order
+   * @param {string} name - Locator name
+   * @returns {Array<string>} - Ordered selector strings
+   */
+  orderedStrategies(name) {
+    const strategies = this.entries[name];
+    if (!strategies || strategies.length === 0) {
+      throw new Error(`Unknown locator "${name}". Add it to pages/locators.js`);
+    }
+    const preferred = preferredThisRun.get(name) || (LocatorRegistry.loadStats().entries[name] || {}).preferred;
+    if (!preferred || preferred === strategies[0] || !strategies.includes(preferred)) {
+      return [...strategies];
+    }
+    return [preferred, ...strategies.filter(strategy => strategy !== preferred)];
+  }
+
+  locatorFor(strategy, state) {
+    const locator = this.page.locator(strategy);
+    return (state === 'visible' ? locator.filter({ visible: true }) : locator).first();
+  }
+
+  /**
+   * Find a registered element, trying each strategy until one reaches the requested state
+   * @param {string} name - Locator name (e.g. 'taskBot.messageInput')
+   * @param {Object} options - Per-strategy timeout in ms (default 3000) and state (default 'visible')
+   * @returns {Promise<Object>} - Match ({ locator, strategy, index }) where index is the declared position
+   */
+  async resolve(name, options = {}) {
+    const match = await this.find(name, options);
+    if (!match) {
+      await this.page.screenshot({ path: `test-results/locator-${name.replace(/\W+/g, '-')}-not-found.png`, fullPage: true }).catch(() => {});
+      throw new Error(`No strategy matched locator "${name}". Tried: ${this.orderedStrategies(name).join(' | ')}`);
+    }
+    return match;
+  }
+
+  /**
+   * Same as resolve() but returns null instead of throwing when nothing matches
+   * @param {string} name - Locator name
+   * @param {Object} options - Per-strategy timeout and state, track (default true; false keeps the lookup out of
+   *   the hit stats and health report, for checks where a missing element is a valid outcome)
+   * @returns {Promise<Object|null>} - Match or null
+   */
+  async find(name, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT, state = 'visible', track = true } = options;
+    const declared = this.entries[name] || [];
+    const primary = declared[0];
+    const attempts = [];
+    let match = null;
+
+    for (const strategy of this.orderedStrategies(name)) {
+      const locator = this.locatorFor(strategy, state);
+      const startedAt = Date.now();
+      try {
+        await locator.waitFor({ state, timeout });
+        attempts.push({ strategy, matched: true, durationMs: Date.now() - startedAt });
+        match = { locator, strategy, index: declared.indexOf(strategy) };
+        break;
+      } catch (error) {
+        attempts.push({ strategy, matched: false, durationMs: Date.now() - startedAt });
+        logger.debug(`Locator "${name}" strategy missed: ${strategy}`);
+      }
+    }
+
+    // A promoted fallback skips the primary, so probe it (without waiting) to keep its health current
+    if (match && !attempts.some(attempt => attempt.strategy === primary)) {
+      const primaryMatches = await this.locatorFor(primary, state).count().then(count => count > 0).catch(() => false);
+      attempts.push({ strategy: primary, matched: primaryMatches, probe: true });
+      if (primaryMatches) {
+        match = { ...match, strategy: primary, index: 0, locator: this.locatorFor(primary, state) };
+      }
+    }
+
+    if (!track) {
+      return match;
+    }
+    const winner = attempts.filter(attempt => attempt.matched).pop();
+    if (winner) {
+      preferredThisRun.set(name, winner.strategy);
+    }
+    LocatorRegistry.recordRunEvent({
+      type: 'resolve',
+      owner: this.owner,
+      name,
+      primary,
+      matchedIndex: match ? match.index : null,
+      strategy: match ? match.strategy : null,
+      attempts: attempts.map(attempt => ({ ...attempt, index: declared.indexOf(attempt.strategy) }))
+    });
+    if (match && match.index > 0) {
+      logger.warn(`Locator "${name}" healed: primary missed, matched strategy ${match.index + 1} (${match.strategy})`);
+    } else if (match) {
+      logger.debug(`Locator "${name}" matched its primary strategy`);
+    }
+    return match;
+  }
+
+  /**
+   * Resolve and click an element, escalating from a regular click to a forced and a JavaScript click
+   * @param {string} name - Locator name
+   * @param {Object} options - resolve() options
+   * @returns {Promise<Object>} - Match that was clicked
+   */
+  async click(name, options = {}) {
+    const match = await this.resolve(name, options);
+    const { locator } = match;
+    await locator.scrollIntoViewIfNeeded().catch(() => {});
+    let mode = 'regular';
+    try {
+      await locator.click({ timeout: 10000 });
+    } catch (clickError) {
+      logger.debug(`Regular click on "${name}" failed, trying force click: ${clickError.message}`);
+      try {
+        mode = 'force';
+        await locator.click({ timeout: 10000, force: true });
+      } catch (forceError) {
+        logger.debug(`Force click on "${name}" failed, trying JavaScript click: ${forceError.message}`);
+        mode = 'javascript';
+        await locator.evaluate(el => el.click());
+      }
+    }
+    LocatorRegistry.recordClick(this.owner, name, mode);
+    return { ...match, clickMode: mode };
+  }
+
+  /**
+   * Record how an element had to be clicked; anything other than 'regular' is flagged in the health report
+   * Page objects with their own click fallbacks call this directly
+   * @param {string} owner - Page object name
+   * @param {string} name - Element name (registry name or a descriptive key)
+   * @param {string} mode - 'regular', 'force', 'javascript' or 'keyboard'
+   */
+  static recordClick(owner, name, mode) {
+    if (mode !== 'regular') {
+      logger.warn(`${owner} needed a ${mode} click on "${name}"`);
+    }
+    this.recordRunEvent({ type: 'click', owner, name, mode });
+  }
+
+  /**
+   * Resolve an input and replace its value
+   * @param {string} name - Locator name
+   * @param {string} value - Value to fill
+   * @param {Object} options - resolve() options
+   * @returns {Promise<Object>} - Match that was filled
+   */
+  async fill(name, value, options = {}) {
+    const match = await this.resolve(name, options);
+    await match.locator.scrollIntoViewIfNeeded().catch(() => {});
+    await match.locator.clear();
+    await match.locator.fill(String(value));
+    return match;
+  }
+}
+
+module.exports = { LocatorRegistry };
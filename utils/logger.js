@@ -1,9 +1,69 @@
 const winston = require('winston');
 const path = require('path');
+const { TestLogContext } = require('./testLogContext');
+const { Redaction } = require('./redaction');
+
+// Fields TestLogContext adds; the console shows them as a short prefix instead of JSON
+const CONTEXT_FIELDS = ['testId', 'test', 'file', 'project', 'retry', 'worker', 'correlationId', 'step'];
+
+/**
+ * Tag every entry with the running test (ID, title, project, retry, correlation ID, step)
+ */
+const testContext = winston.format(info => Object.assign(info, TestLogContext.fields()));
+
+/**
+ * Hide passwords, tokens and cookies in the message, stack and meta before any transport sees them
+ */
+const redactSecrets = winston.format(info => {
+  for (const key of Object.keys(info)) {
+    info[key] = Redaction.redact(info[key]);
+  }
+  return info;
+});
+
+/**
+ * "[title › step #retry]" prefix of a log line, empty outside a test
+ */
+function contextPrefix(info) {
+  if (!info.testId) {
+    return '';
+  }
+  const title = info.test.split(' > ').pop();
+  const parts = [title.length > 50 ? `${title.slice(0, 49)}…` : title];
+  if (info.step) {
+    parts.push(info.step);
+  }
+  return ` [${parts.join(' › ')}${info.retry > 0 ? ` #${info.retry}` : ''}]`;
+}
+
+/**
+ * Plain text line without the test fields
+ */
+function formatLine(info, level = info.level) {
+  const meta = Object.fromEntries(Object.entries(info)
+    .filter(([key]) => !['timestamp', 'level', 'message', 'service', ...CONTEXT_FIELDS].includes(key)));
+  let msg = `${info.timestamp} [${level}]${contextPrefix(info)}: ${info.message}`;
+  if (Object.keys(meta).length > 0) {
+    msg += ` ${JSON.stringify(meta)}`;
+  }
+  return msg;
+}
+
+/**
+ * Keeps the lines of the running test for its own log file (attached to the report on failure)
+ */
+class TestLogCollector extends winston.Transport {
+  log(info, callback) {
+    TestLogContext.collect(formatLine(info));
+    callback();
+  }
+}
 
 /**
  * Logger utility for detailed console logs and file logging
- * Provides structured logging with different levels
+ * Provides structured logging with different levels. Inside a test every entry carries the test ID, title,
+ * project, retry, correlation ID and step; logs/run.jsonl holds the current run for filtering by test.
+ * Secrets are redacted before anything is written (see utils/redaction.js).
  */
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -11,6 +71,8 @@ const logger = winston.createLogger({
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
+    redactSecrets(),
+    testContext(),
     winston.format.json()
   ),
   defaultMeta: { service: 'automation-tests' },
@@ -19,15 +81,10 @@ const logger = winston.createLogger({
     new winston.transports.Console({
       format: winston.format.combine(
         winston.format.colorize(),
-        winston.format.printf(({ timestamp, level, message, ...meta }) => {
-          let msg = `${timestamp} [${level}]: ${message}`;
-          if (Object.keys(meta).length > 0) {
-            msg += ` ${JSON.stringify(meta)}`;
-          }
-          return msg;
-        })
+        winston.format.printf(info => formatLine(info))
       )
     }),
+    new TestLogCollector(),
     // Write all logs to file
     new winston.transports.File({
       filename: path.join(__dirname, '../logs/error.log'),
@@ -35,6 +92,10 @@ const logger = winston.createLogger({
     }),
     new winston.transports.File({
       filename: path.join(__dirname, '../logs/combined.log')
+    }),
+    // Current run only (reset by the global setup), one JSON object per line
+    new winston.transports.File({
+      filename: TestLogContext.runLogPath
     })
   ]
 });
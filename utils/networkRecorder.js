@@ -0,0 +1,399 @@
+const { ResponseTiming } = require('./responseTiming');
+const logger = require('./logger');
+const { Redaction } = require('./redaction');
+
+// Control Room API calls; everything else (scripts, styles, images) is ignored by default
+const DEFAULT_URL_PATTERN = /\/api\/|\/v\d+\//;
+const MAX_BODY_LENGTH = 256 * 1024;
+
+let recorderCounter = 0;
+
+function matchesUrl(pattern, url) {
+  if (!pattern) {
+    return true;
+  }
+  if (Array.isArray(pattern)) {
+    return pattern.some(item => matchesUrl(item, url));
+  }
+  if (pattern instanceof RegExp) {
+    return pattern.test(url);
+  }
+  if (typeof pattern === 'function') {
+    return Boolean(pattern(url));
+  }
+  return url.includes(pattern);
+}
+
+function matchesMethod(methods, method) {
+  return !methods || [].concat(methods).some(item => item.toUpperCase() === method);
+}
+
+/**
+ * Body as parsed JSON when it is JSON, otherwise as (truncated) text
+ */
+function parseBody(text, contentType) {
+  if (text === null || text === undefined || text === '') {
+    return null;
+  }
+  const looksJson = (contentType || '').includes('json') || /^\s*[[{]/.test(text);
+  if (looksJson) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // Fall through to text
+    }
+  }
+  return text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH)}... (${text.length} chars)` : text;
+}
+
+/**
+ * Redacted body text for exports; non-JSON bodies are kept as they are
+ */
+function bodyText(body) {
+  if (body === null || body === undefined) {
+    return '';
+  }
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+function harHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Records a page's network traffic as request/response pairs
+ * Only calls matching the URL pattern and methods are kept. Bodies are parsed as JSON where possible, and
+ * tokens, passwords and cookies are redacted before anything is stored, so entries are safe to log and attach.
+ *
+ * @example
+ * const recorder = new NetworkRecorder(page, { urlPattern: /\/api\//, methods: ['POST'] }).start();
+ * await learningInstancePage.clickCreate();
+ * const created = await recorder.waitFor({ url: '/learning-instances', method: 'POST', body: { name: 'instance1' } });
+ * await recorder.attach(testInfo);
+ */
+class NetworkRecorder {
+  /**
+   * @param {import('@playwright/test').Page} page - Page to record
+   * @param {Object} options - urlPattern (string, RegExp, function or array; default /api/ and /v<n>/ paths),
+   *   methods (e.g. ['POST', 'PUT']), sensitiveKeys (RegExp of keys to redact, default Redaction.sensitiveKeys),
+   *   log (print each call, default false)
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.urlPattern = options.urlPattern === undefined ? DEFAULT_URL_PATTERN : options.urlPattern;
+    this.methods = options.methods;
+    this.sensitiveKeys = options.sensitiveKeys || Redaction.sensitiveKeys;
+    this.log = Boolean(options.log);
+    this.entries = [];
+    this.byRequest = new Map();
+    this.pending = new Set();
+    this.waiters = [];
+    this.nextId = 1;
+    this.recording = false;
+    this.handlers = {
+      request: request => this.onRequest(request),
+      response: response => this.track(this.onResponse(response).catch(error => {
+        logger.debug(`Could not record ${response.url()}: ${error.message}`);
+      })),
+      requestfailed: request => this.onRequestFailed(request)
+    };
+  }
+
+  /**
+   * Start listening on the page
+   * @returns {NetworkRecorder} - this, for chaining
+   */
+  start() {
+    if (!this.recording) {
+      for (const [event, handler] of Object.entries(this.handlers)) {
+        this.page.on(event, handler);
+      }
+      this.recording = true;
+    }
+    return this;
+  }
+
+  /**
+   * Stop listening and wait for bodies that are still being read
+   * @returns {Promise<Array<Object>>} - Recorded entries
+   */
+  async stop() {
+    if (this.recording) {
+      for (const [event, handler] of Object.entries(this.handlers)) {
+        this.page.off(event, handler);
+      }
+      this.recording = false;
+    }
+    await this.settle();
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(new Error(`Recording stopped before a call matching ${waiter.description} was seen`));
+    }
+    return this.entries;
+  }
+
+  /**
+   * Wait until every response seen so far has been read
+   */
+  async settle() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+
+  track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise));
+    return promise;
+  }
+
+  onRequest(request) {
+    const url = request.url();
+    const method = request.method();
+    if (!matchesUrl(this.urlPattern, url) || !matchesMethod(this.methods, method)) {
+      return;
+    }
+    const headers = request.headers();
+    const entry = {
+      id: this.nextId++,
+      endpoint: ResponseTiming.endpointKey(method, url),
+      method,
+      url,
+      startedAt: new Date().toISOString(),
+      request: {
+        headers: Redaction.redact(headers, this.sensitiveKeys),
+        body: Redaction.redact(parseBody(request.postData(), headers['content-type']), this.sensitiveKeys)
+      },
+      response: null,
+      durationMs: null,
+      phases: null,
+      failure: null
+    };
+    this.byRequest.set(request, entry);
+    this.entries.push(entry);
+  }
+
+  async onResponse(response) {
+    const entry = this.byRequest.get(response.request());
+    if (!entry) {
+      return;
+    }
+    const headers = response.headers();
+    let text = null;
+    try {
+      text = (await response.body()).toString('utf8');
+    } catch (error) {
+      // Redirects and aborted downloads have no body
+    }
+    const timing = await ResponseTiming.measurePageResponse(response);
+    entry.response = {
+      status: response.status(),
+      statusText: response.statusText(),
+      headers: Redaction.redact(headers, this.sensitiveKeys),
+      body: Redaction.redact(parseBody(text, headers['content-type']), this.sensitiveKeys)
+    };
+    entry.durationMs = timing.durationMs;
+    entry.phases = timing.phases;
+    // The unredacted Playwright response, for callers that need e.g. the login token; never serialized
+    Object.defineProperty(entry, 'pageResponse', { value: response, enumerable: false });
+    if (this.log) {
+      logger.info(`[NETWORK] ${entry.method} ${entry.url} ${entry.response.status} (${entry.durationMs} ms)`);
+    }
+    this.notify(entry);
+  }
+
+  onRequestFailed(request) {
+    const entry = this.byRequest.get(request);
+    if (!entry) {
+      return;
+    }
+    const failure = request.failure();
+    entry.failure = failure ? failure.errorText : 'failed';
+    if (this.log) {
+      logger.warn(`[NETWORK] ${entry.method} ${entry.url} failed: ${entry.failure}`);
+    }
+  }
+
+  notify(entry) {
+    for (const waiter of [...this.waiters]) {
+      if (waiter.predicate(entry)) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        waiter.resolve(entry);
+      }
+    }
+  }
+
+  /**
+   * Predicate for a filter object, or the function itself
+   * @param {Object|Function} filter - url (string, RegExp or function), method, status (number, array or function),
+   *   body (object whose fields the response body must contain), requestBody (same for the request body)
+   * @returns {Function} - entry => boolean
+   */
+  static toPredicate(filter = {}) {
+    if (typeof filter === 'function') {
+      return filter;
+    }
+    const containsFields = (body, expected) => Boolean(body) && typeof body === 'object'
+      && Object.entries(expected).every(([key, value]) => body[key] === value);
+    return entry => (!filter.url || matchesUrl(filter.url, entry.url))
+      && matchesMethod(filter.method, entry.method)
+      && (filter.status === undefined || (entry.response && (typeof filter.status === 'function'
+        ? filter.status(entry.response.status)
+        : [].concat(filter.status).includes(entry.response.status))))
+      && (!filter.body || (entry.response && containsFields(entry.response.body, filter.body)))
+      && (!filter.requestBody || containsFields(entry.request.body, filter.requestBody));
+  }
+
+  /**
+   * Recorded entries matching a filter
+   * @param {Object|Function} filter - See toPredicate()
+   * @returns {Array<Object>} - Matching entries, oldest first
+   */
+  filter(filter) {
+    return this.entries.filter(NetworkRecorder.toPredicate(filter));
+  }
+
+  /**
+   * Wait for a call with a response matching the filter; calls recorded earlier count too
+   * @param {Object|Function} filter - See toPredicate()
+   * @param {Object} options - timeout in ms (default 30000)
+   * @returns {Promise<Object>} - First matching entry
+   *
+   * @example
+   * // The POST that created instance1
+   * await recorder.waitFor({ url: '/learning-instances', method: 'POST', requestBody: { name: 'instance1' } });
+   */
+  async waitFor(filter, options = {}) {
+    const predicate = NetworkRecorder.toPredicate(filter);
+    await this.settle();
+    const existing = this.entries.find(entry => entry.response && predicate(entry));
+    if (existing) {
+      return existing;
+    }
+    if (!this.recording) {
+      this.start();
+    }
+
+    const timeout = options.timeout === undefined ? 30000 : options.timeout;
+    const description = typeof filter === 'function' ? 'the predicate' : JSON.stringify(filter, (key, value) => (value instanceof RegExp ? String(value) : value));
+    return await new Promise((resolve, reject) => {
+      const waiter = { predicate, description };
+      const timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        const seen = this.entries.map(entry => `  ${entry.method} ${entry.url} ${entry.response ? entry.response.status : (entry.failure || 'pending')}`);
+        reject(new Error(`No call matching ${description} within ${timeout} ms. Recorded:\n${seen.join('\n') || '  (nothing)'}`));
+      }, timeout);
+      waiter.resolve = entry => {
+        clearTimeout(timer);
+        resolve(entry);
+      };
+      waiter.reject = error => {
+        clearTimeout(timer);
+        reject(error);
+      };
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Calls grouped by endpoint ("POST /api/learning-instances/:id"), in first-seen order
+   * @returns {Array<Object>} - { endpoint, count, statuses }
+   */
+  endpoints() {
+    const groups = new Map();
+    for (const entry of this.entries) {
+      if (!groups.has(entry.endpoint)) {
+        groups.set(entry.endpoint, { endpoint: entry.endpoint, count: 0, statuses: [] });
+      }
+      const group = groups.get(entry.endpoint);
+      group.count += 1;
+      const status = entry.response ? entry.response.status : 'failed';
+      if (!group.statuses.includes(status)) {
+        group.statuses.push(status);
+      }
+    }
+    return [...groups.values()];
+  }
+
+  /**
+   * Recorded entries as plain JSON
+   * @returns {Object} - { recordedAt, entries }
+   */
+  toJSON() {
+    return { recordedAt: new Date().toISOString(), entries: this.entries };
+  }
+
+  /**
+   * Recorded entries as a HAR 1.2 log (opens in browser dev tools and HAR viewers)
+   * @returns {Object} - HAR document
+   */
+  toHar() {
+    const { version } = require('@playwright/test/package.json');
+    const entries = this.entries.map(entry => {
+      const requestText = bodyText(entry.request.body);
+      const responseText = entry.response ? bodyText(entry.response.body) : '';
+      const phases = entry.phases || {};
+      const wait = phases.ttfb !== undefined ? phases.ttfb : (entry.durationMs || 0);
+      const receive = phases.download !== undefined ? phases.download : 0;
+      return {
+        startedDateTime: entry.startedAt,
+        time: entry.durationMs || 0,
+        request: {
+          method: entry.method,
+          url: entry.url,
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: harHeaders(entry.request.headers),
+          queryString: [...new URL(entry.url).searchParams].map(([name, value]) => ({ name, value })),
+          ...(requestText ? { postData: { mimeType: entry.request.headers['content-type'] || 'application/json', text: requestText } } : {}),
+          headersSize: -1,
+          bodySize: requestText.length
+        },
+        response: {
+          status: entry.response ? entry.response.status : 0,
+          statusText: entry.response ? entry.response.statusText : (entry.failure || ''),
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: harHeaders(entry.response && entry.response.headers),
+          content: {
+            size: responseText.length,
+            mimeType: (entry.response && entry.response.headers['content-type']) || 'x-unknown',
+            text: responseText
+          },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: responseText.length
+        },
+        cache: {},
+        timings: {
+          blocked: -1,
+          dns: phases.dns !== undefined ? phases.dns : -1,
+          connect: phases.connect !== undefined ? phases.connect : -1,
+          ssl: phases.tls !== undefined ? phases.tls : -1,
+          send: 0,
+          wait,
+          receive
+        }
+      };
+    });
+    return { log: { version: '1.2', creator: { name: 'NetworkRecorder', version }, pages: [], entries } };
+  }
+
+  /**
+   * Attach the recording to the test report
+   * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+   * @param {Object} options - format ('har' or 'json', default 'har'), name (default 'network')
+   */
+  async attach(testInfo, options = {}) {
+    await this.settle();
+    const format = options.format || 'har';
+    const name = options.name || `network-${++recorderCounter}`;
+    const document = format === 'har' ? this.toHar() : this.toJSON();
+    await testInfo.attach(`${name}.${format}`, {
+      // URLs and text bodies can carry secrets too (e.g. a token learned after the call was recorded)
+      body: Redaction.redactText(JSON.stringify(document, null, 2)),
+      contentType: 'application/json'
+    });
+  }
+}
+
+module.exports = { NetworkRecorder };
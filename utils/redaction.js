@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { Environment } = require('./environment');
+const { CredentialVault } = require('./credentialVault');
+
+const REDACTED = '[REDACTED]';
+
+// Header, JSON and form field names whose values are secret; extend with REDACT_KEYS=name,other_name
+const DEFAULT_KEYS = [
+  'authorization', 'x-authorization', 'proxy-authorization', 'cookie', 'set-cookie',
+  'password', 'passwd', 'pwd', 'secret', 'client[-_]?secret', 'api[-_]?key', '[\\w-]*token'
+];
+
+// Secrets that need no key to be recognised; extend with REDACT_PATTERNS=regex,regex
+const DEFAULT_PATTERNS = [
+  /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/g,
+  // JSON Web Tokens
+  /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g
+];
+
+// Environment variables whose values are treated as known secrets
+const SECRET_ENV_VARS = /(PASSWORD|SECRET|TOKEN|API_KEY|REDACTION_CANARY)$/;
+const MIN_SECRET_LENGTH = 6;
+// Placeholders from .env.example, not secrets
+const PLACEHOLDERS = ['your-password', 'your-password-here'];
+
+const extraSecrets = new Set();
+let compiled = null;
+let cachedSecrets = null;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function listFromEnv(name) {
+  return (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Key and text patterns, built once from the defaults plus REDACT_KEYS and REDACT_PATTERNS
+ */
+function patterns() {
+  if (!compiled) {
+    const keys = [...DEFAULT_KEYS, ...listFromEnv('REDACT_KEYS').map(escapeRegExp)].join('|');
+    compiled = {
+      key: new RegExp(`^(${keys})$`, 'i'),
+      // "password": "...", password=..., Authorization: ...
+      quotedPair: new RegExp(`(["']?)\\b(${keys})\\1(\\s*[:=]\\s*)"(?:[^"\\\\]|\\\\.)*"`, 'gi'),
+      plainPair: new RegExp(`(["']?)\\b(${keys})\\1(\\s*[:=]\\s*)(?!\\[REDACTED\\]|"|(?:Bearer|Basic)\\s)[^\\s"',&;}]+`, 'gi'),
+      values: [...DEFAULT_PATTERNS, ...listFromEnv('REDACT_PATTERNS').map(source => new RegExp(source, 'g'))]
+    };
+  }
+  return compiled;
+}
+
+/**
+ * Secret redaction for logs, network captures, file names and report attachments
+ * Values are hidden when their key is sensitive (password, Authorization, token, cookies, ...), when they look
+ * like a bearer token or JWT, or when they equal a known secret: the passwords of every account, environment
+ * variables ending in PASSWORD/SECRET/TOKEN/API_KEY, tokens registered with addSecret() and the run's canary.
+ */
+class Redaction {
+  static get placeholder() {
+    return REDACTED;
+  }
+
+  /**
+   * Regular expression of sensitive keys
+   * @returns {RegExp} - Anchored, case-insensitive pattern
+   */
+  static get sensitiveKeys() {
+    return patterns().key;
+  }
+
+  /**
+   * Treat a value as secret from now on (e.g. a token received at runtime)
+   * @param {string} value - Secret value
+   */
+  static addSecret(value) {
+    if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+      extraSecrets.add(value);
+      cachedSecrets = null;
+    }
+  }
+
+  /**
+   * Known secret values, longest first
+   * @returns {Array<string>} - Secrets
+   */
+  static knownSecrets() {
+    if (cachedSecrets) {
+      return cachedSecrets;
+    }
+    const secrets = new Set(extraSecrets);
+    for (const [name, value] of Object.entries(process.env)) {
+      if (SECRET_ENV_VARS.test(name) && value && value.length >= MIN_SECRET_LENGTH) {
+        secrets.add(value);
+      }
+    }
+    try {
+      const passwords = [Environment.get().credentials.password, ...CredentialVault.accounts().map(account => account.password)];
+      passwords.filter(password => password && password.length >= MIN_SECRET_LENGTH).forEach(password => secrets.add(password));
+    } catch (error) {
+      // An invalid TEST_ENV or vault key is reported by whoever uses the credentials
+    }
+    PLACEHOLDERS.forEach(placeholder => secrets.delete(placeholder));
+    cachedSecrets = [...secrets].sort((a, b) => b.length - a.length);
+    return cachedSecrets;
+  }
+
+  /**
+   * Random value that is registered as a secret for the whole run (REDACTION_CANARY)
+   * The global setup logs it; the artifact scan fails if it shows up anywhere, proving the redaction works.
+   * @returns {string} - Canary value
+   */
+  static canary() {
+    if (!process.env.REDACTION_CANARY) {
+      process.env.REDACTION_CANARY = `canary-${crypto.randomBytes(8).toString('hex')}`;
+      cachedSecrets = null;
+    }
+    return process.env.REDACTION_CANARY;
+  }
+
+  /**
+   * Redact secrets inside free text
+   * @param {string} text - Log message, file content, ...
+   * @returns {string} - Text with secrets replaced by [REDACTED]
+   */
+  static redactText(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+      return text;
+    }
+    const { quotedPair, plainPair, values } = patterns();
+    let result = text;
+    for (const secret of this.knownSecrets()) {
+      result = result.split(secret).join(REDACTED);
+    }
+    for (const pattern of values) {
+      result = result.replace(pattern, match => (/^(Bearer|Basic)\s/i.test(match) ? `${match.split(/\s+/)[0]} ${REDACTED}` : REDACTED));
+    }
+    return result
+      .replace(quotedPair, (match, quote, key, separator) => `${quote}${key}${quote}${separator}"${REDACTED}"`)
+      .replace(plainPair, (match, quote, key, separator) => `${quote}${key}${quote}${separator}${REDACTED}`);
+  }
+
+  /**
+   * Redact a JSON value: sensitive keys lose their value, strings are redacted as text
+   * @param {any} value - Object, array, string or other JSON value
+   * @param {RegExp} sensitiveKeys - Keys to redact (defaults to the configured ones)
+   * @returns {any} - Redacted copy
+   */
+  static redact(value, sensitiveKeys = this.sensitiveKeys) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, sensitiveKeys));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        sensitiveKeys.test(key) && item !== null && item !== undefined ? REDACTED : this.redact(item, sensitiveKeys)
+      ]));
+    }
+    return typeof value === 'string' ? this.redactText(value) : value;
+  }
+
+  /**
+   * File name part without secrets or characters that are unsafe in paths
+   * @param {string} name - e.g. a screenshot name built from test data
+   * @returns {string} - Safe name
+   */
+  static safeFileName(name) {
+    return this.redactText(String(name)).replace(/\[REDACTED\]/g, 'redacted').replace(/[^\w.-]+/g, '_');
+  }
+}
+
+module.exports = { Redaction, REDACTED };
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const REPORT_DIR = path.resolve(__dirname, '../response-timings');
+const RUN_FILE = path.join(REPORT_DIR, 'run-timings.jsonl');
+const PERCENTILES = [50, 90, 95, 99];
+
+// Timing per response object, so a matcher can look it up later
+const timings = new WeakMap();
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Phase durations (ms) from Playwright's request.timing(); phases the browser did not go through
+ * (e.g. DNS and connect on a reused connection) are left out
+ */
+function phasesFromTiming(timing) {
+  const span = (start, end) => (start >= 0 && end >= 0 && end >= start ? round(end - start) : undefined);
+  const phases = {
+    dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    tls: span(timing.secureConnectionStart, timing.connectEnd),
+    ttfb: span(timing.requestStart, timing.responseStart),
+    download: span(timing.responseStart, timing.responseEnd)
+  };
+  return Object.fromEntries(Object.entries(phases).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Response timing
+ * APIHelper records the wall-clock duration of every call; page responses are measured from
+ * Playwright's request timing with the DNS, connect, TLS, TTFB and download phases. Every measurement
+ * is appended to the run log, and the global teardown turns it into per-endpoint percentiles.
+ */
+class ResponseTiming {
+  static get runLogPath() {
+    return RUN_FILE;
+  }
+
+  /**
+   * "METHOD /path" with IDs replaced by :id, so calls to the same endpoint are aggregated
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @returns {string} - Endpoint key, e.g. "GET /api/bots/:id"
+   */
+  static endpointKey(method, url) {
+    let pathname = url;
+    try {
+      pathname = new URL(url).pathname;
+    } catch (error) {
+      pathname = url.replace(/[?#].*$/, '');
+    }
+    const normalized = pathname
+      .split('/')
+      .map(segment => (/^\d+$/.test(segment) || /^[0-9a-f-]{16,}$/i.test(segment) ? ':id' : segment))
+      .join('/');
+    return `${method.toUpperCase()} ${normalized}`;
+  }
+
+  /**
+   * Remember the timing of a response and append it to the run log
+   * @param {Object} response - Playwright APIResponse or Response
+   * @param {Object} timing - method, url, durationMs, plus optional phases and source ('api' or 'page')
+   * @returns {Object} - Stored timing
+   */
+  static record(response, timing) {
+    const entry = {
+      endpoint: this.endpointKey(timing.method, timing.url),
+      method: timing.method.toUpperCase(),
+      url: timing.url,
+      status: typeof response.status === 'function' ? response.status() : undefined,
+      durationMs: round(timing.durationMs),
+      phases: timing.phases,
+      source: timing.source || 'api'
+    };
+    timings.set(response, entry);
+    try {
+      fs.mkdirSync(REPORT_DIR, { recursive: true });
+      fs.appendFileSync(RUN_FILE, `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`);
+    } catch (error) {
+      logger.debug(`Could not record response timing: ${error.message}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Timing recorded for a response
+   * @param {Object} response - Response passed to record()
+   * @returns {Object|null} - Timing or null
+   */
+  static get(response) {
+    return (response && timings.get(response)) || null;
+  }
+
+  /**
+   * Measure a page response (from page.on('response') or page.waitForResponse) once its body has arrived
+   * @param {import('@playwright/test').Response} response - Page response
+   * @returns {Promise<Object>} - Timing with durationMs (request start to response end) and phases
+   */
+  static async measurePageResponse(response) {
+    const known = this.get(response);
+    if (known) {
+      return known;
+    }
+    await response.finished().catch(() => {});
+    const request = response.request();
+    const timing = request.timing();
+    // responseEnd is relative to startTime; -1 when the body never arrived
+    const end = timing.responseEnd >= 0 ? timing.responseEnd : timing.responseStart;
+    return this.record(response, {
+      method: request.method(),
+      url: response.url(),
+      durationMs: Math.max(end, 0),
+      phases: phasesFromTiming(timing),
+      source: 'page'
+    });
+  }
+
+  /**
+   * Nearest-rank percentile
+   * @param {Array<number>} sorted - Values in ascending order
+   * @param {number} percentile - 0-100
+   * @returns {number} - Value at the percentile
+   */
+  static percentile(sorted, percentile) {
+    if (sorted.length === 0) {
+      return 0;
+    }
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+  }
+
+  /**
+   * Read the current run's timing log
+   * @returns {Array<Object>} - Timings in the order they were recorded
+   */
+  static readRun() {
+    if (!fs.existsSync(RUN_FILE)) {
+      return [];
+    }
+    return fs.readFileSync(RUN_FILE, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Start a fresh timing log (called from the global setup)
+   */
+  static resetRun() {
+    fs.rmSync(RUN_FILE, { force: true });
+  }
+
+  /**
+   * Aggregate timings into per-endpoint percentiles, slowest p95 first
+   * @param {Array<Object>} entries - Timings from readRun()
+   * @returns {Object} - Report ({ generatedAt, summary, endpoints })
+   */
+  static build(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+      if (!groups.has(entry.endpoint)) {
+        groups.set(entry.endpoint, []);
+      }
+      groups.get(entry.endpoint).push(entry);
+    }
+
+    const endpoints = [...groups.entries()].map(([endpoint, group]) => {
+      const durations = group.map(entry => entry.durationMs).sort((a, b) => a - b);
+      const row = {
+        endpoint,
+        count: group.length,
+        errors: group.filter(entry => entry.status >= 400).length,
+        min: durations[0],
+        mean: round(durations.reduce((total, value) => total + value, 0) / durations.length),
+        max: durations[durations.length - 1],
+        sources: [...new Set(group.map(entry => entry.source))]
+      };
+      for (const percentile of PERCENTILES) {
+        row[`p${percentile}`] = this.percentile(durations, percentile);
+      }
+      return row;
+    }).sort((a, b) => b.p95 - a.p95);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      summary: {
+        endpoints: endpoints.length,
+        requests: entries.length,
+        slowest: endpoints[0] ? { endpoint: endpoints[0].endpoint, p95: endpoints[0].p95 } : null
+      },
+      endpoints
+    };
+  }
+
+  /**
+   * Render a report as a standalone HTML page
+   * @param {Object} report - Report from build()
+   * @returns {string} - HTML
+   */
+  static toHtml(report) {
+    const rows = report.endpoints.map(row => `
+        <tr>
+          <td><code>${escapeHtml(row.endpoint)}</code></td>
+          <td>${row.count}${row.errors ? ` (${row.errors} errors)` : ''}</td>
+          ${PERCENTILES.map(percentile => `<td>${row[`p${percentile}`]}</td>`).join('')}
+          <td>${row.mean}</td>
+          <td>${row.max}</td>
+          <td>${escapeHtml(row.sources.join(', '))}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Response time report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #d2d6dc; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f4f5f7; }
+    code { font-size: 0.85em; }
+  </style>
+</head>
+<body>
+  <h1>Response time report</h1>
+  <p>Generated ${escapeHtml(report.generatedAt)} &middot; ${report.summary.requests} requests to ${report.summary.endpoints} endpoints. Times in ms.</p>
+  <table>
+    <thead>
+      <tr>
+        <th>Endpoint</th><th>Requests</th>${PERCENTILES.map(percentile => `<th>p${percentile}</th>`).join('')}<th>Mean</th><th>Max</th><th>Source</th>
+      </tr>
+    </thead>
+    <tbody>${rows || `<tr><td colspan="${PERCENTILES.length + 5}">No responses were timed in this run</td></tr>`}</tbody>
+  </table>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Build the report from the current run's timings and write report.json and report.html
+   * @param {string} outputDir - Target directory (defaults to response-timings/)
+   * @returns {Object} - Report plus the written file paths
+   */
+  static generate(outputDir = REPORT_DIR) {
+    const report = this.build(this.readRun());
+    fs.mkdirSync(outputDir, { recursive: true });
+    const jsonPath = path.join(outputDir, 'report.json');
+    const htmlPath = path.join(outputDir, 'report.html');
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(htmlPath, this.toHtml(report));
+    if (report.summary.slowest) {
+      logger.info(`Response time report: ${htmlPath} (${report.summary.requests} requests, slowest p95 ${report.summary.slowest.p95} ms for ${report.summary.slowest.endpoint})`);
+    }
+    return { ...report, jsonPath, htmlPath };
+  }
+}
+
+/**
+ * expect(response).toRespondWithin(ms) matcher, registered in fixtures/index.js
+ * Accepts an APIResponse returned by APIHelper, a page Response (measured with Playwright's request timing),
+ * a ControlRoomClient lastResponse, or any object with durationMs.
+ * @param {Object} received - Response or timing
+ * @param {number} maxMs - Upper bound in milliseconds
+ * @returns {Promise<Object>} - Matcher result
+ */
+async function toRespondWithin(received, maxMs) {
+  const hint = this.utils.matcherHint('toRespondWithin', 'response', String(maxMs), { isNot: this.isNot });
+  let timing = ResponseTiming.get(received);
+  if (!timing && received && typeof received.request === 'function' && typeof received.finished === 'function') {
+    timing = await ResponseTiming.measurePageResponse(received);
+  }
+  if (!timing && received && typeof received.durationMs === 'number') {
+    timing = received;
+  }
+  if (!timing) {
+    return {
+      pass: false,
+      name: 'toRespondWithin',
+      message: () => `${hint}\n\nNo timing recorded for this response. Send it through APIHelper or pass a page Response.`
+    };
+  }
+
+  const pass = timing.durationMs <= maxMs;
+  const phases = timing.phases && Object.keys(timing.phases).length > 0
+    ? ` (${Object.entries(timing.phases).map(([phase, ms]) => `${phase} ${ms} ms`).join(', ')})`
+    : '';
+  const label = timing.endpoint || 'Response';
+  return {
+    pass,
+    name: 'toRespondWithin',
+    expected: maxMs,
+    actual: timing.durationMs,
+    message: () => (pass
+      ? `${hint}\n\n${label} took ${timing.durationMs} ms, expected more than ${maxMs} ms${phases}`
+      : `${hint}\n\n${label} took ${timing.durationMs} ms, expected at most ${maxMs} ms${phases}`)
+  };
+}
+
+module.exports = { ResponseTiming, toRespondWithin };
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+
+const SCHEMA_DIR = path.resolve(__dirname, '../test-data/schemas');
+const SCHEMA_SUFFIX = '.schema.json';
+
+// Ajv instance with every stored schema registered, built on first use
+let cachedAjv = null;
+
+/**
+ * Error of a schema that cannot be loaded or compiled
+ */
+class SchemaError extends Error {
+  constructor(file, message) {
+    super(`Invalid JSON Schema test-data/schemas/${file}: ${message}`);
+    this.name = 'SchemaError';
+    this.file = file;
+  }
+}
+
+/**
+ * "$.list[0].name" style path of an Ajv instancePath ("/list/0/name")
+ */
+function toReadablePath(instancePath) {
+  return instancePath.split('/').slice(1).reduce((readable, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (/^\d+$/.test(key)) {
+      return `${readable}[${key}]`;
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${readable}.${key}` : `${readable}[${JSON.stringify(key)}]`;
+  }, '$');
+}
+
+/**
+ * One Ajv error as { path, message }, with the offending property named in the path
+ */
+function describeError(error, data) {
+  let errorPath = toReadablePath(error.instancePath);
+  let message = error.message;
+  switch (error.keyword) {
+    case 'required':
+      errorPath = `${errorPath}.${error.params.missingProperty}`;
+      message = 'is required';
+      break;
+    case 'additionalProperties':
+      errorPath = `${errorPath}.${error.params.additionalProperty}`;
+      message = 'is not allowed';
+      break;
+    case 'enum':
+      message = `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+      break;
+    case 'type': {
+      const value = error.instancePath.split('/').slice(1).reduce((current, key) => (current == null ? current : current[key.replace(/~1/g, '/').replace(/~0/g, '~')]), data);
+      const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+      message = `must be ${[].concat(error.params.type).join(' or ')}, got ${actual}`;
+      break;
+    }
+    default:
+      break;
+  }
+  return { path: errorPath, message, keyword: error.keyword, schemaPath: error.schemaPath };
+}
+
+/**
+ * JSON Schema (draft 2020-12) validation of API responses
+ * Schemas live in test-data/schemas/<name>.schema.json and may $ref each other by file name
+ * (e.g. { "$ref": "entity.schema.json" }). Formats such as date-time, email and uri are checked.
+ */
+class SchemaValidator {
+  /**
+   * Directory holding the stored schemas
+   * @returns {string} - Absolute path of test-data/schemas
+   */
+  static get schemaDir() {
+    return SCHEMA_DIR;
+  }
+
+  /**
+   * Names of all stored schemas
+   * @returns {Array<string>} - Schema names (file names without .schema.json)
+   */
+  static listSchemas() {
+    if (!fs.existsSync(this.schemaDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.schemaDir)
+      .filter(file => file.endsWith(SCHEMA_SUFFIX))
+      .map(file => file.slice(0, -SCHEMA_SUFFIX.length))
+      .sort();
+  }
+
+  /**
+   * Ajv instance with every stored schema registered under its file name
+   */
+  static getAjv() {
+    if (!cachedAjv) {
+      // Strict mode catches typos in schemas; strictRequired would also reject the common
+      // anyOf: [{ required: [...] }] pattern whose properties are declared on the parent
+      const ajv = new Ajv2020({ allErrors: true, strict: true, strictRequired: false, allowUnionTypes: true });
+      addFormats(ajv);
+      for (const name of this.listSchemas()) {
+        const file = `${name}${SCHEMA_SUFFIX}`;
+        let schema;
+        try {
+          schema = JSON.parse(fs.readFileSync(path.join(this.schemaDir, file), 'utf8'));
+        } catch (error) {
+          throw new SchemaError(file, error.message);
+        }
+        if (schema.$id !== undefined && schema.$id !== file) {
+          throw new SchemaError(file, `$id must be "${file}" (or left out), found "${schema.$id}"`);
+        }
+        ajv.addSchema({ ...schema, $id: file });
+      }
+      cachedAjv = ajv;
+    }
+    return cachedAjv;
+  }
+
+  /**
+   * Compiled validation function of a stored schema or an inline schema object
+   * @param {string|Object} schema - Schema name or JSON Schema object
+   * @returns {Function} - Ajv validate function
+   */
+  static compile(schema) {
+    const ajv = this.getAjv();
+    if (typeof schema !== 'string') {
+      return ajv.compile(schema);
+    }
+    const file = `${schema}${SCHEMA_SUFFIX}`;
+    let validate;
+    try {
+      validate = ajv.getSchema(file);
+    } catch (error) {
+      throw new SchemaError(file, error.message);
+    }
+    if (!validate) {
+      throw new Error(`Unknown schema "${schema}" (test-data/schemas/${file}). Available: ${this.listSchemas().join(', ')}`);
+    }
+    return validate;
+  }
+
+  /**
+   * Validate data against a schema
+   * @param {string|Object} schema - Schema name or JSON Schema object
+   * @param {any} data - Data to check (e.g. a parsed response body)
+   * @returns {Object} - { valid, errors: [{ path, message, keyword, schemaPath }] }
+   */
+  static validate(schema, data) {
+    const validate = this.compile(schema);
+    const valid = validate(data);
+    return { valid, errors: valid ? [] : validate.errors.map(error => describeError(error, data)) };
+  }
+
+  /**
+   * Multi-line description of validation errors, one "path: message" per line
+   * @param {Array<Object>} errors - Errors from validate()
+   * @returns {string} - Readable errors
+   */
+  static formatErrors(errors) {
+    return errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+  }
+
+  /**
+   * Compile every stored schema so broken ones fail before any test runs
+   * @returns {Array<string>} - Names of the compiled schemas
+   */
+  static validateAll() {
+    cachedAjv = null;
+    return this.listSchemas().map(name => {
+      this.compile(name);
+      return name;
+    });
+  }
+}
+
+/**
+ * expect(response).toMatchSchema(schema) matcher, registered in fixtures/index.js
+ * Accepts a Playwright APIResponse (its JSON body is checked) or already parsed data, e.g. from ControlRoomClient.
+ * @param {import('@playwright/test').APIResponse|any} received - Response or data
+ * @param {string|Object} schema - Schema name under test-data/schemas/ or a JSON Schema object
+ * @returns {Promise<Object>} - Matcher result
+ */
+async function toMatchSchema(received, schema) {
+  const label = typeof schema === 'string' ? `schema "${schema}"` : 'the given schema';
+  const hint = this.utils.matcherHint('toMatchSchema', 'response', typeof schema === 'string' ? JSON.stringify(schema) : 'schema', { isNot: this.isNot });
+
+  let data = received;
+  if (received && typeof received.json === 'function' && typeof received.status === 'function') {
+    try {
+      data = await received.json();
+    } catch (error) {
+      return {
+        pass: false,
+        name: 'toMatchSchema',
+        message: () => `${hint}\n\nResponse body (HTTP ${received.status()}) is not JSON: ${error.message}`
+      };
+    }
+  }
+
+  const { valid, errors } = SchemaValidator.validate(schema, data);
+  return {
+    pass: valid,
+    name: 'toMatchSchema',
+    expected: schema,
+    actual: data,
+    message: () => (valid
+      ? `${hint}\n\nExpected the response not to match ${label}`
+      : `${hint}\n\nResponse does not match ${label}:\n${SchemaValidator.formatErrors(errors)}`)
+  };
+}
+
+module.exports = { SchemaValidator, SchemaError, toMatchSchema };
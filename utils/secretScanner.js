@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Redaction } = require('./redaction');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+// Everything a run writes that may be uploaded, attached or shared
+const ARTIFACT_DIRS = [
+  'logs', 'test-results', 'playwright-report', 'allure-results', 'allure-report',
+  'network-recordings', 'api-contracts', 'response-timings', 'locator-health'
+];
+// Files whose contents are read; images and videos are only checked by name
+const TEXT_EXTENSIONS = ['.log', '.jsonl', '.json', '.har', '.txt', '.xml', '.html', '.md', '.csv', '.trace', '.network'];
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+// Set by the global setup; files older than the run are left to "npm run secrets:check"
+let runStartedAt = null;
+
+// Secrets that slipped past the redaction: a token after its scheme, a JWT, a password field with a value
+const LEAK_PATTERNS = [
+  { kind: 'bearer token', pattern: /\b(?:Bearer|Basic)\s+(?!\[REDACTED\])[A-Za-z0-9._~+/=-]{8,}/ },
+  { kind: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/ },
+  { kind: 'password field', pattern: /"(?:password|passwd|pwd)"\s*:\s*"(?!\[REDACTED\]|")[^"]+"/i }
+];
+
+/**
+ * Hint at which secret was found without printing it
+ */
+function mask(secret) {
+  return `${secret.slice(0, 2)}${'*'.repeat(Math.max(secret.length - 2, 0))}`;
+}
+
+function walk(dir, files = []) {
+  if (!fs.existsSync(dir)) {
+    return files;
+  }
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, item.name);
+    if (item.isDirectory()) {
+      walk(full, files);
+    } else if (item.isFile()) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+/**
+ * Text entries of a zip archive (Playwright traces), read through its central directory
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Array<Object>} - Entries ({ name, text })
+ */
+function readZipEntries(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end < 0) {
+    return [];
+  }
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count && buffer.readUInt32LE(offset) === 0x02014b50; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    try {
+      const content = method === 8 ? zlib.inflateRawSync(data) : data;
+      // Screenshots and other binary resources are skipped
+      if (!content.subarray(0, 1024).includes(0)) {
+        entries.push({ name, text: content.toString('utf8') });
+      }
+    } catch (error) {
+      // Unsupported compression: nothing to scan
+    }
+  }
+  return entries;
+}
+
+/**
+ * Scans run artifacts (logs, reports, attachments, traces, recordings) for secrets
+ * A finding is a known secret (configured passwords, tokens seen during the run, the run's redaction canary)
+ * or an unredacted bearer token, JWT or password field, in a file's name or contents. Playwright traces record
+ * raw actions and network traffic that no redaction reaches, so findings inside trace.zip are reported apart.
+ */
+class SecretScanner {
+  static get artifactDirs() {
+    return ARTIFACT_DIRS.map(dir => path.join(ROOT_DIR, dir));
+  }
+
+  /**
+   * Remember when the run started, so the teardown only scans what this run wrote
+   */
+  static startRun() {
+    runStartedAt = Date.now();
+  }
+
+  static get runStartedAt() {
+    return runStartedAt;
+  }
+
+  /**
+   * Secrets and leak patterns found in a piece of text
+   * @param {string} text - File contents or name
+   * @returns {Array<Object>} - Findings ({ kind, detail })
+   */
+  static scanText(text) {
+    const findings = [];
+    const canary = process.env.REDACTION_CANARY;
+    for (const secret of Redaction.knownSecrets()) {
+      if (text.includes(secret)) {
+        findings.push(secret === canary
+          ? { kind: 'redaction canary', detail: 'the self-test value logged by the global setup was not redacted' }
+          : { kind: 'known secret', detail: mask(secret) });
+      }
+    }
+    for (const { kind, pattern } of LEAK_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) {
+        findings.push({ kind, detail: mask(match[0]) });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Scan the artifact directories
+   * @param {Object} options - dirs (default artifactDirs), since (only files changed after this time, in ms)
+   * @returns {Array<Object>} - Findings ({ file, entry, kind, detail, trace })
+   */
+  static scan(options = {}) {
+    const dirs = options.dirs || this.artifactDirs;
+    const findings = [];
+    const add = (file, entry, results, trace = false) => results.forEach(result => findings.push({
+      file: path.relative(ROOT_DIR, file), entry, ...result, trace
+    }));
+
+    for (const file of dirs.flatMap(dir => walk(dir))) {
+      const stat = fs.statSync(file);
+      if (options.since && stat.mtimeMs < options.since) {
+        continue;
+      }
+      add(file, null, this.scanText(path.basename(file)));
+      if (stat.size > MAX_FILE_SIZE) {
+        continue;
+      }
+      const extension = path.extname(file).toLowerCase();
+      if (extension === '.zip') {
+        for (const entry of readZipEntries(fs.readFileSync(file))) {
+          add(file, entry.name, this.scanText(entry.text), true);
+        }
+      } else if (TEXT_EXTENSIONS.includes(extension)) {
+        add(file, null, this.scanText(fs.readFileSync(file, 'utf8')));
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Human readable list of findings
+   * @param {Array<Object>} findings - Result of scan()
+   * @returns {string} - Report text
+   */
+  static format(findings) {
+    if (findings.length === 0) {
+      return 'No secrets found in the run artifacts';
+    }
+    return [
+      `${findings.length} secret(s) found in the run artifacts:`,
+      ...findings.map(finding => `  ${finding.trace ? '[trace] ' : ''}${finding.file}${finding.entry ? ` › ${finding.entry}` : ''}: ${finding.kind} (${finding.detail})`)
+    ].join('\n');
+  }
+}
+
+module.exports = { SecretScanner };
@@ -0,0 +1,286 @@
+const { ControlRoomClient } = require('./controlRoomClient');
+const { uniqueName, parseName } = require('./artifactNames');
+const logger = require('./logger');
+
+/**
+ * Entity types the factories can create and clean up
+ * resource is the ControlRoomClient resource; uiDelete removes one entity through the page objects
+ */
+const ENTITY_TYPES = {
+  taskBot: {
+    label: 'Task Bot',
+    resource: 'bots',
+    uiDelete: (pages, name) => pages.automationPage.deleteFile(name)
+  },
+  form: {
+    label: 'Form',
+    resource: 'forms',
+    uiDelete: (pages, name) => pages.automationPage.deleteFile(name)
+  },
+  learningInstance: {
+    label: 'Learning Instance',
+    resource: 'learningInstances',
+    uiDelete: async (pages, name) => {
+      await pages.automationPage.navigateToLearningInstance();
+      await pages.learningInstancePage.deleteInstance(name);
+    }
+  }
+};
+
+/**
+ * Delete one entity, treating 404 as already gone
+ * @returns {Promise<boolean>} - False when the entity did not exist
+ */
+async function deleteEntity(client, type, id) {
+  try {
+    await client[ENTITY_TYPES[type].resource].delete(id);
+    return true;
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    return false;
+  }
+}
+
+/**
+ * Creates test entities with unique names and remembers them for cleanup
+ */
+class EntityFactory {
+  /**
+   * @param {ArtifactRegistry} registry - Registry the created entities are added to
+   * @param {string} type - Key of ENTITY_TYPES
+   */
+  constructor(registry, type) {
+    this.registry = registry;
+    this.type = type;
+  }
+
+  /**
+   * Unique name for an entity the test creates itself (e.g. through the UI); it is deleted after the test
+   * @param {string} label - Readable part of the name
+   * @returns {string} - Unique name
+   */
+  name(label) {
+    const name = uniqueName(label);
+    this.register({ name });
+    return name;
+  }
+
+  /**
+   * Create the entity through the API
+   * @param {Object} data - Request body; name defaults to a unique name
+   * @param {string} label - Readable part of the generated name
+   * @returns {Promise<Object>} - Created entity
+   */
+  async create(data = {}, label = this.type) {
+    const client = await this.registry.getClient();
+    if (!client) {
+      throw new Error(`Cannot create ${ENTITY_TYPES[this.type].label}: API login failed`);
+    }
+    const body = { name: uniqueName(label), ...data };
+    const entity = await client[ENTITY_TYPES[this.type].resource].create(body);
+    this.register({ id: entity.id, name: entity.name || body.name });
+    return entity;
+  }
+
+  /**
+   * Remember an entity created elsewhere (e.g. a raw API call) so it is deleted after the test
+   * @param {Object} entity - { id, name }; at least one is required
+   */
+  register(entity) {
+    this.registry.add(this.type, entity);
+  }
+}
+
+/**
+ * Test artifacts created by one test, deleted again in reverse order when it ends
+ * Deletion goes through the API where it is reachable and falls back to the UI page objects.
+ * Failures are logged, never thrown, so cleanup cannot fail a test.
+ */
+class ArtifactRegistry {
+  /**
+   * @param {Object} options - request (APIRequestContext), credentials ({ username, password }),
+   *   pages (optional { loginPage, automationPage, learningInstancePage } for the UI fallback, or a function
+   *   resolving to them that is only called once a UI delete is needed)
+   */
+  constructor(options) {
+    this.request = options.request;
+    this.credentials = options.credentials;
+    this.pages = options.pages;
+    this.artifacts = [];
+    this.client = undefined;
+    for (const type of Object.keys(ENTITY_TYPES)) {
+      this[type] = new EntityFactory(this, type);
+    }
+  }
+
+  /**
+   * Add an artifact by id and/or name
+   */
+  add(type, entity) {
+    if (!entity || (!entity.id && !entity.name)) {
+      throw new Error(`A ${ENTITY_TYPES[type].label} artifact needs an id or a name`);
+    }
+    this.artifacts.push({ type, id: entity.id, name: entity.name });
+  }
+
+  /**
+   * ControlRoomClient logged in with the test's credentials, or null when the API cannot be used
+   * @returns {Promise<ControlRoomClient|null>} - Logged-in client
+   */
+  async getClient() {
+    if (this.client === undefined) {
+      const client = new ControlRoomClient(this.request);
+      try {
+        await client.auth.login(this.credentials);
+        this.client = client;
+      } catch (error) {
+        logger.warn(`API unavailable for test cleanup: ${error.message}`);
+        this.client = null;
+      }
+    }
+    return this.client;
+  }
+
+  /**
+   * Delete one artifact through the API, looking it up by name when no ID is known
+   * @returns {Promise<number>} - Entities deleted; 0 when none existed (never created or already gone)
+   */
+  async deleteViaApi(client, artifact) {
+    let ids = artifact.id ? [artifact.id] : [];
+    if (!artifact.id) {
+      ids = (await client[ENTITY_TYPES[artifact.type].resource].list())
+        .filter(entity => entity.name === artifact.name)
+        .map(entity => entity.id);
+    }
+    let deleted = 0;
+    for (const id of ids) {
+      if (await deleteEntity(client, artifact.type, id)) {
+        deleted += 1;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Page objects for the UI fallback, created on first use when they were given as a function
+   * @returns {Promise<Object>} - { loginPage, automationPage, learningInstancePage }
+   */
+  async getPages() {
+    if (typeof this.pages === 'function') {
+      // Kept as a promise, so a failed setup is not retried for every artifact
+      this.pages = this.pages();
+    }
+    return await this.pages;
+  }
+
+  /**
+   * Delete one artifact through the page objects
+   */
+  async deleteViaUi(artifact) {
+    if (!this.pages || !artifact.name) {
+      throw new Error('no page objects or name for a UI delete');
+    }
+    const pages = await this.getPages();
+    // The test may have ended anywhere, logged out or on about:blank
+    await pages.loginPage.navigateToLogin();
+    if (!(await pages.loginPage.isLoggedIn())) {
+      await pages.loginPage.login(this.credentials.username, this.credentials.password);
+    }
+    await ENTITY_TYPES[artifact.type].uiDelete(pages, artifact.name);
+  }
+
+  /**
+   * Delete every registered artifact, newest first
+   * @returns {Promise<Array<Object>>} - Artifacts that could not be deleted
+   */
+  async cleanup() {
+    const leftovers = [];
+    const artifacts = this.artifacts.splice(0).reverse();
+    if (artifacts.length === 0) {
+      return leftovers;
+    }
+
+    const client = await this.getClient();
+    for (const artifact of artifacts) {
+      const description = `${ENTITY_TYPES[artifact.type].label} "${artifact.name || artifact.id}"`;
+      try {
+        if (client) {
+          if (await this.deleteViaApi(client, artifact) === 0) {
+            logger.debug(`Nothing to clean up for ${description}: not found (never created or already deleted)`);
+            continue;
+          }
+        } else {
+          await this.deleteViaUi(artifact);
+        }
+        logger.info(`Cleaned up ${description}`);
+      } catch (apiError) {
+        if (client && this.pages && artifact.name) {
+          try {
+            await this.deleteViaUi(artifact);
+            logger.info(`Cleaned up ${description} through the UI`);
+            continue;
+          } catch (uiError) {
+            logger.warn(`UI cleanup of ${description} failed: ${uiError.message}`);
+          }
+        }
+        logger.warn(`Could not clean up ${description}: ${apiError.message}`);
+        leftovers.push(artifact);
+      }
+    }
+    return leftovers;
+  }
+
+  /**
+   * Delete leftovers of earlier runs: entities whose name came from uniqueName(), belong to another run
+   * and are older than the threshold (so parallel runs on the same Control Room are left alone)
+   * @param {ControlRoomClient} client - Logged-in client
+   * @param {Object} options - olderThanMinutes (default 60), dryRun, types (default all), runId (current run, kept)
+   * @returns {Promise<Array<Object>>} - { type, id, name, runId, createdAt, deleted, error }
+   */
+  static async sweep(client, options = {}) {
+    const olderThanMinutes = options.olderThanMinutes === undefined ? 60 : options.olderThanMinutes;
+    const cutoff = Date.now() - olderThanMinutes * 60 * 1000;
+    const currentRun = options.runId || process.env.TEST_RUN_ID;
+    const results = [];
+
+    for (const type of options.types || Object.keys(ENTITY_TYPES)) {
+      const stale = (await client[ENTITY_TYPES[type].resource].list())
+        .map(entity => ({ entity, parsed: parseName(entity.name) }))
+        .filter(({ parsed }) => parsed && parsed.runId !== currentRun && parsed.createdAt.getTime() < cutoff);
+
+      for (const { entity, parsed } of stale) {
+        const result = { type, id: entity.id, name: entity.name, runId: parsed.runId, createdAt: parsed.createdAt.toISOString(), deleted: false };
+        if (!options.dryRun) {
+          try {
+            result.deleted = await deleteEntity(client, type, entity.id);
+          } catch (error) {
+            result.error = error.message;
+          }
+        }
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * sweep() against the selected environment profile with its own API session (CLI and global setup)
+   * @param {Object} options - Same as sweep()
+   * @returns {Promise<Array<Object>>} - Sweep results
+   */
+  static async sweepEnvironment(options = {}) {
+    const { request } = require('@playwright/test');
+    const context = await request.newContext();
+    try {
+      const client = new ControlRoomClient(context);
+      await client.auth.login('admin');
+      return await this.sweep(client, options);
+    } finally {
+      await context.dispose();
+    }
+  }
+}
+
+module.exports = { ArtifactRegistry, EntityFactory, ENTITY_TYPES };
@@ -1,9 +1,125 @@
 const path = require('path');
 const fs = require('fs');
+const { GENERATORS } = require('./dataGenerators');
+const { Environment, PROFILES } = require('./environment');
+const { uniqueName } = require('./artifactNames');
+
+/**
+ * Error pointing at the test data file, and where possible the key, that is broken
+ */
+class TestDataError extends Error {
+  constructor(file, problems) {
+    const lines = problems.map(problem => `  ${problem.keyPath || '(root)'}: ${problem.message}`);
+    super(`Invalid test data in ${file}:\n${lines.join('\n')}`);
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+function joinKeyPath(keyPath, key) {
+  if (typeof key === 'number') {
+    return `${keyPath}[${key}]`;
+  }
+  return keyPath ? `${keyPath}.${key}` : key;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isGenerator(value) {
+  return isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, '$gen');
+}
+
+/**
+ * Key path and line/column of a character position in JSON text, used to explain parse errors
+ * @param {string} text - JSON text
+ * @param {number} position - Character offset reported by JSON.parse
+ * @returns {Object} - { keyPath, line, column }
+ */
+function locateInJson(text, position) {
+  const stack = [];
+  for (let i = 0; i < position && i < text.length; i++) {
+    const char = text[i];
+    const frame = stack[stack.length - 1];
+    if (char === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      if (frame && frame.type === 'object' && frame.expectKey) {
+        frame.pendingKey = JSON.parse(text.slice(i, end + 1));
+      }
+      i = end;
+    } else if (char === '{') {
+      stack.push({ type: 'object', key: null, expectKey: true });
+    } else if (char === '[') {
+      stack.push({ type: 'array', index: 0 });
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    } else if (char === ':' && frame && frame.type === 'object') {
+      frame.key = frame.pendingKey;
+      frame.expectKey = false;
+    } else if (char === ',' && frame) {
+      if (frame.type === 'object') {
+        frame.expectKey = true;
+      } else {
+        frame.index += 1;
+      }
+    }
+  }
+
+  const keyPath = stack.reduce((result, frame) => {
+    if (frame.type === 'array') {
+      return joinKeyPath(result, frame.index);
+    }
+    return frame.key === null ? result : joinKeyPath(result, frame.key);
+  }, '');
+  const before = text.slice(0, position).split('\n');
+  return { keyPath, line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Problems with one generator descriptor's name and parameters
+ */
+function validateGenerator(descriptor, keyPath) {
+  const { $gen: name, ...params } = descriptor;
+  const generator = GENERATORS[name];
+  if (!generator) {
+    return [{ keyPath, message: `unknown generator "${name}" (available: ${Object.keys(GENERATORS).join(', ')})` }];
+  }
+
+  const problems = [];
+  for (const param of Object.keys(params)) {
+    if (!generator.params[param]) {
+      problems.push({ keyPath, message: `${name} generator has no parameter "${param}" (expected: ${Object.keys(generator.params).join(', ')})` });
+    }
+  }
+  for (const [param, spec] of Object.entries(generator.params)) {
+    const value = params[param];
+    if (value === undefined) {
+      if (spec.required) {
+        problems.push({ keyPath, message: `${name} generator needs "${param}" (${spec.type})` });
+      }
+      continue;
+    }
+    const typeMatches = spec.type === 'integer' ? Number.isInteger(value) : typeof value === spec.type;
+    if (!typeMatches) {
+      problems.push({ keyPath, message: `${name} generator "${param}" must be ${spec.type === 'integer' ? 'an' : 'a'} ${spec.type}, got ${JSON.stringify(value)}` });
+    } else if (spec.enum && !spec.enum.includes(value)) {
+      problems.push({ keyPath, message: `${name} generator "${param}" must be one of ${spec.enum.join(', ')}, got ${JSON.stringify(value)}` });
+    } else if (spec.min !== undefined && value < spec.min) {
+      problems.push({ keyPath, message: `${name} generator "${param}" must be at least ${spec.min}, got ${value}` });
+    }
+  }
+  return problems;
+}
 
 /**
  * Test Data Management Utility
- * Manages test data separately from code for better maintainability
+ * Manages test data separately from code for better maintainability.
+ * Values can be computed when the file is loaded with { "$gen": "<generator>", ...params } (see utils/dataGenerators.js),
+ * and each environment profile can override keys from test-data/env/<overlay>/.
  */
 class TestDataManager {
   constructor() {
@@ -21,18 +137,235 @@ class TestDataManager {
   }
 
   /**
-   * Load test data from JSON file
+   * Data file names (without extension) under test-data/
+   * @returns {Array<string>} - File names
+   */
+  listDataFiles() {
+    return fs.readdirSync(this.testDataPath)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.replace(/\.json$/, ''))
+      .sort();
+  }
+
+  /**
+   * Path of a base data file, or of its overlay for an environment
    * @param {string} fileName - Name of the JSON file (without extension)
+   * @param {string} overlay - Overlay directory under test-data/env/ (optional)
+   * @returns {string} - Absolute path
+   */
+  dataFilePath(fileName, overlay) {
+    return overlay
+      ? path.join(this.testDataPath, 'env', overlay, `${fileName}.json`)
+      : path.join(this.testDataPath, `${fileName}.json`);
+  }
+
+  /**
+   * Path of a data file as shown in error messages
+   */
+  displayPath(filePath) {
+    return path.relative(process.cwd(), filePath);
+  }
+
+  /**
+   * Overlay directory of an environment profile
+   * @param {string} environment - Profile name (defaults to TEST_ENV)
+   * @returns {string} - Overlay name
+   */
+  overlayFor(environment = Environment.name) {
+    return PROFILES[environment] ? PROFILES[environment].dataOverlay : environment;
+  }
+
+  /**
+   * Parse a JSON file, pointing at the line and key of a syntax error
+   */
+  parseJsonFile(filePath) {
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    try {
+      return JSON.parse(fileContent);
+    } catch (error) {
+      const position = /at position (\d+)/.exec(error.message);
+      if (!position) {
+        throw new TestDataError(this.displayPath(filePath), [{ keyPath: '', message: error.message }]);
+      }
+      const { keyPath, line, column } = locateInJson(fileContent, Number(position[1]));
+      const hint = /\.repeat\(|\+\s*"/.test(fileContent.split('\n')[line - 1])
+        ? ' - JavaScript expressions are not JSON, use a generator such as { "$gen": "repeat", "value": "A", "count": 255 }'
+        : '';
+      throw new TestDataError(this.displayPath(filePath), [{ keyPath, message: `${error.message.replace(/ in JSON at position \d+/, '')} (line ${line}, column ${column})${hint}` }]);
+    }
+  }
+
+  /**
+   * Read and parse a data file without resolving generators
+   * @param {string} fileName - Name of the JSON file (without extension)
+   * @returns {Object} - Raw data
+   */
+  readRawData(fileName) {
+    const filePath = this.dataFilePath(fileName);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Test data file not found: ${filePath}`);
+    }
+    return this.parseJsonFile(filePath);
+  }
+
+  /**
+   * Read the environment overlay of a data file without resolving generators
+   * @param {string} fileName - Name of the base JSON file (without extension)
+   * @param {string} overlay - Overlay directory under test-data/env/
+   * @returns {Object|null} - Raw overlay data, or null when the environment has no overlay for the file
+   */
+  readOverlay(fileName, overlay) {
+    const filePath = this.dataFilePath(fileName, overlay);
+    return fs.existsSync(filePath) ? this.parseJsonFile(filePath) : null;
+  }
+
+  /**
+   * Merge an overlay over base data: objects merge key by key, everything else
+   * (values, arrays, generators) is replaced by the overlay
+   * @param {Object} base - Base data
+   * @param {Object} overlay - Overrides
+   * @returns {Object} - Merged data
+   */
+  mergeData(base, overlay) {
+    if (!isPlainObject(base) || !isPlainObject(overlay) || isGenerator(base) || isGenerator(overlay)) {
+      return overlay;
+    }
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overlay)) {
+      merged[key] = key in base ? this.mergeData(base[key], value) : value;
+    }
+    return merged;
+  }
+
+  /**
+   * Check the structure of parsed data: the file is an object and every generator descriptor is valid
+   * @param {Object} data - Raw data from readRawData()
+   * @returns {Array<Object>} - Problems ({ keyPath, message }); empty when the data is valid
+   */
+  validateData(data) {
+    if (!isPlainObject(data)) {
+      return [{ keyPath: '', message: 'a test data file must contain a JSON object' }];
+    }
+    const visit = (value, keyPath) => {
+      if (isGenerator(value)) {
+        return validateGenerator(value, keyPath);
+      }
+      if (Array.isArray(value)) {
+        return value.flatMap((item, index) => visit(item, joinKeyPath(keyPath, index)));
+      }
+      if (isPlainObject(value)) {
+        return Object.entries(value).flatMap(([key, item]) => visit(item, joinKeyPath(keyPath, key)));
+      }
+      return [];
+    };
+    return visit(data, '');
+  }
+
+  /**
+   * Parse and validate every file under test-data/ and every environment overlay, reporting all broken files at once
+   * @returns {Array<string>} - Validated file names (overlays as "env/<overlay>/<name>")
+   */
+  validateAll() {
+    const errors = [];
+    const validated = [];
+    const check = (filePath, label) => {
+      try {
+        const problems = this.validateData(this.parseJsonFile(filePath));
+        if (problems.length > 0) {
+          throw new TestDataError(this.displayPath(filePath), problems);
+        }
+        validated.push(label);
+      } catch (error) {
+        errors.push(error);
+      }
+    };
+
+    const files = this.listDataFiles();
+    files.forEach(fileName => check(this.dataFilePath(fileName), fileName));
+
+    const overlayRoot = path.join(this.testDataPath, 'env');
+    const knownOverlays = Object.values(PROFILES).map(profile => profile.dataOverlay);
+    const overlays = fs.existsSync(overlayRoot)
+      ? fs.readdirSync(overlayRoot, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+      : [];
+    for (const overlay of overlays) {
+      if (!knownOverlays.includes(overlay)) {
+        errors.push(new Error(`Unknown overlay directory test-data/env/${overlay}/ (environment overlays: ${knownOverlays.join(', ')})`));
+        continue;
+      }
+      for (const file of fs.readdirSync(path.join(overlayRoot, overlay)).filter(name => name.endsWith('.json'))) {
+        const fileName = file.replace(/\.json$/, '');
+        const filePath = this.dataFilePath(fileName, overlay);
+        if (!files.includes(fileName)) {
+          errors.push(new TestDataError(this.displayPath(filePath), [{ keyPath: '', message: `overlay has no base file test-data/${file}` }]));
+          continue;
+        }
+        check(filePath, `env/${overlay}/${fileName}`);
+      }
+    }
+
+    if (errors.length === 1) {
+      throw errors[0];
+    }
+    if (errors.length > 1) {
+      throw new Error(errors.map(error => error.message).join('\n'));
+    }
+    return validated;
+  }
+
+  /**
+   * Replace generator descriptors with their output
+   * @param {any} value - Validated raw data
+   * @param {string} source - Where the data came from (for error messages)
+   * @returns {any} - Resolved data
+   */
+  resolveGenerators(value, source, keyPath = '') {
+    if (isGenerator(value)) {
+      const { $gen: name, ...params } = value;
+      const generator = GENERATORS[name];
+      const defaults = Object.fromEntries(Object.entries(generator.params)
+        .filter(([, spec]) => spec.default !== undefined)
+        .map(([param, spec]) => [param, spec.default]));
+      try {
+        return generator.generate({ ...defaults, ...params });
+      } catch (error) {
+        throw new TestDataError(source, [{ keyPath, message: `${name} generator failed: ${error.message}` }]);
+      }
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.resolveGenerators(item, source, joinKeyPath(keyPath, index)));
+    }
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value)
+        .map(([key, item]) => [key, this.resolveGenerators(item, source, joinKeyPath(keyPath, key))]));
+    }
+    return value;
+  }
+
+  /**
+   * Load test data from JSON file, merged with the overlay of the selected environment
+   * (test-data/env/<overlay>/<fileName>.json) when there is one.
+   * Generators are resolved on every load, so random and timestamp values are fresh per call.
+   * @param {string} fileName - Name of the JSON file (without extension)
+   * @param {Object} options - environment (profile name, defaults to TEST_ENV)
    * @returns {Object} - Test data object
    */
-  loadTestData(fileName) {
+  loadTestData(fileName, options = {}) {
     try {
-      const filePath = path.join(this.testDataPath, `${fileName}.json`);
-      if (!fs.existsSync(filePath)) {
-        throw new Error(`Test data file not found: ${filePath}`);
+      const overlayName = this.overlayFor(options.environment);
+      const sources = [[this.dataFilePath(fileName), this.readRawData(fileName)]];
+      const overlay = this.readOverlay(fileName, overlayName);
+      if (overlay) {
+        sources.push([this.dataFilePath(fileName, overlayName), overlay]);
       }
-      const fileContent = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(fileContent);
+      for (const [filePath, data] of sources) {
+        const problems = this.validateData(data);
+        if (problems.length > 0) {
+          throw new TestDataError(this.displayPath(filePath), problems);
+        }
+      }
+      const merged = overlay ? this.mergeData(sources[0][1], overlay) : sources[0][1];
+      return this.resolveGenerators(merged, sources.map(([filePath]) => this.displayPath(filePath)).join(' + '));
     } catch (error) {
       console.error(`Error loading test data from ${fileName}:`, error.message);
       throw error;
@@ -55,13 +388,14 @@ class TestDataManager {
 
   /**
    * Generate dynamic test data
+   * The name is unique across runs and workers (E2E_<runId>_<prefix>_w<worker>n<counter>, see utils/artifactNames.js)
    * @param {string} prefix - Prefix for generated data
    * @returns {Object} - Generated test data
    */
   generateDynamicData(prefix = 'Test') {
     const timestamp = Date.now();
     return {
-      name: `${prefix}_${timestamp}`,
+      name: uniqueName(prefix),
       description: `Automated test data generated at ${new Date(timestamp).toISOString()}`,
       email: `test_${timestamp}@automation.com`,
       timestamp: timestamp
@@ -70,4 +404,3 @@ class TestDataManager {
 }
 
 module.exports = new TestDataManager();
-
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Every log entry of the current run as one JSON object per line, filterable by test afterwards
+const RUN_LOG = path.join(__dirname, '../logs/run.jsonl');
+
+// Steps can run concurrently (Promise.all), so each async chain keeps its own step path
+const stepStorage = new AsyncLocalStorage();
+// A worker runs one test at a time
+let current = null;
+
+/**
+ * Identity of the test that is running in this worker, attached to every log line
+ * The fixtures start and end it around each test and wrap test.step(), so log lines carry the test ID,
+ * title, project, retry, correlation ID and the current step path.
+ */
+class TestLogContext {
+  static get runLogPath() {
+    return RUN_LOG;
+  }
+
+  /**
+   * Empty the run log (called from the global setup); truncated rather than deleted, so open streams keep working
+   */
+  static resetRun() {
+    if (fs.existsSync(RUN_LOG)) {
+      fs.truncateSync(RUN_LOG);
+    }
+  }
+
+  /**
+   * Entries of the run log matching a filter
+   * @param {Object} filter - test (test ID or part of the title), project, retry, level, step (part of the step path)
+   * @returns {Array<Object>} - Matching log entries
+   */
+  static readRun(filter = {}) {
+    if (!fs.existsSync(RUN_LOG)) {
+      return [];
+    }
+    const contains = (value, part) => String(value || '').toLowerCase().includes(String(part).toLowerCase());
+    return fs.readFileSync(RUN_LOG, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(entry => (!filter.test || entry.testId === filter.test || contains(entry.test, filter.test))
+        && (!filter.project || entry.project === filter.project)
+        && (filter.retry === undefined || entry.retry === Number(filter.retry))
+        && (!filter.level || entry.level === filter.level)
+        && (!filter.step || contains(entry.step, filter.step)));
+  }
+
+  /**
+   * Start collecting for a test
+   * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+   * @returns {Object} - Context ({ testId, test, file, project, retry, worker, correlationId })
+   */
+  static start(testInfo) {
+    const retry = testInfo.retry;
+    current = {
+      context: {
+        testId: testInfo.testId,
+        test: testInfo.titlePath.slice(1).join(' > '),
+        file: testInfo.titlePath[0],
+        project: testInfo.project.name,
+        retry,
+        worker: testInfo.workerIndex,
+        correlationId: `${process.env.TEST_RUN_ID || 'local'}-${testInfo.testId}-r${retry}`
+      },
+      lines: []
+    };
+    return current.context;
+  }
+
+  /**
+   * Stop collecting
+   * @returns {Array<string>} - Lines logged during the test
+   */
+  static end() {
+    const lines = current ? current.lines : [];
+    current = null;
+    return lines;
+  }
+
+  /**
+   * Fields to add to a log entry, or {} outside a test
+   * @returns {Object} - Context plus step
+   */
+  static fields() {
+    if (!current) {
+      return {};
+    }
+    const steps = stepStorage.getStore();
+    return steps && steps.length > 0 ? { ...current.context, step: steps.join(' > ') } : { ...current.context };
+  }
+
+  /**
+   * Correlation ID of the running test, e.g. for request headers
+   * @returns {string|null} - "<runId>-<testId>-r<retry>" or null outside a test
+   */
+  static correlationId() {
+    return current ? current.context.correlationId : null;
+  }
+
+  /**
+   * Keep a formatted line for the running test's own log file
+   * @param {string} line - Formatted log line
+   */
+  static collect(line) {
+    if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  /**
+   * Run a step body with its title on the step path
+   * @param {string} title - Step title
+   * @param {Function} body - Step body
+   * @returns {Promise<any>} - Result of the body
+   */
+  static runStep(title, body) {
+    const parent = stepStorage.getStore() || [];
+    return stepStorage.run([...parent, title], body);
+  }
+}
+
+module.exports = { TestLogContext };
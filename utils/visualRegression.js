@@ -1,24 +1,33 @@
-const { expect } = require('@playwright/test');
+const { test } = require('@playwright/test');
 const path = require('path');
 const fs = require('fs');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { BaselineStore } = require('./baselineStore');
 const logger = require('./logger');
 
+// Per-pixel YIQ colour distance (0-1) below which pixels count as equal; absorbs anti-aliasing noise
+const DEFAULT_THRESHOLD = Number(process.env.VISUAL_THRESHOLD || 0.1);
+// Share of differing pixels tolerated before a comparison fails
+const DEFAULT_MAX_DIFF_RATIO = Number(process.env.VISUAL_MAX_DIFF_RATIO || 0.001);
+
 /**
  * Visual Regression Testing Utility
- * Compares screenshots to detect visual changes
+ * Compares screenshots to baselines pixel by pixel and writes a diff image for every mismatch.
+ * Baselines are stored per browser project and viewport by BaselineStore (see npm run baselines).
  */
 class VisualRegressionHelper {
   constructor() {
-    this.screenshotsDir = path.resolve(__dirname, '../test-results/screenshots');
-    this.baselineDir = path.resolve(__dirname, '../test-results/baseline');
+    this.screenshotsDir = BaselineStore.resultsDir;
+    this.baselineDir = BaselineStore.baselineDir;
     this.ensureDirectories();
   }
 
   /**
-   * Ensure screenshot directories exist
+   * Ensure screenshot directories exist (baseline folders are created when a baseline is written)
    */
   ensureDirectories() {
-    [this.screenshotsDir, this.baselineDir].forEach(dir => {
+    [this.screenshotsDir].forEach(dir => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
@@ -29,66 +38,227 @@ class VisualRegressionHelper {
    * Take screenshot and compare with baseline
    * @param {Object} page - Playwright page object
    * @param {string} name - Screenshot name
-   * @param {Object} options - Comparison options
+   * @param {Object} options - Comparison options (see checkScreenshot)
    * @returns {Promise<boolean>} - True if visual match, false otherwise
    */
   async compareScreenshot(page, name, options = {}) {
     try {
-      const screenshotPath = path.join(this.screenshotsDir, `${name}.png`);
-      const baselinePath = path.join(this.baselineDir, `${name}.png`);
-
-      // Take current screenshot
-      await page.screenshot({ 
-        path: screenshotPath, 
-        fullPage: options.fullPage !== false 
-      });
-
-      // If baseline doesn't exist, create it
-      if (!fs.existsSync(baselinePath)) {
-        fs.copyFileSync(screenshotPath, baselinePath);
-        logger.info(`Baseline screenshot created: ${baselinePath}`);
-        return true;
+      const result = await this.checkScreenshot(page, name, options);
+      return result.match;
+    } catch (error) {
+      logger.error(`Visual regression check failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Take screenshot, compare it with the baseline and attach the images to the test report
+   * @param {Object} page - Playwright page object
+   * @param {string} name - Screenshot name
+   * @param {Object} options - fullPage (default true), threshold (0-1, default 0.1),
+   *   maxDiffRatio (default 0.001), mask (selectors, Locators or { x, y, width, height } rectangles),
+   *   testInfo (defaults to the running test), project (defaults to the test's browser project)
+   * @returns {Promise<Object>} - Result ({ id, match, baselineCreated, diffPixels, totalPixels, diffRatio, actualPath, baselinePath, diffPath })
+   */
+  async checkScreenshot(page, name, options = {}) {
+    const testInfo = options.testInfo || this.currentTestInfo();
+    const snapshot = {
+      project: options.project || (testInfo ? testInfo.project.name : 'default'),
+      viewport: BaselineStore.viewportKey(page),
+      name
+    };
+    const { id, actualPath: screenshotPath, baselinePath } = BaselineStore.pathsFor(snapshot);
+    fs.mkdirSync(path.dirname(screenshotPath), { recursive: true });
+    const { locators, rectangles } = this.splitMasks(page, options.mask);
+
+    // Element masks are painted by Playwright; rectangles are blanked in both images before diffing
+    await page.screenshot({
+      path: screenshotPath,
+      fullPage: options.fullPage !== false,
+      animations: 'disabled',
+      mask: locators
+    });
+
+    // Without a baseline a local run records one; CI fails so a new project or viewport never passes unchecked
+    if (!fs.existsSync(baselinePath)) {
+      if (process.env.CI) {
+        const result = {
+          id,
+          match: false,
+          reason: `no baseline for ${id}; approve it with: npm run baselines -- approve ${id}`,
+          baselineCreated: false,
+          diffPixels: null,
+          totalPixels: null,
+          diffRatio: null,
+          actualPath: screenshotPath,
+          baselinePath: null,
+          diffPath: null
+        };
+        BaselineStore.writeResult(snapshot, result);
+        await this.attachResult(name, result, testInfo);
+        logger.warn(`Visual baseline missing for: ${id}. Approve with: npm run baselines -- approve ${id}`);
+        return result;
       }
+      fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+      fs.copyFileSync(screenshotPath, baselinePath);
+      logger.info(`Baseline screenshot created: ${id}`);
+      return { id, match: true, baselineCreated: true, diffPixels: 0, totalPixels: 0, diffRatio: 0, actualPath: screenshotPath, baselinePath, diffPath: null };
+    }
+
+    const result = {
+      id,
+      ...this.compareImages(screenshotPath, baselinePath, { ...options, rectangles }),
+      baselineCreated: false
+    };
+    BaselineStore.writeResult(snapshot, result);
+    await this.attachResult(name, result, testInfo);
+
+    if (result.match) {
+      logger.info(`Visual regression check passed for: ${id} (${(result.diffRatio * 100).toFixed(3)}% pixels differ)`);
+    } else {
+      logger.warn(`Visual regression detected for: ${id} - ${result.reason}. Diff: ${result.diffPath}. Approve with: npm run baselines -- approve ${id}`);
+    }
+    return result;
+  }
+
+  /**
+   * Compare two PNG files pixel by pixel and write <actual>_diff.png
+   * The diff image shows the baseline faded out with differing pixels highlighted in red
+   * @param {string} actualPath - Current screenshot
+   * @param {string} baselinePath - Baseline screenshot
+   * @param {Object} options - threshold, maxDiffRatio, rectangles to ignore
+   * @returns {Object} - Result ({ match, reason, diffPixels, totalPixels, diffRatio, actualPath, baselinePath, diffPath })
+   */
+  compareImages(actualPath, baselinePath, options = {}) {
+    const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+    const maxDiffRatio = options.maxDiffRatio !== undefined ? options.maxDiffRatio : DEFAULT_MAX_DIFF_RATIO;
+    const actual = PNG.sync.read(fs.readFileSync(actualPath));
+    const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+    const diffPath = actualPath.replace(/\.png$/i, '_diff.png');
+
+    if (actual.width !== baseline.width || actual.height !== baseline.height) {
+      fs.rmSync(diffPath, { force: true });
+      return {
+        match: false,
+        reason: `size changed from ${baseline.width}x${baseline.height} to ${actual.width}x${actual.height}`,
+        diffPixels: null,
+        totalPixels: actual.width * actual.height,
+        diffRatio: 1,
+        actualPath,
+        baselinePath,
+        diffPath: null
+      };
+    }
+
+    for (const rectangle of options.rectangles || []) {
+      this.blankRectangle(actual, rectangle);
+      this.blankRectangle(baseline, rectangle);
+    }
+
+    const { width, height } = actual;
+    const diff = new PNG({ width, height });
+    const diffPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, { threshold });
+    fs.writeFileSync(diffPath, PNG.sync.write(diff));
 
-      // Compare screenshots using Playwright's built-in comparison
-      // Note: For more advanced comparison, consider using pixelmatch or similar
-      const currentBuffer = fs.readFileSync(screenshotPath);
-      const baselineBuffer = fs.readFileSync(baselinePath);
-
-      // Simple byte comparison (for production, use image comparison library)
-      const match = currentBuffer.equals(baselineBuffer);
-      
-      if (!match) {
-        logger.warn(`Visual regression detected for: ${name}`);
-        // Save diff image if needed
-        const diffPath = path.join(this.screenshotsDir, `${name}_diff.png`);
-        // In production, use pixelmatch or similar to create diff image
+    const totalPixels = width * height;
+    const diffRatio = diffPixels / totalPixels;
+    const match = diffRatio <= maxDiffRatio;
+    return {
+      match,
+      reason: match ? null : `${diffPixels} of ${totalPixels} pixels differ (${(diffRatio * 100).toFixed(3)}% > ${(maxDiffRatio * 100).toFixed(3)}%)`,
+      diffPixels,
+      totalPixels,
+      diffRatio,
+      actualPath,
+      baselinePath,
+      diffPath
+    };
+  }
+
+  /**
+   * Separate mask entries into Playwright locators and plain rectangles
+   */
+  splitMasks(page, mask = []) {
+    const locators = [];
+    const rectangles = [];
+    for (const entry of mask) {
+      if (typeof entry === 'string') {
+        locators.push(page.locator(entry));
+      } else if (entry && typeof entry.width === 'number' && typeof entry.height === 'number') {
+        rectangles.push(entry);
       } else {
-        logger.info(`Visual regression check passed for: ${name}`);
+        locators.push(entry);
+      }
+    }
+    return { locators, rectangles };
+  }
+
+  /**
+   * Paint a rectangle solid black so it never produces a difference
+   */
+  blankRectangle(png, { x, y, width, height }) {
+    const left = Math.max(0, Math.floor(x));
+    const top = Math.max(0, Math.floor(y));
+    const right = Math.min(png.width, Math.ceil(x + width));
+    const bottom = Math.min(png.height, Math.ceil(y + height));
+    for (let row = top; row < bottom; row++) {
+      for (let column = left; column < right; column++) {
+        const offset = (row * png.width + column) * 4;
+        png.data[offset] = 0;
+        png.data[offset + 1] = 0;
+        png.data[offset + 2] = 0;
+        png.data[offset + 3] = 255;
       }
+    }
+  }
 
-      return match;
+  /**
+   * Info of the running test, or null outside a test
+   */
+  currentTestInfo() {
+    try {
+      return test.info();
     } catch (error) {
-      logger.error(`Visual regression check failed: ${error.message}`);
-      return false;
+      // Called outside a running test
+      return null;
     }
   }
 
   /**
-   * Update baseline screenshot
+   * Attach baseline, actual and diff images plus the numbers to the Playwright (and Allure) report
+   */
+  async attachResult(name, result, info) {
+    if (!info) {
+      return;
+    }
+    if (result.baselinePath) {
+      await info.attach(`${name}-baseline`, { path: result.baselinePath, contentType: 'image/png' });
+    }
+    await info.attach(`${name}-actual`, { path: result.actualPath, contentType: 'image/png' });
+    if (result.diffPath) {
+      await info.attach(`${name}-diff`, { path: result.diffPath, contentType: 'image/png' });
+    }
+    await info.attach(`${name}-visual-result`, {
+      body: JSON.stringify({ match: result.match, reason: result.reason, diffPixels: result.diffPixels, totalPixels: result.totalPixels, diffRatio: result.diffRatio }, null, 2),
+      contentType: 'application/json'
+    });
+  }
+
+  /**
+   * Update baseline screenshot from the latest run
    * @param {string} name - Screenshot name
+   * @param {Object} filter - Optional project and viewport; by default every project/viewport with a screenshot is updated
    */
-  updateBaseline(name) {
+  updateBaseline(name, filter = {}) {
     try {
-      const screenshotPath = path.join(this.screenshotsDir, `${name}.png`);
-      const baselinePath = path.join(this.baselineDir, `${name}.png`);
+      const snapshots = BaselineStore.walkPngs(this.screenshotsDir)
+        .map(file => BaselineStore.parseId(path.relative(this.screenshotsDir, file).split(path.sep).join('/').replace(/\.png$/, '')))
+        .filter(snapshot => BaselineStore.matchesFilter(snapshot, { ...filter, names: [name] }));
 
-      if (fs.existsSync(screenshotPath)) {
-        fs.copyFileSync(screenshotPath, baselinePath);
-        logger.info(`Baseline updated: ${baselinePath}`);
-      } else {
-        throw new Error(`Screenshot not found: ${screenshotPath}`);
+      if (snapshots.length === 0) {
+        throw new Error(`Screenshot not found: ${name}`);
       }
+      snapshots.forEach(snapshot => BaselineStore.approve(snapshot));
     } catch (error) {
       logger.error(`Failed to update baseline: ${error.message}`);
       throw error;
@@ -97,4 +267,3 @@ class VisualRegressionHelper {
 }
 
 module.exports = new VisualRegressionHelper();
-